@@ -3,8 +3,16 @@
  * Common authentication patterns and utilities
  */
 
+// In-flight token requests keyed by endpoint, so concurrent callers share one refresh
+const pendingTokenRequests = new Map();
+
 const AuthHelpers = {
 
+    /**
+     * Device code lifetime in seconds when the server sends no expires_in
+     */
+    deviceCodeLifetime: 300,
+
     // =============================================================================
     // JWT TOKEN MANAGEMENT
     // =============================================================================
@@ -77,9 +85,10 @@ const AuthHelpers = {
     /**
      * Check if JWT token is expired
      * @param {string} token - JWT token to check
+     * @param {number} skewSeconds - Treat tokens expiring within this many seconds as expired
      * @returns {boolean} - True if token is expired
      */
-    isJWTExpired: function(token = null) {
+    isJWTExpired: function(token = null, skewSeconds = 0) {
         const payload = this.decodeJWTPayload(token);
         
         if (!payload || !payload.exp) {
@@ -87,7 +96,292 @@ const AuthHelpers = {
         }
         
         const currentTime = Math.floor(Date.now() / 1000);
-        return payload.exp < currentTime;
+        return payload.exp < currentTime + skewSeconds;
+    },
+
+    /**
+     * Decode JWT header
+     * @param {string} token - JWT token to decode
+     * @returns {Object|null} - Decoded header or null if malformed
+     */
+    decodeJWTHeader: function(token = null) {
+        const jwtToken = token || pm.environment.get("authToken");
+        
+        try {
+            return JSON.parse(this.getCryptoUtils().base64UrlDecode(jwtToken.split('.')[0]));
+        } catch (error) {
+            console.error("Failed to decode JWT header:", error);
+            return null;
+        }
+    },
+
+    // =============================================================================
+    // JWT VERIFICATION
+    // =============================================================================
+
+    /**
+     * Supported JWS algorithms mapped to hash and signature scheme
+     */
+    jwsAlgorithms: {
+        HS256: { hash: 'sha256', type: 'hmac' },
+        HS384: { hash: 'sha384', type: 'hmac' },
+        HS512: { hash: 'sha512', type: 'hmac' },
+        RS256: { hash: 'sha256', type: 'rsa', padding: 'pkcs1' },
+        RS384: { hash: 'sha384', type: 'rsa', padding: 'pkcs1' },
+        RS512: { hash: 'sha512', type: 'rsa', padding: 'pkcs1' },
+        PS256: { hash: 'sha256', type: 'rsa', padding: 'pss' },
+        PS384: { hash: 'sha384', type: 'rsa', padding: 'pss' },
+        PS512: { hash: 'sha512', type: 'rsa', padding: 'pss' },
+        ES256: { hash: 'sha256', type: 'ec', dsaEncoding: 'ieee-p1363' },
+        ES384: { hash: 'sha384', type: 'ec', dsaEncoding: 'ieee-p1363' },
+        ES512: { hash: 'sha512', type: 'ec', dsaEncoding: 'ieee-p1363' }
+    },
+
+    /**
+     * Verify a JWT signature without recording tests
+     * @param {string} token - JWT token to verify
+     * @param {Object} keyConfig - Verification key configuration
+     * @param {string} keyConfig.secret - Shared secret for HS256/384/512
+     * @param {string|Object} keyConfig.publicKey - PEM public key/certificate or JWK for RS/PS/ES algorithms
+     * @param {Object} keyConfig.jwks - Local JWKS document ({ keys: [...] }); the key is selected by kid
+     * @param {Array} keyConfig.algorithms - Allowed algorithms (defaults to those the key type supports)
+     * @returns {Object} - { valid, alg, kid, error }
+     */
+    checkJWTSignature: function(token, keyConfig = {}) {
+        const parts = typeof token === 'string' ? token.split('.') : [];
+        const header = parts.length === 3 ? this.decodeJWTHeader(token) : null;
+
+        if (!header) {
+            return { valid: false, alg: null, kid: null, error: 'Token is not a well-formed JWS' };
+        }
+
+        const { alg, kid } = header;
+        const result = { valid: false, alg, kid: kid || null, error: null };
+
+        if (!alg || String(alg).toLowerCase() === 'none') {
+            result.error = "Unsecured JWT (alg 'none') rejected";
+            return result;
+        }
+
+        const algorithm = this.jwsAlgorithms[alg];
+        if (!algorithm) {
+            result.error = `Unsupported algorithm ${alg}`;
+            return result;
+        }
+
+        // Pin the algorithm family to the configured key to prevent HS/RS confusion attacks
+        const allowed = keyConfig.algorithms || Object.keys(this.jwsAlgorithms).filter(name => {
+            const type = this.jwsAlgorithms[name].type;
+            return keyConfig.secret ? type === 'hmac' : type !== 'hmac';
+        });
+        if (!allowed.includes(alg)) {
+            result.error = `Algorithm ${alg} is not allowed (expected one of ${allowed.join(', ')})`;
+            return result;
+        }
+
+        const crypto = this.getCryptoUtils();
+        const signingInput = `${parts[0]}.${parts[1]}`;
+
+        try {
+            if (algorithm.type === 'hmac') {
+                if (!keyConfig.secret) {
+                    result.error = `${alg} needs a shared secret`;
+                    return result;
+                }
+                const expected = crypto.hmac(algorithm.hash, keyConfig.secret, signingInput, 'base64url');
+                result.valid = crypto.timingSafeEqual(expected, parts[2]);
+            } else {
+                const key = keyConfig.jwks ? this.selectJWK(keyConfig.jwks, header) : keyConfig.publicKey;
+                if (!key) {
+                    result.error = keyConfig.jwks
+                        ? `No JWKS key matches kid ${kid || '(none)'} for ${alg}`
+                        : `${alg} needs a public key or JWKS`;
+                    return result;
+                }
+                result.valid = crypto.verifySignature(
+                    algorithm.hash,
+                    signingInput,
+                    crypto.base64ToBytes(parts[2]),
+                    key,
+                    algorithm
+                );
+            }
+        } catch (error) {
+            result.error = `Signature verification failed: ${error.message}`;
+            return result;
+        }
+
+        if (!result.valid) {
+            result.error = 'Signature does not match';
+        }
+        return result;
+    },
+
+    /**
+     * Select the JWKS key for a JWT header
+     * @param {Object} jwks - JWKS document ({ keys: [...] })
+     * @param {Object} header - Decoded JWT header
+     * @returns {Object|null} - Matching JWK or null
+     */
+    selectJWK: function(jwks, header) {
+        const kty = { rsa: 'RSA', ec: 'EC' }[this.jwsAlgorithms[header.alg].type];
+        const candidates = (jwks.keys || []).filter(key =>
+            key.kty === kty &&
+            (!key.use || key.use === 'sig') &&
+            (!key.alg || key.alg === header.alg)
+        );
+
+        if (header.kid) {
+            return candidates.find(key => key.kid === header.kid) || null;
+        }
+        return candidates.length === 1 ? candidates[0] : null;
+    },
+
+    /**
+     * Validate JWT signature, reporting the alg check and signature check as tests
+     * @param {string} token - JWT token to verify (defaults to authToken)
+     * @param {Object} keyConfig - Verification key configuration (see checkJWTSignature)
+     * @returns {boolean} - True if the signature is valid
+     */
+    validateJWTSignature: function(token = null, keyConfig = {}) {
+        const jwtToken = token || pm.environment.get("authToken");
+        const header = this.decodeJWTHeader(jwtToken) || {};
+        const result = this.checkJWTSignature(jwtToken, keyConfig);
+
+        pm.test("JWT is signed (alg is not 'none')", () => {
+            pm.expect(header.alg, 'JWT header alg').to.be.a('string');
+            pm.expect(header.alg.toLowerCase()).to.not.equal('none');
+        });
+
+        pm.test(`JWT signature is valid (${result.alg || 'unknown alg'})`, () => {
+            if (!result.valid) {
+                pm.expect.fail(result.error);
+            }
+        });
+
+        return result.valid;
+    },
+
+    /**
+     * Assert JWT claims, one test per check
+     * @param {string} token - JWT token (defaults to authToken)
+     * @param {Object} expected - Expected claims
+     * @param {string|RegExp} expected.iss - Expected issuer
+     * @param {string|Array} expected.aud - Audience(s) the token must contain
+     * @param {string|RegExp} expected.sub - Expected subject
+     * @param {string|Array} expected.alg - Expected header alg(s)
+     * @param {number} expected.clockToleranceSeconds - Allowed clock skew for exp/nbf/iat (default 0)
+     * @param {number} expected.maxAgeSeconds - Maximum age based on iat
+     * @param {boolean} expected.requireExp - Require an exp claim (default true)
+     * @param {Array} expected.requiredClaims - Claim names that must be present
+     * @param {Object} expected.claims - Custom claims: exact value, RegExp or predicate function
+     * @returns {boolean} - True if every check passed
+     */
+    assertJWTClaims: function(token = null, expected = {}) {
+        const jwtToken = token || pm.environment.get("authToken");
+        const header = this.decodeJWTHeader(jwtToken) || {};
+        const payload = this.decodeJWTPayload(jwtToken) || {};
+        const tolerance = expected.clockToleranceSeconds || 0;
+        const now = Math.floor(Date.now() / 1000);
+        let allPassed = true;
+
+        const check = (name, fn) => {
+            try {
+                fn();
+                pm.test(name, () => {});
+            } catch (error) {
+                allPassed = false;
+                pm.test(name, () => { throw error; });
+            }
+        };
+
+        const matchValue = (label, actual, wanted) => {
+            if (wanted instanceof RegExp) {
+                pm.expect(actual, label).to.match(wanted);
+            } else if (typeof wanted === 'function') {
+                pm.expect(wanted(actual), `${label} predicate`).to.be.true;
+            } else {
+                pm.expect(actual, label).to.deep.equal(wanted);
+            }
+        };
+
+        if (expected.alg !== undefined) {
+            const algs = Array.isArray(expected.alg) ? expected.alg : [expected.alg];
+            check(`JWT header alg is ${algs.join(' or ')}`, () => {
+                pm.expect(algs, 'header alg').to.include(header.alg);
+            });
+        }
+
+        ['iss', 'sub'].forEach(claim => {
+            if (expected[claim] !== undefined) {
+                check(`JWT claim ${claim} matches ${expected[claim]}`, () => {
+                    matchValue(claim, payload[claim], expected[claim]);
+                });
+            }
+        });
+
+        if (expected.aud !== undefined) {
+            const tokenAud = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+            (Array.isArray(expected.aud) ? expected.aud : [expected.aud]).forEach(aud => {
+                check(`JWT claim aud includes ${aud}`, () => {
+                    pm.expect(tokenAud, 'aud').to.include(aud);
+                });
+            });
+        }
+
+        if (expected.requireExp !== false || payload.exp !== undefined) {
+            check("JWT is not expired (exp)", () => {
+                pm.expect(payload.exp, 'exp').to.be.a('number');
+                pm.expect(payload.exp + tolerance, 'exp (with clock tolerance)').to.be.above(now);
+            });
+        }
+
+        if (payload.nbf !== undefined) {
+            check("JWT is active (nbf)", () => {
+                pm.expect(payload.nbf, 'nbf').to.be.a('number');
+                pm.expect(payload.nbf - tolerance, 'nbf (with clock tolerance)').to.be.at.most(now);
+            });
+        }
+
+        if (payload.iat !== undefined || expected.maxAgeSeconds !== undefined) {
+            check("JWT was not issued in the future (iat)", () => {
+                pm.expect(payload.iat, 'iat').to.be.a('number');
+                pm.expect(payload.iat - tolerance, 'iat (with clock tolerance)').to.be.at.most(now);
+            });
+        }
+
+        if (expected.maxAgeSeconds !== undefined) {
+            check(`JWT is at most ${expected.maxAgeSeconds}s old`, () => {
+                pm.expect(now - payload.iat - tolerance, 'token age').to.be.at.most(expected.maxAgeSeconds);
+            });
+        }
+
+        (expected.requiredClaims || []).forEach(claim => {
+            check(`JWT has claim ${claim}`, () => {
+                pm.expect(payload, 'payload').to.have.property(claim);
+            });
+        });
+
+        Object.keys(expected.claims || {}).forEach(claim => {
+            check(`JWT claim ${claim} is as expected`, () => {
+                pm.expect(payload, 'payload').to.have.property(claim);
+                matchValue(claim, payload[claim], expected.claims[claim]);
+            });
+        });
+
+        return allPassed;
+    },
+
+    /**
+     * Verify signature and claims in one call
+     * @param {string} token - JWT token (defaults to authToken)
+     * @param {Object} options - { key: keyConfig for validateJWTSignature, claims: expectations for assertJWTClaims }
+     * @returns {boolean} - True if signature and all claims are valid
+     */
+    verifyJWT: function(token = null, options = {}) {
+        const signatureValid = this.validateJWTSignature(token, options.key || {});
+        const claimsValid = this.assertJWTClaims(token, options.claims || {});
+        return signatureValid && claimsValid;
     },
 
     // =============================================================================
@@ -95,114 +389,578 @@ const AuthHelpers = {
     // =============================================================================
 
     /**
-     * Handle OAuth 2.0 authorization code flow
+     * Handle OAuth 2.0 authorization code flow (with PKCE when a code verifier is available)
      * @param {Object} config - OAuth configuration
+     * @param {string} config.codeVerifier - PKCE code verifier (defaults to the one stored by buildAuthorizationUrl)
+     * @param {Function} callback - Optional callback(err, tokenData) once tokens are stored
      */
-    handleOAuthCodeFlow: function(config) {
+    handleOAuthCodeFlow: function(config, callback = () => {}) {
         const {
-            clientId,
-            clientSecret,
             redirectUri,
             authorizationCode,
-            tokenEndpoint
+            codeVerifier = pm.environment.get("pkceCodeVerifier")
         } = config;
 
-        const requestBody = {
+        const params = {
             grant_type: 'authorization_code',
-            client_id: clientId,
-            client_secret: clientSecret,
             redirect_uri: redirectUri,
             code: authorizationCode
         };
 
-        pm.sendRequest({
-            url: tokenEndpoint,
-            method: 'POST',
-            header: {
-                'Content-Type': 'application/x-www-form-urlencoded'
-            },
-            body: {
-                mode: 'urlencoded',
-                urlencoded: Object.entries(requestBody).map(([key, value]) => ({
-                    key,
-                    value,
-                    disabled: false
-                }))
-            }
-        }, (err, response) => {
-            if (err) {
-                console.error('OAuth token request failed:', err);
-                return;
-            }
+        if (codeVerifier) {
+            params.code_verifier = codeVerifier;
+        }
 
-            const tokenData = response.json();
-            pm.environment.set("accessToken", tokenData.access_token);
-            pm.environment.set("refreshToken", tokenData.refresh_token);
-            pm.environment.set("tokenType", tokenData.token_type || "Bearer");
-            
-            if (tokenData.expires_in) {
-                const expiryTime = new Date(Date.now() + (tokenData.expires_in * 1000));
-                pm.environment.set("tokenExpiry", expiryTime.toISOString());
+        this.runGrant('authorization_code', config, params, (err, tokenData) => {
+            if (!err && codeVerifier) {
+                pm.environment.unset("pkceCodeVerifier");
             }
+            callback(err, tokenData);
         });
     },
 
     /**
      * Refresh OAuth 2.0 access token
      * @param {Object} config - Refresh token configuration
+     * @param {Function} callback - Optional callback(err, tokenData) once tokens are stored
      */
-    refreshOAuthToken: function(config) {
-        const {
-            clientId,
-            clientSecret,
-            tokenEndpoint
-        } = config;
-
+    refreshOAuthToken: function(config, callback = () => {}) {
         const refreshToken = pm.environment.get("refreshToken");
         
         if (!refreshToken) {
             console.error("No refresh token available");
+            callback(new Error("No refresh token available"));
             return;
         }
 
-        const requestBody = {
+        this.runGrant('refresh_token', config, {
             grant_type: 'refresh_token',
-            client_id: clientId,
-            client_secret: clientSecret,
             refresh_token: refreshToken
+        }, callback);
+    },
+
+    /**
+     * Obtain a token with the client credentials grant (service-to-service)
+     * @param {Object} config - OAuth configuration (tokenEndpoint, clientId, clientSecret, clientAuthMethod, scope, audience)
+     * @param {Function} callback - Optional callback(err, tokenData) once tokens are stored
+     */
+    clientCredentialsGrant: function(config, callback = () => {}) {
+        this.runGrant('client_credentials', config, {
+            grant_type: 'client_credentials'
+        }, callback);
+    },
+
+    /**
+     * Obtain a token with the resource owner password grant (legacy systems)
+     * @param {Object} config - OAuth configuration plus username and password
+     * @param {Function} callback - Optional callback(err, tokenData) once tokens are stored
+     */
+    passwordGrant: function(config, callback = () => {}) {
+        this.runGrant('password', config, {
+            grant_type: 'password',
+            username: config.username,
+            password: config.password
+        }, callback);
+    },
+
+    /**
+     * Generate a PKCE code verifier and S256 challenge (RFC 7636)
+     * @returns {Object} - { codeVerifier, codeChallenge, codeChallengeMethod }
+     */
+    generatePKCE: function() {
+        const crypto = this.getCryptoUtils();
+        const codeVerifier = crypto.base64UrlEncode(crypto.randomBytes(32));
+
+        return {
+            codeVerifier,
+            codeChallenge: crypto.hash('sha256', codeVerifier, 'base64url'),
+            codeChallengeMethod: 'S256'
+        };
+    },
+
+    /**
+     * Build the authorization endpoint URL for the authorization code flow.
+     * With pkce enabled the code verifier is stored as pkceCodeVerifier for handleOAuthCodeFlow.
+     * @param {Object} config - { authorizationEndpoint, clientId, redirectUri, scope, audience, state, pkce }
+     * @returns {string} - Authorization URL to open in a browser
+     */
+    buildAuthorizationUrl: function(config) {
+        const {
+            authorizationEndpoint,
+            clientId,
+            redirectUri,
+            scope,
+            audience,
+            state = this.getCryptoUtils().base64UrlEncode(this.getCryptoUtils().randomBytes(16)),
+            pkce = true
+        } = config;
+
+        const params = {
+            response_type: 'code',
+            client_id: clientId,
+            redirect_uri: redirectUri,
+            state
+        };
+
+        if (scope) params.scope = this.formatScope(scope);
+        if (audience) params.audience = audience;
+
+        if (pkce) {
+            const pkcePair = this.generatePKCE();
+            params.code_challenge = pkcePair.codeChallenge;
+            params.code_challenge_method = pkcePair.codeChallengeMethod;
+            pm.environment.set("pkceCodeVerifier", pkcePair.codeVerifier);
+        }
+
+        pm.environment.set("oauthState", state);
+
+        const query = Object.entries(params)
+            .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+            .join('&');
+        return `${authorizationEndpoint}${authorizationEndpoint.includes('?') ? '&' : '?'}${query}`;
+    },
+
+    /**
+     * Start the device authorization grant (RFC 8628)
+     * Stores deviceCode, userCode and verificationUri and logs the user instructions.
+     * @param {Object} config - { deviceAuthorizationEndpoint, clientId, clientSecret, scope, audience }
+     * @param {Function} callback - Optional callback(err, deviceData)
+     */
+    startDeviceAuthorization: function(config, callback = () => {}) {
+        this.requestToken({ ...config, tokenEndpoint: config.deviceAuthorizationEndpoint }, {}, (err, deviceData) => {
+            if (err) {
+                this.reportGrantError('device_code', err);
+                callback(err);
+                return;
+            }
+
+            pm.environment.set("deviceCode", deviceData.device_code);
+            pm.environment.set("userCode", deviceData.user_code);
+            pm.environment.set("verificationUri", deviceData.verification_uri_complete || deviceData.verification_uri);
+            pm.environment.set("deviceCodeInterval", String(deviceData.interval !== undefined ? deviceData.interval : 5));
+            pm.environment.set("deviceCodeExpiry",
+                new Date(Date.now() + (deviceData.expires_in || this.deviceCodeLifetime) * 1000).toISOString());
+
+            console.log(`Visit ${deviceData.verification_uri} and enter code ${deviceData.user_code}`);
+            callback(null, deviceData);
+        }, { expectAccessToken: false });
+    },
+
+    /**
+     * Poll the token endpoint until the device authorization completes
+     * Handles authorization_pending and slow_down; stops on denial or expiry (deviceCodeExpiry,
+     * or deviceCodeLifetime from the first poll when no expiry was stored).
+     * @param {Object} config - OAuth configuration (tokenEndpoint, clientId, clientSecret)
+     * @param {Function} callback - Optional callback(err, tokenData) once tokens are stored
+     */
+    pollDeviceToken: function(config, callback = () => {}) {
+        const deviceCode = pm.environment.get("deviceCode");
+        const storedExpiry = new Date(pm.environment.get("deviceCodeExpiry")).getTime();
+        const expiry = isNaN(storedExpiry) ? Date.now() + this.deviceCodeLifetime * 1000 : storedExpiry;
+        let interval = parseInt(pm.environment.get("deviceCodeInterval") || '5', 10);
+
+        if (!deviceCode) {
+            const error = new Error("No device code available; call startDeviceAuthorization first");
+            this.reportGrantError('device_code', error);
+            callback(error);
+            return;
+        }
+
+        const poll = () => {
+            this.requestToken(config, {
+                grant_type: 'urn:ietf:params:oauth:grant-type:device_code',
+                device_code: deviceCode
+            }, (err, tokenData) => {
+                const code = err && err.oauthError;
+
+                if ((code === 'authorization_pending' || code === 'slow_down') && Date.now() < expiry) {
+                    if (code === 'slow_down') {
+                        interval += 5;
+                    }
+                    setTimeout(poll, interval * 1000);
+                    return;
+                }
+
+                ['deviceCode', 'userCode', 'verificationUri', 'deviceCodeInterval', 'deviceCodeExpiry']
+                    .forEach(key => pm.environment.unset(key));
+
+                if (err) {
+                    this.reportGrantError('device_code', err);
+                    callback(err);
+                    return;
+                }
+
+                this.storeTokenResponse(tokenData);
+                callback(null, tokenData);
+            });
+        };
+
+        poll();
+    },
+
+    // =============================================================================
+    // TOKEN ENDPOINT CLIENT
+    // =============================================================================
+
+    /**
+     * Run a grant against the token endpoint, store the tokens and report failures as a test
+     * @param {string} grantName - Grant label used in the failure test name
+     * @param {Object} config - OAuth configuration
+     * @param {Object} params - Grant-specific body parameters
+     * @param {Function} callback - callback(err, tokenData)
+     */
+    runGrant: function(grantName, config, params, callback) {
+        this.requestToken(config, params, (err, tokenData) => {
+            if (err) {
+                console.error(`OAuth ${grantName} grant failed:`, err.message);
+                this.reportGrantError(grantName, err);
+                callback(err);
+                return;
+            }
+
+            this.storeTokenResponse(tokenData);
+            callback(null, tokenData);
+        });
+    },
+
+    /**
+     * Send a request to an OAuth token (or device authorization) endpoint
+     * @param {Object} config - OAuth configuration
+     * @param {string} config.tokenEndpoint - Endpoint URL
+     * @param {string} config.clientId - Client id
+     * @param {string} config.clientSecret - Client secret (omit for public clients)
+     * @param {string} config.clientAuthMethod - 'client_secret_post' (default), 'client_secret_basic' or 'none'
+     * @param {string|Array} config.scope - Requested scopes
+     * @param {string} config.audience - Audience parameter
+     * @param {string} config.resource - Resource indicator (RFC 8707)
+     * @param {Object} config.extraParams - Additional body parameters
+     * @param {Object} params - Grant-specific body parameters
+     * @param {Function} callback - callback(err, responseData); err carries oauthError and status
+     * @param {Object} options - { expectAccessToken: false } for non-token endpoints
+     */
+    requestToken: function(config, params, callback, options = {}) {
+        const {
+            tokenEndpoint,
+            clientId,
+            clientSecret,
+            clientAuthMethod = 'client_secret_post',
+            scope,
+            audience,
+            resource,
+            extraParams = {}
+        } = config;
+
+        const requestBody = { ...params, ...extraParams };
+        const header = {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'Accept': 'application/json'
         };
 
+        if (scope) requestBody.scope = this.formatScope(scope);
+        if (audience) requestBody.audience = audience;
+        if (resource) requestBody.resource = resource;
+
+        if (clientAuthMethod === 'client_secret_basic' && clientSecret) {
+            // RFC 6749 §2.3.1: credentials are form-encoded before base64
+            const id = encodeURIComponent(clientId).replace(/%20/g, '+');
+            const secret = encodeURIComponent(clientSecret).replace(/%20/g, '+');
+            header['Authorization'] = `Basic ${btoa(`${id}:${secret}`)}`;
+        } else {
+            requestBody.client_id = clientId;
+            if (clientAuthMethod === 'client_secret_post' && clientSecret) {
+                requestBody.client_secret = clientSecret;
+            }
+        }
+
         pm.sendRequest({
             url: tokenEndpoint,
             method: 'POST',
-            header: {
-                'Content-Type': 'application/x-www-form-urlencoded'
-            },
+            header,
             body: {
                 mode: 'urlencoded',
-                urlencoded: Object.entries(requestBody).map(([key, value]) => ({
-                    key,
-                    value,
-                    disabled: false
-                }))
+                urlencoded: Object.entries(requestBody)
+                    .filter(([, value]) => value !== undefined && value !== null)
+                    .map(([key, value]) => ({
+                        key,
+                        value,
+                        disabled: false
+                    }))
             }
         }, (err, response) => {
             if (err) {
-                console.error('Token refresh failed:', err);
+                callback(err);
                 return;
             }
 
-            const tokenData = response.json();
-            pm.environment.set("accessToken", tokenData.access_token);
-            
-            if (tokenData.refresh_token) {
-                pm.environment.set("refreshToken", tokenData.refresh_token);
+            const error = this.getTokenResponseError(response, options.expectAccessToken !== false);
+            if (error) {
+                callback(error);
+                return;
             }
-            
-            if (tokenData.expires_in) {
-                const expiryTime = new Date(Date.now() + (tokenData.expires_in * 1000));
-                pm.environment.set("tokenExpiry", expiryTime.toISOString());
+
+            callback(null, response.json());
+        });
+    },
+
+    /**
+     * Format scopes as a space-delimited string
+     * @param {string|Array} scope - Scope string or array
+     * @returns {string} - Space-delimited scopes
+     */
+    formatScope: function(scope) {
+        return Array.isArray(scope) ? scope.join(' ') : scope;
+    },
+
+    /**
+     * Report a failed grant as a failed test
+     * @param {string} grantName - Grant label
+     * @param {Error} error - Error from requestToken
+     */
+    reportGrantError: function(grantName, error) {
+        pm.test(`OAuth ${grantName} grant`, () => {
+            pm.expect.fail(error.message);
+        });
+    },
+
+    /**
+     * Store a token endpoint response in the environment
+     * @param {Object} tokenData - Parsed token response (access_token, refresh_token, expires_in, token_type)
+     */
+    storeTokenResponse: function(tokenData) {
+        pm.environment.set("accessToken", tokenData.access_token);
+        pm.environment.set("tokenType", tokenData.token_type || "Bearer");
+        
+        // Refresh responses may omit the refresh token; keep the existing one then
+        if (tokenData.refresh_token) {
+            pm.environment.set("refreshToken", tokenData.refresh_token);
+        }
+        
+        if (tokenData.expires_in) {
+            const expiryTime = new Date(Date.now() + (tokenData.expires_in * 1000));
+            pm.environment.set("tokenExpiry", expiryTime.toISOString());
+        } else {
+            // Without expires_in, rely on the JWT exp claim for the next staleness check
+            pm.environment.unset("tokenExpiry");
+        }
+    },
+
+    /**
+     * Turn an unsuccessful token endpoint response into an error (RFC 6749 §5.2)
+     * @param {Object} response - pm.sendRequest response
+     * @param {boolean} expectAccessToken - Treat a 2xx response without access_token as an error
+     * @returns {Error|null} - Error with oauthError, errorDescription, errorUri and status, or null
+     */
+    getTokenResponseError: function(response, expectAccessToken = true) {
+        let body = null;
+        try {
+            body = response.json();
+        } catch (e) {
+            // Non-JSON bodies are reported by status code below
+        }
+
+        const isSuccess = response.code >= 200 && response.code < 300;
+        if (isSuccess && body && (!expectAccessToken || body.access_token)) {
+            return null;
+        }
+
+        let detail;
+        if (body && body.error) {
+            detail = `${body.error}${body.error_description ? ': ' + body.error_description : ''}`;
+            if (body.error_uri) {
+                detail += ` (see ${body.error_uri})`;
+            }
+        } else if (isSuccess) {
+            detail = 'a response without an access_token';
+        } else {
+            const challenge = response.headers && response.headers.get('WWW-Authenticate');
+            detail = challenge ? `HTTP ${response.code} (${challenge})` : `HTTP ${response.code}`;
+        }
+
+        const error = new Error(`Token endpoint returned ${detail}`);
+        error.status = response.code;
+        error.oauthError = body && body.error ? body.error : null;
+        error.errorDescription = body && body.error_description ? body.error_description : null;
+        error.errorUri = body && body.error_uri ? body.error_uri : null;
+        return error;
+    },
+
+    // =============================================================================
+    // TOKEN LIFECYCLE
+    // =============================================================================
+
+    /**
+     * Ensure a valid access token before the request is sent (pre-request entry point).
+     * Checks tokenExpiry and the JWT exp claim, refreshes via the refresh-token grant or
+     * falls back to re-login, and sets the Authorization header on pm.request.
+     * @param {Object} config - Token lifecycle configuration
+     * @param {string} config.tokenEndpoint - OAuth token endpoint for the refresh-token grant
+     * @param {string} config.clientId - OAuth client id
+     * @param {string} config.clientSecret - OAuth client secret
+     * @param {Object} config.login - Re-login request (pm.sendRequest options plus tokenPath, expiresInPath)
+     * @param {number} config.refreshSkewSeconds - Refresh tokens expiring within this window (default 300)
+     * @param {string} config.headerName - Header to inject (default 'Authorization')
+     * @param {Function} callback - Optional callback(err, token)
+     * @returns {Promise<Object>} - Resolves to { token, refreshed, error }; never rejects
+     */
+    ensureValidToken: function(config = {}, callback = () => {}) {
+        const {
+            refreshSkewSeconds = 300,
+            headerName = 'Authorization'
+        } = config;
+
+        const finish = (error, token, refreshed) => {
+            if (error) {
+                pm.test("Access token is available", () => {
+                    pm.expect.fail(`Could not obtain a valid access token: ${error.message}`);
+                });
+            } else {
+                const tokenType = pm.environment.get("tokenType") || "Bearer";
+                pm.request.headers.upsert({ key: headerName, value: `${tokenType} ${token}` });
+            }
+
+            callback(error || null, token);
+            return { token: error ? null : token, refreshed, error: error || null };
+        };
+
+        const currentToken = pm.environment.get("accessToken") || pm.environment.get("authToken");
+
+        if (currentToken && !this.isTokenStale(currentToken, refreshSkewSeconds)) {
+            return Promise.resolve(finish(null, currentToken, false));
+        }
+
+        return this.obtainFreshToken(config)
+            .then(token => finish(null, token, true), error => finish(error, null, false));
+    },
+
+    /**
+     * Check whether a token is expired or about to expire
+     * @param {string} token - Access token
+     * @param {number} skewSeconds - Refresh window in seconds
+     * @returns {boolean} - True if the token should be replaced
+     */
+    isTokenStale: function(token, skewSeconds = 300) {
+        const tokenExpiry = pm.environment.get("tokenExpiry");
+
+        if (tokenExpiry && new Date(tokenExpiry).getTime() <= Date.now() + skewSeconds * 1000) {
+            return true;
+        }
+
+        // Opaque tokens without a recorded expiry are assumed valid until the API rejects them
+        const isJWT = typeof token === 'string' && token.split('.').length === 3;
+        return isJWT && this.isJWTExpired(token, skewSeconds);
+    },
+
+    /**
+     * Obtain a new token via refresh, falling back to re-login; concurrent calls share one request
+     * @param {Object} config - Token lifecycle configuration (see ensureValidToken)
+     * @returns {Promise<string>} - Resolves to the new access token
+     */
+    obtainFreshToken: function(config) {
+        const key = config.tokenEndpoint || (config.login && config.login.url) || 'default';
+
+        if (pendingTokenRequests.has(key)) {
+            return pendingTokenRequests.get(key);
+        }
+
+        // Uses the token client directly: ensureValidToken reports the failure as its own test
+        const refresh = () => new Promise((resolve, reject) => {
+            const refreshToken = pm.environment.get("refreshToken");
+            if (!config.tokenEndpoint || !refreshToken) {
+                reject(new Error("No refresh token available"));
+                return;
             }
+            this.requestToken(config, { grant_type: 'refresh_token', refresh_token: refreshToken }, (err, tokenData) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                this.storeTokenResponse(tokenData);
+                resolve();
+            });
+        });
+
+        const pending = refresh()
+            .catch(refreshError => {
+                if (!config.login) {
+                    throw refreshError;
+                }
+                console.log(`Token refresh unavailable (${refreshError.message}), logging in again`);
+                return this.loginForToken(config.login);
+            })
+            .then(() => pm.environment.get("accessToken"));
+
+        const settled = () => pendingTokenRequests.delete(key);
+        pendingTokenRequests.set(key, pending);
+        pending.then(settled, settled);
+
+        return pending;
+    },
+
+    /**
+     * Log in again and store the returned token
+     * @param {Object} login - Login request (see fetchLoginToken)
+     * @returns {Promise<void>} - Resolves once the token is stored
+     */
+    loginForToken: function(login) {
+        return new Promise((resolve, reject) => {
+            this.fetchLoginToken(login, (err, tokenData) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                this.storeTokenResponse(tokenData);
+                resolve();
+            });
+        });
+    },
+
+    /**
+     * Send a login request and extract the token without storing it
+     * @param {Object} login - pm.sendRequest options plus tokenPath (default 'access_token'),
+     *                         refreshTokenPath (default 'refresh_token') and expiresInPath (default 'expires_in')
+     * @param {Function} callback - callback(err, tokenData) with tokenData in token endpoint shape
+     *                              (access_token, refresh_token, expires_in) plus the raw response
+     */
+    fetchLoginToken: function(login, callback) {
+        const {
+            tokenPath = 'access_token',
+            refreshTokenPath = 'refresh_token',
+            expiresInPath = 'expires_in',
+            ...request
+        } = login;
+
+        pm.sendRequest(request, (err, response) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            if (response.code < 200 || response.code >= 300) {
+                callback(new Error(`Login returned HTTP ${response.code}`));
+                return;
+            }
+
+            let body;
+            try {
+                body = response.json();
+            } catch (error) {
+                callback(new Error("Login response is not JSON"));
+                return;
+            }
+
+            const token = this.getNestedProperty(body, tokenPath);
+            if (!token) {
+                callback(new Error(`Login response has no token at '${tokenPath}'`));
+                return;
+            }
+
+            callback(null, {
+                access_token: token,
+                refresh_token: this.getNestedProperty(body, refreshTokenPath),
+                expires_in: this.getNestedProperty(body, expiresInPath),
+                response
+            });
         });
     },
 
@@ -298,6 +1056,14 @@ const AuthHelpers = {
     // UTILITY FUNCTIONS
     // =============================================================================
 
+    /**
+     * Resolve the CryptoUtils helper (sandbox global or Node module)
+     * @returns {Object} - CryptoUtils
+     */
+    getCryptoUtils: function() {
+        return typeof CryptoUtils !== 'undefined' ? CryptoUtils : require('./crypto-utils');
+    },
+
     /**
      * Get nested property from object using dot notation
      * @param {Object} obj - Object to search
@@ -334,7 +1100,7 @@ const AuthHelpers = {
     clearAuthData: function() {
         const authVars = [
             'authToken', 'accessToken', 'refreshToken', 'tokenType',
-            'tokenExpiry', 'tokenTimestamp'
+            'tokenExpiry', 'tokenTimestamp', 'pkceCodeVerifier', 'oauthState'
         ];
         
         authVars.forEach(varName => {
@@ -370,6 +1136,19 @@ if (typeof module !== 'undefined' && module.exports) {
 AuthHelpers.extractAndStoreJWT('data.access_token');
 AuthHelpers.validateJWTStructure();
 
+// Verify signature and claims of tokens issued by our auth server
+AuthHelpers.verifyJWT(pm.environment.get('accessToken'), {
+    key: { jwks: JSON.parse(pm.environment.get('auth_jwks')) },
+    claims: {
+        alg: 'RS256',
+        iss: 'https://auth.example.com/',
+        aud: 'orders-api',
+        clockToleranceSeconds: 30,
+        requiredClaims: ['scope'],
+        claims: { tenant: 'acme' }
+    }
+});
+
 // Check if token is expired
 if (AuthHelpers.isJWTExpired()) {
     console.log("Token is expired, need to refresh");
@@ -384,6 +1163,57 @@ AuthHelpers.handleOAuthCodeFlow({
     tokenEndpoint: 'https://auth-server.com/token'
 });
 
+// Client credentials with HTTP Basic client authentication
+AuthHelpers.clientCredentialsGrant({
+    tokenEndpoint: 'https://auth-server.com/token',
+    clientId: pm.environment.get('client_id'),
+    clientSecret: pm.environment.get('client_secret'),
+    clientAuthMethod: 'client_secret_basic',
+    scope: ['orders:read', 'orders:write'],
+    audience: 'https://api.example.com'
+});
+
+// Authorization code with PKCE for a public client
+const authorizeUrl = AuthHelpers.buildAuthorizationUrl({
+    authorizationEndpoint: 'https://auth-server.com/authorize',
+    clientId: 'spa-client',
+    redirectUri: 'https://your-app.com/callback',
+    scope: 'openid profile'
+});
+// ...after the redirect:
+AuthHelpers.handleOAuthCodeFlow({
+    tokenEndpoint: 'https://auth-server.com/token',
+    clientId: 'spa-client',
+    clientAuthMethod: 'none',
+    redirectUri: 'https://your-app.com/callback',
+    authorizationCode: pm.environment.get('auth_code')
+});
+
+// Device authorization grant
+AuthHelpers.startDeviceAuthorization({
+    deviceAuthorizationEndpoint: 'https://auth-server.com/device/code',
+    clientId: 'cli-client',
+    scope: 'offline_access'
+}, () => AuthHelpers.pollDeviceToken({
+    tokenEndpoint: 'https://auth-server.com/token',
+    clientId: 'cli-client',
+    clientAuthMethod: 'none'
+}));
+
+// Pre-request script: refresh or re-login when the token is about to expire
+AuthHelpers.ensureValidToken({
+    tokenEndpoint: pm.environment.get('token_url'),
+    clientId: pm.environment.get('client_id'),
+    clientSecret: pm.environment.get('client_secret'),
+    login: {
+        url: pm.environment.get('base_url') + '/auth/login',
+        method: 'POST',
+        header: { 'Content-Type': 'application/json' },
+        body: { mode: 'raw', raw: JSON.stringify({ username: 'qa', password: pm.environment.get('qa_password') }) },
+        tokenPath: 'data.token'
+    }
+});
+
 // API Key validation
 AuthHelpers.validateApiKeyAuth('X-API-Key');
 
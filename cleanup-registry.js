@@ -0,0 +1,440 @@
+/**
+ * Test Data Cleanup Registry for Postman
+ * Records resources created during a run together with the request that deletes them,
+ * tears them down in reverse order at the end of a run or folder, and sweeps up leftovers
+ */
+
+const CleanupRegistry = {
+
+    /**
+     * Environment variable holding registered resources (survives a crashed run when the environment is exported)
+     */
+    storageKey: 'cleanupRegistry',
+
+    /**
+     * Collection variable holding delete templates defined with defineResource
+     */
+    resourcesKey: 'cleanupResources',
+
+    /**
+     * Built-in delete templates; {{id}} is the resource ID, other placeholders resolve when the resource is deleted
+     */
+    resources: {
+        user: { url: '{{base_url}}/users/{{id}}', method: 'DELETE' },
+        product: { url: '{{base_url}}/products/{{id}}', method: 'DELETE' }
+    },
+
+    /**
+     * Defaults for teardown() and sweep()
+     */
+    defaults: {
+        retry: { maxAttempts: 3, retryOnStatus: [409, 423, 429, 500, 502, 503, 504] },
+        goneStatus: [404, 410]
+    },
+
+    // =============================================================================
+    // REGISTRATION
+    // =============================================================================
+
+    /**
+     * Define (or replace) the delete request template for a resource type
+     * @param {string} type - Resource type
+     * @param {Object} deleteRequest - pm.sendRequest options with {{id}} and other placeholders
+     */
+    defineResource: function(type, deleteRequest) {
+        const defined = this.loadJson(pm.collectionVariables.get(this.resourcesKey), {});
+        defined[type] = deleteRequest;
+        pm.collectionVariables.set(this.resourcesKey, JSON.stringify(defined));
+    },
+
+    /**
+     * Get the delete request template for a resource type
+     * @param {string} type - Resource type
+     * @returns {Object|null} - Template or null
+     */
+    getDeleteTemplate: function(type) {
+        const defined = this.loadJson(pm.collectionVariables.get(this.resourcesKey), {});
+        return defined[type] || this.resources[type] || null;
+    },
+
+    /**
+     * Register a created resource for teardown
+     * @param {string} type - Resource type
+     * @param {string|number} id - Resource ID
+     * @param {Object} options - { deleteRequest (default: the type's template), scope (default 'run'), variables (bound now, with id and type), label }
+     * @returns {Object|null} - Registry entry, or null when no delete request is known
+     */
+    register: function(type, id, options = {}) {
+        const template = options.deleteRequest || this.getDeleteTemplate(type);
+        if (!template) {
+            console.warn(`No delete request defined for ${type} ${id}; use CleanupRegistry.defineResource('${type}', ...)`);
+            return null;
+        }
+
+        // Bind only the resource itself; tokens and base URLs resolve at deletion time, so the stored
+        // entry holds no secrets and an expired token can be refreshed before teardown
+        const request = this.getDataLoader().resolveTemplates(template, { ...(options.variables || {}), id, type });
+
+        const entry = {
+            key: `${type}:${id}`,
+            type,
+            id,
+            label: options.label || `${type} ${id}`,
+            scope: options.scope || 'run',
+            request,
+            registeredAt: new Date().toISOString()
+        };
+
+        const entries = this.load().filter(existing => existing.key !== entry.key);
+        entries.push(entry);
+        this.save(entries);
+
+        console.log(`Registered ${entry.label} for cleanup (${entry.scope})`);
+        return entry;
+    },
+
+    /**
+     * Register the resource a create call returned, if the call succeeded
+     * @param {Object} response - Create response
+     * @param {Object} options - { type, idPath ('$.id', or 'header:Location' for the last URL segment), deleteRequest, scope, variables, label }
+     * @returns {Object|null} - Registry entry, or null when the call failed or no ID was found
+     */
+    registerFromResponse: function(response, options) {
+        if (!response || response.code < 200 || response.code >= 300) {
+            return null;
+        }
+
+        const idPath = options.idPath || '$.id';
+        let id;
+        const header = idPath.match(/^header:\s*(.+)$/i);
+
+        if (header) {
+            const value = response.headers.get(header[1]);
+            id = value ? String(value).replace(/\/+$/, '').split('/').pop() : undefined;
+        } else {
+            try {
+                id = this.getResponseExpectations().query(response.json(), idPath).value;
+            } catch (error) {
+                id = undefined;
+            }
+        }
+
+        if (id === undefined || id === null || id === '') {
+            console.warn(`Created ${options.type} but found no ID at ${idPath}; it will not be cleaned up`);
+            return null;
+        }
+
+        return this.register(options.type, id, options);
+    },
+
+    /**
+     * Remove a resource from the registry (e.g. a test deleted it itself)
+     * @param {string} type - Resource type
+     * @param {string|number} id - Resource ID
+     */
+    unregister: function(type, id) {
+        this.save(this.load().filter(entry => entry.key !== `${type}:${id}`));
+    },
+
+    /**
+     * List registered resources
+     * @param {string} scope - Only this scope (optional)
+     * @returns {Array} - Entries in registration order
+     */
+    list: function(scope = null) {
+        return this.load().filter(entry => scope === null || entry.scope === scope);
+    },
+
+    // =============================================================================
+    // TEARDOWN
+    // =============================================================================
+
+    /**
+     * Delete registered resources in reverse registration order. Deleted and already-gone
+     * resources leave the registry; failed ones stay for the next teardown or sweep.
+     * @param {Object} options - { scope (default: all), dryRun, retry (RetryPolicy overrides) }
+     * @returns {Promise<Object>} - Teardown report (see deleteAll)
+     */
+    teardown: function(options = {}) {
+        const entries = this.list(options.scope || null).reverse();
+
+        if (entries.length === 0) {
+            console.log('Teardown: nothing registered');
+            return Promise.resolve(this.createReport('teardown', options.dryRun));
+        }
+
+        console.log(`Teardown: ${entries.length} resource(s)${options.scope ? ` in ${options.scope}` : ''}${options.dryRun ? ' (dry run)' : ''}`);
+
+        return this.deleteAll(entries, options, 'teardown').then(report => {
+            if (!options.dryRun) {
+                const removed = report.items.filter(item => item.outcome !== 'failed').map(item => item.key);
+                this.save(this.load().filter(entry => !removed.includes(entry.key)));
+            }
+            this.printReport(report);
+            return report;
+        });
+    },
+
+    /**
+     * Find leftovers of earlier (e.g. crashed) runs by name prefix or tag and delete them
+     * @param {Object} options - Sweep options
+     * @param {Object} options.listRequest - pm.sendRequest options that list the resources
+     * @param {string} options.type - Resource type (selects the delete template)
+     * @param {string} options.itemsPath - Path to the item array in the list response (default '$', or '$.data' / '$.items' when present)
+     * @param {string} options.idPath - Path to the ID within an item (default 'id')
+     * @param {string} options.namePrefix - Match items whose name starts with this prefix
+     * @param {string} options.namePath - Path to the name within an item (default 'name')
+     * @param {string} options.tag - Match items carrying this tag
+     * @param {string} options.tagsPath - Path to the tags within an item (default 'tags')
+     * @param {Object} options.deleteRequest - Delete template (default: the type's template)
+     * @param {boolean} options.dryRun - Report what would be deleted without deleting
+     * @returns {Promise<Object>} - Sweep report (see deleteAll)
+     */
+    sweep: function(options) {
+        if (!options.namePrefix && !options.tag) {
+            return Promise.reject(new Error('Sweep needs a namePrefix or tag so it cannot match everything'));
+        }
+
+        const expectations = this.getResponseExpectations();
+
+        return this.getRetryPolicy().send(options.listRequest, options.retry || this.defaults.retry).then(({ response, error }) => {
+            if (error) {
+                throw new Error(`Sweep list request failed: ${error.message}`);
+            }
+            if (response.code < 200 || response.code >= 300) {
+                throw new Error(`Sweep list request returned ${response.code}`);
+            }
+
+            const body = response.json();
+            const itemsPath = options.itemsPath || (Array.isArray(body) ? '$' : ['$.data', '$.items', '$.results'].find(path => Array.isArray(expectations.query(body, path).value)));
+            const items = itemsPath ? expectations.query(body, itemsPath).value : undefined;
+            if (!Array.isArray(items)) {
+                throw new Error(`Sweep list response has no item array${options.itemsPath ? ` at ${options.itemsPath}` : ''}`);
+            }
+
+            const matches = items.filter(item => {
+                const name = expectations.query(item, options.namePath || 'name').value;
+                const tags = expectations.query(item, options.tagsPath || 'tags').value;
+                return (options.namePrefix && typeof name === 'string' && name.startsWith(options.namePrefix)) ||
+                    (options.tag && Array.isArray(tags) && tags.includes(options.tag));
+            });
+
+            const template = options.deleteRequest || this.getDeleteTemplate(options.type);
+            if (!template) {
+                throw new Error(`No delete request defined for ${options.type}`);
+            }
+
+            const entries = matches.map(item => {
+                const id = expectations.query(item, options.idPath || 'id').value;
+                return {
+                    key: `${options.type}:${id}`,
+                    type: options.type,
+                    id,
+                    label: `${options.type} ${id} (${expectations.query(item, options.namePath || 'name').value})`,
+                    request: this.getDataLoader().resolveTemplates(template, { id, type: options.type })
+                };
+            });
+
+            console.log(`Sweep: ${matches.length} of ${items.length} ${options.type} resource(s) match${options.dryRun ? ' (dry run)' : ''}`);
+            return this.deleteAll(entries, options, 'sweep');
+        }).then(report => {
+            if (!options.dryRun) {
+                const removed = report.items.filter(item => item.outcome !== 'failed').map(item => item.key);
+                this.save(this.load().filter(entry => !removed.includes(entry.key)));
+            }
+            this.printReport(report);
+            return report;
+        });
+    },
+
+    /**
+     * Send delete requests one at a time, retrying transient failures. Placeholders left in an
+     * entry's request resolve against the current environment, then pm.variables.
+     * @param {Array} entries - Entries ({ key, type, id, label, request }) in deletion order
+     * @param {Object} options - { dryRun, retry, goneStatus }
+     * @param {string} mode - 'teardown' or 'sweep'
+     * @returns {Promise<Object>} - { mode, dryRun, deleted, alreadyGone, failed, wouldDelete, items: [{ key, label, outcome, status, attempts, error }], duration }
+     */
+    deleteAll: function(entries, options, mode) {
+        const report = this.createReport(mode, options.dryRun);
+        const goneStatus = options.goneStatus || this.defaults.goneStatus;
+        const retry = options.retry !== undefined ? options.retry : this.defaults.retry;
+        const startTime = Date.now();
+
+        const next = index => {
+            if (index >= entries.length) {
+                report.duration = Date.now() - startTime;
+                return Promise.resolve(report);
+            }
+
+            const entry = entries[index];
+            const request = this.getDataLoader().resolveTemplates(entry.request);
+            const item = { key: entry.key, label: entry.label, outcome: null, status: null, attempts: 0, error: null };
+            report.items.push(item);
+
+            if (options.dryRun) {
+                item.outcome = 'would-delete';
+                report.wouldDelete++;
+                console.log(`  [dry run] ${request.method || 'DELETE'} ${request.url} (${entry.label})`);
+                return next(index + 1);
+            }
+
+            return this.getRetryPolicy().send(request, retry).then(({ response, error, attempts }) => {
+                item.attempts = attempts.length;
+                item.status = response ? response.code : null;
+
+                if (error) {
+                    item.outcome = 'failed';
+                    item.error = error.message;
+                } else if (response.code >= 200 && response.code < 300) {
+                    item.outcome = 'deleted';
+                } else if (goneStatus.includes(response.code)) {
+                    item.outcome = 'already-gone';
+                } else {
+                    item.outcome = 'failed';
+                    item.error = `Delete returned ${response.code}`;
+                }
+
+                if (item.outcome === 'deleted') report.deleted++;
+                else if (item.outcome === 'already-gone') report.alreadyGone++;
+                else report.failed++;
+
+                return next(index + 1);
+            });
+        };
+
+        return next(0);
+    },
+
+    /**
+     * Create an empty report
+     * @param {string} mode - 'teardown' or 'sweep'
+     * @param {boolean} dryRun - Dry run
+     * @returns {Object} - Report
+     */
+    createReport: function(mode, dryRun = false) {
+        return { mode, dryRun: Boolean(dryRun), deleted: 0, alreadyGone: 0, failed: 0, wouldDelete: 0, items: [], duration: 0 };
+    },
+
+    /**
+     * Print a teardown or sweep report
+     * @param {Object} report - Report
+     */
+    printReport: function(report) {
+        console.log(`\n=== ${report.mode.toUpperCase()} REPORT${report.dryRun ? ' (DRY RUN)' : ''} ===`);
+        if (report.dryRun) {
+            console.log(`Would delete: ${report.wouldDelete}`);
+        } else {
+            console.log(`Deleted: ${report.deleted}, already gone: ${report.alreadyGone}, failed: ${report.failed} (${report.duration}ms)`);
+        }
+        report.items.filter(item => item.outcome === 'failed').forEach(item => {
+            console.warn(`  ✗ ${item.label}: ${item.error} after ${item.attempts} attempt(s); still registered`);
+        });
+    },
+
+    // =============================================================================
+    // UTILITY FUNCTIONS
+    // =============================================================================
+
+    /**
+     * Prefix for names of generated test data, so sweep can find it (collection or environment variable testDataPrefix)
+     * @returns {string} - Prefix (empty when unset)
+     */
+    getNamePrefix: function() {
+        return pm.collectionVariables.get('testDataPrefix') || pm.environment.get('testDataPrefix') || '';
+    },
+
+    /**
+     * Load registered entries
+     * @returns {Array} - Entries
+     */
+    load: function() {
+        return this.loadJson(pm.environment.get(this.storageKey), []);
+    },
+
+    /**
+     * Save registered entries (the variable is removed when empty)
+     * @param {Array} entries - Entries
+     */
+    save: function(entries) {
+        if (entries.length === 0) {
+            pm.environment.unset(this.storageKey);
+        } else {
+            pm.environment.set(this.storageKey, JSON.stringify(entries));
+        }
+    },
+
+    /**
+     * Parse a JSON variable
+     * @param {string} value - Variable value
+     * @param {*} fallback - Value when unset or invalid
+     * @returns {*} - Parsed value
+     */
+    loadJson: function(value, fallback) {
+        if (!value) {
+            return fallback;
+        }
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            console.error(`Failed to parse cleanup data: ${error.message}`);
+            return fallback;
+        }
+    },
+
+    /**
+     * Resolve the DataLoader helper (sandbox global or Node module)
+     * @returns {Object} - DataLoader
+     */
+    getDataLoader: function() {
+        return typeof DataLoader !== 'undefined' ? DataLoader : require('./data-loader');
+    },
+
+    /**
+     * Resolve the ResponseExpectations helper (sandbox global or Node module)
+     * @returns {Object} - ResponseExpectations
+     */
+    getResponseExpectations: function() {
+        return typeof ResponseExpectations !== 'undefined' ? ResponseExpectations : require('./response-expectations');
+    },
+
+    /**
+     * Resolve the RetryPolicy helper (sandbox global or Node module)
+     * @returns {Object} - RetryPolicy
+     */
+    getRetryPolicy: function() {
+        return typeof RetryPolicy !== 'undefined' ? RetryPolicy : require('./retry-policy');
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CleanupRegistry;
+}
+
+// Usage Examples:
+/*
+// Test script of a create request
+CleanupRegistry.registerFromResponse(pm.response, { type: 'user', idPath: '$.data.id' });
+
+// Custom resource type
+CleanupRegistry.defineResource('order', { url: '{{base_url}}/orders/{{id}}', method: 'DELETE', header: { Authorization: 'Bearer {{authToken}}' } });
+CleanupRegistry.register('order', pm.response.json().orderId, { scope: 'Checkout' });
+
+// Generated scenarios register what they create (scenario.cleanup)
+DataDrivenTesting.setTestData(DataDrivenTesting.generateUserRegistrationData(10));
+
+// Last request of the Checkout folder
+CleanupRegistry.teardown({ scope: 'Checkout' });
+
+// End of run (collection-runner.js does this automatically; --teardown-dry-run to preview)
+CleanupRegistry.teardown({ dryRun: true }).then(report => console.log(report.wouldDelete));
+
+// Remove leftovers of crashed runs
+pm.collectionVariables.set('testDataPrefix', 'qa-');
+CleanupRegistry.sweep({
+    type: 'product',
+    listRequest: { url: pm.environment.get('base_url') + '/products?limit=500', method: 'GET' },
+    namePrefix: 'qa-'
+});
+*/
@@ -0,0 +1,991 @@
+#!/usr/bin/env node
+/**
+ * Standalone Collection Runner
+ * Runs Postman Collection v2.1 files outside the Postman app with the framework helpers preloaded
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const PmSandbox = require('./pm-sandbox');
+const DataLoader = require('./data-loader');
+const ResultStore = require('./result-store');
+const RequestTimings = require('./request-timings');
+const HtmlReport = require('./html-report');
+
+const CollectionRunner = {
+
+    /**
+     * Helper scripts evaluated into every run, in load order
+     */
+    helperFiles: [
+        'crypto-utils.js',
+        'data-engine.js',
+        'schema-validator.js',
+        'response-expectations.js',
+        'result-store.js',
+        'statistics.js',
+        'request-timings.js',
+        'performance-baseline.js',
+        'slo-evaluator.js',
+        'test-utilities.js',
+        'authentication-helpers.js',
+        'request-signing.js',
+        'credential-vault.js',
+        'session-manager.js',
+        'openapi-contract.js',
+        'openapi-generator.js',
+        'data-loader.js',
+        'test-design.js',
+        'retry-policy.js',
+        'workflow-engine.js',
+        'cleanup-registry.js',
+        'data-drive-testing.js',
+        'scenario-executor.js',
+        'load-engine.js',
+        'Performance Monitoring Utilities for Postman API Testing'
+    ],
+
+    /**
+     * Upper bound on executed requests per iteration, guards setNextRequest loops
+     */
+    maxStepsPerIteration: 10000,
+
+    // =============================================================================
+    // INPUT LOADING
+    // =============================================================================
+
+    /**
+     * Read and parse a JSON file
+     * @param {string} filePath - Path to the JSON file
+     * @returns {Object} - Parsed JSON
+     */
+    loadJsonFile: function(filePath) {
+        try {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Failed to load ${filePath}: ${error.message}`);
+        }
+    },
+
+    /**
+     * Load a Collection v2.1 document
+     * @param {string|Object} collection - File path or parsed collection
+     * @returns {Object} - Collection document
+     */
+    loadCollection: function(collection) {
+        const doc = typeof collection === 'string' ? this.loadJsonFile(collection) : collection;
+
+        if (!doc || !Array.isArray(doc.item)) {
+            throw new Error('Collection has no items; expected a Postman Collection v2.1 document');
+        }
+
+        const schema = doc.info && doc.info.schema;
+        if (schema && !schema.includes('v2.1') && !schema.includes('v2.0')) {
+            console.warn(`Unsupported collection schema ${schema}, attempting to run anyway`);
+        }
+
+        return doc;
+    },
+
+    /**
+     * Load environment or globals values
+     * @param {string|Object} source - File path, Postman export ({ values: [...] }) or plain object
+     * @returns {Object|Array} - Values accepted by PmSandbox.createVariableScope
+     */
+    loadVariables: function(source) {
+        if (!source) {
+            return {};
+        }
+
+        const doc = typeof source === 'string' ? this.loadJsonFile(source) : source;
+        return Array.isArray(doc.values) ? doc.values : doc;
+    },
+
+    /**
+     * Load iteration data rows from a JSON, NDJSON or CSV file
+     * @param {string|Array} source - File path or array of rows
+     * @returns {Array} - Array of row objects
+     */
+    loadIterationData: function(source) {
+        if (!source) {
+            return [];
+        }
+
+        if (Array.isArray(source)) {
+            return source;
+        }
+
+        const content = fs.readFileSync(source, 'utf8');
+        const format = DataLoader.formatFromExtension(source) || DataLoader.detectFormat(content);
+
+        try {
+            return DataLoader.parse(content, { format });
+        } catch (error) {
+            throw new Error(`Iteration data in ${source}: ${error.message}`);
+        }
+    },
+
+    /**
+     * Parse CSV text with a header row into row objects
+     * @param {string} content - CSV text
+     * @returns {Array} - Array of row objects keyed by header
+     */
+    parseCsv: function(content) {
+        return DataLoader.parseCsv(content);
+    },
+
+    // =============================================================================
+    // COLLECTION TRAVERSAL
+    // =============================================================================
+
+    /**
+     * Flatten collection items into an ordered list of runnable requests
+     * @param {Object} collection - Collection document
+     * @param {Array} folders - Folder names or ids to restrict the run to (optional)
+     * @returns {Array} - Runnable items ({ id, name, request, ancestors, path })
+     */
+    flattenItems: function(collection, folders = []) {
+        const runnable = [];
+
+        const walk = (items, ancestors, selected) => {
+            items.forEach(item => {
+                const isSelected = selected || folders.length === 0 ||
+                    folders.includes(item.name) || folders.includes(item.id);
+
+                if (Array.isArray(item.item)) {
+                    walk(item.item, ancestors.concat(item), isSelected);
+                } else if (isSelected) {
+                    runnable.push({
+                        id: item.id,
+                        name: item.name,
+                        request: item.request,
+                        item,
+                        ancestors,
+                        path: ancestors.slice(1).map(a => a.name).concat(item.name).join(' / ')
+                    });
+                }
+            });
+        };
+
+        walk(collection.item, [collection], false);
+
+        if (folders.length > 0 && runnable.length === 0) {
+            throw new Error(`No requests found in folder(s): ${folders.join(', ')}`);
+        }
+
+        return runnable;
+    },
+
+    /**
+     * Collect the scripts for an event from collection, folders and item, outermost first
+     * @param {Object} runnable - Runnable item from flattenItems
+     * @param {string} listen - Event name ('prerequest' or 'test')
+     * @returns {Array} - Scripts ({ source, label })
+     */
+    getScripts: function(runnable, listen) {
+        return runnable.ancestors.concat(runnable.item)
+            .map(node => {
+                const event = (node.event || []).find(e => e.listen === listen && e.disabled !== true);
+                if (!event || !event.script) {
+                    return null;
+                }
+                const exec = event.script.exec;
+                const source = Array.isArray(exec) ? exec.join('\n') : (exec || '');
+                return source.trim() ? { source, label: `${node.name || 'collection'} [${listen}]` } : null;
+            })
+            .filter(Boolean);
+    },
+
+    /**
+     * Find the index of the item targeted by setNextRequest
+     * @param {Array} runnables - Runnable items
+     * @param {string} target - Request name or id
+     * @returns {number} - Index or -1 when not found
+     */
+    findItemIndex: function(runnables, target) {
+        return runnables.findIndex(r => r.name === target || r.id === target);
+    },
+
+    // =============================================================================
+    // SCRIPT EXECUTION
+    // =============================================================================
+
+    /**
+     * Create the script context with the helper modules preloaded as globals
+     * @param {Array} helperFiles - Helper file names relative to this directory
+     * @returns {Object} - vm context
+     */
+    createContext: function(helperFiles = this.helperFiles) {
+        const context = vm.createContext({
+            console,
+            setTimeout,
+            clearTimeout,
+            setInterval,
+            clearInterval,
+            setImmediate,
+            atob,
+            btoa,
+            URL,
+            URLSearchParams,
+            TextEncoder,
+            TextDecoder,
+            Buffer,
+            require: name => require(name)
+        });
+
+        helperFiles.forEach(file => {
+            const filePath = path.join(__dirname, file);
+            vm.runInContext(fs.readFileSync(filePath, 'utf8'), context, { filename: filePath });
+        });
+
+        return context;
+    },
+
+    /**
+     * Run a script in the context against a sandbox
+     * @param {Object} context - vm context from createContext
+     * @param {Object} sandbox - Sandbox from PmSandbox.createSandbox
+     * @param {Object} script - Script ({ source, label })
+     * @returns {Promise<void>} - Resolves once the script and its callbacks have settled
+     */
+    executeScript: async function(context, sandbox, script) {
+        sandbox.install(context);
+
+        try {
+            const wrapped = `(async function () {\n${script.source}\n})();`;
+            await vm.runInContext(wrapped, context, { filename: script.label });
+            await sandbox.drain();
+        } catch (error) {
+            sandbox.errors.push(error);
+            console.error(`  Script error in ${script.label}: ${error.message}`);
+        } finally {
+            sandbox.uninstall();
+        }
+    },
+
+    // =============================================================================
+    // REQUEST PREPARATION
+    // =============================================================================
+
+    /**
+     * Convert a collection request definition into sandbox request options
+     * @param {Object|string} definition - Collection request (v2.1) or URL string
+     * @param {Object} runnable - Runnable item the request belongs to
+     * @returns {Object} - Request options for PmSandbox.createRequest
+     */
+    toRequestOptions: function(definition, runnable) {
+        const request = typeof definition === 'string' ? { url: definition } : (definition || {});
+        const url = request.url;
+        let rawUrl = typeof url === 'string' ? url : (url && url.raw) || '';
+
+        if (!rawUrl && url && url.host) {
+            const host = Array.isArray(url.host) ? url.host.join('.') : url.host;
+            const urlPath = Array.isArray(url.path) ? url.path.join('/') : (url.path || '');
+            const query = (url.query || []).filter(q => !q.disabled).map(q => `${q.key}=${q.value}`).join('&');
+            rawUrl = `${url.protocol ? url.protocol + '://' : ''}${host}/${urlPath}${query ? '?' + query : ''}`;
+        }
+
+        if (url && Array.isArray(url.variable)) {
+            rawUrl = this.applyPathVariables(rawUrl, url.variable);
+        }
+
+        return {
+            id: runnable.id,
+            name: runnable.name,
+            url: rawUrl,
+            method: request.method || 'GET',
+            header: request.header || [],
+            body: request.body,
+            auth: request.auth || this.inheritedAuth(runnable)
+        };
+    },
+
+    /**
+     * Substitute :name path segments with the request's path variables
+     * @param {string} rawUrl - URL with :name segments
+     * @param {Array} variables - Path variables ({ key, value })
+     * @returns {string} - URL with known segments replaced
+     */
+    applyPathVariables: function(rawUrl, variables) {
+        return variables.reduce((url, variable) => {
+            const pattern = new RegExp(`/:${variable.key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?=[/?#]|$)`, 'g');
+            return url.replace(pattern, () => `/${variable.value === undefined ? '' : variable.value}`);
+        }, rawUrl);
+    },
+
+    /**
+     * Resolve the auth block inherited from the closest folder or collection
+     * @param {Object} runnable - Runnable item
+     * @returns {Object|undefined} - Auth definition
+     */
+    inheritedAuth: function(runnable) {
+        const owner = runnable.ancestors.slice().reverse().find(a => a.auth);
+        return owner ? owner.auth : undefined;
+    },
+
+    /**
+     * Resolve variables and auth on the request before it is sent
+     * @param {Object} sandbox - Sandbox whose pm.request is sent
+     * @param {Object} auth - Collection auth definition (bearer, basic, apikey)
+     * @returns {Object} - Request ready for the transport
+     */
+    resolveRequest: function(sandbox, auth) {
+        const pm = sandbox.pm;
+        const replace = value => pm.variables.replaceIn(value);
+        const source = pm.request;
+        const headers = source.headers.all().map(h => ({ key: replace(h.key), value: replace(h.value) }));
+        let body = source.body;
+
+        if (body && body.mode === 'raw') {
+            body = { ...body, raw: replace(body.raw) };
+        } else if (body && (body.mode === 'urlencoded' || body.mode === 'formdata')) {
+            body = {
+                ...body,
+                [body.mode]: (body[body.mode] || []).map(p => ({ ...p, key: replace(p.key), value: replace(p.value) }))
+            };
+        }
+
+        const request = PmSandbox.createRequest({
+            id: source.id,
+            name: source.name,
+            url: replace(source.url.toString()),
+            method: source.method,
+            header: headers,
+            body,
+            timeout: source.timeout
+        });
+
+        this.applyAuth(request, auth, replace);
+        return request;
+    },
+
+    /**
+     * Apply a collection auth definition to a request
+     * @param {Object} request - Request to modify
+     * @param {Object} auth - Auth definition
+     * @param {Function} replace - Variable resolver
+     */
+    applyAuth: function(request, auth, replace) {
+        if (!auth || !auth.type || auth.type === 'noauth') {
+            return;
+        }
+
+        const params = (auth[auth.type] || []).reduce((obj, p) => {
+            obj[p.key] = replace(p.value);
+            return obj;
+        }, {});
+
+        if (auth.type === 'bearer' && !request.headers.has('Authorization')) {
+            request.headers.upsert({ key: 'Authorization', value: `Bearer ${params.token}` });
+        } else if (auth.type === 'basic' && !request.headers.has('Authorization')) {
+            const encoded = Buffer.from(`${params.username}:${params.password}`).toString('base64');
+            request.headers.upsert({ key: 'Authorization', value: `Basic ${encoded}` });
+        } else if (auth.type === 'apikey') {
+            if (params.in === 'query') {
+                request.url.query.upsert({ key: params.key, value: params.value });
+            } else {
+                request.headers.upsert({ key: params.key || 'X-API-Key', value: params.value });
+            }
+        } else if (!['bearer', 'basic'].includes(auth.type)) {
+            console.warn(`Auth type ${auth.type} is not supported by the runner; sending without it`);
+        }
+    },
+
+    // =============================================================================
+    // RUN EXECUTION
+    // =============================================================================
+
+    /**
+     * Execute a single request: pre-request scripts, transport, test scripts
+     * @param {Object} runnable - Runnable item
+     * @param {Object} state - Shared run state (scopes, context, transport, iteration info)
+     * @returns {Promise<Object>} - Execution record
+     */
+    executeItem: async function(runnable, state) {
+        const requestOptions = this.toRequestOptions(runnable.request, runnable);
+        const localVariables = PmSandbox.createVariableScope({}, 'local');
+        const info = {
+            requestName: runnable.name,
+            requestId: runnable.id || runnable.name,
+            iteration: state.iteration,
+            iterationCount: state.iterationCount
+        };
+        const scopes = {
+            environment: state.environment,
+            collectionVariables: state.collectionVariables,
+            globals: state.globals,
+            iterationData: state.iterationData,
+            variables: localVariables,
+            transport: state.transport
+        };
+
+        const execution = {
+            name: runnable.name,
+            path: runnable.path,
+            iteration: state.iteration,
+            results: [],
+            errors: [],
+            nextRequest: undefined
+        };
+
+        const collect = sandbox => {
+            execution.results.push(...sandbox.results);
+            execution.errors.push(...sandbox.errors);
+            if (sandbox.nextRequest !== undefined) {
+                execution.nextRequest = sandbox.nextRequest;
+            }
+        };
+
+        // Pre-request scripts
+        const preSandbox = PmSandbox.createSandbox({
+            ...scopes,
+            request: requestOptions,
+            info: { ...info, eventName: 'prerequest' }
+        });
+
+        for (const script of this.getScripts(runnable, 'prerequest')) {
+            await this.executeScript(state.context, preSandbox, script);
+        }
+        collect(preSandbox);
+
+        // Send the request
+        const request = this.resolveRequest(preSandbox, requestOptions.auth);
+        execution.request = { method: request.method, url: request.url.toString() };
+
+        let responseOptions;
+        execution.startedAt = Date.now();
+        try {
+            responseOptions = await state.transport(request);
+        } catch (error) {
+            execution.errors.push(error);
+            console.error(`  Request error: ${error.message}`);
+            return execution;
+        }
+
+        execution.response = {
+            code: responseOptions.code,
+            responseTime: responseOptions.responseTime,
+            timings: RequestTimings.normalize(responseOptions.timings)
+        };
+
+        // Test scripts
+        const testSandbox = PmSandbox.createSandbox({
+            ...scopes,
+            request: request.toJSON(),
+            response: responseOptions,
+            info: { ...info, eventName: 'test' }
+        });
+
+        for (const script of this.getScripts(runnable, 'test')) {
+            await this.executeScript(state.context, testSandbox, script);
+        }
+        collect(testSandbox);
+
+        return execution;
+    },
+
+    /**
+     * Run a collection
+     * @param {Object} options - Run configuration
+     * @param {string|Object} options.collection - Collection file path or document
+     * @param {string|Object} options.environment - Environment file path, export or values
+     * @param {string|Object} options.globals - Globals file path, export or values
+     * @param {string|Array} options.iterationData - Data file path (JSON or CSV) or rows
+     * @param {number} options.iterationCount - Iterations to run (defaults to data rows or 1)
+     * @param {Array} options.folders - Folder names or ids to run
+     * @param {Function} options.transport - Function(request) returning a Promise of response options
+     * @param {boolean} options.bail - Stop at the first failing request
+     * @param {string} options.seed - Data seed stored as dataSeed before the run
+     * @param {boolean} options.teardown - Delete resources left in the cleanup registry after the run (default true)
+     * @param {boolean} options.teardownDryRun - Only report what the teardown would delete
+     * @param {string} options.results - Result store file: .db/.sqlite for SQLite, otherwise JSON Lines (see ResultStore)
+     * @param {string} options.runId - Run ID for stored results (default: generated)
+     * @param {string|Array} options.slo - SLO definitions file or array, evaluated after the run (see SloEvaluator)
+     * @param {string} options.report - HTML report file with a request waterfall (see HtmlReport)
+     * @returns {Promise<Object>} - Run summary
+     */
+    run: async function(options = {}) {
+        const collection = this.loadCollection(options.collection);
+        const runnables = this.flattenItems(collection, options.folders || []);
+        const dataRows = this.loadIterationData(options.iterationData);
+        const iterationCount = options.iterationCount || dataRows.length || 1;
+
+        const state = {
+            context: this.createContext(options.helperFiles),
+            transport: options.transport || (request => PmSandbox.httpTransport(request)),
+            environment: PmSandbox.createVariableScope(this.loadVariables(options.environment), 'environment'),
+            globals: PmSandbox.createVariableScope(this.loadVariables(options.globals), 'globals'),
+            collectionVariables: PmSandbox.createVariableScope(collection.variable || [], 'collection'),
+            iterationCount
+        };
+
+        if (options.seed !== undefined) {
+            state.environment.set('dataSeed', String(options.seed));
+        }
+        // Stream pass counts restart with each run so a seed replays the same data
+        state.environment.unset('dataSeedPasses');
+
+        // Every run gets its own ID; with --results, records go to a file instead of the environment
+        const runId = options.runId || ResultStore.createRunId();
+        const store = options.results ? this.getResultStoreConfig(options.results) : null;
+        state.collectionVariables.set(ResultStore.runIdKey, runId);
+        if (store) {
+            ResultStore.checkBackend(store);
+            state.collectionVariables.set(ResultStore.configKey, JSON.stringify(store));
+        }
+        if (options.slo) {
+            state.collectionVariables.set('sloDefinitions', JSON.stringify(this.loadSloDefinitions(options.slo)));
+        }
+
+        const executions = [];
+        let bailed = false;
+
+        console.log(`\n${(collection.info && collection.info.name) || 'Collection'}`);
+
+        for (let iteration = 0; iteration < iterationCount && !bailed; iteration++) {
+            state.iteration = iteration;
+            state.iterationData = PmSandbox.createVariableScope(dataRows[iteration] || {}, 'iterationData');
+
+            if (iterationCount > 1) {
+                console.log(`\nIteration ${iteration + 1}/${iterationCount}`);
+            }
+
+            let index = 0;
+            let steps = 0;
+
+            while (index < runnables.length) {
+                if (++steps > this.maxStepsPerIteration) {
+                    console.error(`Stopping iteration after ${this.maxStepsPerIteration} requests; check setNextRequest loops`);
+                    break;
+                }
+
+                const runnable = runnables[index];
+                console.log(`\n→ ${runnable.path}`);
+
+                const execution = await this.executeItem(runnable, state);
+                executions.push(execution);
+                this.printExecution(execution);
+                if (store) {
+                    ResultStore.append([this.toResultRecord(execution, runId)], store);
+                }
+
+                if (options.bail && this.isFailed(execution)) {
+                    bailed = true;
+                    break;
+                }
+
+                if (execution.nextRequest === null) {
+                    break;
+                }
+
+                if (execution.nextRequest !== undefined) {
+                    index = this.findItemIndex(runnables, execution.nextRequest);
+                    if (index < 0) {
+                        console.warn(`setNextRequest target "${execution.nextRequest}" not found; ending iteration`);
+                        break;
+                    }
+                } else {
+                    index++;
+                }
+            }
+        }
+
+        const slo = await this.runSloEvaluation(state, Boolean(store));
+        const teardown = options.teardown !== false ? await this.runTeardown(state, options.teardownDryRun) : null;
+
+        const summary = this.summarize(executions);
+        summary.runId = runId;
+        summary.results = store ? store.path : null;
+        summary.teardown = teardown;
+        summary.slo = slo;
+        summary.environment = state.environment;
+        summary.globals = state.globals;
+
+        if (options.exportEnvironment) {
+            this.exportVariables(options.exportEnvironment, state.environment);
+        }
+        if (options.exportGlobals) {
+            this.exportVariables(options.exportGlobals, state.globals);
+        }
+        if (options.report) {
+            HtmlReport.write(options.report, summary);
+        }
+
+        return summary;
+    },
+
+    /**
+     * Result store configuration for a --results path
+     * @param {string} filePath - .db/.sqlite for SQLite, otherwise JSON Lines
+     * @returns {Object} - ResultStore configuration
+     */
+    getResultStoreConfig: function(filePath) {
+        const backend = /\.(db|sqlite3?)$/i.test(filePath) ? 'sqlite' : 'file';
+        return { ...ResultStore.defaults, backend, path: path.resolve(filePath) };
+    },
+
+    /**
+     * Convert an execution into a result store record (source 'request')
+     * @param {Object} execution - Execution record
+     * @param {string} runId - Run ID
+     * @returns {Object} - Record
+     */
+    toResultRecord: function(execution, runId) {
+        const assertions = execution.results.map(r => ({ name: r.name, passed: r.passed, skipped: Boolean(r.skipped), error: r.error || null }));
+        const errors = execution.errors.map(error => error.message || String(error));
+
+        return ResultStore.createRecord({
+            source: 'request',
+            runId,
+            iteration: execution.iteration,
+            request: { name: execution.path, method: execution.request ? execution.request.method : null, url: execution.request ? execution.request.url : null },
+            response: null,
+            status: execution.response ? execution.response.code : null,
+            responseTime: execution.response ? execution.response.responseTime : null,
+            timings: execution.response ? execution.response.timings : null,
+            success: !this.isFailed(execution),
+            error: errors.length > 0 ? errors.join('; ') : null,
+            assertions
+        });
+    },
+
+    /**
+     * Load SLO definitions
+     * @param {string|Array|Object} source - File path, array, or { slos: [...] }
+     * @returns {Array} - Definitions
+     */
+    loadSloDefinitions: function(source) {
+        const doc = typeof source === 'string' ? this.loadJsonFile(source) : source;
+        const slos = Array.isArray(doc) ? doc : doc && doc.slos;
+        if (!Array.isArray(slos)) {
+            throw new Error('SLO definitions must be an array or { "slos": [...] }');
+        }
+        return slos;
+    },
+
+    /**
+     * Evaluate the SLOs defined for the run (see SloEvaluator). With a result store every
+     * request counts; otherwise the performance metrics the scripts collected do.
+     * @param {Object} state - Shared run state
+     * @param {boolean} stored - Whether requests were written to a result store
+     * @returns {Promise<Object|null>} - SLO report, or null when no SLOs are defined
+     */
+    runSloEvaluation: async function(state, stored) {
+        const definitions = state.collectionVariables.get('sloDefinitions');
+        if (!definitions || definitions === '[]') {
+            return null;
+        }
+
+        const localVariables = PmSandbox.createVariableScope({}, 'local');
+        const sandbox = PmSandbox.createSandbox({
+            environment: state.environment,
+            collectionVariables: state.collectionVariables,
+            globals: state.globals,
+            variables: localVariables,
+            transport: state.transport,
+            info: { requestName: 'SLO', requestId: 'slo', eventName: 'test', iteration: state.iteration, iterationCount: state.iterationCount }
+        });
+
+        console.log('\n→ SLO evaluation');
+        await this.executeScript(state.context, sandbox, {
+            source: `const report = SloEvaluator.evaluate(null, { assert: false${stored ? ", source: 'request'" : ''} }); ` +
+                `SloEvaluator.printReport(report); pm.variables.set('sloReport', JSON.stringify(report));`,
+            label: 'slo'
+        });
+
+        return localVariables.has('sloReport') ? JSON.parse(localVariables.get('sloReport')) : null;
+    },
+
+    /**
+     * Tear down resources still in the cleanup registry (see CleanupRegistry). Failed deletes
+     * are reported but do not fail the run; they stay registered for the next run or a sweep.
+     * @param {Object} state - Shared run state
+     * @param {boolean} dryRun - Only report what would be deleted
+     * @returns {Promise<Object|null>} - Teardown report, or null when nothing was registered
+     */
+    runTeardown: async function(state, dryRun = false) {
+        if (!state.environment.get('cleanupRegistry')) {
+            return null;
+        }
+
+        const localVariables = PmSandbox.createVariableScope({}, 'local');
+        const sandbox = PmSandbox.createSandbox({
+            environment: state.environment,
+            collectionVariables: state.collectionVariables,
+            globals: state.globals,
+            variables: localVariables,
+            transport: state.transport,
+            info: { requestName: 'Teardown', requestId: 'teardown', eventName: 'test', iteration: state.iteration, iterationCount: state.iterationCount }
+        });
+
+        console.log('\n→ Teardown');
+        await this.executeScript(state.context, sandbox, {
+            source: `pm.variables.set('teardownReport', JSON.stringify(await CleanupRegistry.teardown({ dryRun: ${Boolean(dryRun)} })));`,
+            label: 'teardown'
+        });
+
+        return localVariables.has('teardownReport') ? JSON.parse(localVariables.get('teardownReport')) : null;
+    },
+
+    /**
+     * Check whether an execution has failed assertions or errors
+     * @param {Object} execution - Execution record
+     * @returns {boolean} - True if anything failed
+     */
+    isFailed: function(execution) {
+        return execution.errors.length > 0 || execution.results.some(r => !r.passed && !r.skipped);
+    },
+
+    /**
+     * Summarise executions
+     * @param {Array} executions - Execution records
+     * @returns {Object} - { requests, assertions, failures, executions }
+     */
+    summarize: function(executions) {
+        const assertions = executions.reduce((acc, e) => {
+            e.results.forEach(r => {
+                acc.total++;
+                if (r.skipped) acc.skipped++;
+                else if (r.passed) acc.passed++;
+                else acc.failed++;
+            });
+            return acc;
+        }, { total: 0, passed: 0, failed: 0, skipped: 0 });
+
+        const failures = [];
+        executions.forEach(e => {
+            e.results.filter(r => !r.passed && !r.skipped)
+                .forEach(r => failures.push({ request: e.path, iteration: e.iteration, test: r.name, error: r.error }));
+            e.errors.forEach(err => failures.push({ request: e.path, iteration: e.iteration, test: null, error: err.message || String(err) }));
+        });
+
+        return {
+            requests: executions.length,
+            assertions,
+            failures,
+            executions
+        };
+    },
+
+    /**
+     * Write a variable scope back to disk as a Postman export
+     * @param {string} filePath - Output path
+     * @param {Object} scope - Variable scope
+     */
+    exportVariables: function(filePath, scope) {
+        const exported = scope.toJSON();
+        exported.name = path.basename(filePath, '.json');
+        fs.writeFileSync(filePath, JSON.stringify(exported, null, 2));
+        console.log(`Exported ${exported.values.length} variables to ${filePath}`);
+    },
+
+    // =============================================================================
+    // REPORTING
+    // =============================================================================
+
+    /**
+     * Print an execution's request line and test results
+     * @param {Object} execution - Execution record
+     */
+    printExecution: function(execution) {
+        if (execution.request) {
+            const time = execution.response && typeof execution.response.responseTime === 'number'
+                ? `, ${execution.response.responseTime}ms`
+                : '';
+            const response = execution.response ? `[${execution.response.code}${time}]` : '[no response]';
+            console.log(`  ${execution.request.method} ${execution.request.url} ${response}`);
+        }
+
+        execution.results.forEach(result => {
+            if (result.skipped) {
+                console.log(`  - ${result.name} (skipped)`);
+            } else if (result.passed) {
+                console.log(`  ✓ ${result.name}`);
+            } else {
+                console.log(`  ✗ ${result.name}: ${result.error}`);
+            }
+        });
+    },
+
+    /**
+     * Print the run summary
+     * @param {Object} summary - Summary from run()
+     */
+    printSummary: function(summary) {
+        console.log('\n=== RUN SUMMARY ===');
+        console.log(`Requests: ${summary.requests}`);
+        console.log(`Assertions: ${summary.assertions.total} (passed ${summary.assertions.passed}, failed ${summary.assertions.failed}, skipped ${summary.assertions.skipped})`);
+
+        if (summary.failures.length > 0) {
+            console.log('\nFailures:');
+            summary.failures.forEach((failure, i) => {
+                console.log(`  ${i + 1}. ${failure.request} (iteration ${failure.iteration + 1})`);
+                console.log(`     ${failure.test ? failure.test + ': ' : ''}${failure.error}`);
+            });
+
+            const seed = summary.environment && summary.environment.get('dataSeed');
+            if (seed) {
+                console.log(`\nData seed: ${seed} (replay with --seed ${seed})`);
+            }
+        }
+
+        if (summary.results) {
+            console.log(`\nResults stored in ${summary.results} (run ${summary.runId})`);
+        }
+
+        if (summary.slo && summary.slo.verdict === 'fail') {
+            console.log(`\nSLOs failed: ${summary.slo.slos.filter(r => r.verdict === 'fail').map(r => r.name).join(', ')}`);
+        }
+
+        if (summary.teardown && summary.teardown.failed > 0) {
+            console.log(`\nTeardown left ${summary.teardown.failed} resource(s) registered; export the environment to retry them next run`);
+        }
+    },
+
+    // =============================================================================
+    // COMMAND LINE
+    // =============================================================================
+
+    /**
+     * Parse command-line arguments
+     * @param {Array} argv - Arguments after the script name
+     * @returns {Object} - Run options
+     */
+    parseArgs: function(argv) {
+        const options = { folders: [] };
+
+        for (let i = 0; i < argv.length; i++) {
+            const arg = argv[i];
+            const next = () => {
+                if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+                return argv[++i];
+            };
+
+            switch (arg) {
+                case '-e':
+                case '--environment': options.environment = next(); break;
+                case '-g':
+                case '--globals': options.globals = next(); break;
+                case '-d':
+                case '--iteration-data': options.iterationData = next(); break;
+                case '-n':
+                case '--iteration-count': options.iterationCount = parseInt(next(), 10); break;
+                case '--folder': options.folders.push(next()); break;
+                case '--export-environment': options.exportEnvironment = next(); break;
+                case '--export-globals': options.exportGlobals = next(); break;
+                case '--timeout-request': options.timeoutRequest = parseInt(next(), 10); break;
+                case '--bail': options.bail = true; break;
+                case '--seed': options.seed = next(); break;
+                case '--no-teardown': options.teardown = false; break;
+                case '--teardown-dry-run': options.teardownDryRun = true; break;
+                case '--results': options.results = next(); break;
+                case '--run-id': options.runId = next(); break;
+                case '--slo': options.slo = next(); break;
+                case '--report': options.report = next(); break;
+                case '-h':
+                case '--help': options.help = true; break;
+                default:
+                    if (arg.startsWith('-')) throw new Error(`Unknown option ${arg}`);
+                    if (options.collection) throw new Error(`Unexpected argument ${arg}`);
+                    options.collection = arg;
+            }
+        }
+
+        return options;
+    },
+
+    /**
+     * Command-line usage text
+     */
+    usage: [
+        'Usage: node collection-runner.js <collection.json> [options]',
+        '',
+        'Options:',
+        '  -e, --environment <file>        Environment file (Postman export)',
+        '  -g, --globals <file>            Globals file (Postman export)',
+        '  -d, --iteration-data <file>     Iteration data file (JSON or CSV)',
+        '  -n, --iteration-count <n>       Number of iterations',
+        '  --folder <name>                 Run only this folder (repeatable)',
+        '  --export-environment <file>     Write the final environment to a file',
+        '  --export-globals <file>         Write the final globals to a file',
+        '  --timeout-request <ms>          Per-request timeout',
+        '  --bail                          Stop at the first failing request',
+        '  --seed <value>                  Seed for generated test data (replays a run)',
+        '  --no-teardown                   Keep resources registered for cleanup',
+        '  --teardown-dry-run              Report what the teardown would delete without deleting',
+        '  --results <file>                Store results in a JSON Lines file (or SQLite for .db)',
+        '  --run-id <id>                   Run ID for stored results',
+        '  --slo <file>                    SLO definitions (JSON) evaluated after the run; a failed SLO fails the run',
+        '  --report <file>                 Write an HTML report with a timing waterfall'
+    ].join('\n'),
+
+    /**
+     * Command-line entry point
+     * @param {Array} argv - Arguments after the script name
+     * @returns {Promise<number>} - Process exit code
+     */
+    main: async function(argv) {
+        let options;
+        try {
+            options = this.parseArgs(argv);
+        } catch (error) {
+            console.error(error.message);
+            console.error(this.usage);
+            return 2;
+        }
+
+        if (options.help || !options.collection) {
+            console.log(this.usage);
+            return options.help ? 0 : 2;
+        }
+
+        if (options.timeoutRequest) {
+            options.transport = request => {
+                request.timeout = request.timeout || options.timeoutRequest;
+                return PmSandbox.httpTransport(request);
+            };
+        }
+
+        try {
+            const summary = await this.run(options);
+            this.printSummary(summary);
+            return summary.failures.length > 0 || (summary.slo && summary.slo.verdict === 'fail') ? 1 : 0;
+        } catch (error) {
+            console.error(`Run failed: ${error.message}`);
+            return 2;
+        }
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CollectionRunner;
+}
+
+if (require.main === module) {
+    CollectionRunner.main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+// Usage Examples:
+/*
+// Command line
+node collection-runner.js my-api.postman_collection.json \
+    -e staging.postman_environment.json \
+    -d users.csv \
+    --folder "User Registration" \
+    --export-environment staging.out.json
+
+// Programmatic, against a stubbed HTTP layer
+const CollectionRunner = require('./collection-runner');
+
+const summary = await CollectionRunner.run({
+    collection: 'my-api.postman_collection.json',
+    environment: { base_url: 'http://localhost:3000' },
+    transport: request => Promise.resolve({ code: 200, body: { status: 'success' } })
+});
+
+console.log(summary.assertions);
+*/
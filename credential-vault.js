@@ -0,0 +1,585 @@
+/**
+ * Credential Vault for Postman
+ * Named credential profiles (admin, user, read-only, anonymous, ...) with separate tokens,
+ * expiry and cookies, role switching per request and authorization matrix tests
+ */
+
+// In-flight logins keyed by profile name, so concurrent callers share one login
+const pendingProfileLogins = new Map();
+
+// Literal secrets keyed by profile name; they never leave this script's memory
+const profileSecrets = new Map();
+
+const CredentialVault = {
+
+    /**
+     * Environment keys used by the vault
+     */
+    storageKeys: {
+        definitions: 'credentialProfileDefinitions',
+        profiles: 'credentialProfiles',
+        active: 'activeCredentialProfile'
+    },
+
+    /**
+     * Definition fields that hold secrets and are never written to the environment
+     */
+    secretFields: ['config.clientSecret', 'config.password', 'config.refreshToken', 'token', 'login.body'],
+
+    // =============================================================================
+    // PROFILE DEFINITIONS
+    // =============================================================================
+
+    /**
+     * Define how a profile authenticates. The environment only receives the non-secret fields:
+     * a secret given as a `{{variable}}` reference is stored as written and resolved at login,
+     * while a literal secret stays in memory and must be defined again in each script that logs in.
+     * @param {string} name - Profile name (e.g. 'admin')
+     * @param {Object} definition - Login definition
+     * @param {string} definition.type - 'password', 'client_credentials', 'request', 'static' or 'anonymous'
+     * @param {Object} definition.config - OAuth config for password/client_credentials grants
+     *                                     (tokenEndpoint, clientId, clientSecret, username, password, scope)
+     * @param {Object} definition.login - Login request for type 'request' (see AuthHelpers.fetchLoginToken)
+     * @param {string} definition.token - Fixed token for type 'static'
+     * @param {string} definition.headerName - Header to inject (default 'Authorization')
+     * @param {number} definition.refreshSkewSeconds - Re-login when expiring within this window (default 60)
+     */
+    defineProfile: function(name, definition) {
+        const stored = JSON.parse(JSON.stringify({ type: 'request', ...definition }));
+        const secrets = {};
+
+        this.secretFields.forEach(field => {
+            const path = field.split('.');
+            const key = path.pop();
+            const holder = path.length ? stored[path[0]] : stored;
+            if (!holder || holder[key] === undefined || this.isSecretReference(holder[key])) {
+                return;
+            }
+            secrets[field] = holder[key];
+            delete holder[key];
+        });
+
+        stored.secretFields = Object.keys(secrets);
+        profileSecrets.set(name, secrets);
+
+        const definitions = this.readJson(this.storageKeys.definitions, {});
+        definitions[name] = stored;
+        this.writeJson(this.storageKeys.definitions, definitions);
+    },
+
+    /**
+     * Define several profiles at once
+     * @param {Object} definitions - Map of profile name to definition
+     */
+    defineProfiles: function(definitions) {
+        Object.keys(definitions).forEach(name => this.defineProfile(name, definitions[name]));
+    },
+
+    /**
+     * Get a profile definition as stored, without its literal secrets
+     * @param {string} name - Profile name
+     * @returns {Object|null} - Definition or null if undefined
+     */
+    getDefinition: function(name) {
+        return this.readJson(this.storageKeys.definitions, {})[name] || null;
+    },
+
+    /**
+     * Get a profile definition ready to log in with: literal secrets restored from memory
+     * and `{{variable}}` references resolved
+     * @param {string} name - Profile name
+     * @returns {Object} - Definition
+     * @throws {Error} - When the profile is undefined or its secrets were not defined in this script
+     */
+    getLoginDefinition: function(name) {
+        const definition = this.getDefinition(name);
+        if (!definition) {
+            throw new Error(`Unknown credential profile: ${name}`);
+        }
+
+        const secrets = profileSecrets.get(name) || {};
+        const missing = (definition.secretFields || []).filter(field => secrets[field] === undefined);
+        if (missing.length > 0) {
+            throw new Error(`Secrets for profile ${name} (${missing.join(', ')}) are not defined in this script; ` +
+                'call defineProfile here or pass them as {{variable}} references');
+        }
+
+        const resolved = JSON.parse(JSON.stringify(definition));
+        this.secretFields.forEach(field => {
+            const path = field.split('.');
+            const key = path.pop();
+            const holder = path.length ? resolved[path[0]] : resolved;
+            if (!holder) {
+                return;
+            }
+            const value = secrets[field] !== undefined ? secrets[field] : holder[key];
+            if (value !== undefined) {
+                holder[key] = this.isSecretReference(value) ? pm.variables.replaceIn(value) : value;
+            }
+        });
+        delete resolved.secretFields;
+        return resolved;
+    },
+
+    /**
+     * List defined profile names
+     * @returns {Array} - Profile names
+     */
+    listProfiles: function() {
+        return Object.keys(this.readJson(this.storageKeys.definitions, {}));
+    },
+
+    // =============================================================================
+    // CREDENTIAL CACHE
+    // =============================================================================
+
+    /**
+     * Get cached credentials for a profile
+     * @param {string} name - Profile name
+     * @returns {Object|null} - { accessToken, refreshToken, tokenType, tokenExpiry, cookies, loggedInAt }
+     */
+    getCredentials: function(name) {
+        return this.readJson(this.storageKeys.profiles, {})[name] || null;
+    },
+
+    /**
+     * Store credentials for a profile
+     * @param {string} name - Profile name
+     * @param {Object} credentials - Credentials to cache
+     */
+    setCredentials: function(name, credentials) {
+        const profiles = this.readJson(this.storageKeys.profiles, {});
+        profiles[name] = credentials;
+        this.writeJson(this.storageKeys.profiles, profiles);
+    },
+
+    /**
+     * Drop cached credentials for one profile, or all profiles when no name is given
+     * @param {string} name - Profile name (optional)
+     */
+    clearCredentials: function(name = null) {
+        if (name === null) {
+            pm.environment.unset(this.storageKeys.profiles);
+            pm.environment.unset(this.storageKeys.active);
+            console.log("Cleared credentials for all profiles");
+            return;
+        }
+
+        const profiles = this.readJson(this.storageKeys.profiles, {});
+        delete profiles[name];
+        this.writeJson(this.storageKeys.profiles, profiles);
+        console.log(`Cleared credentials for profile ${name}`);
+    },
+
+    /**
+     * Check whether cached credentials need a fresh login
+     * @param {Object} credentials - Cached credentials
+     * @param {number} skewSeconds - Expiry window in seconds
+     * @returns {boolean} - True if a login is needed
+     */
+    isStale: function(credentials, skewSeconds = 60) {
+        if (!credentials || !credentials.accessToken) {
+            return true;
+        }
+
+        if (credentials.tokenExpiry) {
+            return new Date(credentials.tokenExpiry).getTime() <= Date.now() + skewSeconds * 1000;
+        }
+
+        const auth = this.getAuthHelpers();
+        const isJWT = credentials.accessToken.split('.').length === 3;
+        return isJWT && auth.isJWTExpired(credentials.accessToken, skewSeconds);
+    },
+
+    // =============================================================================
+    // LOGIN AND ROLE SWITCHING
+    // =============================================================================
+
+    /**
+     * Log a profile in and cache its credentials (concurrent calls share one login)
+     * @param {string} name - Profile name
+     * @returns {Promise<Object>} - Resolves to the cached credentials
+     */
+    login: function(name) {
+        if (pendingProfileLogins.has(name)) {
+            return pendingProfileLogins.get(name);
+        }
+
+        const pending = new Promise((resolve, reject) => {
+            const definition = this.getLoginDefinition(name);
+
+            this.fetchCredentials(definition, (err, tokenData) => {
+                if (err) {
+                    reject(new Error(`Login as ${name} failed: ${err.message}`));
+                    return;
+                }
+
+                const credentials = {
+                    accessToken: tokenData.access_token || null,
+                    refreshToken: tokenData.refresh_token || null,
+                    tokenType: tokenData.token_type || 'Bearer',
+                    tokenExpiry: tokenData.expires_in
+                        ? new Date(Date.now() + tokenData.expires_in * 1000).toISOString()
+                        : null,
+                    cookies: this.extractCookies(tokenData.response),
+                    loggedInAt: new Date().toISOString()
+                };
+
+                this.setCredentials(name, credentials);
+                console.log(`Logged in as ${name}`);
+                resolve(credentials);
+            });
+        });
+
+        const settled = () => pendingProfileLogins.delete(name);
+        pendingProfileLogins.set(name, pending);
+        pending.then(settled, settled);
+
+        return pending;
+    },
+
+    /**
+     * Obtain token data for a definition without touching the single-identity environment keys
+     * @param {Object} definition - Profile definition
+     * @param {Function} callback - callback(err, tokenData)
+     */
+    fetchCredentials: function(definition, callback) {
+        const auth = this.getAuthHelpers();
+
+        switch (definition.type) {
+            case 'anonymous':
+                callback(null, {});
+                break;
+            case 'static':
+                callback(null, { access_token: definition.token, token_type: definition.tokenType });
+                break;
+            case 'password':
+                auth.requestToken(definition.config, {
+                    grant_type: 'password',
+                    username: definition.config.username,
+                    password: definition.config.password
+                }, callback);
+                break;
+            case 'client_credentials':
+                auth.requestToken(definition.config, {
+                    grant_type: 'client_credentials'
+                }, callback);
+                break;
+            case 'request':
+                auth.fetchLoginToken(definition.login, callback);
+                break;
+            default:
+                callback(new Error(`Unsupported profile type: ${definition.type}`));
+        }
+    },
+
+    /**
+     * Get valid credentials for a profile, logging in when missing or expired
+     * @param {string} name - Profile name
+     * @returns {Promise<Object>} - Resolves to the cached credentials
+     */
+    getValidCredentials: function(name) {
+        const definition = this.getDefinition(name);
+        const cached = this.getCredentials(name);
+
+        if (definition && definition.type === 'anonymous') {
+            return Promise.resolve(cached || { accessToken: null, cookies: {} });
+        }
+
+        const skew = definition && definition.refreshSkewSeconds !== undefined ? definition.refreshSkewSeconds : 60;
+        if (cached && !this.isStale(cached, skew)) {
+            return Promise.resolve(cached);
+        }
+
+        return this.login(name);
+    },
+
+    /**
+     * Switch the active identity for the current request (pre-request entry point).
+     * Sets or removes the auth header and cookies on pm.request; failures become a failed test.
+     * @param {string} name - Profile name
+     * @returns {Promise<Object>} - Resolves to { profile, credentials, error }; never rejects
+     */
+    useProfile: function(name) {
+        pm.environment.set(this.storageKeys.active, name);
+
+        return this.getValidCredentials(name).then(credentials => {
+            this.applyCredentials(pm.request.headers, name, credentials);
+            return { profile: name, credentials, error: null };
+        }, error => {
+            pm.test(`Credentials available for profile ${name}`, () => {
+                pm.expect.fail(error.message);
+            });
+            return { profile: name, credentials: null, error };
+        });
+    },
+
+    /**
+     * Get the active profile name
+     * @returns {string|undefined} - Active profile
+     */
+    getActiveProfile: function() {
+        return pm.environment.get(this.storageKeys.active);
+    },
+
+    /**
+     * Apply a profile's credentials to a header list
+     * @param {Object} headers - pm.request.headers or a request header list
+     * @param {string} name - Profile name
+     * @param {Object} credentials - Cached credentials
+     */
+    applyCredentials: function(headers, name, credentials) {
+        const definition = this.getDefinition(name) || {};
+        const headerName = definition.headerName || 'Authorization';
+
+        if (credentials.accessToken) {
+            const value = headerName.toLowerCase() === 'authorization'
+                ? `${credentials.tokenType || 'Bearer'} ${credentials.accessToken}`
+                : credentials.accessToken;
+            headers.upsert({ key: headerName, value });
+        } else {
+            headers.remove(headerName);
+        }
+
+        const cookies = credentials.cookies || {};
+        const cookieHeader = Object.keys(cookies).map(key => `${key}=${cookies[key]}`).join('; ');
+        if (cookieHeader) {
+            headers.upsert({ key: 'Cookie', value: cookieHeader });
+        } else {
+            headers.remove('Cookie');
+        }
+    },
+
+    /**
+     * Build request headers for a profile as a plain object (for pm.sendRequest)
+     * @param {string} name - Profile name
+     * @param {Object} credentials - Cached credentials
+     * @param {Object|Array|string} baseHeaders - Headers to start from (map, [{ key, value }] list or header string)
+     * @returns {Object} - Header map
+     */
+    buildHeaders: function(name, credentials, baseHeaders = {}) {
+        const headers = this.toHeaderMap(baseHeaders);
+        const list = {
+            upsert: header => {
+                Object.keys(headers)
+                    .filter(key => key.toLowerCase() === header.key.toLowerCase())
+                    .forEach(key => delete headers[key]);
+                headers[header.key] = header.value;
+            },
+            remove: key => {
+                Object.keys(headers)
+                    .filter(existing => existing.toLowerCase() === key.toLowerCase())
+                    .forEach(existing => delete headers[existing]);
+            }
+        };
+
+        this.applyCredentials(list, name, credentials);
+        return headers;
+    },
+
+    // =============================================================================
+    // AUTHORIZATION MATRIX
+    // =============================================================================
+
+    /**
+     * Send the same request as each role and assert the expected outcome, one test per role
+     * @param {Object} config - Matrix configuration
+     * @param {Object} config.request - pm.sendRequest options (header as an object map or [{ key, value }] list)
+     * @param {Object} config.expectations - Map of role to expected status, status array or
+     *                                       { status, validate(response) }
+     * @param {string} config.name - Label used in test names (defaults to METHOD URL)
+     * @returns {Promise<Array>} - Resolves to [{ role, expected, actual, passed }] in role order
+     */
+    authorizationMatrix: function(config) {
+        const { request, expectations } = config;
+        const label = config.name || `${request.method || 'GET'} ${request.url}`;
+        const roles = Object.keys(expectations);
+
+        const runRole = role => {
+            const expectation = this.normalizeExpectation(expectations[role]);
+            const testName = `${label} as ${role} → ${expectation.status.join(' or ')}`;
+
+            return this.getValidCredentials(role)
+                .then(credentials => new Promise(resolve => {
+                    pm.sendRequest({
+                        ...request,
+                        header: this.buildHeaders(role, credentials, request.header || {})
+                    }, (err, response) => resolve({ err, response }));
+                }))
+                .then(({ err, response }) => {
+                    if (err) throw err;
+
+                    let passed = true;
+                    pm.test(testName, () => {
+                        try {
+                            pm.expect(expectation.status, `status for ${role}`).to.include(response.code);
+                            if (expectation.validate) {
+                                expectation.validate(response, role);
+                            }
+                        } catch (error) {
+                            passed = false;
+                            throw error;
+                        }
+                    });
+                    return { role, expected: expectation.status, actual: response.code, passed };
+                })
+                .catch(error => {
+                    pm.test(testName, () => {
+                        pm.expect.fail(`Could not run as ${role}: ${error.message}`);
+                    });
+                    return { role, expected: expectation.status, actual: null, passed: false };
+                });
+        };
+
+        // Roles run one after another so each request carries only its own credentials
+        return roles.reduce((chain, role) => chain.then(results =>
+            runRole(role).then(result => results.concat(result))
+        ), Promise.resolve([]));
+    },
+
+    /**
+     * Normalise a matrix expectation
+     * @param {number|Array|Object} expectation - Status, status list or { status, validate }
+     * @returns {Object} - { status: Array, validate }
+     */
+    normalizeExpectation: function(expectation) {
+        if (typeof expectation === 'number' || Array.isArray(expectation)) {
+            return { status: [].concat(expectation), validate: null };
+        }
+        return { status: [].concat(expectation.status), validate: expectation.validate || null };
+    },
+
+    // =============================================================================
+    // UTILITY FUNCTIONS
+    // =============================================================================
+
+    /**
+     * Extract cookies set by a login response
+     * @param {Object} response - pm.sendRequest response (optional)
+     * @returns {Object} - Map of cookie name to value
+     */
+    extractCookies: function(response) {
+        if (!response || !response.cookies) {
+            return {};
+        }
+        const cookies = typeof response.cookies.all === 'function' ? response.cookies.all() : response.cookies;
+        return (cookies || []).reduce((map, cookie) => {
+            map[cookie.name] = cookie.value;
+            return map;
+        }, {});
+    },
+
+    /**
+     * Normalise Postman request headers to a name → value map; disabled entries are dropped
+     * @param {Object|Array|string} headers - Header map, [{ key, value, disabled }] list,
+     *                                        PropertyList or 'Name: value' lines
+     * @returns {Object} - Header map (a copy)
+     */
+    toHeaderMap: function(headers) {
+        if (!headers) {
+            return {};
+        }
+        if (typeof headers === 'string') {
+            headers = headers.split(/\r?\n/).filter(line => line.includes(':')).map(line => ({
+                key: line.slice(0, line.indexOf(':')).trim(),
+                value: line.slice(line.indexOf(':') + 1).trim()
+            }));
+        } else if (typeof headers.all === 'function') {
+            headers = headers.all();
+        }
+        if (!Array.isArray(headers)) {
+            return { ...headers };
+        }
+        return headers.reduce((map, header) => {
+            if (header && header.key && !header.disabled) {
+                map[header.key] = header.value;
+            }
+            return map;
+        }, {});
+    },
+
+    /**
+     * Check whether a secret value is a `{{variable}}` reference rather than the secret itself
+     * @param {*} value - Secret field value
+     * @returns {boolean} - True for a single placeholder string
+     */
+    isSecretReference: function(value) {
+        return typeof value === 'string' && /^\{\{[^{}]+\}\}$/.test(value.trim());
+    },
+
+    /**
+     * Read a JSON value from the environment
+     * @param {string} key - Environment key
+     * @param {*} fallback - Value when missing or unparsable
+     * @returns {*} - Parsed value
+     */
+    readJson: function(key, fallback) {
+        try {
+            const value = pm.environment.get(key);
+            return value ? JSON.parse(value) : fallback;
+        } catch (error) {
+            console.error(`Failed to parse ${key}: ${error.message}`);
+            return fallback;
+        }
+    },
+
+    /**
+     * Write a JSON value to the environment
+     * @param {string} key - Environment key
+     * @param {*} value - Value to store
+     */
+    writeJson: function(key, value) {
+        pm.environment.set(key, JSON.stringify(value));
+    },
+
+    /**
+     * Resolve the AuthHelpers helper (sandbox global or Node module)
+     * @returns {Object} - AuthHelpers
+     */
+    getAuthHelpers: function() {
+        return typeof AuthHelpers !== 'undefined' ? AuthHelpers : require('./authentication-helpers');
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CredentialVault;
+}
+
+// Usage Examples:
+/*
+// Collection pre-request script: declare the identities once
+CredentialVault.defineProfiles({
+    admin: {
+        type: 'password',
+        config: {
+            tokenEndpoint: pm.environment.get('token_url'),
+            clientId: 'qa-client',
+            username: 'admin@example.com',
+            password: '{{admin_password}}'
+        }
+    },
+    user: {
+        type: 'request',
+        login: {
+            url: pm.environment.get('base_url') + '/auth/login',
+            method: 'POST',
+            header: { 'Content-Type': 'application/json' },
+            body: { mode: 'raw', raw: JSON.stringify({ email: 'user@example.com', password: pm.environment.get('user_password') }) },
+            tokenPath: 'data.token'
+        }
+    },
+    readonly: { type: 'static', token: '{{readonly_token}}' },
+    anonymous: { type: 'anonymous' }
+});
+
+// Request pre-request script: run this request as the regular user
+CredentialVault.useProfile('user');
+
+// Test script: one test per role
+CredentialVault.authorizationMatrix({
+    name: 'DELETE /users/42',
+    request: { url: pm.environment.get('base_url') + '/users/42', method: 'DELETE' },
+    expectations: { admin: 204, user: 403, readonly: 403, anonymous: 401 }
+});
+*/
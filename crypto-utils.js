@@ -0,0 +1,354 @@
+/**
+ * Crypto Utilities for Postman
+ * Hashing, HMAC, random bytes and base64url helpers that work in the Postman sandbox
+ * (CryptoJS) and under Node (crypto module)
+ */
+
+const CryptoUtils = {
+
+    // =============================================================================
+    // BACKENDS
+    // =============================================================================
+
+    /**
+     * Get Node's crypto module when running outside the Postman app
+     * @returns {Object|null} - crypto module or null inside the Postman sandbox
+     */
+    getNodeCrypto: function() {
+        try {
+            const nodeCrypto = require('crypto');
+            return nodeCrypto && typeof nodeCrypto.createHash === 'function' ? nodeCrypto : null;
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Get CryptoJS (bundled with the Postman sandbox)
+     * @returns {Object} - CryptoJS library
+     */
+    getCryptoJS: function() {
+        if (typeof CryptoJS !== 'undefined') {
+            return CryptoJS;
+        }
+        return require('crypto-js');
+    },
+
+    // =============================================================================
+    // ENCODING
+    // =============================================================================
+
+    /**
+     * Convert a UTF-8 string to bytes
+     * @param {string} text - Text to encode
+     * @returns {Uint8Array} - UTF-8 bytes
+     */
+    utf8ToBytes: function(text) {
+        return new TextEncoder().encode(text);
+    },
+
+    /**
+     * Convert bytes to a UTF-8 string
+     * @param {Uint8Array} bytes - UTF-8 bytes
+     * @returns {string} - Decoded text
+     */
+    bytesToUtf8: function(bytes) {
+        return new TextDecoder().decode(bytes);
+    },
+
+    /**
+     * Convert bytes to a hex string
+     * @param {Uint8Array} bytes - Bytes to encode
+     * @returns {string} - Lowercase hex
+     */
+    bytesToHex: function(bytes) {
+        return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+    },
+
+    /**
+     * Convert bytes to standard base64
+     * @param {Uint8Array} bytes - Bytes to encode
+     * @returns {string} - Base64 string
+     */
+    bytesToBase64: function(bytes) {
+        let binary = '';
+        bytes.forEach(b => { binary += String.fromCharCode(b); });
+        return btoa(binary);
+    },
+
+    /**
+     * Convert standard or url-safe base64 to bytes
+     * @param {string} base64 - Base64 or base64url string
+     * @returns {Uint8Array} - Decoded bytes
+     */
+    base64ToBytes: function(base64) {
+        const normalized = base64.replace(/-/g, '+').replace(/_/g, '/');
+        const padded = normalized + '='.repeat((4 - normalized.length % 4) % 4);
+        const binary = atob(padded);
+        return Uint8Array.from(binary, c => c.charCodeAt(0));
+    },
+
+    /**
+     * Base64url-encode (RFC 4648 §5, no padding)
+     * @param {string|Uint8Array} input - Text (UTF-8) or bytes
+     * @returns {string} - Base64url string
+     */
+    base64UrlEncode: function(input) {
+        const bytes = typeof input === 'string' ? this.utf8ToBytes(input) : input;
+        return this.bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    },
+
+    /**
+     * Base64url-decode to a UTF-8 string
+     * @param {string} input - Base64url string
+     * @returns {string} - Decoded text
+     */
+    base64UrlDecode: function(input) {
+        return this.bytesToUtf8(this.base64ToBytes(input));
+    },
+
+    /**
+     * Percent-decode without throwing on malformed sequences
+     * @param {string} value - Encoded value
+     * @returns {string} - Decoded value
+     */
+    safeDecode: function(value) {
+        try {
+            return decodeURIComponent(value);
+        } catch (error) {
+            return value;
+        }
+    },
+
+    /**
+     * Encode bytes in the requested output format
+     * @param {Uint8Array} bytes - Bytes to encode
+     * @param {string} encoding - 'hex', 'base64', 'base64url' or 'bytes'
+     * @returns {string|Uint8Array} - Encoded output
+     */
+    encodeBytes: function(bytes, encoding = 'hex') {
+        switch (encoding) {
+            case 'bytes': return bytes;
+            case 'base64': return this.bytesToBase64(bytes);
+            case 'base64url': return this.base64UrlEncode(bytes);
+            case 'hex': return this.bytesToHex(bytes);
+            default: throw new Error(`Unsupported encoding: ${encoding}`);
+        }
+    },
+
+    /**
+     * Convert bytes to a CryptoJS WordArray
+     * @param {Uint8Array} bytes - Bytes to convert
+     * @returns {Object} - CryptoJS WordArray
+     */
+    bytesToWordArray: function(bytes) {
+        const words = [];
+        for (let i = 0; i < bytes.length; i++) {
+            words[i >>> 2] |= bytes[i] << (24 - (i % 4) * 8);
+        }
+        return this.getCryptoJS().lib.WordArray.create(words, bytes.length);
+    },
+
+    /**
+     * Convert a CryptoJS WordArray to bytes
+     * @param {Object} wordArray - CryptoJS WordArray
+     * @returns {Uint8Array} - Bytes
+     */
+    wordArrayToBytes: function(wordArray) {
+        const bytes = new Uint8Array(wordArray.sigBytes);
+        for (let i = 0; i < wordArray.sigBytes; i++) {
+            bytes[i] = (wordArray.words[i >>> 2] >>> (24 - (i % 4) * 8)) & 0xff;
+        }
+        return bytes;
+    },
+
+    // =============================================================================
+    // HASHING AND RANDOMNESS
+    // =============================================================================
+
+    /**
+     * Generate cryptographically strong random bytes
+     * @param {number} length - Number of bytes
+     * @returns {Uint8Array} - Random bytes
+     */
+    randomBytes: function(length = 32) {
+        const nodeCrypto = this.getNodeCrypto();
+        if (nodeCrypto) {
+            return new Uint8Array(nodeCrypto.randomBytes(length));
+        }
+        return this.wordArrayToBytes(this.getCryptoJS().lib.WordArray.random(length));
+    },
+
+    /**
+     * Hash data
+     * @param {string} algorithm - 'sha256', 'sha384' or 'sha512'
+     * @param {string|Uint8Array} data - Text (UTF-8) or bytes
+     * @param {string} encoding - Output encoding ('hex', 'base64', 'base64url', 'bytes')
+     * @returns {string|Uint8Array} - Digest
+     */
+    hash: function(algorithm, data, encoding = 'hex') {
+        const bytes = typeof data === 'string' ? this.utf8ToBytes(data) : data;
+        const nodeCrypto = this.getNodeCrypto();
+
+        if (nodeCrypto) {
+            const digest = nodeCrypto.createHash(algorithm).update(bytes).digest();
+            return this.encodeBytes(new Uint8Array(digest), encoding);
+        }
+
+        const hasher = this.getCryptoJSAlgorithm(algorithm, '');
+        return this.encodeBytes(this.wordArrayToBytes(hasher(this.bytesToWordArray(bytes))), encoding);
+    },
+
+    /**
+     * Compute an HMAC
+     * @param {string} algorithm - 'sha256', 'sha384' or 'sha512'
+     * @param {string|Uint8Array} key - Secret key (UTF-8 text or bytes)
+     * @param {string|Uint8Array} data - Text (UTF-8) or bytes
+     * @param {string} encoding - Output encoding ('hex', 'base64', 'base64url', 'bytes')
+     * @returns {string|Uint8Array} - MAC
+     */
+    hmac: function(algorithm, key, data, encoding = 'hex') {
+        const keyBytes = typeof key === 'string' ? this.utf8ToBytes(key) : key;
+        const dataBytes = typeof data === 'string' ? this.utf8ToBytes(data) : data;
+        const nodeCrypto = this.getNodeCrypto();
+
+        if (nodeCrypto) {
+            const mac = nodeCrypto.createHmac(algorithm, keyBytes).update(dataBytes).digest();
+            return this.encodeBytes(new Uint8Array(mac), encoding);
+        }
+
+        const hmac = this.getCryptoJSAlgorithm(algorithm, 'Hmac');
+        const mac = hmac(this.bytesToWordArray(dataBytes), this.bytesToWordArray(keyBytes));
+        return this.encodeBytes(this.wordArrayToBytes(mac), encoding);
+    },
+
+    /**
+     * Resolve a CryptoJS hash or HMAC function
+     * @param {string} algorithm - 'sha256', 'sha384' or 'sha512'
+     * @param {string} prefix - '' for hashes, 'Hmac' for HMACs
+     * @returns {Function} - CryptoJS function
+     */
+    getCryptoJSAlgorithm: function(algorithm, prefix) {
+        const name = `${prefix}${algorithm.toUpperCase().replace('-', '')}`;
+        const fn = this.getCryptoJS()[name];
+        if (typeof fn !== 'function') {
+            throw new Error(`Unsupported algorithm: ${algorithm}`);
+        }
+        return fn;
+    },
+
+    // =============================================================================
+    // PUBLIC-KEY SIGNATURES
+    // =============================================================================
+
+    /**
+     * Import a public key from PEM (SPKI, PKCS#1 or X.509 certificate) or a JWK object
+     * @param {string|Object} key - PEM string or JWK
+     * @returns {Object} - Node KeyObject
+     */
+    importPublicKey: function(key) {
+        const nodeCrypto = this.requireNodeCrypto('Public-key verification');
+        if (key && typeof key === 'object' && key.kty) {
+            return nodeCrypto.createPublicKey({ key, format: 'jwk' });
+        }
+        return nodeCrypto.createPublicKey(key);
+    },
+
+    /**
+     * Verify a public-key signature
+     * @param {string} hashAlgorithm - 'sha256', 'sha384' or 'sha512'
+     * @param {string|Uint8Array} data - Signed data (UTF-8 text or bytes)
+     * @param {Uint8Array} signature - Signature bytes
+     * @param {string|Object} key - PEM string, JWK or KeyObject
+     * @param {Object} options - { padding: 'pkcs1' | 'pss', dsaEncoding: 'der' | 'ieee-p1363' }
+     * @returns {boolean} - True if the signature is valid
+     */
+    verifySignature: function(hashAlgorithm, data, signature, key, options = {}) {
+        const nodeCrypto = this.requireNodeCrypto('Public-key verification');
+        const keyObject = key && key.type === 'public' ? key : this.importPublicKey(key);
+        const dataBytes = typeof data === 'string' ? this.utf8ToBytes(data) : data;
+        const verifyOptions = { key: keyObject };
+
+        if (options.padding === 'pss') {
+            verifyOptions.padding = nodeCrypto.constants.RSA_PKCS1_PSS_PADDING;
+            verifyOptions.saltLength = nodeCrypto.constants.RSA_PSS_SALTLEN_DIGEST;
+        }
+        if (options.dsaEncoding) {
+            verifyOptions.dsaEncoding = options.dsaEncoding;
+        }
+
+        return nodeCrypto.verify(hashAlgorithm, dataBytes, verifyOptions, signature);
+    },
+
+    /**
+     * Create a public-key signature
+     * @param {string|null} hashAlgorithm - 'sha256', 'sha384', 'sha512' (null for Ed25519)
+     * @param {string|Uint8Array} data - Data to sign (UTF-8 text or bytes)
+     * @param {string|Object} privateKey - PEM private key or JWK
+     * @param {Object} options - { padding: 'pkcs1' | 'pss', dsaEncoding: 'der' | 'ieee-p1363' }
+     * @returns {Uint8Array} - Signature bytes
+     */
+    signData: function(hashAlgorithm, data, privateKey, options = {}) {
+        const nodeCrypto = this.requireNodeCrypto('Public-key signing');
+        const keyObject = privateKey && typeof privateKey === 'object' && privateKey.kty
+            ? nodeCrypto.createPrivateKey({ key: privateKey, format: 'jwk' })
+            : nodeCrypto.createPrivateKey(privateKey);
+        const dataBytes = typeof data === 'string' ? this.utf8ToBytes(data) : data;
+        const signOptions = { key: keyObject };
+
+        if (options.padding === 'pss') {
+            signOptions.padding = nodeCrypto.constants.RSA_PKCS1_PSS_PADDING;
+            signOptions.saltLength = nodeCrypto.constants.RSA_PSS_SALTLEN_DIGEST;
+        }
+        if (options.dsaEncoding) {
+            signOptions.dsaEncoding = options.dsaEncoding;
+        }
+
+        return new Uint8Array(nodeCrypto.sign(hashAlgorithm, dataBytes, signOptions));
+    },
+
+    /**
+     * Get Node's crypto module or fail with a clear message inside the Postman sandbox
+     * @param {string} feature - Feature name for the error message
+     * @returns {Object} - crypto module
+     */
+    requireNodeCrypto: function(feature) {
+        const nodeCrypto = this.getNodeCrypto();
+        if (!nodeCrypto) {
+            throw new Error(`${feature} needs Node's crypto module; run the collection with collection-runner.js`);
+        }
+        return nodeCrypto;
+    },
+
+    /**
+     * Compare two strings in constant time
+     * @param {string} a - First value
+     * @param {string} b - Second value
+     * @returns {boolean} - True if equal
+     */
+    timingSafeEqual: function(a, b) {
+        if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+            return false;
+        }
+        let diff = 0;
+        for (let i = 0; i < a.length; i++) {
+            diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+        }
+        return diff === 0;
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CryptoUtils;
+}
+
+// Usage Examples:
+/*
+// PKCE code challenge
+const verifier = CryptoUtils.base64UrlEncode(CryptoUtils.randomBytes(32));
+const challenge = CryptoUtils.hash('sha256', verifier, 'base64url');
+
+// Webhook signature
+const signature = CryptoUtils.hmac('sha256', pm.environment.get('webhook_secret'), pm.request.body.raw);
+*/
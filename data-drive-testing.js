@@ -10,13 +10,13 @@ const DataDrivenTesting = {
     // =============================================================================
 
     /**
-     * Load test data from environment variable
+     * Load test data from environment variable (or the collection variable DataLoader.store writes)
      * @param {string} dataKey - Environment variable key containing test data
      * @returns {Array} - Array of test scenarios
      */
     loadTestData: function(dataKey = 'testData') {
         try {
-            const testDataString = pm.environment.get(dataKey);
+            const testDataString = pm.environment.get(dataKey) || pm.collectionVariables.get(dataKey);
             if (!testDataString) {
                 console.error(`No test data found for key: ${dataKey}`);
                 return [];
@@ -114,31 +114,34 @@ const DataDrivenTesting = {
      * @returns {Array} - Array of user registration test scenarios
      */
     generateUserRegistrationData: function(count = 5) {
+        const data = this.getDataEngine();
+        const prefix = this.getCleanupRegistry().getNamePrefix();
         const scenarios = [];
         const domains = ['example.com', 'test.org', 'demo.net'];
         const firstNames = ['John', 'Jane', 'Mike', 'Sarah', 'David', 'Lisa'];
         const lastNames = ['Smith', 'Johnson', 'Williams', 'Brown', 'Jones', 'Garcia'];
         
         for (let i = 0; i < count; i++) {
-            const firstName = firstNames[Math.floor(Math.random() * firstNames.length)];
-            const lastName = lastNames[Math.floor(Math.random() * lastNames.length)];
-            const domain = domains[Math.floor(Math.random() * domains.length)];
+            const firstName = data.pick(firstNames);
+            const lastName = data.pick(lastNames);
+            const domain = data.pick(domains);
             
             scenarios.push({
                 description: `User registration scenario ${i + 1}`,
                 input: {
                     firstName: firstName,
                     lastName: lastName,
-                    email: `${firstName.toLowerCase()}.${lastName.toLowerCase()}${i}@${domain}`,
+                    email: `${prefix}${firstName.toLowerCase()}.${lastName.toLowerCase()}${i}@${domain}`,
                     password: `SecurePass${i}!`,
-                    age: Math.floor(Math.random() * 50) + 18,
+                    age: data.int(18, 67),
                     country: 'US'
                 },
                 expectedStatus: 201,
                 expectedResponse: {
                     status: 'success',
                     verified: false
-                }
+                },
+                cleanup: { type: 'user' }
             });
         }
         
@@ -151,28 +154,31 @@ const DataDrivenTesting = {
      * @returns {Array} - Array of product creation test scenarios
      */
     generateProductData: function(count = 5) {
+        const data = this.getDataEngine();
+        const prefix = this.getCleanupRegistry().getNamePrefix();
         const scenarios = [];
         const categories = ['Electronics', 'Clothing', 'Books', 'Home', 'Sports'];
         const productTypes = ['Laptop', 'Shirt', 'Novel', 'Chair', 'Ball'];
         
         for (let i = 0; i < count; i++) {
-            const category = categories[Math.floor(Math.random() * categories.length)];
-            const productType = productTypes[Math.floor(Math.random() * productTypes.length)];
+            const category = data.pick(categories);
+            const productType = data.pick(productTypes);
             
             scenarios.push({
                 description: `Product creation scenario ${i + 1}`,
                 input: {
-                    name: `${productType} ${i + 1}`,
+                    name: `${prefix}${productType} ${i + 1}`,
                     description: `High quality ${productType.toLowerCase()} for testing`,
-                    price: Math.floor(Math.random() * 1000) + 10,
+                    price: data.int(10, 1009),
                     category: category,
-                    inStock: Math.random() > 0.2,
-                    quantity: Math.floor(Math.random() * 100) + 1
+                    inStock: data.bool(0.8),
+                    quantity: data.int(1, 100)
                 },
                 expectedStatus: 201,
                 expectedResponse: {
                     status: 'created'
-                }
+                },
+                cleanup: { type: 'product' }
             });
         }
         
@@ -186,64 +192,167 @@ const DataDrivenTesting = {
     /**
      * Execute data-driven test for current scenario
      * @param {Object} config - Test configuration
+     * @param {Object} config.scenario - Scenario to run instead of the stored one (e.g. DataLoader.fromIterationData())
+     * @param {Object|boolean} config.retry - Retry policy overrides, or false to disable retries (see RetryPolicy)
+     * @returns {Promise<Object>} - Scenario result (see completeScenario, or WorkflowEngine.run for scenarios with steps)
      */
     executeDataDrivenTest: function(config) {
         const {
             dataKey = 'testData',
             requestConfig,
-            validationFunction
+            retry = {}
         } = config;
         
-        const scenario = this.getCurrentScenario(dataKey);
+        const stored = config.scenario || this.getCurrentScenario(dataKey);
         
-        if (!scenario) {
+        if (!stored) {
             console.log('No more test scenarios to execute');
-            return;
+            return Promise.resolve(null);
+        }
+        
+        // Scenarios with steps are workflows; their placeholders resolve step by step
+        if (Array.isArray(stored.steps)) {
+            return this.executeWorkflowScenario(stored, config);
         }
         
+        // {{variable}} placeholders resolve now, so tokens and ids set earlier in the run apply
+        const scenario = this.getDataLoader().resolveTemplates(stored);
+        
         console.log(`Executing: ${scenario.description}`);
         
         // Prepare request with scenario data
-        const request = {
-            ...requestConfig,
-            body: {
-                ...requestConfig.body,
-                raw: JSON.stringify(scenario.input)
-            }
-        };
+        const request = this.buildScenarioRequest(scenario, requestConfig);
         
-        // Execute request
-        pm.sendRequest(request, (err, response) => {
-            if (err) {
-                pm.test(`${scenario.description} - Request failed`, () => {
-                    pm.expect.fail(`Request error: ${err.message}`);
+        // Execute request, retrying transient failures
+        return this.getRetryPolicy().send(request, retry, scenario.expectedStatus)
+            .then(outcome => this.completeScenario(scenario, outcome, config));
+    },
+
+    /**
+     * Execute a multi-step scenario (see WorkflowEngine) and store its result
+     * @param {Object} scenario - Scenario with steps (and optional variables and input)
+     * @param {Object} config - Test configuration; stopOnFailure, persist and retry are passed to the workflow
+     * @returns {Promise<Object>} - Workflow result
+     */
+    executeWorkflowScenario: function(scenario, config) {
+        const { storeResults = true } = config;
+
+        console.log(`Executing workflow: ${scenario.description}`);
+
+        return this.getWorkflowEngine().run(scenario, config).then(result => {
+            if (storeResults) {
+                const last = result.steps.filter(step => !step.skipped).pop();
+                this.storeTestResult(scenario, { code: last ? last.status : null, responseTime: result.duration }, {
+                    passed: result.passed,
+                    errorMessage: result.passed ? null : `Step "${result.failedStep}": ${result.error}`
                 });
-                return;
             }
-            
-            // Run validations
-            pm.test(`${scenario.description} - Status code`, () => {
-                pm.expect(response.code).to.equal(scenario.expectedStatus);
-            });
-            
-            if (scenario.expectedResponse) {
-                pm.test(`${scenario.description} - Response validation`, () => {
-                    const responseData = response.json();
-                    Object.keys(scenario.expectedResponse).forEach(key => {
-                        pm.expect(responseData).to.have.property(key);
-                        pm.expect(responseData[key]).to.equal(scenario.expectedResponse[key]);
-                    });
+            return result;
+        });
+    },
+
+    /**
+     * Report a scenario's outcome: request failure or expectations, cleanup registration
+     * (scenario.cleanup, see CleanupRegistry), custom validation, stored result and flakiness history. Failures of quarantined scenarios are skipped.
+     * @param {Object} scenario - Test scenario
+     * @param {Object} outcome - { response, error, attempts } from RetryPolicy.send
+     * @param {Object} config - { validationFunction, storeResults (default true), trackFlakiness (default true) }
+     * @returns {Object} - { scenario, status, responseTime, attempts, passed, flaky, quarantined, error }
+     */
+    completeScenario: function(scenario, outcome, config = {}) {
+        const { response, error, attempts = [] } = outcome;
+        const { validationFunction, storeResults = true, trackFlakiness = true } = config;
+        const retryPolicy = this.getRetryPolicy();
+        const key = retryPolicy.scenarioKey(scenario);
+        const quarantined = retryPolicy.isQuarantined(key);
+        let passed = false;
+        let failure = null;
+        let assertions = [];
+
+        if (error) {
+            failure = `Request error: ${error.message}`;
+            if (quarantined) {
+                console.warn(`${scenario.description} - Request failed (quarantined): ${error.message}`);
+                pm.test.skip(`${scenario.description} - Request failed (quarantined)`, () => {});
+            } else {
+                pm.test(`${scenario.description} - Request failed`, () => {
+                    pm.expect.fail(failure);
                 });
             }
-            
+        } else {
+            // Run validations (status, headers, response time and body expectations)
+            const verification = this.getResponseExpectations().verify(scenario, response, { quarantined });
+            passed = verification.passed;
+            failure = passed ? null : verification.results.filter(r => !r.passed).map(r => r.name).join('; ');
+            assertions = verification.results.map(r => ({ name: r.name, passed: r.passed, error: r.passed ? null : this.getResponseExpectations().formatMismatches(r.mismatches) }));
+
+            // Whatever the expectations say, a resource that was created must be torn down
+            if (scenario.cleanup) {
+                this.getCleanupRegistry().registerFromResponse(response, scenario.cleanup);
+            }
+
             // Custom validation function
             if (validationFunction && typeof validationFunction === 'function') {
                 validationFunction(scenario, response);
             }
-            
-            // Store results
-            this.storeTestResult(scenario, response);
-        });
+        }
+
+        const flaky = passed && attempts.length > 1;
+
+        if (storeResults) {
+            this.storeTestResult(scenario, response, { attempts, error, quarantined, passed, assertions });
+        }
+        if (trackFlakiness) {
+            retryPolicy.recordOutcome(key, !passed ? 'fail' : (flaky ? 'retry-pass' : 'pass'));
+        }
+
+        return {
+            scenario: scenario.description,
+            status: response ? response.code : null,
+            responseTime: response ? response.responseTime : null,
+            attempts: attempts.length,
+            passed,
+            flaky,
+            quarantined,
+            error: failure
+        };
+    },
+
+    /**
+     * Build the pm.sendRequest options for a scenario
+     * @param {Object} scenario - Test scenario
+     * @param {Object|Function} requestConfig - Request options (scenario input becomes the raw body), or Function(scenario)
+     * @returns {Object} - Request options
+     */
+    buildScenarioRequest: function(scenario, requestConfig) {
+        if (typeof requestConfig === 'function') {
+            return requestConfig(scenario);
+        }
+
+        return {
+            ...requestConfig,
+            body: {
+                ...requestConfig.body,
+                raw: JSON.stringify(scenario.input)
+            }
+        };
+    },
+
+    /**
+     * Run all scenarios from one script with bounded concurrency (see ScenarioExecutor)
+     * @param {Object} config - Test configuration plus concurrency, timeout and rateLimit
+     * @returns {Promise<Object>} - { results, passed, failed, duration }
+     */
+    runAllScenariosConcurrently: function(config) {
+        const { dataKey = 'testData' } = config;
+        const testData = config.scenarios || this.loadTestData(dataKey);
+
+        if (testData.length === 0) {
+            console.log('No test data available');
+            return Promise.resolve({ results: [], passed: 0, failed: 0, duration: 0 });
+        }
+
+        return this.getScenarioExecutor().run(testData, config);
     },
 
     /**
@@ -280,43 +389,57 @@ const DataDrivenTesting = {
     // =============================================================================
 
     /**
-     * Store test result for scenario
+     * Store test result for scenario (see ResultStore; source 'scenario')
      * @param {Object} scenario - Test scenario
-     * @param {Object} response - Response object
+     * @param {Object} response - Response object (null when the request failed)
+     * @param {Object} details - { attempts, error, errorMessage, quarantined, passed, assertions } (optional; passed defaults to the status check)
+     * @returns {Object} - Stored record
      */
-    storeTestResult: function(scenario, response) {
-        const result = {
-            scenario: scenario.description,
-            timestamp: new Date().toISOString(),
-            status: response.code,
-            responseTime: response.responseTime,
-            success: response.code === scenario.expectedStatus,
-            errorMessage: response.code !== scenario.expectedStatus ? 
-                `Expected ${scenario.expectedStatus}, got ${response.code}` : null
-        };
-        
-        // Get existing results
-        let testResults = [];
-        try {
-            testResults = JSON.parse(pm.environment.get('testResults') || '[]');
-        } catch (error) {
-            console.error('Failed to parse existing test results');
+    storeTestResult: function(scenario, response, details = {}) {
+        const { attempts = [], error = null, quarantined = false } = details;
+        const statusMatches = Boolean(response) && (scenario.expectedStatus === undefined ||
+            this.getResponseExpectations().statusMatches(scenario.expectedStatus, response.code));
+        const success = details.passed !== undefined ? details.passed : statusMatches;
+
+        let errorMessage = null;
+        if (details.errorMessage) {
+            errorMessage = details.errorMessage;
+        } else if (error) {
+            errorMessage = `Request error: ${error.message}`;
+        } else if (response && !statusMatches) {
+            errorMessage = `Expected ${JSON.stringify(scenario.expectedStatus)}, got ${response.code}`;
+        } else if (!success) {
+            errorMessage = 'Response expectations failed';
         }
-        
-        testResults.push(result);
-        pm.environment.set('testResults', JSON.stringify(testResults));
+
+        return this.getResultStore().record({
+            source: 'scenario',
+            scenario: scenario.description,
+            response: response || null,
+            success,
+            error: errorMessage,
+            attempts,
+            assertions: details.assertions || [],
+            tags: scenario.tags || [],
+            data: {
+                retried: attempts.length > 1,
+                flaky: success && attempts.length > 1,
+                quarantined
+            }
+        });
     },
 
     /**
-     * Get test results summary
+     * Get test results summary. Quarantined failures are listed separately and do not count as failed.
+     * @param {Object} filter - ResultStore query filter (default: this run)
      * @returns {Object} - Test results summary
      */
-    getTestResultsSummary: function() {
+    getTestResultsSummary: function(filter = { runId: 'current' }) {
         let testResults = [];
         try {
-            testResults = JSON.parse(pm.environment.get('testResults') || '[]');
+            testResults = this.getResultStore().query({ ...filter, source: 'scenario' });
         } catch (error) {
-            return { error: 'Failed to parse test results' };
+            return { error: `Failed to read test results: ${error.message}` };
         }
         
         if (testResults.length === 0) {
@@ -325,18 +448,26 @@ const DataDrivenTesting = {
         
         const totalTests = testResults.length;
         const passedTests = testResults.filter(r => r.success).length;
-        const failedTests = totalTests - passedTests;
-        const avgResponseTime = testResults.reduce((sum, r) => sum + r.responseTime, 0) / totalTests;
+        const quarantined = testResults.filter(r => !r.success && r.data.quarantined);
+        const failed = testResults.filter(r => !r.success && !r.data.quarantined);
+        const timed = testResults.filter(r => typeof r.responseTime === 'number');
+        const avgResponseTime = timed.length > 0 ? timed.reduce((sum, r) => sum + r.responseTime, 0) / timed.length : 0;
         
         return {
             totalTests,
             passedTests,
-            failedTests,
+            failedTests: failed.length,
+            quarantinedTests: quarantined.length,
+            retriedTests: testResults.filter(r => r.data.retried).length,
             successRate: `${((passedTests / totalTests) * 100).toFixed(2)}%`,
             avgResponseTime: Math.round(avgResponseTime),
-            failedScenarios: testResults.filter(r => !r.success).map(r => ({
+            failedScenarios: failed.map(r => ({
+                scenario: r.scenario,
+                error: r.error
+            })),
+            quarantinedScenarios: quarantined.map(r => ({
                 scenario: r.scenario,
-                error: r.errorMessage
+                error: r.error
             }))
         };
     },
@@ -345,7 +476,7 @@ const DataDrivenTesting = {
      * Clear test results
      */
     clearTestResults: function() {
-        pm.environment.unset('testResults');
+        this.getResultStore().clear({ source: 'scenario' });
         pm.environment.unset('currentScenarioIndex');
         console.log('Test results cleared');
     },
@@ -356,76 +487,91 @@ const DataDrivenTesting = {
 
     /**
      * Generate boundary value test cases
+     * (partitions, length/range/date/array/enum boundaries, null, missing and wrong-type values; see TestDesign)
      * @param {Object} fieldConfig - Field configuration for boundary testing
+     * @param {Object} options - { base, validStatus, invalidStatus, strength } to return runnable scenarios (optional)
      * @returns {Array} - Array of boundary test scenarios
      */
-    generateBoundaryTests: function(fieldConfig) {
-        const scenarios = [];
-        
-        Object.keys(fieldConfig).forEach(fieldName => {
-            const config = fieldConfig[fieldName];
-            
-            if (config.type === 'string' && config.maxLength) {
-                // String length boundary tests
-                scenarios.push({
-                    description: `${fieldName} - Empty string`,
-                    field: fieldName,
-                    value: '',
-                    expectedValid: config.required === false
-                });
-                
-                scenarios.push({
-                    description: `${fieldName} - Max length`,
-                    field: fieldName,
-                    value: 'a'.repeat(config.maxLength),
-                    expectedValid: true
-                });
-                
-                scenarios.push({
-                    description: `${fieldName} - Over max length`,
-                    field: fieldName,
-                    value: 'a'.repeat(config.maxLength + 1),
-                    expectedValid: false
-                });
-            }
-            
-            if (config.type === 'number') {
-                // Numeric boundary tests
-                if (config.min !== undefined) {
-                    scenarios.push({
-                        description: `${fieldName} - Minimum value`,
-                        field: fieldName,
-                        value: config.min,
-                        expectedValid: true
-                    });
-                    
-                    scenarios.push({
-                        description: `${fieldName} - Below minimum`,
-                        field: fieldName,
-                        value: config.min - 1,
-                        expectedValid: false
-                    });
-                }
-                
-                if (config.max !== undefined) {
-                    scenarios.push({
-                        description: `${fieldName} - Maximum value`,
-                        field: fieldName,
-                        value: config.max,
-                        expectedValid: true
-                    });
-                    
-                    scenarios.push({
-                        description: `${fieldName} - Above maximum`,
-                        field: fieldName,
-                        value: config.max + 1,
-                        expectedValid: false
-                    });
-                }
-            }
-        });
-        
-        return scenarios;
+    generateBoundaryTests: function(fieldConfig, options = null) {
+        const design = this.getTestDesign();
+
+        if (options && options.base) {
+            return design.generateScenarios({ strength: 0, ...options, fields: fieldConfig });
+        }
+
+        return design.generateCases(fieldConfig);
+    },
+
+    /**
+     * Resolve the DataEngine helper (sandbox global or Node module)
+     * @returns {Object} - DataEngine
+     */
+    getDataEngine: function() {
+        return typeof DataEngine !== 'undefined' ? DataEngine : require('./data-engine');
+    },
+
+    /**
+     * Resolve the DataLoader helper (sandbox global or Node module)
+     * @returns {Object} - DataLoader
+     */
+    getDataLoader: function() {
+        return typeof DataLoader !== 'undefined' ? DataLoader : require('./data-loader');
+    },
+
+    /**
+     * Resolve the ResponseExpectations helper (sandbox global or Node module)
+     * @returns {Object} - ResponseExpectations
+     */
+    getResponseExpectations: function() {
+        return typeof ResponseExpectations !== 'undefined' ? ResponseExpectations : require('./response-expectations');
+    },
+
+    /**
+     * Resolve the TestDesign helper (sandbox global or Node module)
+     * @returns {Object} - TestDesign
+     */
+    getTestDesign: function() {
+        return typeof TestDesign !== 'undefined' ? TestDesign : require('./test-design');
+    },
+
+    /**
+     * Resolve the ScenarioExecutor helper (sandbox global or Node module)
+     * @returns {Object} - ScenarioExecutor
+     */
+    getScenarioExecutor: function() {
+        return typeof ScenarioExecutor !== 'undefined' ? ScenarioExecutor : require('./scenario-executor');
+    },
+
+    /**
+     * Resolve the RetryPolicy helper (sandbox global or Node module)
+     * @returns {Object} - RetryPolicy
+     */
+    getRetryPolicy: function() {
+        return typeof RetryPolicy !== 'undefined' ? RetryPolicy : require('./retry-policy');
+    },
+
+    /**
+     * Resolve the WorkflowEngine helper (sandbox global or Node module)
+     * @returns {Object} - WorkflowEngine
+     */
+    getWorkflowEngine: function() {
+        return typeof WorkflowEngine !== 'undefined' ? WorkflowEngine : require('./workflow-engine');
+    },
+
+    /**
+     * Resolve the CleanupRegistry helper (sandbox global or Node module)
+     * @returns {Object} - CleanupRegistry
+     */
+    getCleanupRegistry: function() {
+        return typeof CleanupRegistry !== 'undefined' ? CleanupRegistry : require('./cleanup-registry');
+    },
+
+    /**
+     * Resolve the ResultStore helper (sandbox global or Node module)
+     * @returns {Object} - ResultStore
+     */
+    getResultStore: function() {
+        return typeof ResultStore !== 'undefined' ? ResultStore : require('./result-store');
     }
 };
 
@@ -0,0 +1,552 @@
+/**
+ * Iteration Data Loader for Postman
+ * Turns CSV, JSON and NDJSON files into DataDrivenTesting scenarios:
+ * typed CSV headers, nested field paths, tag filtering and {{variable}} templates
+ */
+
+const DataLoader = {
+
+    /**
+     * Columns that belong to the scenario itself; anything else is request input
+     */
+    scenarioFields: ['description', 'input', 'expectedStatus', 'expectedResponse', 'expectedHeaders', 'maxResponseTime', 'matchMode', 'tags', 'steps', 'variables', 'cleanup'],
+
+    /**
+     * Delimiters tried when a CSV file does not specify one
+     */
+    delimiters: [',', ';', '\t', '|'],
+
+    /**
+     * Header type coercions (`age:number`, `active:boolean`, `roles:array`)
+     */
+    coercions: {
+        string: value => value,
+        number: value => {
+            const number = Number(value);
+            if (value.trim() === '' || isNaN(number)) throw new Error(`"${value}" is not a number`);
+            return number;
+        },
+        integer: value => {
+            const number = Number(value);
+            if (!Number.isInteger(number) || value.trim() === '') throw new Error(`"${value}" is not an integer`);
+            return number;
+        },
+        boolean: value => {
+            const normalized = value.trim().toLowerCase();
+            if (['true', 'yes', 'y', '1'].includes(normalized)) return true;
+            if (['false', 'no', 'n', '0'].includes(normalized)) return false;
+            throw new Error(`"${value}" is not a boolean`);
+        },
+        json: value => JSON.parse(value),
+        array: value => value === '' ? [] : value.split('|').map(item => item.trim())
+    },
+
+    // =============================================================================
+    // LOADING
+    // =============================================================================
+
+    /**
+     * Load scenarios from text or (in Node) a file path
+     * @param {string} source - File content, or a file path when running under Node
+     * @param {Object} options - { format: 'csv'|'json'|'ndjson', delimiter, tags, name }
+     * @returns {Array} - Scenarios ({ description, input, expectedStatus, expectedResponse, tags })
+     */
+    load: function(source, options = {}) {
+        let content = source;
+        let format = options.format;
+        let name = options.name;
+
+        if (this.isFilePath(source)) {
+            content = require('fs').readFileSync(source, 'utf8');
+            format = format || this.formatFromExtension(source);
+            name = name || require('path').basename(source);
+        }
+
+        const rows = this.parse(content, { ...options, format, empty: 'omit' });
+        const scenarios = this.toScenarios(rows, { name });
+        return options.tags ? this.filterByTags(scenarios, options.tags) : scenarios;
+    },
+
+    /**
+     * Load scenarios from a URL (raw file in a repo, object storage, ...)
+     * @param {string} url - Data file URL
+     * @param {Object} options - load() options plus dataKey to store the result under
+     * @param {Function} callback - Function(err, scenarios)
+     */
+    loadFromUrl: function(url, options, callback) {
+        pm.sendRequest({ url, method: 'GET' }, (err, response) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            let scenarios;
+            try {
+                scenarios = this.load(response.text(), {
+                    ...options,
+                    format: options.format || this.formatFromExtension(url.split('?')[0])
+                });
+                if (options.dataKey) {
+                    this.store(scenarios, options.dataKey);
+                }
+            } catch (error) {
+                callback(new Error(`Failed to load iteration data from ${url}: ${error.message}`));
+                return;
+            }
+            callback(null, scenarios);
+        });
+    },
+
+    /**
+     * Build a scenario from the current runner data row (pm.iterationData)
+     * @returns {Object} - Scenario
+     */
+    fromIterationData: function() {
+        const row = pm.iterationData.toObject();
+        const [scenario] = this.toScenarios([row], { name: `Iteration ${pm.info.iteration + 1}` });
+        return scenario;
+    },
+
+    /**
+     * Store scenarios in collection variables, keeping the environment small.
+     * DataDrivenTesting.loadTestData falls back to this scope.
+     * @param {Array} scenarios - Scenarios
+     * @param {string} dataKey - Variable key (default 'testData')
+     */
+    store: function(scenarios, dataKey = 'testData') {
+        pm.collectionVariables.set(dataKey, JSON.stringify(scenarios));
+        console.log(`Stored ${scenarios.length} test scenarios in collection variable ${dataKey}`);
+    },
+
+    // =============================================================================
+    // PARSING
+    // =============================================================================
+
+    /**
+     * Parse data file content into row objects
+     * @param {string} content - File content
+     * @param {Object} options - { format, delimiter, empty }
+     * @returns {Array} - Rows
+     */
+    parse: function(content, options = {}) {
+        const text = String(content).replace(/^\uFEFF/, '');
+        const format = options.format || this.detectFormat(text);
+
+        switch (format) {
+            case 'csv':
+            case 'tsv':
+                return this.parseCsv(text, { ...options, delimiter: options.delimiter || (format === 'tsv' ? '\t' : undefined) });
+            case 'json':
+                return this.parseJson(text);
+            case 'ndjson':
+            case 'jsonl':
+                return this.parseNdjson(text);
+            default:
+                throw new Error(`Unsupported data format ${format}`);
+        }
+    },
+
+    /**
+     * Parse CSV with quoting, a configurable delimiter and typed headers (`name:type`)
+     * @param {string} content - CSV text
+     * @param {Object} options - { delimiter (detected when omitted), empty: 'string' (default) or 'omit' }
+     * @returns {Array} - Row objects keyed by header name
+     */
+    parseCsv: function(content, options = {}) {
+        const text = String(content).replace(/^\uFEFF/, '');
+        const delimiter = options.delimiter || this.detectDelimiter(text);
+        const records = [];
+        let record = [];
+        let field = { value: '', quoted: false };
+        let inQuotes = false;
+
+        const endField = () => {
+            record.push(field);
+            field = { value: '', quoted: false };
+        };
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field.value += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field.value += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+                field.quoted = true;
+            } else if (char === delimiter) {
+                endField();
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                endField();
+                records.push(record);
+                record = [];
+            } else {
+                field.value += char;
+            }
+        }
+
+        if (inQuotes) {
+            throw new Error(`Unterminated quoted field in CSV record ${records.length + 1}`);
+        }
+        if (field.value !== '' || field.quoted || record.length > 0) {
+            endField();
+            records.push(record);
+        }
+
+        const rows = records.filter(r => r.length > 1 || r[0].value !== '' || r[0].quoted);
+        const [header = [], ...data] = rows;
+        const columns = header.map(cell => this.parseHeader(cell.value));
+
+        return data.map((values, rowIndex) => columns.reduce((row, column, index) => {
+            const cell = values[index] || { value: '', quoted: false };
+
+            if (cell.value === '' && !cell.quoted) {
+                if (options.empty !== 'omit') row[column.name] = '';
+                return row;
+            }
+
+            try {
+                row[column.name] = column.type !== 'string' && cell.value === 'null' && !cell.quoted
+                    ? null
+                    : this.coercions[column.type](cell.value);
+            } catch (error) {
+                throw new Error(`CSV row ${rowIndex + 2}, column ${column.name}: ${error.message}`);
+            }
+            return row;
+        }, {}));
+    },
+
+    /**
+     * Parse a JSON array of rows (or { scenarios: [...] })
+     * @param {string} content - JSON text
+     * @returns {Array} - Rows
+     */
+    parseJson: function(content) {
+        const doc = JSON.parse(content);
+        const rows = Array.isArray(doc) ? doc : doc && doc.scenarios;
+        if (!Array.isArray(rows)) {
+            throw new Error('JSON iteration data must be an array or an object with a scenarios array');
+        }
+        return rows;
+    },
+
+    /**
+     * Parse newline-delimited JSON (one row object per line)
+     * @param {string} content - NDJSON text
+     * @returns {Array} - Rows
+     */
+    parseNdjson: function(content) {
+        return content.split(/\r?\n/).reduce((rows, line, index) => {
+            if (line.trim() === '') return rows;
+            try {
+                rows.push(JSON.parse(line));
+            } catch (error) {
+                throw new Error(`NDJSON line ${index + 1}: ${error.message}`);
+            }
+            return rows;
+        }, []);
+    },
+
+    /**
+     * Split a typed header cell (`age:number`) into name and type
+     * @param {string} cell - Header cell
+     * @returns {Object} - { name, type }
+     */
+    parseHeader: function(cell) {
+        const match = cell.trim().match(/^(.*?):(string|number|integer|int|boolean|bool|json|array)$/i);
+        if (!match) {
+            return { name: cell.trim(), type: 'string' };
+        }
+        const aliases = { int: 'integer', bool: 'boolean' };
+        const type = match[2].toLowerCase();
+        return { name: match[1].trim(), type: aliases[type] || type };
+    },
+
+    // =============================================================================
+    // SCENARIOS
+    // =============================================================================
+
+    /**
+     * Convert rows into executeDataDrivenTest scenarios. Dotted keys (`input.address.city`)
+     * build nested objects; keys outside scenarioFields are treated as input fields.
+     * @param {Array} rows - Row objects
+     * @param {Object} options - { name } used for default descriptions
+     * @returns {Array} - Scenarios
+     */
+    toScenarios: function(rows, options = {}) {
+        return rows.map((row, index) => {
+            const scenario = { description: undefined, input: {} };
+
+            Object.keys(row).forEach(key => {
+                const path = key.split('.');
+                const target = this.scenarioFields.includes(path[0]) ? path : ['input', ...path];
+                this.setPath(scenario, target, row[key]);
+            });
+
+            if (!scenario.description) {
+                scenario.description = `${options.name || 'Scenario'} ${index + 1}`;
+            }
+            ['expectedStatus', 'maxResponseTime'].forEach(field => {
+                if (typeof scenario[field] === 'string' && scenario[field].trim() !== '' && !isNaN(Number(scenario[field]))) {
+                    scenario[field] = Number(scenario[field]);
+                }
+            });
+            scenario.tags = this.normalizeTags(scenario.tags);
+            return scenario;
+        });
+    },
+
+    /**
+     * Normalise tags from a cell (`@smoke @negative`, `smoke,negative`) or array
+     * @param {string|Array} tags - Tags
+     * @returns {Array} - Tags prefixed with @
+     */
+    normalizeTags: function(tags) {
+        const list = Array.isArray(tags) ? tags : String(tags || '').split(/[\s,|]+/);
+        return list
+            .map(tag => String(tag).trim())
+            .filter(Boolean)
+            .map(tag => tag.startsWith('@') ? tag : `@${tag}`);
+    },
+
+    /**
+     * Filter scenarios by tags
+     * @param {Array} scenarios - Scenarios
+     * @param {string|Array} expression - Tag expression (`@smoke and not @slow`, `@a or (@b and @c)`)
+     *                                    or an array of tags of which any must match
+     * @returns {Array} - Matching scenarios
+     */
+    filterByTags: function(scenarios, expression) {
+        const matches = Array.isArray(expression)
+            ? tags => this.normalizeTags(expression).some(tag => tags.includes(tag))
+            : this.compileTagExpression(expression);
+
+        return scenarios.filter(scenario => matches(this.normalizeTags(scenario.tags)));
+    },
+
+    /**
+     * Compile a tag expression (and, or, not, parentheses) into a predicate
+     * @param {string} expression - Tag expression
+     * @returns {Function} - Predicate over an array of tags
+     */
+    compileTagExpression: function(expression) {
+        const tokens = String(expression).match(/\(|\)|[^\s()]+/g) || [];
+        let position = 0;
+
+        const fail = message => {
+            throw new Error(`Invalid tag expression "${expression}": ${message}`);
+        };
+
+        const parseOr = () => {
+            let left = parseAnd();
+            while (tokens[position] === 'or') {
+                position++;
+                const l = left, r = parseAnd();
+                left = tags => l(tags) || r(tags);
+            }
+            return left;
+        };
+
+        const parseAnd = () => {
+            let left = parseNot();
+            while (tokens[position] === 'and') {
+                position++;
+                const l = left, r = parseNot();
+                left = tags => l(tags) && r(tags);
+            }
+            return left;
+        };
+
+        const parseNot = () => {
+            if (tokens[position] === 'not') {
+                position++;
+                const operand = parseNot();
+                return tags => !operand(tags);
+            }
+            const token = tokens[position++];
+            if (token === '(') {
+                const inner = parseOr();
+                if (tokens[position++] !== ')') fail('missing )');
+                return inner;
+            }
+            if (!token || ['and', 'or', ')'].includes(token)) fail(`unexpected ${token || 'end'}`);
+            const tag = this.normalizeTags([token])[0];
+            return tags => tags.includes(tag);
+        };
+
+        const predicate = parseOr();
+        if (position < tokens.length) fail(`unexpected ${tokens[position]}`);
+        return predicate;
+    },
+
+    // =============================================================================
+    // TEMPLATING
+    // =============================================================================
+
+    /**
+     * Resolve {{variable}} placeholders in every string of a value.
+     * A string that is exactly one placeholder takes the variable's value as-is;
+     * unresolved placeholders are left in place.
+     * @param {*} value - Scenario, object, array or string
+     * @param {Function|Object} variables - Lookup function or object (default: environment, then pm.variables)
+     * @returns {*} - Copy with placeholders resolved
+     */
+    resolveTemplates: function(value, variables = null) {
+        const lookup = typeof variables === 'function'
+            ? variables
+            : variables
+                ? name => variables[name]
+                : name => pm.environment.has(name) ? pm.environment.get(name) : pm.variables.get(name);
+
+        const resolve = node => {
+            if (typeof node === 'string') {
+                const whole = node.match(/^\{\{\s*([^{}]+?)\s*\}\}$/);
+                if (whole) {
+                    const resolved = lookup(whole[1]);
+                    return resolved === undefined ? node : resolved;
+                }
+                return node.replace(/\{\{\s*([^{}]+?)\s*\}\}/g, (placeholder, name) => {
+                    const resolved = lookup(name);
+                    return resolved === undefined ? placeholder : String(resolved);
+                });
+            }
+            if (Array.isArray(node)) {
+                return node.map(resolve);
+            }
+            if (node && typeof node === 'object') {
+                return Object.keys(node).reduce((acc, key) => {
+                    acc[key] = resolve(node[key]);
+                    return acc;
+                }, {});
+            }
+            return node;
+        };
+
+        return resolve(value);
+    },
+
+    // =============================================================================
+    // UTILITY FUNCTIONS
+    // =============================================================================
+
+    /**
+     * Detect the format of data file content
+     * @param {string} text - Content
+     * @returns {string} - 'json', 'ndjson' or 'csv'
+     */
+    detectFormat: function(text) {
+        const trimmed = text.trim();
+        if (trimmed.startsWith('[')) return 'json';
+        if (trimmed.startsWith('{')) {
+            const lines = trimmed.split(/\r?\n/).filter(line => line.trim() !== '');
+            return lines.length > 1 && lines.every(line => line.trim().startsWith('{')) ? 'ndjson' : 'json';
+        }
+        return 'csv';
+    },
+
+    /**
+     * Detect the CSV delimiter from the header line
+     * @param {string} text - CSV text
+     * @returns {string} - Delimiter
+     */
+    detectDelimiter: function(text) {
+        const header = text.split(/\r?\n/)[0].replace(/"[^"]*"/g, '');
+        return this.delimiters.reduce((best, delimiter) =>
+            header.split(delimiter).length > header.split(best).length ? delimiter : best, ',');
+    },
+
+    /**
+     * Map a file extension to a format
+     * @param {string} file - File name or path
+     * @returns {string|undefined} - Format
+     */
+    formatFromExtension: function(file) {
+        const match = String(file).toLowerCase().match(/\.(csv|tsv|json|ndjson|jsonl)$/);
+        return match ? match[1] : undefined;
+    },
+
+    /**
+     * Check whether a source is a readable file path (Node only)
+     * @param {string} source - Source
+     * @returns {boolean} - True if a file exists at that path
+     */
+    isFilePath: function(source) {
+        if (typeof require === 'undefined' || typeof source !== 'string' || /[\n,{[]/.test(source)) {
+            return false;
+        }
+        try {
+            return require('fs').statSync(source).isFile();
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * Set a value at a nested path, creating objects along the way. Column names come from
+     * data files, possibly remote ones, so segments that reach the prototype chain are rejected.
+     * @param {Object} target - Object to modify
+     * @param {Array} path - Property names
+     * @param {*} value - Value
+     */
+    setPath: function(target, path, value) {
+        const unsafe = path.find(key => ['__proto__', 'constructor', 'prototype'].includes(key));
+        if (unsafe !== undefined) {
+            throw new Error(`Column "${path.join('.')}" uses the reserved name "${unsafe}"`);
+        }
+
+        let node = target;
+        path.slice(0, -1).forEach(key => {
+            if (!node[key] || typeof node[key] !== 'object') {
+                node[key] = {};
+            }
+            node = node[key];
+        });
+        const last = path[path.length - 1];
+        node[last] = value && typeof value === 'object' && !Array.isArray(value) && node[last] && typeof node[last] === 'object'
+            ? { ...node[last], ...value }
+            : value;
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataLoader;
+}
+
+// Usage Examples:
+/*
+// users.csv
+// description,tags,input.email,input.age:number,input.address.city,expectedStatus:number,expectedResponse.status
+// Valid adult,@smoke,ada@example.com,36,London,201,success
+// Missing email,@negative,,36,London,400,error
+// Tenant scoped,@smoke,"{{tenantAdminEmail}}",40,Paris,201,success
+
+// Collection pre-request: fetch the scenario file once, keep it out of the environment
+if (!pm.collectionVariables.get('testData')) {
+    DataLoader.loadFromUrl(pm.environment.get('data_url') + '/users.csv', {
+        dataKey: 'testData',
+        tags: '@smoke and not @slow'
+    }, (err, scenarios) => {
+        if (err) console.error(err.message);
+    });
+}
+
+// Request test script: the existing runner picks up the scenarios and resolves {{...}} per request
+DataDrivenTesting.executeDataDrivenTest({
+    dataKey: 'testData',
+    requestConfig: { url: pm.environment.get('base_url') + '/users', method: 'POST', header: { 'Content-Type': 'application/json' }, body: { mode: 'raw' } }
+});
+
+// One scenario per runner iteration (node collection-runner.js ... -d users.csv)
+DataDrivenTesting.executeDataDrivenTest({ scenario: DataLoader.fromIterationData(), requestConfig });
+
+// Node: load a file directly
+const negative = DataLoader.load('scenarios.ndjson', { tags: ['@negative'] });
+*/
@@ -0,0 +1,241 @@
+/**
+ * HTML Run Report
+ * Self-contained HTML page for a collection runner summary: totals, failures, SLOs,
+ * timing phase percentiles and a request waterfall (DNS, TCP, TLS, TTFB, download)
+ */
+
+const fs = require('fs');
+const RequestTimings = require('./request-timings');
+const Statistics = require('./statistics');
+
+const HtmlReport = {
+
+    /**
+     * Waterfall colour per phase
+     */
+    phaseColors: {
+        wait: '#babdb6',
+        dns: '#73d216',
+        tcp: '#f57900',
+        tls: '#ad7fa8',
+        ttfb: '#3465a4',
+        download: '#06989a',
+        total: '#888a85'
+    },
+
+    // =============================================================================
+    // RENDERING
+    // =============================================================================
+
+    /**
+     * Write a report file
+     * @param {string} filePath - Output path
+     * @param {Object} summary - Summary from CollectionRunner.run()
+     * @param {Object} options - { title }
+     */
+    write: function(filePath, summary, options = {}) {
+        fs.writeFileSync(filePath, this.render(summary, options));
+        console.log(`HTML report written to ${filePath}`);
+    },
+
+    /**
+     * Render a report
+     * @param {Object} summary - Summary from CollectionRunner.run()
+     * @param {Object} options - { title }
+     * @returns {string} - HTML document
+     */
+    render: function(summary, options = {}) {
+        const title = options.title || `Run ${summary.runId || ''}`.trim();
+        const failed = summary.failures.length > 0 || (summary.slo && summary.slo.verdict === 'fail');
+
+        return [
+            '<!DOCTYPE html>',
+            '<html lang="en">',
+            '<head>',
+            '<meta charset="utf-8">',
+            `<title>${this.escape(title)}</title>`,
+            `<style>${this.styles()}</style>`,
+            '</head>',
+            '<body>',
+            `<h1>${this.escape(title)} <span class="badge ${failed ? 'fail' : 'pass'}">${failed ? 'FAILED' : 'PASSED'}</span></h1>`,
+            this.renderTotals(summary),
+            this.renderFailures(summary.failures),
+            this.renderSlo(summary.slo),
+            this.renderPhases(summary.executions),
+            this.renderWaterfall(summary.executions),
+            '</body>',
+            '</html>'
+        ].filter(Boolean).join('\n');
+    },
+
+    /**
+     * Totals table
+     * @param {Object} summary - Run summary
+     * @returns {string} - HTML
+     */
+    renderTotals: function(summary) {
+        const a = summary.assertions;
+        const rows = [
+            ['Requests', summary.requests],
+            ['Assertions', `${a.total} (passed ${a.passed}, failed ${a.failed}, skipped ${a.skipped})`],
+            ['Run ID', summary.runId],
+            ['Results', summary.results]
+        ];
+        if (summary.teardown) {
+            rows.push(['Teardown', `${summary.teardown.deleted} deleted, ${summary.teardown.failed} failed`]);
+        }
+
+        return '<table class="totals">' +
+            rows.filter(row => row[1] !== null && row[1] !== undefined)
+                .map(row => `<tr><th>${row[0]}</th><td>${this.escape(row[1])}</td></tr>`).join('') +
+            '</table>';
+    },
+
+    /**
+     * Failures list
+     * @param {Array} failures - Failures from the summary
+     * @returns {string} - HTML (empty without failures)
+     */
+    renderFailures: function(failures) {
+        if (failures.length === 0) {
+            return '';
+        }
+        return '<h2>Failures</h2><ol class="failures">' + failures.map(failure =>
+            `<li><strong>${this.escape(failure.request)}</strong> (iteration ${failure.iteration + 1})<br>` +
+            `${failure.test ? `${this.escape(failure.test)}: ` : ''}${this.escape(failure.error)}</li>`
+        ).join('') + '</ol>';
+    },
+
+    /**
+     * SLO table
+     * @param {Object} report - SLO report (see SloEvaluator)
+     * @returns {string} - HTML (empty without SLOs)
+     */
+    renderSlo: function(report) {
+        if (!report) {
+            return '';
+        }
+        return '<h2>SLOs</h2><table><tr><th>SLO</th><th>Verdict</th><th>Details</th></tr>' + report.slos.map(result =>
+            `<tr><td>${this.escape(result.name)}</td><td class="${result.verdict}">${result.verdict}</td><td>${this.escape(result.explanation)}</td></tr>`
+        ).join('') + '</table>';
+    },
+
+    /**
+     * Percentiles per timing phase
+     * @param {Array} executions - Executions from the summary
+     * @returns {string} - HTML (empty when no response had timings)
+     */
+    renderPhases: function(executions) {
+        const phases = RequestTimings.summarize(executions.filter(e => e.response).map(e => e.response));
+        const names = Object.keys(phases);
+        if (names.length === 0) {
+            return '';
+        }
+
+        const keys = Object.keys(phases[names[0]].percentiles);
+        return '<h2>Timing phases (ms)</h2><table><tr><th>Phase</th><th>Mean</th>' +
+            keys.map(key => `<th>${key}</th>`).join('') + '<th>Max</th></tr>' +
+            names.map(phase => `<tr><td>${this.swatch(phase)}${phase}</td><td>${phases[phase].mean}</td>` +
+                keys.map(key => `<td>${phases[phase].percentiles[key]}</td>`).join('') +
+                `<td>${phases[phase].max}</td></tr>`
+            ).join('') + '</table>';
+    },
+
+    /**
+     * Request waterfall on a shared timeline: each bar starts when its request was sent and
+     * is split into phases where the runtime reported timings
+     * @param {Array} executions - Executions from the summary
+     * @returns {string} - HTML
+     */
+    renderWaterfall: function(executions) {
+        const sent = executions.filter(e => e.request && e.startedAt);
+        if (sent.length === 0) {
+            return '';
+        }
+
+        const duration = e => e.response ? (e.response.timings && e.response.timings.total) || e.response.responseTime || 0 : 0;
+        const start = sent.reduce((min, e) => Math.min(min, e.startedAt), Infinity);
+        const end = sent.reduce((max, e) => Math.max(max, e.startedAt + duration(e)), 0);
+        const span = Math.max(1, end - start);
+        const percent = ms => `${Math.round(ms / span * 10000) / 100}%`;
+
+        const rows = sent.map(e => {
+            const timings = e.response && e.response.timings;
+            const segments = timings ? RequestTimings.waterfall(timings) : [{ phase: 'total', start: 0, duration: duration(e) }];
+            const label = segments.map(s => `${s.phase} ${Statistics.round(s.duration, 2)}ms`).join(', ');
+            const bars = segments.map(s =>
+                `<span class="phase" style="left:${percent(e.startedAt - start + s.start)};width:${percent(s.duration)};background:${this.phaseColors[s.phase]}"></span>`
+            ).join('');
+            const status = e.response ? e.response.code : 'error';
+            const failed = e.errors.length > 0 || e.results.some(r => !r.passed && !r.skipped);
+
+            return `<tr class="${failed ? 'failed' : ''}"><td>${this.escape(e.path)}</td><td>${this.escape(e.request.method)}</td>` +
+                `<td>${this.escape(status)}</td><td>${Statistics.round(duration(e), 2)}</td>` +
+                `<td class="timeline" title="${this.escape(label)}">${bars}</td></tr>`;
+        });
+
+        const legend = RequestTimings.phases.map(phase => `${this.swatch(phase)}${phase}`).join(' ');
+        return `<h2>Waterfall</h2><p class="legend">${legend} (${Math.round(span)}ms)</p>` +
+            '<table class="waterfall"><tr><th>Request</th><th>Method</th><th>Status</th><th>ms</th><th>Timeline</th></tr>' +
+            rows.join('') + '</table>';
+    },
+
+    // =============================================================================
+    // UTILITY FUNCTIONS
+    // =============================================================================
+
+    /**
+     * Colour swatch for a phase
+     * @param {string} phase - Phase
+     * @returns {string} - HTML
+     */
+    swatch: function(phase) {
+        return `<span class="swatch" style="background:${this.phaseColors[phase]}"></span>`;
+    },
+
+    /**
+     * Escape text for HTML
+     * @param {*} value - Value
+     * @returns {string} - Escaped text
+     */
+    escape: function(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    },
+
+    /**
+     * Inline stylesheet
+     * @returns {string} - CSS
+     */
+    styles: function() {
+        return [
+            'body{font-family:system-ui,sans-serif;margin:2em;color:#2e3436}',
+            'table{border-collapse:collapse;margin-bottom:1.5em}',
+            'th,td{border:1px solid #d3d7cf;padding:4px 8px;text-align:left;font-size:13px}',
+            '.badge{font-size:14px;padding:2px 8px;border-radius:3px;color:#fff}',
+            '.badge.pass,.pass{background:#4e9a06;color:#fff}',
+            '.badge.fail,.fail{background:#cc0000;color:#fff}',
+            '.warn{background:#edd400}',
+            'tr.failed td:first-child{color:#cc0000;font-weight:bold}',
+            '.waterfall{width:100%}',
+            '.timeline{position:relative;width:50%;min-width:300px}',
+            '.phase{position:absolute;top:5px;bottom:5px;min-width:1px}',
+            '.swatch{display:inline-block;width:10px;height:10px;margin:0 4px 0 8px}'
+        ].join('');
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HtmlReport;
+}
+
+// Usage Examples:
+/*
+// Command line
+node collection-runner.js api.json --report report.html
+
+// Programmatic
+const summary = await CollectionRunner.run({ collection: 'api.json' });
+HtmlReport.write('report.html', summary, { title: 'Nightly API run' });
+*/
@@ -0,0 +1,531 @@
+/**
+ * Load Generation Engine for Postman
+ * Drives virtual users through a request or workflow with ramp-up, steady state and ramp-down,
+ * in a closed model (fixed VUs with think time) or an open model (fixed arrival rate)
+ */
+
+const LoadEngine = {
+
+    /**
+     * Defaults for run()
+     */
+    defaults: {
+        mode: 'closed',
+        maxUsers: 10,
+        rate: 10,
+        duration: 60,
+        rampUp: 10,
+        rampDown: 0,
+        thinkTime: 1000,
+        maxInFlight: 100,
+        timeout: 30000,
+        flushInterval: 1000,
+        assert: true
+    },
+
+    /**
+     * Scheduler tick for the open model in ms
+     */
+    tick: 50,
+
+    // =============================================================================
+    // EXECUTION
+    // =============================================================================
+
+    /**
+     * Run a load test
+     * @param {Object} config - Load configuration
+     * @param {Object|Function} config.request - pm.sendRequest options, or Function({ vu, iteration }) returning them
+     * @param {Object} config.workflow - Workflow to run per iteration instead of a request (see WorkflowEngine)
+     * @param {string} config.mode - 'closed' (maxUsers VUs looping with thinkTime) or 'open' (rate arrivals per second)
+     * @param {number} config.maxUsers - Closed model: virtual users at steady state (default 10)
+     * @param {number|Array} config.thinkTime - Closed model: pause between iterations in ms, or [min, max] (default 1000)
+     * @param {number} config.rate - Open model: arrivals per second at steady state (default 10)
+     * @param {number} config.maxInFlight - Open model: arrivals beyond this many in flight are dropped (default 100)
+     * @param {number} config.rampUp - Seconds to ramp from 0 to full load (default 10)
+     * @param {number} config.duration - Seconds at full load (default 60)
+     * @param {number} config.rampDown - Seconds to ramp from full load to 0 (default 0)
+     * @param {number} config.timeout - Per-request timeout in ms (default 30000)
+     * @param {Object} config.thresholds - { minimum, target, maximum } requests per second (default PerformanceMonitor's)
+     * @param {boolean} config.assert - Record a pm.test for the throughput minimum (default true)
+     * @param {string} config.name - Name used for tags and tests (default 'load')
+     * @param {Function} config.send - Function(request) returning a Promise of a response (default pm.sendRequest)
+     * @param {Object} config.clock - { now(), sleep(ms) } driving the schedule, e.g. a virtual clock in tests (default createClock())
+     * @returns {Promise<Object>} - Report (see buildReport)
+     */
+    run: function(config = {}) {
+        const settings = { ...this.defaults, name: 'load', clock: this.createClock(), ...config };
+        if (!settings.request && !settings.workflow) {
+            return Promise.reject(new Error('Load test needs a request or a workflow'));
+        }
+
+        const plan = this.createPlan(settings);
+        const state = {
+            samples: [],
+            pending: [],
+            started: 0,
+            dropped: 0,
+            inFlight: 0,
+            startTime: settings.clock.now()
+        };
+
+        console.log(`Load test ${settings.name}: ${settings.mode} model, ${settings.mode === 'open' ? `${settings.rate} req/s` : `${settings.maxUsers} VUs`}, ` +
+            `${settings.rampUp}s ramp-up, ${settings.duration}s steady, ${settings.rampDown}s ramp-down`);
+
+        // Postman ends a script once nothing is pending; the flush timer also keeps it alive
+        let flushTimer = null;
+        const flush = () => {
+            this.flush(state, settings);
+            flushTimer = setTimeout(flush, settings.flushInterval);
+        };
+        flushTimer = setTimeout(flush, settings.flushInterval);
+
+        const load = Promise.resolve()
+            .then(() => settings.mode === 'open' ? this.runOpen(settings, plan, state) : this.runClosed(settings, plan, state))
+            .finally(() => clearTimeout(flushTimer));
+
+        return load.then(() => {
+            this.flush(state, settings);
+            const report = this.buildReport(state, settings, plan);
+            this.printReport(report);
+            if (settings.assert) {
+                this.assertThroughput(report, settings);
+            }
+            return report;
+        });
+    },
+
+    /**
+     * Phase boundaries in ms from the start
+     * @param {Object} settings - Run settings
+     * @returns {Object} - { rampUpEnd, steadyEnd, end }
+     */
+    createPlan: function(settings) {
+        const rampUpEnd = settings.rampUp * 1000;
+        const steadyEnd = rampUpEnd + settings.duration * 1000;
+        return { rampUpEnd, steadyEnd, end: steadyEnd + settings.rampDown * 1000 };
+    },
+
+    /**
+     * Load level (0..1) at a point in time
+     * @param {Object} plan - Plan
+     * @param {number} elapsed - Ms since start
+     * @returns {number} - Fraction of full load
+     */
+    levelAt: function(plan, elapsed) {
+        if (elapsed < plan.rampUpEnd) return elapsed / plan.rampUpEnd;
+        if (elapsed < plan.steadyEnd) return 1;
+        if (elapsed < plan.end) return 1 - (elapsed - plan.steadyEnd) / (plan.end - plan.steadyEnd);
+        return 0;
+    },
+
+    /**
+     * Phase name at a point in time
+     * @param {Object} plan - Plan
+     * @param {number} elapsed - Ms since start
+     * @returns {string} - 'ramp-up', 'steady' or 'ramp-down'
+     */
+    phaseAt: function(plan, elapsed) {
+        if (elapsed < plan.rampUpEnd) return 'ramp-up';
+        if (elapsed < plan.steadyEnd) return 'steady';
+        return 'ramp-down';
+    },
+
+    /**
+     * Closed model: VU i starts at rampUp * i / maxUsers and, during ramp-down, the last VUs
+     * to start stop first. Each VU sends, waits for the response, thinks, and repeats.
+     * @param {Object} settings - Run settings
+     * @param {Object} plan - Plan
+     * @param {Object} state - Run state
+     * @returns {Promise<void>} - Resolves when every VU has stopped
+     */
+    runClosed: function(settings, plan, state) {
+        const users = Math.max(1, settings.maxUsers);
+        const clock = settings.clock;
+        const vus = [];
+
+        for (let vu = 0; vu < users; vu++) {
+            const startAt = plan.rampUpEnd * vu / users;
+            const stopAt = plan.steadyEnd + (plan.end - plan.steadyEnd) * (users - vu) / users;
+
+            const iterate = iteration => {
+                if (clock.now() - state.startTime >= stopAt) {
+                    return Promise.resolve();
+                }
+                return this.execute(settings, plan, state, vu, iteration)
+                    .then(() => clock.sleep(Math.min(this.thinkTime(settings), Math.max(0, stopAt - (clock.now() - state.startTime)))))
+                    .then(() => iterate(iteration + 1));
+            };
+
+            vus.push(clock.sleep(startAt).then(() => iterate(0)));
+        }
+
+        return Promise.all(vus).then(() => undefined);
+    },
+
+    /**
+     * Open model: arrivals follow the ramped rate regardless of response times; an arrival
+     * that would exceed maxInFlight is dropped and counted.
+     * @param {Object} settings - Run settings
+     * @param {Object} plan - Plan
+     * @param {Object} state - Run state
+     * @returns {Promise<void>} - Resolves when the schedule ends and every request has settled
+     */
+    runOpen: function(settings, plan, state) {
+        const inFlight = new Set();
+        let due = 0;
+        let arrival = 0;
+        let last = 0;
+
+        const schedule = () => {
+            const elapsed = settings.clock.now() - state.startTime;
+            const until = Math.min(elapsed, plan.end);
+
+            // Integrate the rate over the time since the last tick (trapezoid rule)
+            due += settings.rate * (this.levelAt(plan, last) + this.levelAt(plan, until)) / 2 * (until - last) / 1000;
+            last = until;
+
+            while (due >= 1) {
+                due--;
+                if (inFlight.size >= settings.maxInFlight) {
+                    state.dropped++;
+                    continue;
+                }
+                const request = this.execute(settings, plan, state, arrival % Math.max(1, settings.maxInFlight), arrival++);
+                inFlight.add(request);
+                request.then(() => inFlight.delete(request));
+            }
+
+            if (elapsed >= plan.end) {
+                return Promise.all(Array.from(inFlight)).then(() => undefined);
+            }
+            return settings.clock.sleep(this.tick).then(schedule);
+        };
+
+        return schedule();
+    },
+
+    /**
+     * Run one iteration (request or workflow) and record a sample
+     * @param {Object} settings - Run settings
+     * @param {Object} plan - Plan
+     * @param {Object} state - Run state
+     * @param {number} vu - Virtual user (closed) or slot (open)
+     * @param {number} iteration - Iteration of this VU (closed) or arrival number (open)
+     * @returns {Promise<void>} - Resolves once the sample is recorded; never rejects
+     */
+    execute: function(settings, plan, state, vu, iteration) {
+        const startedAt = settings.clock.now();
+        const phase = this.phaseAt(plan, startedAt - state.startTime);
+        state.started++;
+        state.inFlight++;
+
+        // Built inside the chain, so a throwing request builder or sender becomes a failed sample
+        const attempt = Promise.resolve().then(() => {
+            if (settings.workflow) {
+                return this.getWorkflowEngine().run(settings.workflow, { variables: { vu, iteration }, silent: true, retry: false })
+                    .then(result => ({
+                        status: result.steps.length > 0 ? result.steps[result.steps.length - 1].status : null,
+                        success: result.passed,
+                        error: result.passed ? null : `${result.failedStep}: ${result.error}`
+                    }));
+            }
+
+            const request = typeof settings.request === 'function' ? settings.request({ vu, iteration }) : settings.request;
+            const send = settings.send || (options => this.getRetryPolicy().sendOnce(options, settings.timeout));
+            return send(request).then(response => ({
+                status: response.code,
+                responseTime: response.responseTime,
+                timings: response.timings,
+                success: response.code < 400,
+                error: response.code < 400 ? null : `HTTP ${response.code}`
+            }));
+        });
+
+        return attempt.then(
+            outcome => outcome,
+            error => ({ status: null, success: false, error: error.message })
+        ).then(outcome => {
+            const finishedAt = settings.clock.now();
+            state.inFlight--;
+            const sample = {
+                vu,
+                iteration,
+                phase,
+                startedAt,
+                finishedAt,
+                responseTime: outcome.responseTime !== undefined ? outcome.responseTime : finishedAt - startedAt,
+                status: outcome.status,
+                timings: outcome.timings || null,
+                success: outcome.success,
+                error: outcome.error
+            };
+            state.samples.push(sample);
+            state.pending.push(sample);
+        });
+    },
+
+    /**
+     * Write pending samples to the result store as performance metrics (tagged 'load' and 'load:<name>')
+     * @param {Object} state - Run state
+     * @param {Object} settings - Run settings
+     */
+    flush: function(state, settings) {
+        if (state.pending.length === 0) {
+            return;
+        }
+
+        const store = this.getResultStore();
+        const monitor = this.getPerformanceMonitor();
+        const records = state.pending.splice(0).map(sample => store.createRecord({
+            source: 'performance',
+            response: null,
+            request: { name: settings.name, method: null, url: null },
+            timestamp: new Date(sample.startedAt).toISOString(),
+            status: sample.status,
+            responseTime: sample.responseTime,
+            timings: sample.timings,
+            success: sample.success,
+            error: sample.error,
+            tags: ['load', `load:${settings.name}`],
+            data: {
+                category: monitor ? monitor.getPerformanceCategory(sample.responseTime) : undefined,
+                mode: settings.mode,
+                phase: sample.phase,
+                vu: sample.vu
+            }
+        }));
+
+        store.append(records);
+    },
+
+    // =============================================================================
+    // REPORTING
+    // =============================================================================
+
+    /**
+     * Build the load report
+     * @param {Object} state - Run state
+     * @param {Object} settings - Run settings
+     * @param {Object} plan - Plan
+     * @returns {Object} - { name, mode, duration, requests, completed, errors, dropped, errorRate, throughput: { overall, steady,
+     *   thresholds, verdict }, responseTime: Statistics.summarize() of the samples, timeline: [{ second, completed, errors, avgResponseTime }] }
+     */
+    buildReport: function(state, settings, plan) {
+        const samples = state.samples;
+        const duration = (settings.clock.now() - state.startTime) / 1000;
+        const steady = samples.filter(sample => sample.phase === 'steady');
+        const steadySeconds = (plan.steadyEnd - plan.rampUpEnd) / 1000;
+        const errors = samples.filter(sample => !sample.success).length;
+        const thresholds = settings.thresholds || this.getThresholds();
+
+        const overall = duration > 0 ? samples.length / duration : 0;
+        const steadyThroughput = steadySeconds > 0 ? steady.length / steadySeconds : overall;
+
+        return {
+            name: settings.name,
+            mode: settings.mode,
+            duration: Math.round(duration * 10) / 10,
+            requests: state.started + state.dropped,
+            completed: samples.length,
+            errors,
+            dropped: state.dropped,
+            errorRate: samples.length > 0 ? Math.round(errors / samples.length * 10000) / 100 : 0,
+            throughput: {
+                overall: Math.round(overall * 100) / 100,
+                steady: Math.round(steadyThroughput * 100) / 100,
+                thresholds,
+                verdict: this.getVerdict(steadyThroughput, thresholds)
+            },
+            responseTime: this.getStatistics().summarize(samples.map(sample => sample.responseTime)),
+            timeline: this.buildTimeline(samples, state.startTime)
+        };
+    },
+
+    /**
+     * Compare throughput with thresholds
+     * @param {number} throughput - Requests per second
+     * @param {Object} thresholds - { minimum, target, maximum }
+     * @returns {string} - 'below-minimum', 'below-target', 'on-target' or 'above-maximum'
+     */
+    getVerdict: function(throughput, thresholds) {
+        if (thresholds.minimum !== undefined && throughput < thresholds.minimum) return 'below-minimum';
+        if (thresholds.target !== undefined && throughput < thresholds.target) return 'below-target';
+        if (thresholds.maximum !== undefined && throughput > thresholds.maximum) return 'above-maximum';
+        return 'on-target';
+    },
+
+    /**
+     * Per-second timeline by completion time
+     * @param {Array} samples - Samples
+     * @param {number} startTime - Run start
+     * @returns {Array} - [{ second, completed, errors, avgResponseTime }]
+     */
+    buildTimeline: function(samples, startTime) {
+        const seconds = [];
+
+        samples.forEach(sample => {
+            const second = Math.floor((sample.finishedAt - startTime) / 1000);
+            const bucket = seconds[second] || (seconds[second] = { second, completed: 0, errors: 0, totalTime: 0 });
+            bucket.completed++;
+            bucket.totalTime += sample.responseTime;
+            if (!sample.success) bucket.errors++;
+        });
+
+        return Array.from(seconds, (bucket, second) => bucket
+            ? { second, completed: bucket.completed, errors: bucket.errors, avgResponseTime: Math.round(bucket.totalTime / bucket.completed) }
+            : { second, completed: 0, errors: 0, avgResponseTime: null });
+    },
+
+    /**
+     * Print the load report
+     * @param {Object} report - Report
+     */
+    printReport: function(report) {
+        const t = report.throughput;
+        console.log(`\n=== LOAD TEST REPORT: ${report.name} (${report.mode}) ===`);
+        console.log(`Duration: ${report.duration}s, requests: ${report.completed} completed, ${report.errors} errors (${report.errorRate}%), ${report.dropped} dropped`);
+        console.log(`Throughput: ${t.steady} req/s steady, ${t.overall} req/s overall (minimum ${t.thresholds.minimum}, target ${t.thresholds.target}, maximum ${t.thresholds.maximum}): ${t.verdict}`);
+        console.log(`Response time: avg ${report.responseTime.mean}ms, ${this.getStatistics().formatPercentiles(report.responseTime.percentiles)}, max ${report.responseTime.max}ms`);
+    },
+
+    /**
+     * Record a test for the throughput minimum
+     * @param {Object} report - Report
+     * @param {Object} settings - Run settings
+     */
+    assertThroughput: function(report, settings) {
+        const minimum = report.throughput.thresholds.minimum;
+        if (minimum === undefined) {
+            return;
+        }
+
+        pm.test(`${settings.name} - Throughput at least ${minimum} req/s`, () => {
+            pm.expect(report.throughput.steady, `steady throughput (${report.dropped} dropped, ${report.errors} errors)`).to.be.at.least(minimum);
+        });
+    },
+
+    // =============================================================================
+    // UTILITY FUNCTIONS
+    // =============================================================================
+
+    /**
+     * Think time for the next pause
+     * @param {Object} settings - Run settings
+     * @returns {number} - Ms
+     */
+    thinkTime: function(settings) {
+        const think = settings.thinkTime;
+        if (Array.isArray(think)) {
+            return think[0] + Math.random() * (think[1] - think[0]);
+        }
+        return think || 0;
+    },
+
+    /**
+     * Wall clock
+     * @returns {Object} - { now(), sleep(ms) }
+     */
+    createClock: function() {
+        return { now: () => Date.now(), sleep: ms => this.sleep(ms) };
+    },
+
+    /**
+     * Wait
+     * @param {number} ms - Delay
+     * @returns {Promise<void>} - Resolves after the delay
+     */
+    sleep: function(ms) {
+        return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+    },
+
+    /**
+     * Throughput thresholds of the PerformanceMonitor instance, or its defaults
+     * @returns {Object} - { minimum, target, maximum }
+     */
+    getThresholds: function() {
+        const monitor = this.getPerformanceMonitor();
+        return monitor ? monitor.thresholds.throughput : { minimum: 10, target: 50, maximum: 100 };
+    },
+
+    /**
+     * Resolve the shared PerformanceMonitor instance (sandbox global or Node module)
+     * @returns {Object|null} - PerformanceMonitor instance
+     */
+    getPerformanceMonitor: function() {
+        if (typeof performanceMonitor !== 'undefined') {
+            return performanceMonitor;
+        }
+        try {
+            const PerformanceMonitor = require('./Performance Monitoring Utilities for Postman API Testing');
+            return new PerformanceMonitor();
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Resolve the ResultStore helper (sandbox global or Node module)
+     * @returns {Object} - ResultStore
+     */
+    getResultStore: function() {
+        return typeof ResultStore !== 'undefined' ? ResultStore : require('./result-store');
+    },
+
+    /**
+     * Resolve the RetryPolicy helper (sandbox global or Node module)
+     * @returns {Object} - RetryPolicy
+     */
+    getRetryPolicy: function() {
+        return typeof RetryPolicy !== 'undefined' ? RetryPolicy : require('./retry-policy');
+    },
+
+    /**
+     * Resolve the Statistics helper (sandbox global or Node module)
+     * @returns {Object} - Statistics
+     */
+    getStatistics: function() {
+        return typeof Statistics !== 'undefined' ? Statistics : require('./statistics');
+    },
+
+    /**
+     * Resolve the WorkflowEngine helper (sandbox global or Node module)
+     * @returns {Object} - WorkflowEngine
+     */
+    getWorkflowEngine: function() {
+        return typeof WorkflowEngine !== 'undefined' ? WorkflowEngine : require('./workflow-engine');
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LoadEngine;
+}
+
+// Usage Examples:
+/*
+// Closed model: 20 VUs, 1-2s think time, 30s ramp-up, 5 minutes steady, 30s ramp-down
+LoadEngine.run({
+    request: { url: pm.environment.get('base_url') + '/products', method: 'GET' },
+    maxUsers: 20,
+    thinkTime: [1000, 2000],
+    rampUp: 30,
+    duration: 300,
+    rampDown: 30
+});
+
+// Open model: 50 arrivals per second whatever the latency
+LoadEngine.run({
+    mode: 'open',
+    rate: 50,
+    duration: 120,
+    request: ({ vu, iteration }) => ({ url: `${pm.environment.get('base_url')}/orders/${iteration}`, method: 'GET' }),
+    thresholds: { minimum: 45, target: 50, maximum: 60 }
+}).then(report => console.log(report.throughput.verdict));
+
+// A whole workflow per iteration
+LoadEngine.run({ workflow: orderLifecycle, maxUsers: 5, duration: 60 });
+
+// Replay the current request (samples feed performanceMonitor.generateSummaryReport())
+performanceMonitor.simulateLoad({ duration: 60, rampUp: 10, maxUsers: 10 });
+*/
@@ -0,0 +1,771 @@
+/**
+ * OpenAPI Contract Testing for Postman
+ * Matches the current request to an OpenAPI 3.0/3.1 operation, validates the response
+ * against it and tracks which operations and response codes a run exercised
+ */
+
+const OpenApiContract = {
+
+    /**
+     * Collection variables used by the contract validator
+     */
+    storageKeys: {
+        spec: 'openApiSpec',
+        coverage: 'openApiCoverage'
+    },
+
+    /**
+     * HTTP methods that can appear in a path item
+     */
+    methods: ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'],
+
+    // =============================================================================
+    // SPEC LOADING
+    // =============================================================================
+
+    /**
+     * Store the OpenAPI document for later requests
+     * @param {Object|string} spec - OpenAPI document (object or JSON text)
+     */
+    setSpec: function(spec) {
+        const document = typeof spec === 'string' ? JSON.parse(spec) : spec;
+        if (!document || !/^3\./.test(String(document.openapi))) {
+            throw new Error("Only OpenAPI 3.0 and 3.1 documents are supported");
+        }
+        pm.collectionVariables.set(this.storageKeys.spec, JSON.stringify(document));
+    },
+
+    /**
+     * Get the stored OpenAPI document
+     * @returns {Object} - OpenAPI document
+     */
+    getSpec: function() {
+        const stored = pm.collectionVariables.get(this.storageKeys.spec);
+        if (!stored) {
+            throw new Error(`No OpenAPI document loaded; call OpenApiContract.setSpec() or set ${this.storageKeys.spec}`);
+        }
+        return typeof stored === 'string' ? JSON.parse(stored) : stored;
+    },
+
+    /**
+     * Fetch an OpenAPI document over HTTP and store it
+     * @param {string} url - Document URL (JSON)
+     * @param {Function} callback - callback(err, spec)
+     */
+    loadSpecFromUrl: function(url, callback) {
+        pm.sendRequest({ url, method: 'GET', header: { 'Accept': 'application/json' } }, (err, response) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            try {
+                const spec = response.json();
+                this.setSpec(spec);
+                callback(null, spec);
+            } catch (error) {
+                callback(new Error(`Failed to load OpenAPI document: ${error.message}`));
+            }
+        });
+    },
+
+    // =============================================================================
+    // OPERATION MATCHING
+    // =============================================================================
+
+    /**
+     * Find the operation for a method and URL
+     * @param {Object} spec - OpenAPI document
+     * @param {string} method - HTTP method
+     * @param {string} url - Request URL (absolute or path)
+     * @returns {Object|null} - { key, path, method, operation, pathItem, pathParams } or null
+     */
+    findOperation: function(spec, method, url) {
+        const lowerMethod = String(method).toLowerCase();
+        const requestPath = this.getRequestPath(url);
+        const candidates = [];
+
+        this.getBasePaths(spec).forEach(basePath => {
+            if (basePath && requestPath !== basePath && !requestPath.startsWith(`${basePath}/`)) {
+                return;
+            }
+            const relativePath = requestPath.slice(basePath.length) || '/';
+
+            Object.keys(spec.paths || {}).forEach(template => {
+                const pathItem = this.resolveRef(spec, spec.paths[template]);
+                const operation = pathItem[lowerMethod];
+                const pathParams = operation ? this.matchPath(template, relativePath) : null;
+
+                if (pathParams) {
+                    candidates.push({ template, pathItem, operation, pathParams, basePath });
+                }
+            });
+        });
+
+        if (candidates.length === 0) {
+            return null;
+        }
+
+        // Literal segments win over templated ones (/users/me before /users/{id})
+        candidates.sort((a, b) =>
+            (Object.keys(a.pathParams).length - Object.keys(b.pathParams).length) ||
+            (b.basePath.length - a.basePath.length)
+        );
+
+        const best = candidates[0];
+        return {
+            key: `${lowerMethod.toUpperCase()} ${best.template}`,
+            path: best.template,
+            method: lowerMethod,
+            operation: best.operation,
+            pathItem: best.pathItem,
+            pathParams: best.pathParams
+        };
+    },
+
+    /**
+     * Match a concrete path against a path template
+     * @param {string} template - Path template (e.g. /users/{id})
+     * @param {string} path - Request path
+     * @returns {Object|null} - Path parameters, or null if it does not match
+     */
+    matchPath: function(template, path) {
+        const names = [];
+        const pattern = template.split(/(\{[^}]+\})/).map(part => {
+            const param = part.match(/^\{([^}]+)\}$/);
+            if (param) {
+                names.push(param[1]);
+                return '([^/]+)';
+            }
+            return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }).join('');
+
+        const match = path.replace(/(.)\/$/, '$1').match(new RegExp(`^${pattern}$`));
+        if (!match) {
+            return null;
+        }
+
+        return names.reduce((params, name, i) => {
+            params[name] = this.getCryptoUtils().safeDecode(match[i + 1]);
+            return params;
+        }, {});
+    },
+
+    /**
+     * Server base paths, longest first, always ending with '' (no base path)
+     * @param {Object} spec - OpenAPI document
+     * @returns {Array} - Base paths
+     */
+    getBasePaths: function(spec) {
+        const basePaths = (spec.servers || []).map(server => {
+            const url = String(server.url).replace(/\{([^}]+)\}/g, (match, name) => {
+                const variable = (server.variables || {})[name];
+                return variable ? variable.default : match;
+            });
+            const path = url.replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]*/i, '');
+            return path.replace(/\/+$/, '');
+        });
+
+        return Array.from(new Set([...basePaths, '']))
+            .sort((a, b) => b.length - a.length);
+    },
+
+    /**
+     * Get the path portion of a URL
+     * @param {string} url - Absolute URL or path
+     * @returns {string} - Path without query or fragment
+     */
+    getRequestPath: function(url) {
+        const path = String(url)
+            .replace(/^[a-z][a-z0-9+.-]*:\/\/[^/?#]*/i, '')
+            .replace(/[?#].*$/, '');
+        return path.startsWith('/') ? path : `/${path}`;
+    },
+
+    // =============================================================================
+    // RESPONSE VALIDATION
+    // =============================================================================
+
+    /**
+     * Validate the current response against its OpenAPI operation, one test per aspect
+     * @param {Object} options - Options
+     * @param {Object} options.spec - OpenAPI document (defaults to the stored document)
+     * @param {string} options.mode - Body violations as one test ('single') or one per violation ('each')
+     * @param {boolean} options.allowDefault - Accept codes only covered by 'default' (default true)
+     * @param {boolean} options.recordCoverage - Record the exercised operation (default true)
+     * @param {Object} options.request - Request to match (defaults to pm.request)
+     * @param {Object} options.response - Response to validate (defaults to pm.response)
+     * @returns {Object} - { operation, statusKey, valid }
+     */
+    validateResponse: function(options = {}) {
+        const spec = options.spec || this.getSpec();
+        const request = options.request || pm.request;
+        const response = options.response || pm.response;
+        const { mode = 'single', allowDefault = true, recordCoverage = true } = options;
+
+        const method = String(request.method).toUpperCase();
+        const url = pm.variables.replaceIn(request.url.toString());
+        const found = this.findOperation(spec, method, url);
+
+        pm.test(`Contract: ${method} ${this.getRequestPath(url)} is documented`, () => {
+            pm.expect(found, 'matching OpenAPI operation').to.not.be.null;
+        });
+
+        if (!found) {
+            return { operation: null, statusKey: null, valid: false };
+        }
+
+        const label = `Contract: ${found.key}`;
+        const statusKey = this.findResponseKey(found.operation, response.code, allowDefault);
+
+        if (recordCoverage) {
+            this.recordCoverage(found.key, statusKey, response.code);
+        }
+
+        pm.test(`${label} status ${response.code} is documented`, () => {
+            pm.expect(statusKey, `documented response for ${response.code}`).to.not.be.null;
+        });
+
+        if (statusKey === null) {
+            return { operation: found, statusKey, valid: false };
+        }
+
+        const responseSpec = this.resolveRef(spec, found.operation.responses[statusKey]);
+        const content = responseSpec.content || {};
+        const mediaTypes = Object.keys(content);
+        const contentType = response.headers.get('Content-Type');
+        const mediaType = this.matchMediaType(mediaTypes, contentType);
+        let valid = mediaTypes.length === 0 ? response.text() === '' : mediaType !== null;
+
+        pm.test(`${label} Content-Type matches spec`, () => {
+            if (mediaTypes.length === 0) {
+                pm.expect(response.text(), 'body of a response without content').to.be.empty;
+                return;
+            }
+            pm.expect(contentType, 'Content-Type header').to.exist;
+            pm.expect(mediaType, `${contentType} is one of ${mediaTypes.join(', ')}`).to.not.be.null;
+        });
+
+        const headers = this.validateHeaders(spec, responseSpec.headers || {}, response);
+        valid = valid && headers.errors.length === 0;
+        if (headers.checked > 0) {
+            pm.test(`${label} response headers match spec`, () => {
+                if (headers.errors.length > 0) {
+                    pm.expect.fail(headers.errors.join('\n'));
+                }
+            });
+        }
+
+        const schema = mediaType && content[mediaType].schema;
+        if (schema && this.isJsonMediaType(mediaType, contentType)) {
+            let body;
+            try {
+                body = response.json();
+            } catch (error) {
+                pm.test(`${label} body is valid JSON`, () => {
+                    pm.expect.fail(error.message);
+                });
+                return { operation: found, statusKey, valid: false };
+            }
+
+            const result = this.getSchemaValidator().assertSchema(
+                this.toJsonSchema(spec, schema, 'response'), body, { mode, name: `${label} body matches schema` }
+            );
+            valid = valid && result.valid;
+        }
+
+        return { operation: found, statusKey, valid };
+    },
+
+    /**
+     * Find the response key covering a status code: exact, then range (2XX), then default
+     * @param {Object} operation - Operation object
+     * @param {number} code - Status code
+     * @param {boolean} allowDefault - Fall back to 'default'
+     * @returns {string|null} - Response key or null if undocumented
+     */
+    findResponseKey: function(operation, code, allowDefault = true) {
+        const responses = operation.responses || {};
+        const exact = String(code);
+        const range = `${exact.charAt(0)}XX`;
+
+        const key = Object.keys(responses).find(k => k === exact) ||
+            Object.keys(responses).find(k => k.toUpperCase() === range);
+
+        if (key) {
+            return key;
+        }
+        return allowDefault && responses.default ? 'default' : null;
+    },
+
+    /**
+     * Pick the declared media type matching a Content-Type header
+     * @param {Array} mediaTypes - Declared media types
+     * @param {string} contentType - Response Content-Type
+     * @returns {string|null} - Matching declared media type
+     */
+    matchMediaType: function(mediaTypes, contentType) {
+        if (!contentType) {
+            return null;
+        }
+        const actual = this.stripParameters(contentType);
+        const [type] = actual.split('/');
+
+        return mediaTypes.find(m => this.stripParameters(m) === actual) ||
+            mediaTypes.find(m => this.stripParameters(m) === `${type}/*`) ||
+            mediaTypes.find(m => this.stripParameters(m) === '*/*') ||
+            null;
+    },
+
+    /**
+     * Check declared response headers: required ones exist and values match their schema
+     * @param {Object} spec - OpenAPI document
+     * @param {Object} headerSpecs - Response headers object
+     * @param {Object} response - Response
+     * @returns {Object} - { checked, errors }
+     */
+    validateHeaders: function(spec, headerSpecs, response) {
+        const errors = [];
+        const names = Object.keys(headerSpecs).filter(name => name.toLowerCase() !== 'content-type');
+
+        names.forEach(name => {
+            const header = this.resolveRef(spec, headerSpecs[name]);
+            const value = response.headers.get(name);
+
+            if (value === undefined || value === null) {
+                if (header.required) errors.push(`missing required header ${name}`);
+                return;
+            }
+
+            if (header.schema) {
+                const schema = this.toJsonSchema(spec, header.schema, 'response');
+                const result = this.getSchemaValidator().validate(schema, this.coerceHeader(value, header.schema));
+                result.errors.forEach(error => {
+                    errors.push(`header ${name}: ${this.getSchemaValidator().formatError(error)}`);
+                });
+            }
+        });
+
+        return { checked: names.length, errors };
+    },
+
+    /**
+     * Convert a header string to the type its schema declares
+     * @param {string} value - Header value
+     * @param {Object} schema - Header schema
+     * @returns {*} - Typed value
+     */
+    coerceHeader: function(value, schema) {
+        const type = [].concat(schema.type || 'string').find(t => t !== 'null');
+
+        switch (type) {
+            case 'integer':
+            case 'number':
+                return value.trim() !== '' && !isNaN(Number(value)) ? Number(value) : value;
+            case 'boolean':
+                return value === 'true' ? true : value === 'false' ? false : value;
+            case 'array':
+                return value.split(',').map(item => item.trim());
+            default:
+                return value;
+        }
+    },
+
+    // =============================================================================
+    // SCHEMA CONVERSION
+    // =============================================================================
+
+    /**
+     * Build a JSON Schema for SchemaValidator from an OpenAPI schema, with the
+     * document's components available to $ref
+     * @param {Object} spec - OpenAPI document
+     * @param {Object} schema - OpenAPI schema object
+     * @param {string} direction - 'response' (writeOnly forbidden) or 'request' (readOnly forbidden)
+     * @returns {Object} - JSON Schema
+     */
+    toJsonSchema: function(spec, schema, direction = 'response') {
+        const convert = node => this.convertSchema(spec, node, direction);
+        const schemas = (spec.components && spec.components.schemas) || {};
+
+        return {
+            $schema: 'https://json-schema.org/draft/2020-12/schema',
+            components: {
+                schemas: Object.keys(schemas).reduce((converted, name) => {
+                    converted[name] = convert(schemas[name]);
+                    return converted;
+                }, {})
+            },
+            allOf: [convert(schema)]
+        };
+    },
+
+    /**
+     * Convert one OpenAPI schema node (recursively) to JSON Schema 2020-12
+     * @param {Object} spec - OpenAPI document
+     * @param {Object|boolean} schema - Schema node
+     * @param {string} direction - 'response' or 'request'
+     * @returns {Object|boolean} - JSON Schema node
+     */
+    convertSchema: function(spec, schema, direction) {
+        if (!schema || typeof schema !== 'object') {
+            return schema;
+        }
+
+        const convert = node => this.convertSchema(spec, node, direction);
+        const isOpenApi30 = /^3\.0/.test(String(spec.openapi));
+        const result = {};
+
+        Object.keys(schema).forEach(key => {
+            const value = schema[key];
+
+            if (['properties', 'patternProperties', '$defs', 'dependentSchemas'].includes(key)) {
+                result[key] = Object.keys(value).reduce((map, name) => {
+                    map[name] = convert(value[name]);
+                    return map;
+                }, {});
+            } else if (['allOf', 'anyOf', 'oneOf', 'prefixItems'].includes(key)) {
+                result[key] = value.map(convert);
+            } else if (['items', 'additionalProperties', 'not', 'if', 'then', 'else', 'contains', 'propertyNames'].includes(key)) {
+                result[key] = convert(value);
+            } else if (!['nullable', 'discriminator', 'example', 'xml', 'externalDocs'].includes(key)) {
+                result[key] = value;
+            }
+        });
+
+        // OpenAPI 3.0 boolean exclusive bounds
+        if (isOpenApi30) {
+            if (schema.exclusiveMinimum === true) {
+                result.exclusiveMinimum = schema.minimum;
+                delete result.minimum;
+            } else if (schema.exclusiveMinimum === false) {
+                delete result.exclusiveMinimum;
+            }
+            if (schema.exclusiveMaximum === true) {
+                result.exclusiveMaximum = schema.maximum;
+                delete result.maximum;
+            } else if (schema.exclusiveMaximum === false) {
+                delete result.exclusiveMaximum;
+            }
+        }
+
+        // OpenAPI 3.0 nullable
+        if (schema.nullable === true) {
+            if (result.type !== undefined) {
+                result.type = Array.from(new Set([...[].concat(result.type), 'null']));
+            }
+            if (result.enum !== undefined && !result.enum.includes(null)) {
+                result.enum = [...result.enum, null];
+            }
+            if (result.$ref !== undefined || result.allOf || result.oneOf || result.anyOf) {
+                return { anyOf: [{ type: 'null' }, this.withoutNullable(result)] };
+            }
+        }
+
+        // readOnly properties are never sent in requests, writeOnly never returned in responses
+        if (result.properties) {
+            const hidden = direction === 'response' ? 'writeOnly' : 'readOnly';
+            const excluded = Object.keys(schema.properties).filter(name => {
+                const property = this.resolveRef(spec, schema.properties[name]);
+                return property && property[hidden] === true;
+            });
+
+            if (excluded.length > 0) {
+                excluded.forEach(name => { result.properties[name] = false; });
+                if (result.required) {
+                    result.required = result.required.filter(name => !excluded.includes(name));
+                }
+            }
+        }
+
+        if (schema.discriminator && (schema.oneOf || schema.anyOf)) {
+            return this.applyDiscriminator(spec, schema, result);
+        }
+
+        return result;
+    },
+
+    /**
+     * Replace a discriminated oneOf/anyOf with an explicit branch per discriminator value,
+     * so a payload is only checked against the schema its discriminator names. Values come from
+     * the mapping, referenced component names and inline branches' const/enum; when a branch has
+     * no value, the oneOf/anyOf is kept and the payload is checked against every branch.
+     * @param {Object} spec - OpenAPI document
+     * @param {Object} schema - Original schema with discriminator
+     * @param {Object} converted - Converted schema
+     * @returns {Object} - JSON Schema
+     */
+    applyDiscriminator: function(spec, schema, converted) {
+        const { propertyName, mapping = {} } = schema.discriminator;
+        const keyword = converted.oneOf ? 'oneOf' : 'anyOf';
+        const branches = converted[keyword];
+        const targets = {};
+        let unmapped = false;
+
+        // Explicit mapping first, then implicit names from the referenced component
+        Object.keys(mapping).forEach(value => {
+            const ref = mapping[value].startsWith('#') ? mapping[value] : `#/components/schemas/${mapping[value]}`;
+            targets[value] = { $ref: ref };
+        });
+        const mappedRefs = Object.values(targets).map(target => target.$ref);
+
+        branches.forEach(branch => {
+            if (branch.$ref) {
+                if (!mappedRefs.includes(branch.$ref)) {
+                    targets[branch.$ref.split('/').pop()] = { $ref: branch.$ref };
+                }
+                return;
+            }
+            const property = (branch.properties || {})[propertyName] || {};
+            const values = property.const !== undefined ? [property.const] : (property.enum || []);
+            if (values.length === 0) {
+                unmapped = true;
+            }
+            values.filter(value => targets[value] === undefined).forEach(value => { targets[value] = branch; });
+        });
+
+        const values = Object.keys(targets);
+        if (unmapped || values.length === 0) {
+            return converted;
+        }
+
+        const result = { ...converted };
+        delete result[keyword];
+
+        result.required = Array.from(new Set([...(result.required || []), propertyName]));
+        result.properties = {
+            ...(result.properties || {}),
+            [propertyName]: { ...((result.properties || {})[propertyName] || {}), enum: values }
+        };
+        result.allOf = [
+            ...(result.allOf || []),
+            ...values.map(value => ({
+                if: { properties: { [propertyName]: { const: value } }, required: [propertyName] },
+                then: targets[value]
+            }))
+        ];
+
+        return result;
+    },
+
+    /**
+     * Copy a schema without nullable-specific changes (used inside a null union)
+     * @param {Object} schema - Converted schema
+     * @returns {Object} - Schema
+     */
+    withoutNullable: function(schema) {
+        const copy = { ...schema };
+        if (Array.isArray(copy.type)) {
+            copy.type = copy.type.filter(type => type !== 'null');
+        }
+        if (Array.isArray(copy.enum)) {
+            copy.enum = copy.enum.filter(value => value !== null);
+        }
+        return copy;
+    },
+
+    // =============================================================================
+    // COVERAGE
+    // =============================================================================
+
+    /**
+     * Record that an operation returned a status code
+     * @param {string} operationKey - "METHOD /template"
+     * @param {string|null} statusKey - Documented response key, or null if undocumented
+     * @param {number} code - Actual status code
+     */
+    recordCoverage: function(operationKey, statusKey, code) {
+        const coverage = this.loadCoverage();
+        const entry = coverage[operationKey] || { calls: 0, responses: {}, undocumented: [] };
+
+        entry.calls++;
+        if (statusKey === null) {
+            if (!entry.undocumented.includes(code)) entry.undocumented.push(code);
+        } else {
+            entry.responses[statusKey] = (entry.responses[statusKey] || 0) + 1;
+        }
+
+        coverage[operationKey] = entry;
+        pm.collectionVariables.set(this.storageKeys.coverage, JSON.stringify(coverage));
+    },
+
+    /**
+     * Load recorded coverage
+     * @returns {Object} - Map of operation key to { calls, responses, undocumented }
+     */
+    loadCoverage: function() {
+        try {
+            const stored = pm.collectionVariables.get(this.storageKeys.coverage);
+            return stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.error(`Failed to parse ${this.storageKeys.coverage}: ${error.message}`);
+            return {};
+        }
+    },
+
+    /**
+     * Clear recorded coverage (call at the start of a run)
+     */
+    resetCoverage: function() {
+        pm.collectionVariables.unset(this.storageKeys.coverage);
+    },
+
+    /**
+     * Compare recorded coverage with the operations and responses the spec documents
+     * @param {Object} spec - OpenAPI document (defaults to the stored document)
+     * @returns {Object} - { operations, responses, undocumented, details }
+     */
+    getCoverageReport: function(spec = this.getSpec()) {
+        const coverage = this.loadCoverage();
+        const operations = [];
+        const responses = [];
+
+        Object.keys(spec.paths || {}).forEach(template => {
+            const pathItem = this.resolveRef(spec, spec.paths[template]);
+            this.methods.filter(method => pathItem[method]).forEach(method => {
+                const key = `${method.toUpperCase()} ${template}`;
+                const recorded = coverage[key];
+                operations.push({ key, exercised: Boolean(recorded) });
+
+                Object.keys(pathItem[method].responses || {}).forEach(status => {
+                    responses.push({
+                        key: `${key} ${status}`,
+                        exercised: Boolean(recorded && recorded.responses[status])
+                    });
+                });
+            });
+        });
+
+        const summarize = items => {
+            const exercised = items.filter(item => item.exercised).length;
+            return {
+                total: items.length,
+                exercised,
+                percent: items.length ? Math.round(exercised / items.length * 10000) / 100 : 100,
+                missing: items.filter(item => !item.exercised).map(item => item.key)
+            };
+        };
+
+        return {
+            operations: summarize(operations),
+            responses: summarize(responses),
+            undocumented: Object.keys(coverage)
+                .filter(key => coverage[key].undocumented.length > 0)
+                .map(key => ({ operation: key, codes: coverage[key].undocumented })),
+            details: coverage
+        };
+    },
+
+    /**
+     * Log the coverage report
+     * @param {Object} spec - OpenAPI document (defaults to the stored document)
+     * @returns {Object} - Coverage report
+     */
+    printCoverageReport: function(spec = this.getSpec()) {
+        const report = this.getCoverageReport(spec);
+
+        console.log(`Operation coverage: ${report.operations.exercised}/${report.operations.total} (${report.operations.percent}%)`);
+        console.log(`Response coverage: ${report.responses.exercised}/${report.responses.total} (${report.responses.percent}%)`);
+        report.operations.missing.forEach(key => console.log(`  not exercised: ${key}`));
+        report.undocumented.forEach(entry => {
+            console.warn(`  undocumented status from ${entry.operation}: ${entry.codes.join(', ')}`);
+        });
+
+        return report;
+    },
+
+    // =============================================================================
+    // UTILITY FUNCTIONS
+    // =============================================================================
+
+    /**
+     * Follow a local $ref (#/components/...) inside the document
+     * @param {Object} spec - OpenAPI document
+     * @param {Object} node - Object that may be a reference
+     * @returns {Object} - Referenced object (node itself when not a reference)
+     */
+    resolveRef: function(spec, node) {
+        let current = node;
+        const seen = new Set();
+
+        while (current && typeof current.$ref === 'string' && current.$ref.startsWith('#/')) {
+            if (seen.has(current.$ref)) {
+                throw new Error(`Circular reference: ${current.$ref}`);
+            }
+            seen.add(current.$ref);
+
+            const ref = current.$ref;
+            current = ref.slice(2).split('/').reduce((target, token) => {
+                const key = this.getCryptoUtils().safeDecode(token).replace(/~1/g, '/').replace(/~0/g, '~');
+                return target !== undefined ? target[key] : undefined;
+            }, spec);
+
+            if (current === undefined) {
+                throw new Error(`Cannot resolve reference ${ref}`);
+            }
+        }
+        return current;
+    },
+
+    /**
+     * Check whether a media type carries JSON
+     * @param {string} mediaType - Declared media type
+     * @param {string} contentType - Actual Content-Type
+     * @returns {boolean} - True for application/json and +json types
+     */
+    isJsonMediaType: function(mediaType, contentType) {
+        const isJson = type => /^application\/(.+\+)?json$/i.test(this.stripParameters(type || ''));
+        return isJson(mediaType) || (/\*/.test(mediaType) && isJson(contentType));
+    },
+
+    /**
+     * Remove parameters from a media type (application/json; charset=utf-8 → application/json)
+     * @param {string} mediaType - Media type
+     * @returns {string} - Lowercase media type
+     */
+    stripParameters: function(mediaType) {
+        return String(mediaType).split(';')[0].trim().toLowerCase();
+    },
+
+    /**
+     * Resolve the CryptoUtils helper (sandbox global or Node module)
+     * @returns {Object} - CryptoUtils
+     */
+    getCryptoUtils: function() {
+        return typeof CryptoUtils !== 'undefined' ? CryptoUtils : require('./crypto-utils');
+    },
+
+    /**
+     * Resolve the SchemaValidator helper (sandbox global or Node module)
+     * @returns {Object} - SchemaValidator
+     */
+    getSchemaValidator: function() {
+        return typeof SchemaValidator !== 'undefined' ? SchemaValidator : require('./schema-validator');
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OpenApiContract;
+}
+
+// Usage Examples:
+/*
+// Collection pre-request script (first request): load the spec once per run
+if (!pm.collectionVariables.get('openApiSpec')) {
+    OpenApiContract.loadSpecFromUrl(pm.environment.get('base_url') + '/openapi.json', (err) => {
+        if (err) console.error(err.message);
+    });
+}
+
+// Collection test script: every response is checked against its operation
+OpenApiContract.validateResponse();
+
+// One test per schema violation, and reject codes only covered by 'default'
+OpenApiContract.validateResponse({ mode: 'each', allowDefault: false });
+
+// Last request of the run: coverage report
+const report = OpenApiContract.printCoverageReport();
+pm.test("All documented operations exercised", () => {
+    pm.expect(report.operations.missing).to.be.empty;
+});
+*/
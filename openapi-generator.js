@@ -0,0 +1,955 @@
+#!/usr/bin/env node
+/**
+ * OpenAPI Collection and Scenario Generator
+ * Builds a Postman Collection v2.1 (one folder per tag, prewired tests) and
+ * data-driven scenarios (valid and constraint-violating payloads) from an OpenAPI 3 document
+ */
+
+const OpenApiGenerator = {
+
+    /**
+     * Deterministic sample values for string formats
+     */
+    formatSamples: {
+        'email': 'user@example.com',
+        'date-time': '2024-01-15T10:30:00Z',
+        'date': '2024-01-15',
+        'time': '10:30:00Z',
+        'uuid': '123e4567-e89b-42d3-a456-426614174000',
+        'uri': 'https://example.com/resource',
+        'uri-reference': '/resource',
+        'hostname': 'example.com',
+        'ipv4': '192.0.2.10',
+        'ipv6': '2001:db8::10',
+        'password': 'Sample#Passw0rd',
+        'byte': 'c2FtcGxl',
+        'binary': 'sample'
+    },
+
+    /**
+     * Values that violate each string format
+     */
+    invalidFormatSamples: {
+        'email': 'not-an-email',
+        'date-time': '2024-13-45T99:00:00',
+        'date': '2024-02-30',
+        'time': '25:61:00',
+        'uuid': 'not-a-uuid',
+        'uri': 'not a uri',
+        'hostname': '-invalid-.example',
+        'ipv4': '256.1.1.1',
+        'ipv6': '2001:::zz'
+    },
+
+    /**
+     * Guard against recursive schemas while synthesising payloads
+     */
+    maxDepth: 8,
+
+    // =============================================================================
+    // COLLECTION GENERATION
+    // =============================================================================
+
+    /**
+     * Generate a Collection v2.1 document with one folder per tag
+     * @param {Object} spec - OpenAPI 3 document
+     * @param {Object} options - Options
+     * @param {string} options.schemaChecks - 'contract' (OpenApiContract against the embedded spec)
+     *                                        or 'inline' (TestUtils.validateSchema with the schema inlined)
+     * @param {number} options.maxResponseTime - Response time budget in tests (default 2000)
+     * @param {string} options.untaggedFolder - Folder for operations without tags (default 'General')
+     * @returns {Object} - Collection document
+     */
+    generateCollection: function(spec, options = {}) {
+        const { schemaChecks = 'contract', maxResponseTime = 2000, untaggedFolder = 'General' } = options;
+        const folders = new Map();
+
+        (spec.tags || []).forEach(tag => {
+            folders.set(tag.name, { name: tag.name, description: tag.description || '', item: [] });
+        });
+
+        this.listOperations(spec).forEach(entry => {
+            const tag = (entry.operation.tags && entry.operation.tags[0]) || untaggedFolder;
+            if (!folders.has(tag)) {
+                folders.set(tag, { name: tag, description: '', item: [] });
+            }
+            folders.get(tag).item.push(this.generateItem(spec, entry, { schemaChecks, maxResponseTime }));
+        });
+
+        const variable = [{ key: 'baseUrl', value: this.getServerUrl(spec) }];
+        if (schemaChecks === 'contract') {
+            variable.push({ key: this.getOpenApiContract().storageKeys.spec, value: JSON.stringify(spec) });
+        }
+
+        const collection = {
+            info: {
+                name: (spec.info && spec.info.title) || 'Generated API',
+                description: (spec.info && spec.info.description) || '',
+                schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json'
+            },
+            item: Array.from(folders.values()).filter(folder => folder.item.length > 0),
+            variable
+        };
+
+        const auth = this.generateAuth(spec);
+        if (auth) {
+            collection.auth = auth;
+        }
+
+        return collection;
+    },
+
+    /**
+     * Generate the request item for one operation
+     * @param {Object} spec - OpenAPI 3 document
+     * @param {Object} entry - Operation entry from listOperations
+     * @param {Object} options - { schemaChecks, maxResponseTime }
+     * @returns {Object} - Collection item
+     */
+    generateItem: function(spec, entry, options) {
+        const { method, path, operation, pathItem } = entry;
+        const contract = this.getOpenApiContract();
+        const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])]
+            .map(parameter => contract.resolveRef(spec, parameter));
+
+        const pathVariables = parameters.filter(p => p.in === 'path');
+        const query = parameters.filter(p => p.in === 'query').map(p => ({
+            key: p.name,
+            value: String(this.sampleParameter(spec, p)),
+            disabled: !p.required
+        }));
+        const header = parameters.filter(p => p.in === 'header').map(p => ({
+            key: p.name,
+            value: String(this.sampleParameter(spec, p)),
+            disabled: !p.required
+        }));
+
+        const successKey = this.getSuccessResponseKey(operation);
+        const successResponse = successKey ? contract.resolveRef(spec, operation.responses[successKey]) : null;
+        const accept = successResponse && Object.keys(successResponse.content || {})[0];
+        if (accept) {
+            header.push({ key: 'Accept', value: accept });
+        }
+
+        const request = {
+            method: method.toUpperCase(),
+            header,
+            url: {
+                raw: `{{baseUrl}}${path.replace(/\{([^}]+)\}/g, ':$1')}` +
+                    (query.some(q => !q.disabled) ? `?${query.filter(q => !q.disabled).map(q => `${q.key}=${q.value}`).join('&')}` : ''),
+                host: ['{{baseUrl}}'],
+                path: path.split('/').filter(Boolean).map(segment => segment.replace(/^\{([^}]+)\}$/, ':$1')),
+                query,
+                variable: pathVariables.map(p => ({ key: p.name, value: String(this.sampleParameter(spec, p)) }))
+            }
+        };
+
+        const body = this.getRequestBodyMedia(spec, operation);
+        if (body) {
+            const payload = this.generateValidPayloads(spec, operation)[0].input;
+            request.header.push({ key: 'Content-Type', value: body.mediaType });
+            request.body = {
+                mode: 'raw',
+                raw: JSON.stringify(payload, null, 2),
+                options: { raw: { language: 'json' } }
+            };
+        }
+
+        return {
+            name: operation.summary || operation.operationId || `${method.toUpperCase()} ${path}`,
+            request,
+            event: [{
+                listen: 'test',
+                script: { type: 'text/javascript', exec: this.generateTestScript(spec, entry, options) }
+            }]
+        };
+    },
+
+    /**
+     * Generate the test script lines for an operation
+     * @param {Object} spec - OpenAPI 3 document
+     * @param {Object} entry - Operation entry
+     * @param {Object} options - { schemaChecks, maxResponseTime }
+     * @returns {Array} - Script lines
+     */
+    generateTestScript: function(spec, entry, options) {
+        const { operation } = entry;
+        const contract = this.getOpenApiContract();
+        const successKey = this.getSuccessResponseKey(operation);
+        const lines = [`// Generated from OpenAPI: ${entry.method.toUpperCase()} ${entry.path}`];
+
+        if (/^\d{3}$/.test(String(successKey))) {
+            lines.push(`TestUtils.validateStatusCode(${successKey});`);
+        } else if (successKey && successKey !== 'default') {
+            lines.push(`pm.test("Status code is ${successKey}", () => {`);
+            lines.push(`    pm.expect(String(pm.response.code).charAt(0)).to.equal('${successKey.charAt(0)}');`);
+            lines.push('});');
+        }
+        lines.push(`TestUtils.validateResponseTime(${options.maxResponseTime});`);
+
+        if (options.schemaChecks === 'contract') {
+            lines.push('OpenApiContract.validateResponse();');
+            return lines;
+        }
+
+        const response = successKey ? contract.resolveRef(spec, operation.responses[successKey]) : null;
+        const media = response && Object.keys(response.content || {}).find(type => contract.isJsonMediaType(type));
+        if (media && response.content[media].schema) {
+            const schema = contract.toJsonSchema(spec, response.content[media].schema, 'response');
+            lines.push(`TestUtils.validateSchema(${JSON.stringify(schema)});`);
+        }
+        return lines;
+    },
+
+    /**
+     * Map security schemes to collection auth
+     * @param {Object} spec - OpenAPI 3 document
+     * @returns {Object|null} - Collection auth (bearer, basic or apikey)
+     */
+    generateAuth: function(spec) {
+        const schemes = (spec.components && spec.components.securitySchemes) || {};
+        const required = (spec.security || []).map(requirement => Object.keys(requirement)[0]).filter(Boolean);
+        const scheme = required.map(name => schemes[name]).find(Boolean);
+
+        if (!scheme) {
+            return null;
+        }
+
+        if ((scheme.type === 'http' && /^bearer$/i.test(scheme.scheme)) || scheme.type === 'oauth2' || scheme.type === 'openIdConnect') {
+            return { type: 'bearer', bearer: [{ key: 'token', value: '{{accessToken}}', type: 'string' }] };
+        }
+        if (scheme.type === 'http' && /^basic$/i.test(scheme.scheme)) {
+            return {
+                type: 'basic',
+                basic: [
+                    { key: 'username', value: '{{username}}', type: 'string' },
+                    { key: 'password', value: '{{password}}', type: 'string' }
+                ]
+            };
+        }
+        if (scheme.type === 'apiKey') {
+            return {
+                type: 'apikey',
+                apikey: [
+                    { key: 'key', value: scheme.name, type: 'string' },
+                    { key: 'value', value: '{{apiKey}}', type: 'string' },
+                    { key: 'in', value: scheme.in === 'query' ? 'query' : 'header', type: 'string' }
+                ]
+            };
+        }
+        return null;
+    },
+
+    // =============================================================================
+    // SCENARIO GENERATION
+    // =============================================================================
+
+    /**
+     * Generate data-driven scenarios for an operation's request body
+     * @param {Object} spec - OpenAPI 3 document
+     * @param {string} method - HTTP method
+     * @param {string} path - Path template (e.g. /users)
+     * @param {Object} options - Options
+     * @param {number} options.negativeStatus - Expected status for invalid payloads
+     *                                          (default: documented 400 or 422, else 400)
+     * @param {boolean} options.negative - Include constraint violations (default true)
+     * @returns {Array} - Scenarios in { description, input, expectedStatus, expectedResponse } shape
+     */
+    generateScenarios: function(spec, method, path, options = {}) {
+        const pathItem = this.getOpenApiContract().resolveRef(spec, (spec.paths || {})[path] || {});
+        const operation = pathItem[String(method).toLowerCase()];
+
+        if (!operation) {
+            throw new Error(`No operation ${String(method).toUpperCase()} ${path} in the OpenAPI document`);
+        }
+
+        const scenarios = this.generateValidPayloads(spec, operation);
+        if (options.negative === false || scenarios.length === 0) {
+            return scenarios;
+        }
+
+        const negativeStatus = options.negativeStatus || this.getNegativeStatus(operation);
+        const body = this.getRequestBodyMedia(spec, operation);
+        const label = operation.operationId || `${String(method).toUpperCase()} ${path}`;
+
+        // The synthesised payload (last) carries every optional property, so it exposes the most constraints
+        this.generateViolations(spec, body.schema, scenarios[scenarios.length - 1].input, [], 0).forEach(violation => {
+            scenarios.push({
+                description: `${label} - ${violation.description}`,
+                input: violation.input,
+                expectedStatus: negativeStatus,
+                expectedResponse: null
+            });
+        });
+
+        return scenarios;
+    },
+
+    /**
+     * Generate scenarios for every operation that takes a request body
+     * @param {Object} spec - OpenAPI 3 document
+     * @param {Object} options - generateScenarios options
+     * @returns {Object} - Map of "METHOD /path" to scenarios
+     */
+    generateAllScenarios: function(spec, options = {}) {
+        return this.listOperations(spec).reduce((all, entry) => {
+            if (this.getRequestBodyMedia(spec, entry.operation)) {
+                all[`${entry.method.toUpperCase()} ${entry.path}`] =
+                    this.generateScenarios(spec, entry.method, entry.path, options);
+            }
+            return all;
+        }, {});
+    },
+
+    /**
+     * Valid payload scenarios: declared examples first, then one synthesised from the schema
+     * @param {Object} spec - OpenAPI 3 document
+     * @param {Object} operation - Operation object
+     * @returns {Array} - Valid scenarios (empty when there is no JSON request body)
+     */
+    generateValidPayloads: function(spec, operation) {
+        const body = this.getRequestBodyMedia(spec, operation);
+        if (!body) {
+            return [];
+        }
+
+        const contract = this.getOpenApiContract();
+        const label = operation.operationId || operation.summary || 'Request';
+        const expectedStatus = this.toStatusCode(this.getSuccessResponseKey(operation));
+        const payloads = [];
+
+        if (body.media.example !== undefined) {
+            payloads.push({ name: 'example', value: body.media.example });
+        }
+        Object.keys(body.media.examples || {}).forEach(name => {
+            const example = contract.resolveRef(spec, body.media.examples[name]);
+            if (example.value !== undefined) {
+                payloads.push({ name: `example ${name}`, value: example.value });
+            }
+        });
+        payloads.push({ name: 'generated from schema', value: this.generateExample(spec, body.schema, 0) });
+
+        const requestSchema = contract.toJsonSchema(spec, body.schema, 'request');
+        return payloads.map(payload => {
+            const result = this.getSchemaValidator().validate(requestSchema, payload.value);
+            if (!result.valid) {
+                console.warn(`${label} ${payload.name} does not satisfy the request schema: ` +
+                    result.errors.map(error => this.getSchemaValidator().formatError(error)).join('; '));
+            }
+            return {
+                description: `${label} - valid payload (${payload.name})`,
+                input: payload.value,
+                expectedStatus,
+                expectedResponse: null
+            };
+        });
+    },
+
+    /**
+     * Build one payload per violated constraint, recursing into nested objects
+     * @param {Object} spec - OpenAPI 3 document
+     * @param {Object} schema - Schema of the value at path
+     * @param {Object} base - Valid root payload to mutate
+     * @param {Array} path - Property path from the root
+     * @param {number} depth - Recursion depth
+     * @returns {Array} - [{ description, input }]
+     */
+    generateViolations: function(spec, schema, base, path, depth) {
+        const resolved = this.resolveSchema(spec, schema);
+        const violations = [];
+        const field = path.length ? path.join('.') : 'body';
+        const add = (description, value, remove = false) => {
+            violations.push({ description: `${field} ${description}`, input: this.withValue(base, path, value, remove) });
+        };
+
+        if (!resolved || depth > this.maxDepth || resolved.readOnly) {
+            return violations;
+        }
+
+        const type = this.getType(resolved);
+        const wrongType = { string: 123, integer: 'not-a-number', number: 'not-a-number', boolean: 'not-a-boolean', array: 'not-an-array', object: 'not-an-object' }[type];
+        if (wrongType !== undefined) {
+            add(`has wrong type (${typeof wrongType} instead of ${type})`, wrongType);
+        }
+        if (type === 'integer') {
+            add('is not an integer', 1.5);
+        }
+        if (path.length && !resolved.nullable && !this.allowsNull(resolved)) {
+            add('is null', null);
+        }
+
+        if (resolved.enum) {
+            add('is not an allowed value', type === 'string' ? '__invalid_enum_value__' : -987654321);
+        }
+
+        if (type === 'string') {
+            if (resolved.minLength > 0) add(`is shorter than minLength ${resolved.minLength}`, 'a'.repeat(resolved.minLength - 1));
+            if (resolved.maxLength !== undefined) add(`exceeds maxLength ${resolved.maxLength}`, 'a'.repeat(resolved.maxLength + 1));
+            if (resolved.format && this.invalidFormatSamples[resolved.format]) {
+                add(`is not a valid ${resolved.format}`, this.invalidFormatSamples[resolved.format]);
+            }
+            if (resolved.pattern) {
+                const regex = new RegExp(resolved.pattern, 'u');
+                const value = ['', ' ', '!!!', '0', 'a', 'A_b-9'].find(candidate => !regex.test(candidate));
+                if (value !== undefined) add(`does not match pattern ${resolved.pattern}`, value);
+            }
+        }
+
+        if (type === 'integer' || type === 'number') {
+            const step = type === 'integer' ? 1 : 0.01;
+            const exclusive = (bound, flag) => typeof flag === 'number' ? flag : (flag === true ? bound : undefined);
+            const exclusiveMinimum = exclusive(resolved.minimum, resolved.exclusiveMinimum);
+            const exclusiveMaximum = exclusive(resolved.maximum, resolved.exclusiveMaximum);
+
+            if (exclusiveMinimum !== undefined) add(`is not above exclusiveMinimum ${exclusiveMinimum}`, exclusiveMinimum);
+            else if (resolved.minimum !== undefined) add(`is below minimum ${resolved.minimum}`, resolved.minimum - step);
+            if (exclusiveMaximum !== undefined) add(`is not below exclusiveMaximum ${exclusiveMaximum}`, exclusiveMaximum);
+            else if (resolved.maximum !== undefined) add(`is above maximum ${resolved.maximum}`, resolved.maximum + step);
+            if (resolved.multipleOf !== undefined && type === 'number') {
+                add(`is not a multiple of ${resolved.multipleOf}`, resolved.multipleOf * 1.5);
+            }
+        }
+
+        if (type === 'array') {
+            const item = this.generateExample(spec, resolved.items || {}, depth + 1);
+            if (resolved.minItems > 0) add(`has fewer than ${resolved.minItems} items`, new Array(resolved.minItems - 1).fill(item));
+            if (resolved.maxItems !== undefined) add(`has more than ${resolved.maxItems} items`, new Array(resolved.maxItems + 1).fill(item));
+            if (resolved.uniqueItems) add('has duplicate items', [item, item]);
+        }
+
+        if (type === 'object') {
+            const current = this.getValue(base, path) || {};
+            (resolved.required || []).forEach(name => {
+                const property = this.resolveSchema(spec, (resolved.properties || {})[name] || {});
+                if (!property.readOnly) {
+                    violations.push({
+                        description: `${path.concat(name).join('.')} is missing (required)`,
+                        input: this.withValue(base, path.concat(name), undefined, true)
+                    });
+                }
+            });
+            if (resolved.additionalProperties === false) {
+                add('has an undeclared property', { ...current, unexpectedProperty: 'unexpected' });
+            }
+            Object.keys(resolved.properties || {}).filter(name => current[name] !== undefined).forEach(name => {
+                violations.push(...this.generateViolations(spec, resolved.properties[name], base, path.concat(name), depth + 1));
+            });
+        }
+
+        return violations;
+    },
+
+    // =============================================================================
+    // EXAMPLE SYNTHESIS
+    // =============================================================================
+
+    /**
+     * Synthesise a value satisfying a schema, preferring declared examples and defaults
+     * @param {Object} spec - OpenAPI 3 document
+     * @param {Object} schema - OpenAPI schema
+     * @param {number} depth - Recursion depth
+     * @returns {*} - Sample value
+     */
+    generateExample: function(spec, schema, depth = 0) {
+        const resolved = this.resolveSchema(spec, schema);
+
+        if (!resolved || depth > this.maxDepth) return null;
+        if (resolved.example !== undefined) return resolved.example;
+        if (Array.isArray(resolved.examples) && resolved.examples.length) return resolved.examples[0];
+        if (resolved.default !== undefined) return resolved.default;
+        if (resolved.const !== undefined) return resolved.const;
+        if (resolved.enum && resolved.enum.length) return resolved.enum.find(value => value !== null);
+
+        if (resolved.oneOf || resolved.anyOf) {
+            const branches = resolved.oneOf || resolved.anyOf;
+            const value = this.generateExample(spec, branches[0], depth + 1);
+            if (resolved.discriminator && value && typeof value === 'object') {
+                const tag = this.discriminatorValue(spec, resolved.discriminator, branches[0]);
+                if (tag !== undefined) value[resolved.discriminator.propertyName] = tag;
+            }
+            return value;
+        }
+
+        switch (this.getType(resolved)) {
+            case 'string':
+                return this.sampleString(resolved);
+            case 'integer':
+            case 'number':
+                return this.sampleNumber(resolved);
+            case 'boolean':
+                return true;
+            case 'array': {
+                const item = this.generateExample(spec, resolved.items || {}, depth + 1);
+                const count = Math.max(resolved.minItems || 1, 1);
+                return resolved.uniqueItems && count > 1
+                    ? Array.from({ length: count }, (_, i) => (typeof item === 'number' ? item + i : typeof item === 'string' ? `${item}${i}` : item))
+                    : new Array(count).fill(item);
+            }
+            case 'object': {
+                const result = {};
+                Object.keys(resolved.properties || {}).forEach(name => {
+                    const property = this.resolveSchema(spec, resolved.properties[name]);
+                    const required = (resolved.required || []).includes(name);
+                    // Optional properties are left out of recursive structures
+                    if (property && !property.readOnly && (required || depth < 3)) {
+                        result[name] = this.generateExample(spec, property, depth + 1);
+                    }
+                });
+                if (resolved.discriminator) {
+                    const tag = this.discriminatorValue(spec, resolved.discriminator, schema);
+                    const name = resolved.discriminator.propertyName;
+                    if (tag !== undefined) result[name] = tag;
+                    else if (!(name in result)) result[name] = this.sampleString({});
+                }
+                return result;
+            }
+            default:
+                return null;
+        }
+    },
+
+    /**
+     * Sample string honouring format, pattern and length limits
+     * @param {Object} schema - Resolved string schema
+     * @returns {string} - Sample
+     */
+    sampleString: function(schema) {
+        let value = this.formatSamples[schema.format];
+
+        if (value === undefined && schema.pattern) {
+            value = this.generateFromPattern(schema.pattern);
+        }
+        if (value === undefined || value === null) {
+            value = 'sample';
+        }
+
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            value = value + 'x'.repeat(schema.minLength - value.length);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            value = value.slice(0, schema.maxLength);
+        }
+        return value;
+    },
+
+    /**
+     * Sample number honouring bounds and multipleOf
+     * @param {Object} schema - Resolved numeric schema
+     * @returns {number} - Sample
+     */
+    sampleNumber: function(schema) {
+        const step = this.getType(schema) === 'integer' ? 1 : 0.5;
+        const lower = typeof schema.exclusiveMinimum === 'number' ? schema.exclusiveMinimum + step
+            : schema.exclusiveMinimum === true ? schema.minimum + step
+            : schema.minimum;
+        const upper = typeof schema.exclusiveMaximum === 'number' ? schema.exclusiveMaximum - step
+            : schema.exclusiveMaximum === true ? schema.maximum - step
+            : schema.maximum;
+
+        let value = lower !== undefined ? lower : (upper !== undefined ? Math.min(upper, 1) : 1);
+        if (schema.multipleOf) {
+            value = Math.ceil(value / schema.multipleOf) * schema.multipleOf;
+        }
+        return step === 1 ? Math.ceil(value) : value;
+    },
+
+    /**
+     * Generate a string for simple patterns (literals, classes, groups, quantifiers)
+     * @param {string} pattern - Regular expression source
+     * @returns {string|null} - Matching string, or null if the pattern is too complex
+     */
+    generateFromPattern: function(pattern) {
+        const classSamples = { d: '5', w: 'a', s: ' ', D: 'a', W: '-', S: 'a' };
+        let i = 0;
+
+        const parseSequence = () => {
+            let out = '';
+            while (i < pattern.length && pattern[i] !== ')' && pattern[i] !== '|') {
+                let atom;
+                const char = pattern[i];
+
+                if (char === '^' || char === '$') {
+                    i++;
+                    continue;
+                } else if (char === '\\') {
+                    const next = pattern[i + 1];
+                    atom = classSamples[next] !== undefined ? classSamples[next] : next;
+                    i += 2;
+                } else if (char === '[') {
+                    const end = pattern.indexOf(']', i + 2);
+                    const body = pattern.slice(i + 1, end);
+                    if (end < 0 || body.startsWith('^')) throw new Error('unsupported class');
+                    atom = body.startsWith('\\') ? (classSamples[body[1]] || body[1]) : body[0];
+                    i = end + 1;
+                } else if (char === '(') {
+                    i += pattern.startsWith('?:', i + 1) ? 3 : 1;
+                    atom = parseSequence();
+                    while (pattern[i] === '|') {
+                        i++;
+                        parseSequence();
+                    }
+                    if (pattern[i] !== ')') throw new Error('unbalanced group');
+                    i++;
+                } else if (char === '.') {
+                    atom = 'a';
+                    i++;
+                } else {
+                    atom = char;
+                    i++;
+                }
+
+                let count = 1;
+                const quantifier = pattern.slice(i).match(/^(\{(\d+)(,(\d*))?\}|[*+?])\??/);
+                if (quantifier) {
+                    if (quantifier[2] !== undefined) count = parseInt(quantifier[2], 10);
+                    else count = quantifier[1] === '+' ? 1 : 0;
+                    i += quantifier[0].length;
+                }
+                out += atom.repeat(count);
+            }
+            return out;
+        };
+
+        try {
+            const value = parseSequence();
+            return new RegExp(pattern, 'u').test(value) ? value : null;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Sample value for a parameter
+     * @param {Object} spec - OpenAPI 3 document
+     * @param {Object} parameter - Parameter object
+     * @returns {*} - Sample value
+     */
+    sampleParameter: function(spec, parameter) {
+        if (parameter.example !== undefined) {
+            return parameter.example;
+        }
+        const named = Object.values(parameter.examples || {})
+            .map(example => this.getOpenApiContract().resolveRef(spec, example))
+            .find(example => example.value !== undefined);
+        if (named) {
+            return named.value;
+        }
+        const value = this.generateExample(spec, parameter.schema || { type: 'string' }, 0);
+        return Array.isArray(value) ? value.join(',') : value;
+    },
+
+    // =============================================================================
+    // UTILITY FUNCTIONS
+    // =============================================================================
+
+    /**
+     * List every operation in the document
+     * @param {Object} spec - OpenAPI 3 document
+     * @returns {Array} - [{ method, path, operation, pathItem }]
+     */
+    listOperations: function(spec) {
+        const contract = this.getOpenApiContract();
+        const operations = [];
+
+        Object.keys(spec.paths || {}).forEach(path => {
+            const pathItem = contract.resolveRef(spec, spec.paths[path]);
+            contract.methods.filter(method => pathItem[method]).forEach(method => {
+                operations.push({ method, path, operation: pathItem[method], pathItem });
+            });
+        });
+        return operations;
+    },
+
+    /**
+     * Get the JSON request body media type and schema of an operation
+     * @param {Object} spec - OpenAPI 3 document
+     * @param {Object} operation - Operation object
+     * @returns {Object|null} - { mediaType, media, schema } or null
+     */
+    getRequestBodyMedia: function(spec, operation) {
+        if (!operation.requestBody) {
+            return null;
+        }
+        const contract = this.getOpenApiContract();
+        const requestBody = contract.resolveRef(spec, operation.requestBody);
+        const content = requestBody.content || {};
+        const mediaType = Object.keys(content).find(type => contract.isJsonMediaType(type));
+
+        return mediaType && content[mediaType].schema
+            ? { mediaType, media: content[mediaType], schema: content[mediaType].schema }
+            : null;
+    },
+
+    /**
+     * First documented success response key (exact 2xx, then 2XX, then default)
+     * @param {Object} operation - Operation object
+     * @returns {string|null} - Response key
+     */
+    getSuccessResponseKey: function(operation) {
+        const keys = Object.keys(operation.responses || {});
+        return keys.filter(key => /^2\d\d$/.test(key)).sort()[0] ||
+            keys.find(key => key.toUpperCase() === '2XX') ||
+            (keys.includes('default') ? 'default' : null);
+    },
+
+    /**
+     * Expected status for invalid payloads
+     * @param {Object} operation - Operation object
+     * @returns {number} - 400 or 422 as documented (400 when neither is)
+     */
+    getNegativeStatus: function(operation) {
+        const keys = Object.keys(operation.responses || {});
+        return keys.includes('422') && !keys.includes('400') ? 422 : 400;
+    },
+
+    /**
+     * Convert a response key to a status code ('2XX' and 'default' become 200)
+     * @param {string|null} key - Response key
+     * @returns {number} - Status code
+     */
+    toStatusCode: function(key) {
+        return /^\d{3}$/.test(String(key)) ? parseInt(key, 10) : 200;
+    },
+
+    /**
+     * Base URL from the first server, with variables at their defaults
+     * @param {Object} spec - OpenAPI 3 document
+     * @returns {string} - Base URL without trailing slash
+     */
+    getServerUrl: function(spec) {
+        const server = (spec.servers || [])[0];
+        if (!server) {
+            return 'http://localhost';
+        }
+        return String(server.url)
+            .replace(/\{([^}]+)\}/g, (match, name) => {
+                const variable = (server.variables || {})[name];
+                return variable ? variable.default : match;
+            })
+            .replace(/\/+$/, '');
+    },
+
+    /**
+     * Resolve $ref and merge allOf into one schema
+     * @param {Object} spec - OpenAPI 3 document
+     * @param {Object} schema - Schema
+     * @returns {Object} - Resolved schema
+     */
+    resolveSchema: function(spec, schema) {
+        const resolved = this.getOpenApiContract().resolveRef(spec, schema);
+        if (!resolved || !resolved.allOf) {
+            return resolved;
+        }
+
+        return resolved.allOf.reduce((merged, part) => {
+            const sub = this.resolveSchema(spec, part) || {};
+            return {
+                ...sub,
+                ...merged,
+                properties: { ...(sub.properties || {}), ...(merged.properties || {}) },
+                required: Array.from(new Set([...(sub.required || []), ...(merged.required || [])]))
+            };
+        }, { ...resolved, allOf: undefined });
+    },
+
+    /**
+     * Get the primary type of a schema (inferred from keywords when absent)
+     * @param {Object} schema - Resolved schema
+     * @returns {string|undefined} - Type name
+     */
+    getType: function(schema) {
+        const type = [].concat(schema.type || []).find(t => t !== 'null');
+        if (type) return type;
+        if (schema.properties || schema.additionalProperties !== undefined) return 'object';
+        if (schema.items) return 'array';
+        return undefined;
+    },
+
+    /**
+     * Check whether a schema accepts null (OpenAPI 3.1 type arrays)
+     * @param {Object} schema - Resolved schema
+     * @returns {boolean} - True if null is allowed
+     */
+    allowsNull: function(schema) {
+        return [].concat(schema.type || []).includes('null') || (schema.enum || []).includes(null);
+    },
+
+    /**
+     * Discriminator value that selects a branch: its mapping key, the const or enum of its
+     * discriminator property, its schema name, else the first mapping key
+     * @param {Object} spec - OpenAPI 3 document
+     * @param {Object} discriminator - Discriminator object
+     * @param {Object} branch - Branch schema ($ref or inline)
+     * @returns {string|undefined} - Value, or undefined when nothing names the branch
+     */
+    discriminatorValue: function(spec, discriminator, branch) {
+        const mapping = discriminator.mapping || {};
+        const ref = branch.$ref || '';
+        const name = ref.split('/').pop();
+        const mapped = ref ? Object.keys(mapping).find(value => mapping[value] === ref || mapping[value] === name) : undefined;
+        if (mapped !== undefined) return mapped;
+
+        const properties = (this.resolveSchema(spec, branch) || {}).properties || {};
+        const property = this.resolveSchema(spec, properties[discriminator.propertyName] || {}) || {};
+        if (property.const !== undefined) return property.const;
+        if (property.enum && property.enum.length) return property.enum[0];
+
+        return name || Object.keys(mapping)[0];
+    },
+
+    /**
+     * Read a value at a property path
+     * @param {*} root - Root value
+     * @param {Array} path - Property names
+     * @returns {*} - Value
+     */
+    getValue: function(root, path) {
+        return path.reduce((current, key) => (current !== null && current !== undefined ? current[key] : undefined), root);
+    },
+
+    /**
+     * Copy a payload with the value at path replaced (or removed)
+     * @param {*} root - Valid payload
+     * @param {Array} path - Property names
+     * @param {*} value - New value
+     * @param {boolean} remove - Delete the property instead
+     * @returns {*} - New payload
+     */
+    withValue: function(root, path, value, remove = false) {
+        if (path.length === 0) {
+            return value;
+        }
+        const copy = JSON.parse(JSON.stringify(root));
+        const parent = this.getValue(copy, path.slice(0, -1));
+        const key = path[path.length - 1];
+        if (remove) {
+            delete parent[key];
+        } else {
+            parent[key] = value;
+        }
+        return copy;
+    },
+
+    /**
+     * Resolve the OpenApiContract helper (sandbox global or Node module)
+     * @returns {Object} - OpenApiContract
+     */
+    getOpenApiContract: function() {
+        return typeof OpenApiContract !== 'undefined' ? OpenApiContract : require('./openapi-contract');
+    },
+
+    /**
+     * Resolve the SchemaValidator helper (sandbox global or Node module)
+     * @returns {Object} - SchemaValidator
+     */
+    getSchemaValidator: function() {
+        return typeof SchemaValidator !== 'undefined' ? SchemaValidator : require('./schema-validator');
+    },
+
+    // =============================================================================
+    // COMMAND LINE
+    // =============================================================================
+
+    /**
+     * Command-line usage text
+     */
+    usage: [
+        'Usage: node openapi-generator.js <openapi.json> [options]',
+        '',
+        'Options:',
+        '  -o, --output <file>             Write the collection (default: stdout)',
+        '  --scenarios <file>              Write data-driven scenarios per operation',
+        '  --inline-schemas                Inline response schemas instead of embedding the spec',
+        '  --negative-status <code>        Expected status for invalid payloads'
+    ].join('\n'),
+
+    /**
+     * Command-line entry point
+     * @param {Array} argv - Arguments after the script name
+     * @returns {number} - Process exit code
+     */
+    main: function(argv) {
+        const fs = require('fs');
+        const options = {};
+
+        for (let i = 0; i < argv.length; i++) {
+            const arg = argv[i];
+            switch (arg) {
+                case '-o':
+                case '--output': options.output = argv[++i]; break;
+                case '--scenarios': options.scenarios = argv[++i]; break;
+                case '--inline-schemas': options.schemaChecks = 'inline'; break;
+                case '--negative-status': options.negativeStatus = parseInt(argv[++i], 10); break;
+                case '-h':
+                case '--help': console.log(this.usage); return 0;
+                default:
+                    if (arg.startsWith('-') || options.spec) {
+                        console.error(`Unexpected argument ${arg}`);
+                        console.error(this.usage);
+                        return 2;
+                    }
+                    options.spec = arg;
+            }
+        }
+
+        if (!options.spec) {
+            console.error(this.usage);
+            return 2;
+        }
+
+        try {
+            const spec = JSON.parse(fs.readFileSync(options.spec, 'utf8'));
+            const collection = JSON.stringify(this.generateCollection(spec, options), null, 2);
+
+            if (options.output) {
+                fs.writeFileSync(options.output, collection);
+                console.log(`Wrote collection to ${options.output}`);
+            } else {
+                console.log(collection);
+            }
+
+            if (options.scenarios) {
+                fs.writeFileSync(options.scenarios, JSON.stringify(this.generateAllScenarios(spec, options), null, 2));
+                if (options.output) {
+                    console.log(`Wrote scenarios to ${options.scenarios}`);
+                } else {
+                    // The collection is on stdout; keep it valid JSON
+                    console.error(`Wrote scenarios to ${options.scenarios}`);
+                }
+            }
+            return 0;
+        } catch (error) {
+            console.error(`Generation failed: ${error.message}`);
+            return 2;
+        }
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OpenApiGenerator;
+}
+
+if (typeof module !== 'undefined' && typeof require !== 'undefined' && require.main === module) {
+    process.exitCode = OpenApiGenerator.main(process.argv.slice(2));
+}
+
+// Usage Examples:
+/*
+// Command line: collection with one folder per tag, plus scenarios per operation
+node openapi-generator.js petstore.json -o petstore.postman_collection.json --scenarios petstore.scenarios.json
+
+// Pre-request script: feed generated scenarios to the data-driven runner
+const spec = OpenApiContract.getSpec();
+DataDrivenTesting.setTestData(OpenApiGenerator.generateScenarios(spec, 'POST', '/pets'));
+
+// Test script
+DataDrivenTesting.executeDataDrivenTest({
+    requestConfig: {
+        url: pm.environment.get('baseUrl') + '/pets',
+        method: 'POST',
+        header: { 'Content-Type': 'application/json' },
+        body: { mode: 'raw' }
+    }
+});
+*/
@@ -0,0 +1,532 @@
+/**
+ * Performance Baselines for Postman
+ * Named per-endpoint latency baselines recorded from a run, and statistical regression
+ * detection (Mann-Whitney U or bootstrap confidence intervals) for later runs
+ */
+
+const PerformanceBaseline = {
+
+    /**
+     * Environment key holding the baselines as JSON
+     */
+    storageKey: 'performanceBaselines',
+
+    /**
+     * Default settings
+     */
+    defaults: {
+        source: 'performance',          // ResultStore source(s) holding the latency records
+        method: 'mann-whitney',         // or 'bootstrap'
+        metrics: ['median', 'p95'],
+        alpha: 0.05,                    // significance level
+        minEffect: {
+            relative: 0.1,              // a regression must be at least 10% slower...
+            absolute: 5                 // ...and at least 5ms slower
+        },
+        minSamples: 10,
+        maxSamples: 500,                // samples kept per endpoint in a baseline
+        iterations: 1000                // bootstrap resamples
+    },
+
+    // =============================================================================
+    // BASELINES
+    // =============================================================================
+
+    /**
+     * Record a named baseline from a run
+     * @param {string} name - Baseline name (replaces an existing one)
+     * @param {Object} options - { runId ('current', 'previous' or an ID; default 'current'), source, filter (extra ResultStore filter), maxSamples }
+     * @returns {Object} - Baseline { name, runId, createdAt, endpoints: { endpoint: { count, median, p95, mean, samples } } }
+     */
+    record: function(name, options = {}) {
+        const settings = { ...this.defaults, ...options };
+        const runId = this.resolveRunId(settings.runId || 'current', settings.source);
+        const groups = this.collect(runId, settings);
+        const statistics = this.getStatistics();
+
+        const endpoints = {};
+        Object.keys(groups).forEach(endpoint => {
+            const sorted = statistics.sortValues(groups[endpoint]);
+            endpoints[endpoint] = {
+                count: sorted.length,
+                median: statistics.round(statistics.percentile(sorted, 50), 2),
+                p95: statistics.round(statistics.percentile(sorted, 95), 2),
+                mean: statistics.summarize(sorted).mean,
+                samples: this.downsample(sorted, settings.maxSamples)
+            };
+        });
+
+        if (Object.keys(endpoints).length === 0) {
+            throw new Error(`No ${[].concat(settings.source).join('/')} records for run ${runId}; nothing to record as baseline "${name}"`);
+        }
+
+        const baseline = { name, runId, createdAt: new Date().toISOString(), endpoints };
+        const baselines = this.load();
+        baselines[name] = baseline;
+        this.save(baselines);
+
+        console.log(`Baseline "${name}" recorded from run ${runId}: ${Object.keys(endpoints).length} endpoint(s)`);
+        return baseline;
+    },
+
+    /**
+     * Get a baseline
+     * @param {string} name - Baseline name
+     * @returns {Object|null} - Baseline
+     */
+    get: function(name) {
+        return this.load()[name] || null;
+    },
+
+    /**
+     * List baselines
+     * @returns {Array} - [{ name, runId, createdAt, endpoints }] with endpoint counts
+     */
+    list: function() {
+        const baselines = this.load();
+        return Object.keys(baselines).map(name => ({
+            name,
+            runId: baselines[name].runId,
+            createdAt: baselines[name].createdAt,
+            endpoints: Object.keys(baselines[name].endpoints).length
+        }));
+    },
+
+    /**
+     * Remove a baseline
+     * @param {string} name - Baseline name
+     */
+    remove: function(name) {
+        const baselines = this.load();
+        delete baselines[name];
+        this.save(baselines);
+    },
+
+    // =============================================================================
+    // COMPARISON
+    // =============================================================================
+
+    /**
+     * Compare a run with a baseline, endpoint by endpoint.
+     * An endpoint fails when the slowdown is statistically significant and reaches the minimum
+     * effect on any metric. It warns when a slowdown reaches the minimum effect without being
+     * significant, or when there is too little data; significant changes below the minimum pass.
+     * @param {string} name - Baseline name
+     * @param {Object} options - { runId (default 'current'), source, filter, method: 'mann-whitney'|'bootstrap', metrics, alpha,
+     *   minEffect: { relative, absolute }, minSamples, iterations }
+     * @returns {Object} - { baseline, runId, method, verdict, endpoints: [{ endpoint, verdict, baseline, current, metrics, test, explanation }] }
+     */
+    compare: function(name, options = {}) {
+        const settings = { ...this.defaults, ...options, minEffect: { ...this.defaults.minEffect, ...(options.minEffect || {}) } };
+        const baseline = this.get(name);
+        if (!baseline) {
+            throw new Error(`Unknown performance baseline "${name}" (recorded: ${Object.keys(this.load()).join(', ') || 'none'})`);
+        }
+
+        const runId = this.resolveRunId(settings.runId || 'current', settings.source);
+        const groups = this.collect(runId, settings);
+        const endpoints = Object.keys({ ...baseline.endpoints, ...groups }).sort().map(endpoint =>
+            this.compareEndpoint(endpoint, baseline.endpoints[endpoint], groups[endpoint], settings)
+        );
+
+        const verdicts = endpoints.map(result => result.verdict);
+        return {
+            baseline: name,
+            baselineRunId: baseline.runId,
+            runId,
+            method: settings.method,
+            verdict: verdicts.includes('fail') ? 'fail' : verdicts.includes('warn') ? 'warn' : 'pass',
+            endpoints
+        };
+    },
+
+    /**
+     * Compare one endpoint
+     * @param {string} endpoint - Endpoint key
+     * @param {Object} base - Baseline entry (undefined for a new endpoint)
+     * @param {Array} values - Current response times (undefined when the run did not call it)
+     * @param {Object} settings - Comparison settings
+     * @returns {Object} - { endpoint, verdict, baseline, current, metrics, test, explanation }
+     */
+    compareEndpoint: function(endpoint, base, values, settings) {
+        const statistics = this.getStatistics();
+        const current = values ? statistics.sortValues(values) : [];
+        const result = {
+            endpoint,
+            verdict: 'warn',
+            baseline: base ? { count: base.count, median: base.median, p95: base.p95 } : null,
+            current: current.length > 0 ? {
+                count: current.length,
+                median: statistics.round(statistics.percentile(current, 50), 2),
+                p95: statistics.round(statistics.percentile(current, 95), 2)
+            } : null,
+            metrics: {},
+            test: null,
+            explanation: ''
+        };
+
+        if (!base) {
+            result.explanation = 'Not in the baseline (new endpoint)';
+            return result;
+        }
+        if (current.length === 0) {
+            result.explanation = 'Not called in this run';
+            return result;
+        }
+        if (current.length < settings.minSamples || base.samples.length < settings.minSamples) {
+            result.explanation = `Too few samples to compare (${base.samples.length} baseline, ${current.length} current; minimum ${settings.minSamples})`;
+            return result;
+        }
+
+        const baseSamples = base.samples;
+        let significance;
+
+        if (settings.method === 'bootstrap') {
+            const intervals = this.bootstrap(baseSamples, current, settings, `${endpoint}|${settings.iterations}`);
+            result.test = { method: 'bootstrap', confidence: 1 - settings.alpha, intervals };
+            significance = metric => intervals[metric].lower > 0;
+        } else if (settings.method === 'mann-whitney') {
+            const test = this.mannWhitney(baseSamples, current);
+            result.test = { method: 'mann-whitney', ...test };
+            significance = () => test.pSlower < settings.alpha;
+        } else {
+            throw new Error(`Unknown comparison method "${settings.method}" (mann-whitney or bootstrap)`);
+        }
+
+        settings.metrics.forEach(metric => {
+            const before = this.metricValue(baseSamples, metric);
+            const after = this.metricValue(current, metric);
+            const change = after - before;
+            const relative = before > 0 ? change / before : (change > 0 ? Infinity : 0);
+            result.metrics[metric] = {
+                baseline: statistics.round(before, 2),
+                current: statistics.round(after, 2),
+                change: statistics.round(change, 2),
+                relative: statistics.round(relative, 4),
+                significant: significance(metric),
+                exceedsMinimum: change >= settings.minEffect.absolute && relative >= settings.minEffect.relative
+            };
+        });
+
+        const metrics = Object.keys(result.metrics).map(metric => ({ metric, ...result.metrics[metric] }));
+        const regressed = metrics.filter(m => m.significant && m.exceedsMinimum);
+        const suspicious = metrics.filter(m => m.exceedsMinimum && !m.significant);
+
+        result.verdict = regressed.length > 0 ? 'fail' : suspicious.length > 0 ? 'warn' : 'pass';
+        result.explanation = this.explain(result, regressed.length > 0 ? regressed : suspicious.length > 0 ? suspicious : metrics, settings);
+        return result;
+    },
+
+    /**
+     * Value of a metric for sorted samples
+     * @param {Array} sorted - Sorted samples
+     * @param {string} metric - 'median', 'mean' or 'pNN'
+     * @returns {number} - Value
+     */
+    metricValue: function(sorted, metric) {
+        const statistics = this.getStatistics();
+        if (metric === 'median') return statistics.percentile(sorted, 50);
+        if (metric === 'mean') return sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+        if (/^p\d+(\.\d+)?$/.test(metric)) return statistics.percentile(sorted, parseFloat(metric.slice(1)));
+        throw new Error(`Unknown baseline metric "${metric}" (median, mean or pNN)`);
+    },
+
+    /**
+     * Describe a comparison result
+     * @param {Object} result - Endpoint result
+     * @param {Array} metrics - Metrics to describe
+     * @param {Object} settings - Comparison settings
+     * @returns {string} - Explanation
+     */
+    explain: function(result, metrics, settings) {
+        const minimum = `minimum +${Math.round(settings.minEffect.relative * 100)}% and +${settings.minEffect.absolute}ms`;
+        const changes = metrics.map(m => {
+            const direction = m.change > 0 ? 'rose' : m.change < 0 ? 'fell' : 'held';
+            const percent = isFinite(m.relative) ? `${m.relative >= 0 ? '+' : ''}${Math.round(m.relative * 1000) / 10}%` : 'new';
+            return `${m.metric} ${direction} ${m.baseline}ms → ${m.current}ms (${percent})`;
+        }).join(', ');
+
+        let test;
+        if (result.test.method === 'bootstrap') {
+            test = metrics.map(m => {
+                const interval = result.test.intervals[m.metric];
+                return `${m.metric} change ${Math.round(result.test.confidence * 100)}% CI [${interval.lower}, ${interval.upper}]ms`;
+            }).join(', ');
+        } else {
+            const p = result.test.pSlower < 0.0001 ? '<0.0001' : `=${this.getStatistics().round(result.test.pSlower, 4)}`;
+            test = `Mann-Whitney p${p} (alpha ${settings.alpha}), ` +
+                `P(current slower)=${this.getStatistics().round(result.test.probabilitySlower, 2)}`;
+        }
+
+        const verdicts = {
+            fail: 'significant regression',
+            warn: `reaches the ${minimum} but is not significant; collect more samples`,
+            pass: metrics.some(m => m.significant && m.change > 0) ? `significant but below the ${minimum}` : 'no significant regression'
+        };
+        return `${changes}; ${test}: ${verdicts[result.verdict]}`;
+    },
+
+    /**
+     * One-sided Mann-Whitney U test that current values tend to be larger than baseline values
+     * (normal approximation with tie and continuity correction)
+     * @param {Array} baseline - Baseline samples
+     * @param {Array} current - Current samples
+     * @returns {Object} - { u, z, pSlower, pFaster, probabilitySlower } where probabilitySlower = P(current > baseline) + P(tie) / 2
+     */
+    mannWhitney: function(baseline, current) {
+        const n1 = baseline.length;
+        const n2 = current.length;
+        const n = n1 + n2;
+        const combined = baseline.map(value => ({ value, group: 0 }))
+            .concat(current.map(value => ({ value, group: 1 })))
+            .sort((a, b) => a.value - b.value);
+
+        let currentRanks = 0;
+        let tieTerm = 0;
+        for (let i = 0; i < n;) {
+            let j = i;
+            while (j + 1 < n && combined[j + 1].value === combined[i].value) j++;
+            const rank = (i + j) / 2 + 1;
+            for (let k = i; k <= j; k++) {
+                if (combined[k].group === 1) currentRanks += rank;
+            }
+            const ties = j - i + 1;
+            tieTerm += ties * ties * ties - ties;
+            i = j + 1;
+        }
+
+        const u = currentRanks - n2 * (n2 + 1) / 2;
+        const mean = n1 * n2 / 2;
+        const sigma = Math.sqrt(n1 * n2 / 12 * ((n + 1) - tieTerm / (n * (n - 1))));
+
+        if (sigma === 0) {
+            return { u, z: 0, pSlower: 1, pFaster: 1, probabilitySlower: 0.5 };
+        }
+
+        const zSlower = (u - mean - 0.5) / sigma;
+        const zFaster = (mean - u - 0.5) / sigma;
+        return {
+            u,
+            z: this.getStatistics().round((u - mean) / sigma, 4),
+            pSlower: 1 - this.normalCdf(zSlower),
+            pFaster: 1 - this.normalCdf(zFaster),
+            probabilitySlower: u / (n1 * n2)
+        };
+    },
+
+    /**
+     * Bootstrap percentile confidence intervals for the change (current - baseline) of each metric
+     * @param {Array} baseline - Baseline samples
+     * @param {Array} current - Current samples
+     * @param {Object} settings - { metrics, alpha, iterations }
+     * @param {string} seed - Seed for the resampling generator (results are reproducible)
+     * @returns {Object} - { metric: { lower, upper } }
+     */
+    bootstrap: function(baseline, current, settings, seed) {
+        const statistics = this.getStatistics();
+        const random = this.getDataEngine().createGenerator(`bootstrap|${seed}`);
+        const resample = values => {
+            const sample = new Array(values.length);
+            for (let i = 0; i < values.length; i++) {
+                sample[i] = values[Math.floor(random() * values.length)];
+            }
+            return sample.sort((a, b) => a - b);
+        };
+
+        const differences = {};
+        settings.metrics.forEach(metric => { differences[metric] = []; });
+
+        for (let i = 0; i < settings.iterations; i++) {
+            const before = resample(baseline);
+            const after = resample(current);
+            settings.metrics.forEach(metric => {
+                differences[metric].push(this.metricValue(after, metric) - this.metricValue(before, metric));
+            });
+        }
+
+        const intervals = {};
+        settings.metrics.forEach(metric => {
+            const sorted = differences[metric].sort((a, b) => a - b);
+            intervals[metric] = {
+                lower: statistics.round(statistics.percentile(sorted, settings.alpha / 2 * 100), 2),
+                upper: statistics.round(statistics.percentile(sorted, (1 - settings.alpha / 2) * 100), 2)
+            };
+        });
+        return intervals;
+    },
+
+    // =============================================================================
+    // REPORTING
+    // =============================================================================
+
+    /**
+     * Record one pm.test per endpoint; 'fail' verdicts fail, 'warn' verdicts pass with a console warning
+     * @param {Object} report - Report from compare()
+     * @param {Object} options - { failOnWarn: false }
+     */
+    assert: function(report, options = {}) {
+        report.endpoints.forEach(result => {
+            const testName = `Performance baseline ${report.baseline} - ${result.endpoint}`;
+            if (result.verdict === 'warn') {
+                console.warn(`${testName}: ${result.explanation}`);
+            }
+            pm.test(testName, () => {
+                if (result.verdict === 'fail' || (result.verdict === 'warn' && options.failOnWarn)) {
+                    pm.expect.fail(result.explanation);
+                }
+            });
+        });
+    },
+
+    /**
+     * Print a comparison report
+     * @param {Object} report - Report from compare()
+     */
+    printReport: function(report) {
+        console.log(`\n=== PERFORMANCE BASELINE: ${report.baseline} (run ${report.baselineRunId}) vs run ${report.runId} [${report.method}] ===`);
+        report.endpoints.forEach(result => {
+            console.log(`  ${result.verdict.toUpperCase().padEnd(4)} ${result.endpoint}: ${result.explanation}`);
+        });
+        console.log(`Verdict: ${report.verdict}`);
+    },
+
+    // =============================================================================
+    // UTILITY FUNCTIONS
+    // =============================================================================
+
+    /**
+     * Response times per endpoint for a run
+     * @param {string} runId - Run ID
+     * @param {Object} settings - { source, filter }
+     * @returns {Object} - { endpoint: [responseTime] }
+     */
+    collect: function(runId, settings) {
+        const statistics = this.getStatistics();
+        const groups = {};
+
+        this.getResultStore().query({ ...(settings.filter || {}), runId, source: settings.source }).forEach(record => {
+            if (typeof record.responseTime !== 'number') {
+                return;
+            }
+            const endpoint = statistics.normalizeEndpoint(record.request ? record.request.url || record.request.name : null);
+            (groups[endpoint] = groups[endpoint] || []).push(record.responseTime);
+        });
+
+        return groups;
+    },
+
+    /**
+     * Resolve 'current' and 'previous' (the latest run before the current one) to run IDs
+     * @param {string} runId - Run ID, 'current' or 'previous'
+     * @param {string|Array} source - ResultStore source(s)
+     * @returns {string} - Run ID
+     */
+    resolveRunId: function(runId, source) {
+        const store = this.getResultStore();
+        if (runId === 'current') {
+            return store.getRunId();
+        }
+        if (runId === 'previous') {
+            const current = store.getRunId();
+            const runs = store.listRuns({ source }).filter(run => run.runId !== current);
+            if (runs.length === 0) {
+                throw new Error('No previous run in the result store');
+            }
+            return runs[runs.length - 1].runId;
+        }
+        return runId;
+    },
+
+    /**
+     * Evenly spaced quantiles of sorted values, so a baseline keeps the distribution in bounded space
+     * @param {Array} sorted - Sorted values
+     * @param {number} max - Maximum number of values
+     * @returns {Array} - Sorted values
+     */
+    downsample: function(sorted, max) {
+        if (sorted.length <= max) {
+            return sorted;
+        }
+        return Array.from({ length: max }, (value, i) => sorted[Math.floor((i + 0.5) * sorted.length / max)]);
+    },
+
+    /**
+     * Standard normal cumulative distribution (Abramowitz and Stegun 26.2.17, error < 7.5e-8)
+     * @param {number} z - z-score
+     * @returns {number} - P(Z <= z)
+     */
+    normalCdf: function(z) {
+        const t = 1 / (1 + 0.2316419 * Math.abs(z));
+        const density = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+        const tail = density * t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+        return z >= 0 ? 1 - tail : tail;
+    },
+
+    /**
+     * Load baselines
+     * @returns {Object} - { name: baseline }
+     */
+    load: function() {
+        try {
+            return JSON.parse(pm.environment.get(this.storageKey) || '{}');
+        } catch (error) {
+            console.error(`Failed to parse ${this.storageKey}; starting without baselines`);
+            return {};
+        }
+    },
+
+    /**
+     * Save baselines
+     * @param {Object} baselines - { name: baseline }
+     */
+    save: function(baselines) {
+        pm.environment.set(this.storageKey, JSON.stringify(baselines));
+    },
+
+    /**
+     * Resolve the DataEngine helper (sandbox global or Node module)
+     * @returns {Object} - DataEngine
+     */
+    getDataEngine: function() {
+        return typeof DataEngine !== 'undefined' ? DataEngine : require('./data-engine');
+    },
+
+    /**
+     * Resolve the ResultStore helper (sandbox global or Node module)
+     * @returns {Object} - ResultStore
+     */
+    getResultStore: function() {
+        return typeof ResultStore !== 'undefined' ? ResultStore : require('./result-store');
+    },
+
+    /**
+     * Resolve the Statistics helper (sandbox global or Node module)
+     * @returns {Object} - Statistics
+     */
+    getStatistics: function() {
+        return typeof Statistics !== 'undefined' ? Statistics : require('./statistics');
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PerformanceBaseline;
+}
+
+// Usage Examples:
+/*
+// After a known-good run (runner: --results results.jsonl keeps every run)
+PerformanceBaseline.record('release-1.4', { runId: 'previous' });
+
+// In the final request of later runs
+const report = PerformanceBaseline.compare('release-1.4');
+PerformanceBaseline.printReport(report);
+PerformanceBaseline.assert(report);
+
+// Bootstrap confidence intervals on the median and p99, stricter minimum effect
+PerformanceBaseline.compare('release-1.4', {
+    method: 'bootstrap',
+    metrics: ['median', 'p99'],
+    minEffect: { relative: 0.2, absolute: 20 }
+});
+*/
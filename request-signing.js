@@ -0,0 +1,642 @@
+/**
+ * Request Signing Helpers for Postman
+ * Pre-request helpers that canonicalise pm.request and add signature headers:
+ * AWS Signature Version 4, HMAC-SHA256 and RFC 9421 HTTP Message Signatures
+ */
+
+const RequestSigning = {
+
+    /**
+     * Environment variable names read when a config field is not passed explicitly
+     */
+    environmentKeys: {
+        aws: {
+            accessKeyId: 'awsAccessKeyId',
+            secretAccessKey: 'awsSecretAccessKey',
+            sessionToken: 'awsSessionToken',
+            region: 'awsRegion',
+            service: 'awsService'
+        },
+        hmac: {
+            keyId: 'hmacKeyId',
+            secret: 'hmacSecret'
+        },
+        httpSignature: {
+            keyId: 'httpSigKeyId',
+            algorithm: 'httpSigAlgorithm',
+            secret: 'httpSigSecret',
+            privateKey: 'httpSigPrivateKey'
+        }
+    },
+
+    /**
+     * Headers the Postman app adds or rewrites after pre-request scripts; never signed by default
+     */
+    unsignedHeaders: [
+        'authorization', 'user-agent', 'postman-token', 'connection',
+        'accept-encoding', 'content-length', 'expect'
+    ],
+
+    // =============================================================================
+    // PRE-REQUEST SIGNING
+    // =============================================================================
+
+    /**
+     * Sign pm.request with AWS Signature Version 4
+     * @param {Object} config - { accessKeyId, secretAccessKey, sessionToken, region, service,
+     *                           unsignedPayload, addContentSha256, signedHeaders }; missing
+     *                           credentials are read from the environment (see environmentKeys.aws)
+     * @returns {Object} - Signature details (canonicalRequest, stringToSign, signature, headers)
+     */
+    signAwsV4: function(config = {}) {
+        const credentials = this.resolveConfig('aws', config, ['accessKeyId', 'secretAccessKey', 'region', 'service']);
+        const signature = this.buildAwsV4Signature(this.getRequestParts(), credentials, config);
+
+        this.applyHeaders(signature.headers);
+        console.log(`Signed request with AWS SigV4 (${credentials.service}/${credentials.region})`);
+        return signature;
+    },
+
+    /**
+     * Sign pm.request with the HMAC-SHA256 scheme (method, path, timestamp and body hash)
+     * @param {Object} config - See buildHmacSignature; keyId and secret default to the environment
+     * @returns {Object} - Signature details (stringToSign, signature, headers)
+     */
+    signHmac: function(config = {}) {
+        const resolved = this.resolveConfig('hmac', config, ['keyId', 'secret']);
+        const signature = this.buildHmacSignature(this.getRequestParts(), resolved);
+
+        this.applyHeaders(signature.headers);
+        console.log(`Signed request with ${resolved.scheme || 'HMAC-SHA256'} for key ${resolved.keyId}`);
+        return signature;
+    },
+
+    /**
+     * Sign pm.request with RFC 9421 HTTP Message Signatures
+     * @param {Object} config - See buildHttpMessageSignature; keyId, algorithm and key default to the environment
+     * @returns {Object} - Signature details (signatureBase, signatureInput, signature, headers)
+     */
+    signHttpMessage: function(config = {}) {
+        const resolved = this.resolveConfig('httpSignature', config, ['keyId', 'algorithm']);
+        const signature = this.buildHttpMessageSignature(this.getRequestParts(), resolved);
+
+        this.applyHeaders(signature.headers);
+        console.log(`Signed request with HTTP Message Signatures (${resolved.algorithm})`);
+        return signature;
+    },
+
+    // =============================================================================
+    // AWS SIGNATURE VERSION 4
+    // =============================================================================
+
+    /**
+     * Compute an AWS SigV4 signature for a request. Pure function, usable against the
+     * published aws-sig-v4-test-suite vectors.
+     * @param {Object} request - { method, url, headers: [{ key, value }], body }
+     * @param {Object} credentials - { accessKeyId, secretAccessKey, sessionToken, region, service }
+     * @param {Object} options - Signing options
+     * @param {Date} options.date - Signing time (defaults to the X-Amz-Date header or now)
+     * @param {boolean} options.unsignedPayload - Use UNSIGNED-PAYLOAD instead of the body hash
+     * @param {boolean} options.addContentSha256 - Add X-Amz-Content-Sha256 (always on for s3)
+     * @param {Array} options.signedHeaders - Header names to sign (defaults to all signable headers)
+     * @returns {Object} - { amzDate, credentialScope, canonicalRequest, stringToSign, signature, signedHeaders, headers }
+     */
+    buildAwsV4Signature: function(request, credentials, options = {}) {
+        const crypto = this.getCryptoUtils();
+        const { accessKeyId, secretAccessKey, sessionToken, region, service } = credentials;
+        const url = this.parseUrl(request.url);
+        const headers = request.headers.slice();
+        const isS3 = service === 's3';
+
+        const existingDate = this.findHeader(headers, 'x-amz-date');
+        const amzDate = existingDate || this.formatAmzDate(options.date || new Date());
+        const dateStamp = amzDate.slice(0, 8);
+        const addedHeaders = {};
+
+        if (!existingDate) {
+            addedHeaders['X-Amz-Date'] = amzDate;
+        }
+        if (sessionToken && !this.findHeader(headers, 'x-amz-security-token')) {
+            addedHeaders['X-Amz-Security-Token'] = sessionToken;
+        }
+
+        const payloadHash = options.unsignedPayload
+            ? 'UNSIGNED-PAYLOAD'
+            : crypto.hash('sha256', request.body || '', 'hex');
+
+        if ((isS3 || options.addContentSha256) && !this.findHeader(headers, 'x-amz-content-sha256')) {
+            addedHeaders['X-Amz-Content-Sha256'] = payloadHash;
+        }
+
+        Object.keys(addedHeaders).forEach(key => headers.push({ key, value: addedHeaders[key] }));
+        if (!this.findHeader(headers, 'host')) {
+            headers.push({ key: 'Host', value: url.authority });
+        }
+
+        const canonicalHeaders = this.canonicalizeHeaders(headers, options.signedHeaders);
+        const credentialScope = `${dateStamp}/${region}/${service}/aws4_request`;
+
+        const canonicalRequest = [
+            request.method.toUpperCase(),
+            this.awsCanonicalUri(url.path, !isS3),
+            this.awsCanonicalQuery(url.queryParams),
+            canonicalHeaders.block,
+            canonicalHeaders.names,
+            payloadHash
+        ].join('\n');
+
+        const stringToSign = [
+            'AWS4-HMAC-SHA256',
+            amzDate,
+            credentialScope,
+            crypto.hash('sha256', canonicalRequest, 'hex')
+        ].join('\n');
+
+        const kDate = crypto.hmac('sha256', `AWS4${secretAccessKey}`, dateStamp, 'bytes');
+        const kRegion = crypto.hmac('sha256', kDate, region, 'bytes');
+        const kService = crypto.hmac('sha256', kRegion, service, 'bytes');
+        const kSigning = crypto.hmac('sha256', kService, 'aws4_request', 'bytes');
+        const signature = crypto.hmac('sha256', kSigning, stringToSign, 'hex');
+
+        addedHeaders['Authorization'] = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${credentialScope}, ` +
+            `SignedHeaders=${canonicalHeaders.names}, Signature=${signature}`;
+
+        return {
+            amzDate,
+            credentialScope,
+            canonicalRequest,
+            stringToSign,
+            signature,
+            signedHeaders: canonicalHeaders.names,
+            headers: addedHeaders
+        };
+    },
+
+    /**
+     * Build the SigV4 canonical URI
+     * @param {string} path - Request path as given
+     * @param {boolean} normalize - Remove dot segments, collapse slashes and encode again (all services but S3)
+     * @returns {string} - Canonical URI
+     */
+    awsCanonicalUri: function(path, normalize) {
+        if (!normalize) {
+            // S3: encode each segment exactly once
+            return path.split('/').map(segment => this.awsEncode(this.getCryptoUtils().safeDecode(segment))).join('/') || '/';
+        }
+
+        const segments = [];
+        path.split('/').forEach(segment => {
+            if (segment === '' || segment === '.') return;
+            if (segment === '..') {
+                segments.pop();
+                return;
+            }
+            segments.push(this.awsEncode(segment));
+        });
+
+        const trailingSlash = segments.length > 0 && /\/\.{0,2}$/.test(path) ? '/' : '';
+        return `/${segments.join('/')}${trailingSlash}`;
+    },
+
+    /**
+     * Build the SigV4 canonical query string
+     * @param {Array} params - Decoded query params ([{ key, value }])
+     * @returns {string} - Canonical query string
+     */
+    awsCanonicalQuery: function(params) {
+        return params
+            .map(p => [this.awsEncode(p.key), this.awsEncode(p.value === null ? '' : p.value)])
+            .sort((a, b) => (a[0] === b[0] ? (a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0) : (a[0] < b[0] ? -1 : 1)))
+            .map(([key, value]) => `${key}=${value}`)
+            .join('&');
+    },
+
+    /**
+     * Canonicalise headers for signing: lowercase names, trimmed values, sorted, duplicates joined
+     * @param {Array} headers - Request headers ([{ key, value }])
+     * @param {Array} only - Restrict to these header names (optional)
+     * @returns {Object} - { block: canonical header lines plus trailing newline, names: signed header list }
+     */
+    canonicalizeHeaders: function(headers, only = null) {
+        const wanted = only ? only.map(h => h.toLowerCase()) : null;
+        const grouped = {};
+
+        headers.forEach(header => {
+            const name = header.key.toLowerCase().trim();
+            if (wanted ? !wanted.includes(name) : this.unsignedHeaders.includes(name)) {
+                return;
+            }
+            const value = String(header.value).trim().replace(/\s+/g, ' ');
+            grouped[name] = grouped[name] ? `${grouped[name]},${value}` : value;
+        });
+
+        const names = Object.keys(grouped).sort();
+        return {
+            block: names.map(name => `${name}:${grouped[name]}\n`).join(''),
+            names: names.join(';')
+        };
+    },
+
+    /**
+     * Format a date as an X-Amz-Date value (YYYYMMDDTHHMMSSZ)
+     * @param {Date} date - Date to format
+     * @returns {string} - Basic ISO 8601 timestamp
+     */
+    formatAmzDate: function(date) {
+        return date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    },
+
+    /**
+     * Percent-encode per RFC 3986 (unreserved characters kept)
+     * @param {string} value - Value to encode
+     * @returns {string} - Encoded value
+     */
+    awsEncode: function(value) {
+        return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+    },
+
+    // =============================================================================
+    // HMAC-SHA256 SCHEME
+    // =============================================================================
+
+    /**
+     * Compute an HMAC signature over method, path, timestamp and body hash. Pure function.
+     * String to sign: METHOD \n path[?query] \n timestamp \n hex(sha256(body))
+     * @param {Object} request - { method, url, headers, body }
+     * @param {Object} config - Scheme configuration
+     * @param {string} config.keyId - Key identifier
+     * @param {string} config.secret - Shared secret
+     * @param {string} config.algorithm - 'sha256' (default), 'sha384' or 'sha512'
+     * @param {string|number} config.timestamp - Fixed timestamp (defaults to now)
+     * @param {string} config.timestampFormat - 'unix' (default), 'unix-ms' or 'iso'
+     * @param {boolean} config.includeQuery - Sign the query string with the path (default true)
+     * @param {string} config.encoding - Signature encoding: 'hex' (default) or 'base64'
+     * @param {string} config.scheme - Authorization scheme name (default 'HMAC-SHA256')
+     * @param {string} config.headerName - Signature header (default 'Authorization')
+     * @param {string} config.timestampHeader - Timestamp header (default 'X-Timestamp')
+     * @param {string} config.bodyHashHeader - Body hash header (default 'X-Content-SHA256'; null to omit)
+     * @returns {Object} - { stringToSign, signature, headers }
+     */
+    buildHmacSignature: function(request, config) {
+        const {
+            keyId,
+            secret,
+            algorithm = 'sha256',
+            timestampFormat = 'unix',
+            includeQuery = true,
+            encoding = 'hex',
+            scheme = 'HMAC-SHA256',
+            headerName = 'Authorization',
+            timestampHeader = 'X-Timestamp',
+            bodyHashHeader = 'X-Content-SHA256'
+        } = config;
+
+        const crypto = this.getCryptoUtils();
+        const url = this.parseUrl(request.url);
+        const now = new Date();
+        const timestamp = config.timestamp !== undefined ? String(config.timestamp) : {
+            'unix': String(Math.floor(now.getTime() / 1000)),
+            'unix-ms': String(now.getTime()),
+            'iso': now.toISOString()
+        }[timestampFormat];
+
+        const bodyHash = crypto.hash('sha256', request.body || '', 'hex');
+        const target = includeQuery && url.query ? `${url.path}?${url.query}` : url.path;
+        const stringToSign = [request.method.toUpperCase(), target, timestamp, bodyHash].join('\n');
+        const signature = crypto.hmac(algorithm, secret, stringToSign, encoding);
+
+        const headers = {
+            [timestampHeader]: timestamp,
+            [headerName]: `${scheme} ${keyId}:${signature}`
+        };
+        if (bodyHashHeader) {
+            headers[bodyHashHeader] = bodyHash;
+        }
+
+        return { stringToSign, signature, headers };
+    },
+
+    // =============================================================================
+    // HTTP MESSAGE SIGNATURES (RFC 9421)
+    // =============================================================================
+
+    /**
+     * Supported RFC 9421 algorithms
+     */
+    httpSignatureAlgorithms: {
+        'hmac-sha256': { type: 'hmac', hash: 'sha256' },
+        'rsa-pss-sha512': { type: 'asymmetric', hash: 'sha512', padding: 'pss' },
+        'rsa-v1_5-sha256': { type: 'asymmetric', hash: 'sha256', padding: 'pkcs1' },
+        'ecdsa-p256-sha256': { type: 'asymmetric', hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+        'ecdsa-p384-sha384': { type: 'asymmetric', hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+        'ed25519': { type: 'asymmetric', hash: null }
+    },
+
+    /**
+     * Compute an RFC 9421 HTTP Message Signature for a request. Pure function.
+     * @param {Object} request - { method, url, headers, body }
+     * @param {Object} config - Signature configuration
+     * @param {string} config.keyId - Key identifier (keyid parameter)
+     * @param {string} config.algorithm - One of httpSignatureAlgorithms
+     * @param {string} config.secret - Shared secret for hmac-sha256
+     * @param {string|Object} config.privateKey - PEM or JWK private key for asymmetric algorithms
+     * @param {Array} config.components - Covered components (default @method, @target-uri, content-digest when a body is sent)
+     * @param {string} config.label - Signature label (default 'sig1')
+     * @param {number} config.created - Creation time in unix seconds (defaults to now)
+     * @param {number} config.expiresIn - Seconds until expiry (adds the expires parameter)
+     * @param {string} config.nonce - Nonce parameter
+     * @param {string} config.tag - Tag parameter
+     * @param {boolean} config.includeAlg - Add the alg parameter (default false)
+     * @param {string} config.digestAlgorithm - Content-Digest algorithm: 'sha-256' (default) or 'sha-512'
+     * @returns {Object} - { signatureBase, signatureInput, signature, headers }
+     */
+    buildHttpMessageSignature: function(request, config) {
+        const {
+            keyId,
+            algorithm,
+            label = 'sig1',
+            created = Math.floor(Date.now() / 1000),
+            expiresIn,
+            nonce,
+            tag,
+            includeAlg = false,
+            digestAlgorithm = 'sha-256'
+        } = config;
+
+        const algorithmSpec = this.httpSignatureAlgorithms[algorithm];
+        if (!algorithmSpec) {
+            throw new Error(`Unsupported HTTP signature algorithm: ${algorithm}`);
+        }
+
+        const crypto = this.getCryptoUtils();
+        const headers = request.headers.slice();
+        const addedHeaders = {};
+        const hasBody = !!request.body;
+        const components = config.components ||
+            ['@method', '@target-uri'].concat(hasBody ? ['content-digest'] : []);
+
+        if (components.includes('content-digest') && !this.findHeader(headers, 'content-digest')) {
+            const hash = digestAlgorithm === 'sha-512' ? 'sha512' : 'sha256';
+            addedHeaders['Content-Digest'] = `${digestAlgorithm}=:${crypto.hash(hash, request.body || '', 'base64')}:`;
+            headers.push({ key: 'Content-Digest', value: addedHeaders['Content-Digest'] });
+        }
+
+        let params = `(${components.map(c => `"${c.toLowerCase()}"`).join(' ')});created=${created}`;
+        if (expiresIn) params += `;expires=${created + expiresIn}`;
+        if (nonce) params += `;nonce="${nonce}"`;
+        if (includeAlg) params += `;alg="${algorithm}"`;
+        params += `;keyid="${keyId}"`;
+        if (tag) params += `;tag="${tag}"`;
+
+        const url = this.parseUrl(request.url);
+        const lines = components.map(component => {
+            const value = this.getComponentValue(component.toLowerCase(), request.method, url, headers);
+            return `"${component.toLowerCase()}": ${value}`;
+        });
+        lines.push(`"@signature-params": ${params}`);
+        const signatureBase = lines.join('\n');
+
+        let signatureBytes;
+        if (algorithmSpec.type === 'hmac') {
+            if (!config.secret) throw new Error(`${algorithm} needs a shared secret`);
+            signatureBytes = crypto.hmac(algorithmSpec.hash, config.secret, signatureBase, 'bytes');
+        } else {
+            if (!config.privateKey) throw new Error(`${algorithm} needs a private key`);
+            signatureBytes = crypto.signData(algorithmSpec.hash, signatureBase, config.privateKey, algorithmSpec);
+        }
+
+        const signature = crypto.bytesToBase64(signatureBytes);
+        addedHeaders['Signature-Input'] = `${label}=${params}`;
+        addedHeaders['Signature'] = `${label}=:${signature}:`;
+
+        return {
+            signatureBase,
+            signatureInput: params,
+            signature,
+            headers: addedHeaders
+        };
+    },
+
+    /**
+     * Resolve the value of a covered component (RFC 9421 §2)
+     * @param {string} component - Component identifier (lowercase)
+     * @param {string} method - Request method
+     * @param {Object} url - Parsed URL from parseUrl
+     * @param {Array} headers - Request headers
+     * @returns {string} - Component value
+     */
+    getComponentValue: function(component, method, url, headers) {
+        switch (component) {
+            case '@method': return method.toUpperCase();
+            case '@target-uri': return url.href;
+            case '@authority': return url.authority.toLowerCase();
+            case '@scheme': return url.protocol;
+            case '@request-target': return url.query ? `${url.path}?${url.query}` : url.path;
+            case '@path': return url.path;
+            case '@query': return `?${url.query}`;
+        }
+
+        if (component.startsWith('@')) {
+            throw new Error(`Unsupported derived component ${component}`);
+        }
+
+        const values = headers
+            .filter(h => h.key.toLowerCase() === component)
+            .map(h => String(h.value).trim().replace(/\s+/g, ' '));
+        if (values.length === 0) {
+            throw new Error(`Covered header ${component} is missing from the request`);
+        }
+        return values.join(', ');
+    },
+
+    // =============================================================================
+    // REQUEST ACCESS
+    // =============================================================================
+
+    /**
+     * Read pm.request with variables resolved, as it will be sent
+     * @returns {Object} - { method, url, headers: [{ key, value }], body }
+     */
+    getRequestParts: function() {
+        const resolve = value => pm.variables.replaceIn(value);
+        const headers = this.toArray(pm.request.headers)
+            .filter(h => !h.disabled)
+            .map(h => ({ key: resolve(h.key), value: resolve(h.value) }));
+
+        return {
+            method: pm.request.method,
+            url: resolve(pm.request.url.toString()),
+            headers,
+            body: resolve(this.getRequestBody(pm.request.body))
+        };
+    },
+
+    /**
+     * Serialise a request body the way it is sent
+     * @param {Object} body - pm.request.body
+     * @returns {string} - Body text ('' when there is none)
+     */
+    getRequestBody: function(body) {
+        if (!body || !body.mode) {
+            return '';
+        }
+
+        if (body.mode === 'raw') {
+            return body.raw || '';
+        }
+
+        if (body.mode === 'urlencoded') {
+            return this.toArray(body.urlencoded)
+                .filter(p => !p.disabled)
+                .map(p => `${encodeURIComponent(p.key)}=${encodeURIComponent(pm.variables.replaceIn(p.value))}`)
+                .join('&');
+        }
+
+        if (body.mode === 'graphql') {
+            return JSON.stringify(body.graphql || {});
+        }
+
+        throw new Error(`Cannot sign a ${body.mode} body; use raw or urlencoded`);
+    },
+
+    /**
+     * Set the signature headers on pm.request
+     * @param {Object} headers - Header map
+     */
+    applyHeaders: function(headers) {
+        Object.keys(headers).forEach(key => {
+            pm.request.headers.upsert({ key, value: headers[key] });
+        });
+    },
+
+    /**
+     * Merge explicit config with environment values and check required fields
+     * @param {string} scheme - Key of environmentKeys
+     * @param {Object} config - Explicit configuration
+     * @param {Array} required - Required field names
+     * @returns {Object} - Resolved configuration
+     */
+    resolveConfig: function(scheme, config, required) {
+        const resolved = { ...config };
+        const keys = this.environmentKeys[scheme];
+
+        Object.keys(keys).forEach(field => {
+            if (resolved[field] === undefined) {
+                const value = pm.variables.get(keys[field]);
+                if (value !== undefined && value !== '') {
+                    resolved[field] = value;
+                }
+            }
+        });
+
+        const missing = required.filter(field => !resolved[field]);
+        if (missing.length > 0) {
+            throw new Error(`Missing ${scheme} signing config: ${missing.map(f => `${f} (env ${keys[f]})`).join(', ')}`);
+        }
+
+        return resolved;
+    },
+
+    // =============================================================================
+    // UTILITY FUNCTIONS
+    // =============================================================================
+
+    /**
+     * Parse a URL without normalising its path
+     * @param {string} raw - Absolute URL
+     * @returns {Object} - { href, protocol, authority, path, query, queryParams }
+     */
+    parseUrl: function(raw) {
+        const match = String(raw).match(/^([a-z][a-z0-9+.-]*):\/\/([^/?#]*)([^?#]*)(?:\?([^#]*))?/i);
+        if (!match) {
+            throw new Error(`Cannot sign a request with a relative or unresolved URL: ${raw}`);
+        }
+
+        const protocol = match[1].toLowerCase();
+        const defaultPort = { http: '80', https: '443' }[protocol];
+        const authority = match[2].replace(/^.*@/, '').replace(new RegExp(`:${defaultPort}$`), '');
+        const query = match[4] || '';
+        const crypto = this.getCryptoUtils();
+
+        return {
+            href: `${protocol}://${authority}${match[3] || '/'}${query ? '?' + query : ''}`,
+            protocol,
+            authority,
+            path: match[3] || '/',
+            query,
+            queryParams: query.split('&').filter(Boolean).map(pair => {
+                const index = pair.indexOf('=');
+                return {
+                    key: crypto.safeDecode(index >= 0 ? pair.slice(0, index) : pair),
+                    value: index >= 0 ? crypto.safeDecode(pair.slice(index + 1)) : null
+                };
+            })
+        };
+    },
+
+    /**
+     * Find a header value by case-insensitive name
+     * @param {Array} headers - Headers ([{ key, value }])
+     * @param {string} name - Header name
+     * @returns {string|undefined} - Header value
+     */
+    findHeader: function(headers, name) {
+        const header = headers.find(h => h.key.toLowerCase() === name);
+        return header ? header.value : undefined;
+    },
+
+    /**
+     * Convert a Postman property list or array to an array
+     * @param {Array|Object} list - Array or PropertyList
+     * @returns {Array} - Array of items
+     */
+    toArray: function(list) {
+        if (Array.isArray(list)) return list;
+        if (list && typeof list.all === 'function') return list.all();
+        return [];
+    },
+
+    /**
+     * Resolve the CryptoUtils helper (sandbox global or Node module)
+     * @returns {Object} - CryptoUtils
+     */
+    getCryptoUtils: function() {
+        return typeof CryptoUtils !== 'undefined' ? CryptoUtils : require('./crypto-utils');
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RequestSigning;
+}
+
+// Usage Examples:
+/*
+// Pre-request script: AWS API Gateway (credentials from awsAccessKeyId, awsSecretAccessKey, awsRegion)
+RequestSigning.signAwsV4({ service: 'execute-api' });
+
+// Verify against an aws-sig-v4-test-suite vector (get-vanilla)
+const result = RequestSigning.buildAwsV4Signature({
+    method: 'GET',
+    url: 'https://example.amazonaws.com/',
+    headers: [{ key: 'X-Amz-Date', value: '20150830T123600Z' }],
+    body: ''
+}, {
+    accessKeyId: 'AKIDEXAMPLE',
+    secretAccessKey: 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY',
+    region: 'us-east-1',
+    service: 'service'
+});
+// result.signature === '5fa00fa31553b73ebf1942676e86291e8372ff2a2260956d9b8aae1d763fbf31'
+
+// Custom HMAC scheme (hmacKeyId / hmacSecret from the environment)
+RequestSigning.signHmac({ timestampFormat: 'iso' });
+
+// RFC 9421 HTTP Message Signatures
+RequestSigning.signHttpMessage({
+    keyId: 'partner-key-1',
+    algorithm: 'ecdsa-p256-sha256',
+    privateKey: pm.environment.get('partner_private_key'),
+    components: ['@method', '@authority', '@path', 'content-type', 'content-digest']
+});
+*/
@@ -0,0 +1,236 @@
+/**
+ * Request Timing Phases for Postman
+ * Normalizes runtime timings (Postman/Newman timing phases, request-style socket offsets)
+ * into DNS, TCP, TLS, TTFB and download phases, with per-phase percentiles and thresholds
+ */
+
+const RequestTimings = {
+
+    /**
+     * Phases in request order
+     *   wait - queued until a socket was assigned
+     *   dns - DNS lookup
+     *   tcp - TCP connect
+     *   tls - TLS handshake
+     *   ttfb - request sent until the first response byte (server processing)
+     *   download - first byte until the body was received
+     */
+    phases: ['wait', 'dns', 'tcp', 'tls', 'ttfb', 'download'],
+
+    // =============================================================================
+    // NORMALIZATION
+    // =============================================================================
+
+    /**
+     * Normalize runtime timings to phases in ms
+     * @param {Object} raw - One of:
+     *   { wait, dns, tcp, tls, ttfb, download, total } - already normalized
+     *   { prepare, wait, dns, tcp, firstByte, download, process, total } - Postman/Newman timingPhases
+     *   { started, socket, lookup, connect, secureConnect, response, end } - offsets from the request start (pm-sandbox, request library)
+     *   { timingPhases } or { timings } wrappers of the above
+     * @returns {Object|null} - { started, wait, dns, tcp, tls, ttfb, download, total } (phases the runtime did not report are null), or null
+     */
+    normalize: function(raw) {
+        if (!raw || typeof raw !== 'object') {
+            return null;
+        }
+        if (raw.timingPhases) {
+            return this.normalize({ ...raw.timingPhases, started: raw.timingStart || raw.started });
+        }
+        if (raw.timings && typeof raw.timings === 'object') {
+            return this.normalize({ ...raw.timings, started: raw.timingStart || raw.started });
+        }
+
+        const number = value => typeof value === 'number' && isFinite(value) ? Math.max(0, Math.round(value * 100) / 100) : null;
+        const started = typeof raw.started === 'number' ? raw.started : null;
+
+        if (raw.ttfb !== undefined) {
+            const timings = { started };
+            this.phases.forEach(phase => { timings[phase] = number(raw[phase]); });
+            timings.total = number(raw.total);
+            return timings;
+        }
+
+        if (raw.firstByte !== undefined) {
+            return {
+                started,
+                wait: number(raw.wait),
+                dns: number(raw.dns),
+                tcp: number(raw.tcp),
+                tls: null,
+                ttfb: number(raw.firstByte),
+                download: number(raw.download),
+                total: number(raw.total)
+            };
+        }
+
+        if (raw.response !== undefined && typeof raw.response === 'number') {
+            // Events that did not fire (IP literal, reused keep-alive socket, plain HTTP) take the previous offset
+            const socket = typeof raw.socket === 'number' ? raw.socket : 0;
+            const lookup = typeof raw.lookup === 'number' ? raw.lookup : socket;
+            const connect = typeof raw.connect === 'number' ? raw.connect : lookup;
+            const secureConnect = typeof raw.secureConnect === 'number' ? raw.secureConnect : connect;
+            const end = typeof raw.end === 'number' ? raw.end : raw.response;
+
+            return {
+                started,
+                wait: number(socket),
+                dns: number(lookup - socket),
+                tcp: number(connect - lookup),
+                tls: number(secureConnect - connect),
+                ttfb: number(raw.response - secureConnect),
+                download: number(end - raw.response),
+                total: number(end)
+            };
+        }
+
+        return null;
+    },
+
+    /**
+     * Normalized timings of a response
+     * @param {Object} response - Response (default pm.response)
+     * @returns {Object|null} - Timings, or null when the runtime does not expose them
+     */
+    fromResponse: function(response = pm.response) {
+        return response ? this.normalize(response.timings) : null;
+    },
+
+    // =============================================================================
+    // STATISTICS AND THRESHOLDS
+    // =============================================================================
+
+    /**
+     * Percentiles per phase
+     * @param {Array} items - Records or metrics with a timings property
+     * @param {Object} options - Statistics.summarize options
+     * @returns {Object} - { phase: summary } for phases with data (empty when no item has timings)
+     */
+    summarize: function(items, options = {}) {
+        const statistics = this.getStatistics();
+        const timed = items.map(item => this.normalize(item.timings)).filter(Boolean);
+        const summary = {};
+
+        this.phases.concat(['total']).forEach(phase => {
+            const values = timed.map(timings => timings[phase]).filter(value => value !== null);
+            if (values.length > 0) {
+                summary[phase] = statistics.summarize(values, options);
+            }
+        });
+
+        return summary;
+    },
+
+    /**
+     * Check phase summaries against thresholds
+     * @param {Object} summary - Phase summaries from summarize()
+     * @param {Object} thresholds - { phase: { p95: 150, mean: 50, max: 500 } } in ms
+     * @returns {Array} - [{ phase, statistic, limit, value, passed }] (value and passed are null without data)
+     */
+    checkThresholds: function(summary, thresholds) {
+        const checks = [];
+
+        Object.keys(thresholds).forEach(phase => {
+            if (!this.phases.includes(phase) && phase !== 'total') {
+                throw new Error(`Unknown timing phase "${phase}" (${this.phases.join(', ')} or total)`);
+            }
+            Object.keys(thresholds[phase]).forEach(statistic => {
+                const limit = thresholds[phase][statistic];
+                const phaseSummary = summary[phase];
+                let value = null;
+                if (phaseSummary) {
+                    value = /^p\d/.test(statistic) ? phaseSummary.percentiles[statistic] : phaseSummary[statistic];
+                    if (value === undefined) {
+                        throw new Error(`Unknown statistic "${statistic}" for ${phase} (mean, max or a computed percentile such as p95)`);
+                    }
+                }
+                checks.push({ phase, statistic, limit, value, passed: value === null ? null : value < limit });
+            });
+        });
+
+        return checks;
+    },
+
+    /**
+     * Record one pm.test per threshold; thresholds without timing data are skipped
+     * @param {Object} summary - Phase summaries from summarize()
+     * @param {Object} thresholds - { phase: { statistic: limit } }
+     * @param {string} name - Test name prefix (default 'Timing')
+     * @returns {Array} - Checks from checkThresholds()
+     */
+    assertThresholds: function(summary, thresholds, name = 'Timing') {
+        const checks = this.checkThresholds(summary, thresholds);
+
+        checks.forEach(check => {
+            const testName = `${name} - ${check.phase} ${check.statistic} under ${check.limit}ms`;
+            if (check.passed === null) {
+                console.warn(`${testName}: no ${check.phase} timings collected (the runtime may not expose them)`);
+                pm.test.skip(testName, () => {});
+                return;
+            }
+            pm.test(testName, () => {
+                pm.expect(check.value, `${check.phase} ${check.statistic}`).to.be.below(check.limit);
+            });
+        });
+
+        return checks;
+    },
+
+    // =============================================================================
+    // FORMATTING
+    // =============================================================================
+
+    /**
+     * Waterfall segments of one request
+     * @param {Object} timings - Normalized timings
+     * @returns {Array} - [{ phase, start, duration }] in ms from the request start, zero-length phases omitted
+     */
+    waterfall: function(timings) {
+        const segments = [];
+        let offset = 0;
+
+        this.phases.forEach(phase => {
+            const duration = timings[phase];
+            if (duration) {
+                segments.push({ phase, start: offset, duration });
+                offset += duration;
+            }
+        });
+
+        return segments;
+    },
+
+    /**
+     * Format phase summaries for logs
+     * @param {Object} summary - Phase summaries from summarize()
+     * @returns {Array} - Lines like 'ttfb: p50 40ms, p95 120ms, ...'
+     */
+    formatSummary: function(summary) {
+        const statistics = this.getStatistics();
+        return Object.keys(summary).map(phase => `${phase}: avg ${summary[phase].mean}ms, ${statistics.formatPercentiles(summary[phase].percentiles)}`);
+    },
+
+    /**
+     * Resolve the Statistics helper (sandbox global or Node module)
+     * @returns {Object} - Statistics
+     */
+    getStatistics: function() {
+        return typeof Statistics !== 'undefined' ? Statistics : require('./statistics');
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RequestTimings;
+}
+
+// Usage Examples:
+/*
+// Phases of the current response (null when the runtime does not expose timings)
+const timings = RequestTimings.fromResponse();
+if (timings) console.log(`DNS ${timings.dns}ms, TLS ${timings.tls}ms, TTFB ${timings.ttfb}ms`);
+
+// Per-phase percentiles and thresholds over this run's performance metrics
+const phases = RequestTimings.summarize(performanceMonitor.getMetrics());
+RequestTimings.assertThresholds(phases, { ttfb: { p95: 150 }, dns: { p99: 50 } });
+*/
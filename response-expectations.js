@@ -0,0 +1,643 @@
+/**
+ * Response Expectations for Postman
+ * Declarative checks that live in scenario data: JSONPath/dot paths, $-matchers,
+ * header and response-time expectations, partial or exact object matching
+ */
+
+const ResponseExpectations = {
+
+    /**
+     * Matcher keywords. Each receives (actual, operand, spec, path, options, mismatches)
+     * and records mismatches; `spec` is the whole matcher object for modifiers like $tolerance.
+     */
+    matchers: {
+        $eq: function(actual, operand, spec, path, options, mismatches) {
+            this.compare(actual, operand, path, { ...options, exact: true }, mismatches);
+        },
+        $ne: function(actual, operand, spec, path, options, mismatches) {
+            if (this.deepEqual(actual, operand)) {
+                mismatches.push({ path, message: `expected not to equal ${this.describe(operand)}` });
+            }
+        },
+        $type: function(actual, operand, spec, path, options, mismatches) {
+            const types = [].concat(operand);
+            if (!types.some(type => this.isType(actual, type))) {
+                mismatches.push({ path, message: `expected type ${types.join(' or ')}, got ${this.typeOf(actual)}`, actual });
+            }
+        },
+        $regex: function(actual, operand, spec, path, options, mismatches) {
+            const regex = this.toRegExp(operand, spec.$flags);
+            if ((typeof actual !== 'string' && typeof actual !== 'number') || !regex.test(String(actual))) {
+                mismatches.push({ path, message: `expected to match ${regex}`, actual });
+            }
+        },
+        $gt: function(actual, operand, spec, path, options, mismatches) {
+            this.compareOrder(actual, operand, '>', (a, b) => a > b, path, mismatches);
+        },
+        $gte: function(actual, operand, spec, path, options, mismatches) {
+            this.compareOrder(actual, operand, '>=', (a, b) => a >= b, path, mismatches);
+        },
+        $lt: function(actual, operand, spec, path, options, mismatches) {
+            this.compareOrder(actual, operand, '<', (a, b) => a < b, path, mismatches);
+        },
+        $lte: function(actual, operand, spec, path, options, mismatches) {
+            this.compareOrder(actual, operand, '<=', (a, b) => a <= b, path, mismatches);
+        },
+        $approx: function(actual, operand, spec, path, options, mismatches) {
+            const tolerance = spec.$tolerance !== undefined ? spec.$tolerance : 1e-6;
+            const value = this.toNumber(actual);
+            if (value === null || Math.abs(value - operand) > tolerance) {
+                mismatches.push({ path, message: `expected ${operand} ± ${tolerance}`, actual });
+            }
+        },
+        $oneOf: function(actual, operand, spec, path, options, mismatches) {
+            if (!operand.some(option => this.match(actual, option, options).length === 0)) {
+                mismatches.push({ path, message: `expected one of ${this.describe(operand)}`, actual });
+            }
+        },
+        $length: function(actual, operand, spec, path, options, mismatches) {
+            if (typeof actual !== 'string' && !Array.isArray(actual)) {
+                mismatches.push({ path, message: 'expected an array or string with a length', actual });
+                return;
+            }
+            this.compare(actual.length, operand, `${path}.length`, options, mismatches);
+        },
+        $contains: function(actual, operand, spec, path, options, mismatches) {
+            const found = typeof actual === 'string'
+                ? actual.includes(String(operand))
+                : Array.isArray(actual) && actual.some(item => this.match(item, operand, options).length === 0);
+            if (!found) {
+                mismatches.push({ path, message: `expected to contain ${this.describe(operand)}`, actual });
+            }
+        },
+        $absent: function(actual, operand, spec, path, options, mismatches) {
+            if (operand && actual !== undefined) {
+                mismatches.push({ path, message: 'expected to be absent', actual });
+            } else if (!operand && actual === undefined) {
+                mismatches.push({ path, message: 'expected to be present' });
+            }
+        },
+        $each: function(actual, operand, spec, path, options, mismatches) {
+            if (!Array.isArray(actual)) {
+                mismatches.push({ path, message: 'expected an array', actual });
+                return;
+            }
+            actual.forEach((item, index) => this.compare(item, operand, `${path}[${index}]`, options, mismatches));
+        },
+        $not: function(actual, operand, spec, path, options, mismatches) {
+            if (this.match(actual, operand, options).length === 0) {
+                mismatches.push({ path, message: `expected not to match ${this.describe(operand)}`, actual });
+            }
+        },
+        $schema: function(actual, operand, spec, path, options, mismatches) {
+            const result = this.getSchemaValidator().validate(operand, actual);
+            result.errors.forEach(error => {
+                const errorPath = error.path.split('/').slice(1).reduce((acc, token) => {
+                    const key = token.replace(/~1/g, '/').replace(/~0/g, '~');
+                    return /^\d+$/.test(key) ? `${acc}[${key}]` : this.joinPath(acc, key);
+                }, path);
+                mismatches.push({ path: errorPath, message: error.message });
+            });
+        }
+    },
+
+    /**
+     * Keys read by other matchers rather than evaluated on their own
+     */
+    modifiers: ['$tolerance', '$flags', '$exact'],
+
+    // =============================================================================
+    // SCENARIO VERIFICATION
+    // =============================================================================
+
+    /**
+     * Verify a response against a scenario's expectations, one pm.test per expectation.
+     * Scenario fields: expectedStatus, expectedResponse, expectedHeaders, maxResponseTime, matchMode.
+     * An invalid expectation (bad $regex or path) fails its own test rather than the script.
+     * @param {Object} scenario - Scenario
+     * @param {Object} response - Response (default pm.response)
+     * @param {Object} options - { name (default scenario.description), matchMode: 'partial'|'exact', quarantined, silent }
+     *   quarantined: failing checks are reported as skipped tests instead of failures
+     *   silent: no tests are recorded; the result is only returned
+     * @returns {Object} - { passed, results: [{ name, passed, mismatches }] }
+     */
+    verify: function(scenario, response = pm.response, options = {}) {
+        const name = options.name || scenario.description || 'Response';
+        const exact = (scenario.matchMode || options.matchMode || 'partial') === 'exact';
+        const results = [];
+
+        const check = (label, evaluate) => {
+            const testName = `${name} - ${label}`;
+            let mismatches;
+            try {
+                mismatches = evaluate();
+            } catch (error) {
+                mismatches = [{ path: '$', message: `invalid expectation: ${error.message}` }];
+            }
+            results.push({ name: testName, passed: mismatches.length === 0, mismatches });
+            if (options.silent) {
+                return;
+            }
+            if (options.quarantined && mismatches.length > 0) {
+                console.warn(`${testName} (quarantined):\n${this.formatMismatches(mismatches)}`);
+                pm.test.skip(`${testName} (quarantined)`, () => {});
+                return;
+            }
+            pm.test(testName, () => {
+                if (mismatches.length > 0) {
+                    pm.expect.fail(this.formatMismatches(mismatches));
+                }
+            });
+        };
+
+        if (scenario.expectedStatus !== undefined) {
+            check('Status code', () => this.match(response.code, this.normalizeStatus(scenario.expectedStatus), { root: 'status' }));
+        }
+
+        Object.keys(scenario.expectedHeaders || {}).forEach(header => {
+            const expected = scenario.expectedHeaders[header];
+            const normalized = this.isMatcher(expected) ? expected : String(expected);
+            check(`Header ${header}`, () => this.match(response.headers.get(header), normalized, { root: header }));
+        });
+
+        if (scenario.maxResponseTime !== undefined) {
+            check('Response time', () => this.match(response.responseTime, { $lte: Number(scenario.maxResponseTime) }, { root: 'responseTime' }));
+        }
+
+        if (scenario.expectedResponse !== undefined) {
+            let body;
+            let parseError = null;
+            try {
+                body = response.json();
+            } catch (error) {
+                parseError = [{ path: '$', message: `response body is not JSON (${error.message})` }];
+            }
+
+            const expected = scenario.expectedResponse;
+            if (!this.isPlainObject(expected) || this.isMatcher(expected)) {
+                check('Response body', () => parseError || this.match(body, expected, { exact }));
+            } else {
+                const keys = Object.keys(expected).filter(key => key !== '$exact');
+                keys.forEach(key => {
+                    check(`Response ${key}`, () => parseError || this.matchPath(body, key, expected[key], { exact }));
+                });
+
+                if (exact || expected.$exact) {
+                    // Path keys (`$.data.id`, `data.id`) account for the property they start with
+                    const fields = keys.map(key => this.isPath(key) ? this.rootKey(key) : key);
+                    const extra = this.isPlainObject(body) && !fields.includes('*')
+                        ? Object.keys(body).filter(key => !fields.includes(key))
+                        : [];
+                    check('Response has no unexpected fields', () => parseError ||
+                        extra.map(key => ({ path: this.joinPath('$', key), message: 'unexpected property', actual: body[key] })));
+                }
+            }
+        }
+
+        return { passed: results.every(result => result.passed), results };
+    },
+
+    /**
+     * Check a status code against an expectation without recording a test
+     * @param {*} expected - 201, [200, 204], '2xx' or a matcher object
+     * @param {number} code - Actual status code
+     * @returns {boolean} - True if the code matches
+     */
+    statusMatches: function(expected, code) {
+        return this.match(code, this.normalizeStatus(expected)).length === 0;
+    },
+
+    /**
+     * Normalise a status expectation to a value or matcher
+     * @param {*} expected - Number, numeric string, '2xx' class, array of codes or matcher
+     * @returns {*} - Expectation for match()
+     */
+    normalizeStatus: function(expected) {
+        if (Array.isArray(expected)) {
+            return { $oneOf: expected.map(code => Number(code)) };
+        }
+        if (typeof expected === 'string') {
+            const statusClass = expected.trim().match(/^([1-5])xx$/i);
+            if (statusClass) {
+                const base = Number(statusClass[1]) * 100;
+                return { $gte: base, $lt: base + 100 };
+            }
+            return Number(expected);
+        }
+        return expected;
+    },
+
+    // =============================================================================
+    // MATCHING
+    // =============================================================================
+
+    /**
+     * Match a value against an expectation
+     * @param {*} actual - Actual value
+     * @param {*} expected - Literal, nested object/array or matcher object
+     * @param {Object} options - { exact: false, root: '$' }
+     * @returns {Array} - Mismatches [{ path, message, expected, actual }]
+     */
+    match: function(actual, expected, options = {}) {
+        const mismatches = [];
+        this.compare(actual, expected, options.root || '$', options, mismatches);
+        return mismatches;
+    },
+
+    /**
+     * Match the value(s) at a JSONPath or dot path
+     * @param {*} data - Document
+     * @param {string} path - Path (`$.items[*].id`, `data.user.email`) or plain property name
+     * @param {*} expected - Expectation
+     * @param {Object} options - match() options
+     * @returns {Array} - Mismatches
+     */
+    matchPath: function(data, path, expected, options = {}) {
+        const result = this.query(data, path);
+        return this.match(result.value, expected, { ...options, root: result.path });
+    },
+
+    /**
+     * Recursive comparison
+     * @param {*} actual - Actual value
+     * @param {*} expected - Expectation
+     * @param {string} path - Path for messages
+     * @param {Object} options - { exact }
+     * @param {Array} mismatches - Collected mismatches
+     */
+    compare: function(actual, expected, path, options, mismatches) {
+        if (this.isMatcher(expected)) {
+            Object.keys(expected).forEach(keyword => {
+                if (this.modifiers.includes(keyword)) return;
+                const matcher = this.matchers[keyword];
+                if (!matcher) {
+                    mismatches.push({ path, message: `unknown matcher ${keyword}` });
+                    return;
+                }
+                if (actual === undefined && keyword !== '$absent' && keyword !== '$not') {
+                    if (!mismatches.some(m => m.path === path && m.message === 'expected to be present')) {
+                        mismatches.push({ path, message: 'expected to be present' });
+                    }
+                    return;
+                }
+                matcher.call(this, actual, expected[keyword], expected, path, options, mismatches);
+            });
+            return;
+        }
+
+        if (Array.isArray(expected)) {
+            if (!Array.isArray(actual)) {
+                mismatches.push({ path, message: 'expected an array', expected, actual });
+                return;
+            }
+            if (actual.length !== expected.length) {
+                mismatches.push({ path, message: `expected ${expected.length} item(s), got ${actual.length}`, expected, actual });
+            }
+            expected.forEach((item, index) => {
+                if (index < actual.length) this.compare(actual[index], item, `${path}[${index}]`, options, mismatches);
+            });
+            return;
+        }
+
+        if (this.isPlainObject(expected)) {
+            if (!this.isPlainObject(actual)) {
+                mismatches.push({ path, message: 'expected an object', expected, actual });
+                return;
+            }
+            const exact = expected.$exact !== undefined ? expected.$exact : options.exact;
+            const keys = Object.keys(expected).filter(key => key !== '$exact');
+            keys.forEach(key => this.compare(actual[key], expected[key], this.joinPath(path, key), { ...options, exact }, mismatches));
+            if (exact) {
+                Object.keys(actual).filter(key => !keys.includes(key)).forEach(key => {
+                    mismatches.push({ path: this.joinPath(path, key), message: 'unexpected property', actual: actual[key] });
+                });
+            }
+            return;
+        }
+
+        if (!this.deepEqual(actual, expected)) {
+            mismatches.push({ path, message: actual === undefined ? 'missing' : 'values differ', expected, actual });
+        }
+    },
+
+    /**
+     * Ordered comparison for numbers (numeric strings are converted) or strings such as ISO dates
+     * @param {*} actual - Actual value
+     * @param {*} operand - Bound
+     * @param {string} symbol - Operator for messages
+     * @param {Function} test - Comparison
+     * @param {string} path - Path
+     * @param {Array} mismatches - Collected mismatches
+     */
+    compareOrder: function(actual, operand, symbol, test, path, mismatches) {
+        const comparable = typeof operand === 'number'
+            ? this.toNumber(actual)
+            : (typeof actual === 'string' ? actual : null);
+        if (comparable === null || !test(comparable, operand)) {
+            mismatches.push({ path, message: `expected ${symbol} ${operand}`, actual });
+        }
+    },
+
+    // =============================================================================
+    // PATHS
+    // =============================================================================
+
+    /**
+     * Evaluate a JSONPath subset ($, .name, ['name'], [n], [-n], [*], .*, ..name)
+     * @param {*} data - Document
+     * @param {string} path - Path; a leading '$' is optional
+     * @returns {Object} - { value, path }; wildcard and recursive paths yield an array of matches
+     */
+    query: function(data, path) {
+        const segments = this.parsePath(path);
+        const multiple = segments.some(segment => segment.type === 'wildcard' || segment.type === 'descend');
+        let nodes = [{ value: data, path: '$' }];
+
+        segments.forEach(segment => {
+            const next = [];
+            nodes.forEach(node => {
+                const value = node.value;
+                if (segment.type === 'key') {
+                    if (value !== null && typeof value === 'object' && (!multiple || segment.key in value)) {
+                        next.push({ value: value[segment.key], path: this.joinPath(node.path, segment.key) });
+                    } else if (!multiple) {
+                        next.push({ value: undefined, path: this.joinPath(node.path, segment.key) });
+                    }
+                } else if (segment.type === 'index') {
+                    const index = Array.isArray(value) && segment.index < 0 ? value.length + segment.index : segment.index;
+                    if (Array.isArray(value) && (!multiple || index < value.length)) {
+                        next.push({ value: value[index], path: `${node.path}[${index}]` });
+                    } else if (!multiple) {
+                        next.push({ value: undefined, path: `${node.path}[${segment.index}]` });
+                    }
+                } else if (segment.type === 'wildcard') {
+                    if (Array.isArray(value)) {
+                        value.forEach((item, index) => next.push({ value: item, path: `${node.path}[${index}]` }));
+                    } else if (value !== null && typeof value === 'object') {
+                        Object.keys(value).forEach(key => next.push({ value: value[key], path: this.joinPath(node.path, key) }));
+                    }
+                } else {
+                    this.descend(value, node.path, segment.key, next);
+                }
+            });
+            nodes = next;
+        });
+
+        return multiple
+            ? { value: nodes.map(node => node.value), path: this.formatPath(path) }
+            : nodes[0];
+    },
+
+    /**
+     * Collect every descendant property named key (or every descendant for '*')
+     * @param {*} value - Node
+     * @param {string} path - Node path
+     * @param {string} key - Property name or '*'
+     * @param {Array} out - Collected nodes
+     */
+    descend: function(value, path, key, out) {
+        if (value === null || typeof value !== 'object') return;
+        Object.keys(value).forEach(child => {
+            const childPath = Array.isArray(value) ? `${path}[${child}]` : this.joinPath(path, child);
+            if (key === '*' || child === key) {
+                out.push({ value: value[child], path: childPath });
+            }
+            this.descend(value[child], childPath, key, out);
+        });
+    },
+
+    /**
+     * Tokenise a path into segments
+     * @param {string} path - Path
+     * @returns {Array} - [{ type: 'key'|'index'|'wildcard'|'descend', key, index }]
+     */
+    parsePath: function(path) {
+        const source = String(path).replace(/^\$/, '');
+        const normalized = /^[.[]/.test(source) || source === '' ? source : `.${source}`;
+        const pattern = /\.\.(\*|[^.[\]]+)|\.(\*|[^.[\]]+)|\[\s*(\*|-?\d+|'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")\s*\]/y;
+        const segments = [];
+        let match;
+
+        pattern.lastIndex = 0;
+        while (pattern.lastIndex < normalized.length) {
+            const start = pattern.lastIndex;
+            match = pattern.exec(normalized);
+            if (!match || match.index !== start) {
+                throw new Error(`Invalid path ${path} at "${normalized.slice(start)}"`);
+            }
+            if (match[1] !== undefined) {
+                segments.push({ type: 'descend', key: match[1] });
+            } else {
+                const token = match[2] !== undefined ? match[2] : match[3];
+                if (token === '*') {
+                    segments.push({ type: 'wildcard' });
+                } else if (match[3] !== undefined && /^-?\d+$/.test(token)) {
+                    segments.push({ type: 'index', index: parseInt(token, 10) });
+                } else if (match[3] !== undefined) {
+                    segments.push({ type: 'key', key: token.slice(1, -1).replace(/\\(.)/g, '$1') });
+                } else {
+                    segments.push({ type: 'key', key: token });
+                }
+            }
+        }
+
+        return segments;
+    },
+
+    /**
+     * Top-level property a path starts with
+     * @param {string} path - Path
+     * @returns {string|null} - Property name, '*' for a leading wildcard, or null for recursive and invalid paths
+     */
+    rootKey: function(path) {
+        try {
+            const [first] = this.parsePath(path);
+            if (!first) return null;
+            if (first.type === 'key') return first.key;
+            return first.type === 'wildcard' ? '*' : null;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Check whether an expectation key is a path rather than a property name
+     * @param {string} key - Key
+     * @returns {boolean} - True for $-rooted, dotted or bracketed keys
+     */
+    isPath: function(key) {
+        return key.startsWith('$') || /[.[]/.test(key);
+    },
+
+    /**
+     * Append a property to a path
+     * @param {string} path - Base path
+     * @param {string} key - Property name
+     * @returns {string} - Path
+     */
+    joinPath: function(path, key) {
+        return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}['${String(key).replace(/'/g, "\\'")}']`;
+    },
+
+    /**
+     * Display form of a user-supplied path
+     * @param {string} path - Path
+     * @returns {string} - Path starting with $
+     */
+    formatPath: function(path) {
+        return path.startsWith('$') ? path : (path.startsWith('[') ? `$${path}` : `$.${path}`);
+    },
+
+    // =============================================================================
+    // UTILITY FUNCTIONS
+    // =============================================================================
+
+    /**
+     * Format mismatches as a readable diff
+     * @param {Array} mismatches - Mismatches
+     * @returns {string} - Message
+     */
+    formatMismatches: function(mismatches) {
+        const lines = mismatches.map(mismatch => {
+            let line = `  ${mismatch.path}: ${mismatch.message}`;
+            if (mismatch.expected !== undefined && !this.isMatcher(mismatch.expected)) {
+                line += `\n      - expected: ${this.describe(mismatch.expected)}`;
+            }
+            if ('actual' in mismatch) {
+                line += `\n      + actual:   ${this.describe(mismatch.actual)}`;
+            }
+            return line;
+        });
+        return `${mismatches.length} mismatch(es):\n${lines.join('\n')}`;
+    },
+
+    /**
+     * Check whether a value is a matcher object (every key is a $name such as $eq; `$.path` keys are paths)
+     * @param {*} value - Value
+     * @returns {boolean} - True if matcher
+     */
+    isMatcher: function(value) {
+        if (!this.isPlainObject(value)) return false;
+        const keys = Object.keys(value);
+        return keys.length > 0 && keys.every(key => /^\$[A-Za-z]+$/.test(key)) && !(keys.length === 1 && keys[0] === '$exact');
+    },
+
+    /**
+     * Check for a plain (non-array, non-null) object
+     * @param {*} value - Value
+     * @returns {boolean} - True if plain object
+     */
+    isPlainObject: function(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    },
+
+    /**
+     * Check a value against a type name
+     * @param {*} value - Value
+     * @param {string} type - string, number, integer, boolean, array, object or null
+     * @returns {boolean} - True if the value has that type
+     */
+    isType: function(value, type) {
+        return this.typeOf(value) === type || (type === 'number' && this.typeOf(value) === 'integer');
+    },
+
+    /**
+     * Type name of a value
+     * @param {*} value - Value
+     * @returns {string} - Type name (integer for whole numbers, undefined when missing)
+     */
+    typeOf: function(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+        return typeof value;
+    },
+
+    /**
+     * Convert numbers and numeric strings to numbers
+     * @param {*} value - Value
+     * @returns {number|null} - Number or null
+     */
+    toNumber: function(value) {
+        if (typeof value === 'number') return value;
+        if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) return Number(value);
+        return null;
+    },
+
+    /**
+     * Build a RegExp from a pattern string or '/pattern/flags'
+     * @param {string} pattern - Pattern
+     * @param {string} flags - Flags (optional)
+     * @returns {RegExp} - Regular expression
+     */
+    toRegExp: function(pattern, flags = '') {
+        const literal = String(pattern).match(/^\/(.*)\/([gimsuy]*)$/s);
+        return literal ? new RegExp(literal[1], literal[2]) : new RegExp(pattern, flags);
+    },
+
+    /**
+     * Deep equality for JSON values
+     * @param {*} a - First value
+     * @param {*} b - Second value
+     * @returns {boolean} - True if equal
+     */
+    deepEqual: function(a, b) {
+        return this.getSchemaValidator().deepEqual(a, b);
+    },
+
+    /**
+     * Short display form of a value
+     * @param {*} value - Value
+     * @returns {string} - Description
+     */
+    describe: function(value) {
+        if (value === undefined) return 'nothing';
+        const text = JSON.stringify(value);
+        return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+    },
+
+    /**
+     * Resolve the SchemaValidator helper (sandbox global or Node module)
+     * @returns {Object} - SchemaValidator
+     */
+    getSchemaValidator: function() {
+        return typeof SchemaValidator !== 'undefined' ? SchemaValidator : require('./schema-validator');
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResponseExpectations;
+}
+
+// Usage Examples:
+/*
+// Scenario data (JSON, or CSV columns such as expectedResponse.data.id:json)
+const scenario = {
+    description: 'Create order',
+    expectedStatus: [200, 201],
+    expectedHeaders: {
+        'Content-Type': { $regex: 'application/json' },
+        'X-Debug-Token': { $absent: true }
+    },
+    maxResponseTime: 800,
+    expectedResponse: {
+        status: 'created',
+        data: { id: { $type: 'string', $regex: '^ord_' }, total: { $approx: 59.97, $tolerance: 0.01 } },
+        '$.data.items': { $length: { $gte: 1 }, $each: { quantity: { $gt: 0 } } },
+        '$..password': { $length: 0 },
+        'data.coupon': { $absent: true },
+        'data.state': { $oneOf: ['pending', 'paid'] },
+        'data.tags': { $contains: 'priority' }
+    }
+};
+
+// One named test per expectation
+ResponseExpectations.verify(scenario);
+
+// Exact matching: unexpected fields fail
+ResponseExpectations.verify({ ...scenario, matchMode: 'exact' });
+
+// Ad hoc checks
+const mismatches = ResponseExpectations.matchPath(pm.response.json(), '$.data.items[-1].sku', { $regex: '/^sku-/i' });
+*/
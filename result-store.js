@@ -0,0 +1,569 @@
+/**
+ * Result and Metrics Store for Postman
+ * One record schema for test results and performance metrics, with pluggable backends:
+ * chunked environment variables in the sandbox, or a JSONL file / SQLite database under Node
+ */
+
+const ResultStore = {
+
+    /**
+     * Variable (collection or environment) holding the backend configuration as JSON
+     */
+    configKey: 'resultStore',
+
+    /**
+     * Collection variable holding the current run ID
+     */
+    runIdKey: 'runId',
+
+    /**
+     * Default configuration
+     */
+    defaults: {
+        backend: 'environment',
+        prefix: 'results',
+        chunkSize: 250,
+        maxRecords: 5000,
+        path: 'results.jsonl'
+    },
+
+    /**
+     * Configuration set with configure() (takes precedence over the variable)
+     */
+    config: null,
+
+    /**
+     * Open SQLite databases by path
+     */
+    connections: {},
+
+    // =============================================================================
+    // CONFIGURATION
+    // =============================================================================
+
+    /**
+     * Configure the store for this script (or, under the runner, the rest of the run)
+     * @param {Object} config - { backend: 'environment'|'file'|'sqlite', path, prefix, chunkSize, maxRecords }
+     */
+    configure: function(config) {
+        this.config = config ? { ...this.defaults, ...config } : null;
+    },
+
+    /**
+     * Resolve the configuration: configure(), then the resultStore variable, then defaults
+     * @returns {Object} - Configuration
+     */
+    getConfig: function() {
+        if (this.config) {
+            return this.config;
+        }
+
+        const stored = pm.collectionVariables.get(this.configKey) || pm.environment.get(this.configKey);
+        if (stored) {
+            try {
+                return { ...this.defaults, ...JSON.parse(stored) };
+            } catch (error) {
+                console.error(`Ignoring invalid ${this.configKey}: ${error.message}`);
+            }
+        }
+
+        return { ...this.defaults };
+    },
+
+    /**
+     * Current run ID (created on first use; the runner sets one per run)
+     * @returns {string} - Run ID
+     */
+    getRunId: function() {
+        return pm.collectionVariables.get(this.runIdKey) || this.startRun();
+    },
+
+    /**
+     * Start a new run: later records carry a new run ID
+     * @param {string} runId - Run ID (default: derived from the current time)
+     * @returns {string} - Run ID
+     */
+    startRun: function(runId = null) {
+        const id = runId || this.createRunId();
+        pm.collectionVariables.set(this.runIdKey, id);
+        return id;
+    },
+
+    /**
+     * Create a sortable run ID
+     * @returns {string} - e.g. run-20240501T101500Z-k3f9
+     */
+    createRunId: function() {
+        const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+        return `run-${stamp}-${Math.random().toString(36).slice(2, 6)}`;
+    },
+
+    // =============================================================================
+    // RECORDS
+    // =============================================================================
+
+    /**
+     * Build a record. Fields not given are taken from the current request and response when available.
+     * @param {Object} fields - Record fields
+     * @param {string} fields.source - Producer ('scenario', 'metrics', 'performance', 'endpoint', 'request', ...)
+     * @param {string} fields.scenario - Scenario description
+     * @param {Object} fields.response - Response to take status, time and size from (default pm.response)
+     * @param {Array} fields.assertions - [{ name, passed, error }]
+     * @param {Array} fields.tags - Tags
+     * @param {Object} fields.data - Producer-specific fields
+     * @returns {Object} - { id, runId, iteration, timestamp, source, request: { name, method, url }, scenario, status,
+     *   responseTime, size, success, error, attempts, assertions, timings (normalized by RequestTimings), tags, data }
+     */
+    createRecord: function(fields = {}) {
+        const response = fields.response !== undefined ? fields.response : (typeof pm !== 'undefined' ? pm.response : null);
+        const info = typeof pm !== 'undefined' && pm.info ? pm.info : {};
+        const request = fields.request || (typeof pm !== 'undefined' && pm.request ? {
+            name: info.requestName,
+            method: pm.request.method,
+            url: pm.request.url ? pm.request.url.toString() : undefined
+        } : null);
+        const status = fields.status !== undefined ? fields.status : (response ? response.code : null);
+        const assertions = fields.assertions || [];
+
+        return {
+            id: fields.id || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            runId: fields.runId || (typeof pm !== 'undefined' ? this.getRunId() : null),
+            iteration: fields.iteration !== undefined ? fields.iteration : (info.iteration !== undefined ? info.iteration : null),
+            timestamp: fields.timestamp || new Date().toISOString(),
+            source: fields.source || 'custom',
+            request,
+            scenario: fields.scenario || null,
+            status,
+            responseTime: fields.responseTime !== undefined ? fields.responseTime : (response ? response.responseTime : null),
+            size: fields.size !== undefined ? fields.size : (response && typeof response.size === 'function' ? this.getSize(response) : null),
+            success: fields.success !== undefined ? fields.success : (status !== null ? status < 400 && assertions.every(a => a.passed) : null),
+            error: fields.error || null,
+            attempts: fields.attempts || null,
+            assertions,
+            timings: this.getRequestTimings().normalize(fields.timings || (response && response.timings)),
+            tags: fields.tags || [],
+            data: fields.data || {}
+        };
+    },
+
+    /**
+     * Create and store a record
+     * @param {Object} fields - Record fields (see createRecord)
+     * @returns {Object} - Stored record
+     */
+    record: function(fields) {
+        const record = this.createRecord(fields);
+        this.append([record]);
+        return record;
+    },
+
+    /**
+     * Store records
+     * @param {Array} records - Records
+     * @param {Object} config - Configuration (default getConfig())
+     */
+    append: function(records, config = null) {
+        const settings = config || this.getConfig();
+        this.getBackend(settings).append(records, settings);
+    },
+
+    /**
+     * Query records, oldest first
+     * @param {Object} filter - Filter
+     * @param {string|Array} filter.runId - Run ID(s); 'current' for this run
+     * @param {string|Array} filter.source - Producer(s)
+     * @param {string} filter.request - Request name
+     * @param {string} filter.scenario - Scenario description
+     * @param {string|Array} filter.tag - Records carrying any of these tags
+     * @param {boolean} filter.success - Only passed or failed records
+     * @param {number} filter.iteration - Iteration
+     * @param {string} filter.since - ISO timestamp (inclusive)
+     * @param {string} filter.until - ISO timestamp (exclusive)
+     * @param {Function} filter.where - Function(record) returning true to keep
+     * @param {number} filter.limit - Keep only the last N matches
+     * @param {Object} config - Configuration (default getConfig())
+     * @returns {Array} - Records
+     */
+    query: function(filter = {}, config = null) {
+        const settings = config || this.getConfig();
+        const normalized = this.normalizeFilter(filter);
+        const records = this.getBackend(settings).query(normalized, settings).filter(record => this.matches(record, normalized));
+        return normalized.limit ? records.slice(-normalized.limit) : records;
+    },
+
+    /**
+     * Remove records
+     * @param {Object} filter - Filter (as for query; empty removes everything)
+     * @param {Object} config - Configuration (default getConfig())
+     * @returns {number} - Records removed
+     */
+    clear: function(filter = {}, config = null) {
+        const settings = config || this.getConfig();
+        return this.getBackend(settings).clear(this.normalizeFilter(filter), settings);
+    },
+
+    /**
+     * Summarize runs in the store
+     * @param {Object} filter - Filter (as for query)
+     * @returns {Array} - [{ runId, startedAt, endedAt, records, passed, failed, avgResponseTime }] oldest first
+     */
+    listRuns: function(filter = {}) {
+        const runs = {};
+
+        this.query(filter).forEach(record => {
+            const run = runs[record.runId] || (runs[record.runId] = {
+                runId: record.runId, startedAt: record.timestamp, endedAt: record.timestamp, records: 0, passed: 0, failed: 0, totalTime: 0, timed: 0
+            });
+            run.records++;
+            if (record.success === true) run.passed++;
+            if (record.success === false) run.failed++;
+            if (typeof record.responseTime === 'number') {
+                run.totalTime += record.responseTime;
+                run.timed++;
+            }
+            if (record.timestamp < run.startedAt) run.startedAt = record.timestamp;
+            if (record.timestamp > run.endedAt) run.endedAt = record.timestamp;
+        });
+
+        return Object.keys(runs).map(id => {
+            const { totalTime, timed, ...run } = runs[id];
+            return { ...run, avgResponseTime: timed > 0 ? Math.round(totalTime / timed) : null };
+        }).sort((a, b) => a.startedAt < b.startedAt ? -1 : 1);
+    },
+
+    /**
+     * Normalize a filter: 'current' run, single values to arrays
+     * @param {Object} filter - Filter
+     * @returns {Object} - Normalized filter
+     */
+    normalizeFilter: function(filter) {
+        const toList = value => value === undefined || value === null ? null : [].concat(value);
+        const runIds = toList(filter.runId);
+
+        return {
+            ...filter,
+            runId: runIds ? runIds.map(id => id === 'current' ? this.getRunId() : id) : null,
+            source: toList(filter.source),
+            tag: toList(filter.tag)
+        };
+    },
+
+    /**
+     * Check a record against a normalized filter
+     * @param {Object} record - Record
+     * @param {Object} filter - Normalized filter
+     * @returns {boolean} - True if it matches
+     */
+    matches: function(record, filter) {
+        if (filter.runId && !filter.runId.includes(record.runId)) return false;
+        if (filter.source && !filter.source.includes(record.source)) return false;
+        if (filter.request !== undefined && (!record.request || record.request.name !== filter.request)) return false;
+        if (filter.scenario !== undefined && record.scenario !== filter.scenario) return false;
+        if (filter.tag && !filter.tag.some(tag => (record.tags || []).includes(tag))) return false;
+        if (filter.success !== undefined && record.success !== filter.success) return false;
+        if (filter.iteration !== undefined && record.iteration !== filter.iteration) return false;
+        if (filter.since && record.timestamp < filter.since) return false;
+        if (filter.until && record.timestamp >= filter.until) return false;
+        if (typeof filter.where === 'function' && !filter.where(record)) return false;
+        return true;
+    },
+
+    // =============================================================================
+    // BACKENDS
+    // =============================================================================
+
+    /**
+     * Get the backend for a configuration
+     * @param {Object} config - Configuration
+     * @returns {Object} - Backend with append, query and clear
+     */
+    getBackend: function(config) {
+        const backend = this.backends[config.backend];
+        if (!backend) {
+            throw new Error(`Unknown result store backend "${config.backend}" (environment, file or sqlite)`);
+        }
+        return backend;
+    },
+
+    /**
+     * Check that a configuration's backend can be used here, so a run fails before it sends anything
+     * @param {Object} config - Configuration
+     * @throws {Error} - Unknown backend, or a backend whose driver or file is unavailable
+     */
+    checkBackend: function(config) {
+        const backend = this.getBackend(config);
+        if (backend.check) {
+            backend.check(config);
+        }
+    },
+
+    backends: {
+
+        /**
+         * Environment variables, split into chunks of chunkSize records (<prefix>.meta, <prefix>.0, <prefix>.1, ...).
+         * The oldest chunks are removed beyond maxRecords, and the number dropped is kept in the meta record.
+         */
+        environment: {
+            append: function(records, config) {
+                const meta = this.loadMeta(config);
+                let chunk = meta.next > meta.first ? this.loadChunk(config, meta.next - 1) : [];
+
+                if (meta.next === meta.first || chunk.length >= config.chunkSize) {
+                    chunk = [];
+                    meta.next++;
+                }
+
+                records.forEach(record => {
+                    if (chunk.length >= config.chunkSize) {
+                        this.saveChunk(config, meta.next - 1, chunk);
+                        chunk = [];
+                        meta.next++;
+                    }
+                    chunk.push(record);
+                    meta.count++;
+                });
+                this.saveChunk(config, meta.next - 1, chunk);
+
+                while (meta.count > config.maxRecords && meta.first < meta.next - 1) {
+                    const dropped = this.loadChunk(config, meta.first).length;
+                    pm.environment.unset(`${config.prefix}.${meta.first}`);
+                    meta.first++;
+                    meta.count -= dropped;
+                    meta.dropped += dropped;
+                    console.warn(`Result store: dropped ${dropped} oldest record(s) to stay under ${config.maxRecords} (use the file or sqlite backend to keep full history)`);
+                }
+
+                pm.environment.set(`${config.prefix}.meta`, JSON.stringify(meta));
+            },
+
+            query: function(filter, config) {
+                const meta = this.loadMeta(config);
+                const records = [];
+                for (let i = meta.first; i < meta.next; i++) {
+                    records.push(...this.loadChunk(config, i));
+                }
+                return records;
+            },
+
+            clear: function(filter, config) {
+                const meta = this.loadMeta(config);
+                const all = this.query(filter, config);
+                const keep = all.filter(record => !ResultStore.matches(record, filter));
+
+                for (let i = meta.first; i < meta.next; i++) {
+                    pm.environment.unset(`${config.prefix}.${i}`);
+                }
+                pm.environment.unset(`${config.prefix}.meta`);
+
+                if (keep.length > 0) {
+                    this.append(keep, { ...config, maxRecords: Infinity });
+                }
+                return all.length - keep.length;
+            },
+
+            loadMeta: function(config) {
+                let meta = null;
+                try {
+                    meta = JSON.parse(pm.environment.get(`${config.prefix}.meta`) || 'null');
+                } catch (error) {
+                    console.error(`Result store: ${config.prefix}.meta is corrupt; starting an empty store`);
+                }
+                return meta || { version: 1, first: 0, next: 0, count: 0, dropped: 0 };
+            },
+
+            loadChunk: function(config, index) {
+                try {
+                    return JSON.parse(pm.environment.get(`${config.prefix}.${index}`) || '[]');
+                } catch (error) {
+                    console.error(`Result store: chunk ${config.prefix}.${index} is corrupt and was skipped`);
+                    return [];
+                }
+            },
+
+            saveChunk: function(config, index, chunk) {
+                pm.environment.set(`${config.prefix}.${index}`, JSON.stringify(chunk));
+            }
+        },
+
+        /**
+         * JSON Lines file (Node only); one record per line, appended
+         */
+        file: {
+            append: function(records, config) {
+                const fs = require('fs');
+                fs.appendFileSync(config.path, records.map(record => JSON.stringify(record)).join('\n') + '\n');
+            },
+
+            query: function(filter, config) {
+                const fs = require('fs');
+                if (!fs.existsSync(config.path)) {
+                    return [];
+                }
+                return fs.readFileSync(config.path, 'utf8').split('\n').filter(line => line.trim()).map((line, index) => {
+                    try {
+                        return JSON.parse(line);
+                    } catch (error) {
+                        console.error(`Result store: skipping invalid line ${index + 1} of ${config.path}`);
+                        return null;
+                    }
+                }).filter(Boolean);
+            },
+
+            clear: function(filter, config) {
+                const fs = require('fs');
+                const all = this.query(filter, config);
+                const keep = all.filter(record => !ResultStore.matches(record, filter));
+                fs.writeFileSync(config.path, keep.map(record => JSON.stringify(record) + '\n').join(''));
+                return all.length - keep.length;
+            }
+        },
+
+        /**
+         * SQLite database (Node only; node:sqlite or the better-sqlite3 package). Run, source and
+         * time filters are applied in SQL, the rest on the decoded records.
+         */
+        sqlite: {
+            check: function(config) {
+                this.open(config);
+            },
+
+            append: function(records, config) {
+                const db = this.open(config);
+                const insert = db.prepare(`INSERT OR REPLACE INTO results
+                    (id, run_id, iteration, timestamp, source, request_name, scenario, status, response_time, success, record)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`);
+
+                db.exec('BEGIN');
+                try {
+                    records.forEach(record => insert.run(
+                        record.id, record.runId, record.iteration, record.timestamp, record.source,
+                        record.request ? record.request.name || null : null, record.scenario, record.status,
+                        record.responseTime, record.success === null ? null : (record.success ? 1 : 0), JSON.stringify(record)
+                    ));
+                    db.exec('COMMIT');
+                } catch (error) {
+                    db.exec('ROLLBACK');
+                    throw error;
+                }
+            },
+
+            query: function(filter, config) {
+                const { where, params } = this.buildWhere(filter);
+                return this.open(config)
+                    .prepare(`SELECT record FROM results${where} ORDER BY timestamp, rowid`)
+                    .all(...params)
+                    .map(row => JSON.parse(row.record));
+            },
+
+            clear: function(filter, config) {
+                const ids = this.query(filter, config).filter(record => ResultStore.matches(record, filter)).map(record => record.id);
+                const remove = this.open(config).prepare('DELETE FROM results WHERE id = ?');
+                ids.forEach(id => remove.run(id));
+                return ids.length;
+            },
+
+            buildWhere: function(filter) {
+                const clauses = [];
+                const params = [];
+                const list = (column, values) => {
+                    clauses.push(`${column} IN (${values.map(() => '?').join(', ')})`);
+                    params.push(...values);
+                };
+
+                if (filter.runId) list('run_id', filter.runId);
+                if (filter.source) list('source', filter.source);
+                if (filter.since) {
+                    clauses.push('timestamp >= ?');
+                    params.push(filter.since);
+                }
+                if (filter.until) {
+                    clauses.push('timestamp < ?');
+                    params.push(filter.until);
+                }
+
+                return { where: clauses.length > 0 ? ` WHERE ${clauses.join(' AND ')}` : '', params };
+            },
+
+            open: function(config) {
+                if (ResultStore.connections[config.path]) {
+                    return ResultStore.connections[config.path];
+                }
+
+                const Database = this.getDriver();
+                let db;
+                try {
+                    db = new Database(config.path);
+                } catch (error) {
+                    throw new Error(`Cannot open SQLite result store ${config.path}: ${error.message}`);
+                }
+
+                db.exec(`CREATE TABLE IF NOT EXISTS results (
+                    id TEXT PRIMARY KEY, run_id TEXT, iteration INTEGER, timestamp TEXT, source TEXT,
+                    request_name TEXT, scenario TEXT, status INTEGER, response_time REAL, success INTEGER, record TEXT)`);
+                db.exec('CREATE INDEX IF NOT EXISTS results_run ON results (run_id, source, timestamp)');
+
+                ResultStore.connections[config.path] = db;
+                return db;
+            },
+
+            getDriver: function() {
+                try {
+                    return require('node:sqlite').DatabaseSync;
+                } catch (nodeError) {
+                    try {
+                        return require('better-sqlite3');
+                    } catch (packageError) {
+                        throw new Error(`The sqlite result store needs Node 22.5+ (node:sqlite) or the better-sqlite3 package (npm install better-sqlite3); this is Node ${process.versions.node}. Use a .jsonl results file instead.`);
+                    }
+                }
+            }
+        }
+    },
+
+    // =============================================================================
+    // UTILITY FUNCTIONS
+    // =============================================================================
+
+    /**
+     * Response size in bytes
+     * @param {Object} response - Response
+     * @returns {number|null} - Size
+     */
+    getSize: function(response) {
+        const size = response.size();
+        if (typeof size === 'number') return size;
+        return size ? (size.total !== undefined ? size.total : (size.body || 0) + (size.header || 0)) : null;
+    },
+
+    /**
+     * Resolve the RequestTimings helper (sandbox global or Node module)
+     * @returns {Object} - RequestTimings
+     */
+    getRequestTimings: function() {
+        return typeof RequestTimings !== 'undefined' ? RequestTimings : require('./request-timings');
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResultStore;
+}
+
+// Usage Examples:
+/*
+// Test script: store the current request with custom fields
+ResultStore.record({ source: 'smoke', tags: ['@checkout'], data: { cartSize: 3 } });
+
+// Everything this run recorded for one request, and failures across the last runs
+const login = ResultStore.query({ runId: 'current', request: 'Login' });
+const recentFailures = ResultStore.query({ source: 'scenario', success: false, since: '2024-05-01T00:00:00Z' });
+console.log(ResultStore.listRuns({ source: 'scenario' }));
+
+// Keep full history outside the environment (under collection-runner.js: --results results.jsonl or results.db)
+pm.collectionVariables.set('resultStore', JSON.stringify({ backend: 'file', path: 'results.jsonl' }));
+
+// Node
+const ResultStore = require('./result-store');
+const config = { ...ResultStore.defaults, backend: 'sqlite', path: 'results.db' };
+ResultStore.query({ source: 'performance', runId: ['run-a', 'run-b'] }, config);
+*/
@@ -0,0 +1,429 @@
+/**
+ * Retry Policy and Flaky Test Quarantine for Postman
+ * Retries transient failures with exponential backoff, jitter and Retry-After,
+ * and tracks across runs which scenarios only pass after a retry
+ */
+
+const RetryPolicy = {
+
+    /**
+     * Collection variable holding a JSON policy that overrides the defaults
+     */
+    policyKey: 'retryPolicy',
+
+    /**
+     * Environment variable holding per-scenario outcome history (persist or export it between runs)
+     */
+    historyKey: 'flakinessHistory',
+
+    /**
+     * Default policy
+     */
+    defaults: {
+        maxAttempts: 3,
+        retryOnStatus: [429, 502, 503, 504],
+        retryOnErrors: ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'socket hang up'],
+        idempotentMethods: ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'],
+        idempotencyHeaders: ['Idempotency-Key'],
+        retryNonIdempotent: false,
+        initialDelay: 250,
+        multiplier: 2,
+        maxDelay: 10000,
+        jitter: 'full',
+        respectRetryAfter: true,
+        maxRetryAfter: 30000,
+        timeout: 0
+    },
+
+    /**
+     * Quarantine rules
+     */
+    quarantine: {
+        window: 10,
+        threshold: 2,
+        releaseAfter: 5
+    },
+
+    // =============================================================================
+    // POLICY
+    // =============================================================================
+
+    /**
+     * Resolve the effective policy: defaults, then the stored policy, then overrides
+     * @param {Object|boolean} overrides - Policy fields, or false to disable retries
+     * @returns {Object} - Policy
+     */
+    getPolicy: function(overrides = {}) {
+        if (overrides === false) {
+            return { ...this.defaults, maxAttempts: 1 };
+        }
+
+        let stored = {};
+        try {
+            stored = JSON.parse(pm.collectionVariables.get(this.policyKey) || '{}');
+        } catch (error) {
+            console.error(`Ignoring invalid ${this.policyKey}: ${error.message}`);
+        }
+
+        return { ...this.defaults, ...stored, ...(overrides || {}) };
+    },
+
+    /**
+     * Decide whether an attempt should be retried
+     * @param {Object} policy - Policy
+     * @param {Error} error - Request error (if any)
+     * @param {Object} response - Response (if any)
+     * @param {*} expectedStatus - The scenario's expected status; a response matching it is never retried
+     * @returns {boolean} - True to retry
+     */
+    shouldRetry: function(policy, error, response, expectedStatus) {
+        if (error) {
+            const text = `${error.code || ''} ${error.message || ''}`;
+            return policy.retryOnErrors.some(pattern => text.includes(pattern));
+        }
+
+        if (!response || !policy.retryOnStatus.includes(response.code)) {
+            return false;
+        }
+        return expectedStatus === undefined || !this.getResponseExpectations().statusMatches(expectedStatus, response.code);
+    },
+
+    /**
+     * Check whether a request is safe to send again: an idempotent method or an idempotency key header
+     * @param {Object} policy - Policy
+     * @param {Object} request - pm.sendRequest options
+     * @returns {boolean} - True if the request may be retried
+     */
+    isIdempotent: function(policy, request) {
+        const method = String(request.method || 'GET').toUpperCase();
+        if (policy.idempotentMethods.includes(method)) {
+            return true;
+        }
+
+        const header = request.header || request.headers || {};
+        let names;
+        if (Array.isArray(header)) {
+            names = header.filter(h => h && !h.disabled).map(h => h.key);
+        } else if (typeof header === 'string') {
+            names = header.split(/\r?\n/).map(line => line.split(':')[0]);
+        } else {
+            names = Object.keys(header);
+        }
+
+        const keys = policy.idempotencyHeaders.map(name => name.toLowerCase());
+        return names.some(name => keys.includes(String(name).trim().toLowerCase()));
+    },
+
+    /**
+     * Delay before the next attempt: Retry-After when present, otherwise exponential backoff with jitter
+     * @param {Object} policy - Policy
+     * @param {number} attempt - Attempt that just failed (1-based)
+     * @param {Object} response - Response (if any)
+     * @returns {number} - Delay in ms
+     */
+    getDelay: function(policy, attempt, response) {
+        if (policy.respectRetryAfter && response) {
+            const retryAfter = this.parseRetryAfter(response.headers.get('Retry-After'));
+            if (retryAfter !== null) {
+                return Math.min(retryAfter, policy.maxRetryAfter);
+            }
+        }
+
+        const base = Math.min(policy.maxDelay, policy.initialDelay * Math.pow(policy.multiplier, attempt - 1));
+
+        // Math.random, not DataEngine: timing jitter must not shift the seeded test data
+        switch (policy.jitter) {
+            case 'none':
+                return base;
+            case 'equal':
+                return Math.round(base / 2 + Math.random() * base / 2);
+            default:
+                return Math.round(Math.random() * base);
+        }
+    },
+
+    /**
+     * Parse a Retry-After header (delta seconds or HTTP date)
+     * @param {string} value - Header value
+     * @returns {number|null} - Delay in ms or null
+     */
+    parseRetryAfter: function(value) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+        if (/^\s*\d+\s*$/.test(value)) {
+            return parseInt(value, 10) * 1000;
+        }
+        const date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(0, date - Date.now());
+    },
+
+    // =============================================================================
+    // EXECUTION
+    // =============================================================================
+
+    /**
+     * Send a request, retrying per policy. Non-idempotent requests (e.g. POST without an Idempotency-Key)
+     * are sent once unless the policy sets retryNonIdempotent
+     * @param {Object} request - pm.sendRequest options
+     * @param {Object|boolean} policyOverrides - Policy fields, or false to disable retries
+     * @param {*} expectedStatus - Expected status; matching responses are not retried (optional)
+     * @param {Object} options - { beforeAttempt: Function(attempt) returning a Promise that resolves when
+     *                           the attempt may start, e.g. a rate limiter }
+     * @returns {Promise<Object>} - { response, error, attempts: [{ attempt, status, error, responseTime, delay }] }; never rejects
+     */
+    send: function(request, policyOverrides = {}, expectedStatus = undefined, options = {}) {
+        const policy = this.getPolicy(policyOverrides);
+        const beforeAttempt = options.beforeAttempt || (() => Promise.resolve());
+        const attempts = [];
+        const retryable = policy.retryNonIdempotent || this.isIdempotent(policy, request);
+
+        const attempt = number => beforeAttempt(number).then(() => this.sendOnce(request, policy.timeout)).then(
+            response => ({ response, error: null }),
+            error => ({ response: null, error })
+        ).then(({ response, error }) => {
+            const record = {
+                attempt: number,
+                status: response ? response.code : null,
+                error: error ? error.message : null,
+                responseTime: response ? response.responseTime : null,
+                delay: 0
+            };
+            attempts.push(record);
+
+            if (number >= policy.maxAttempts || !this.shouldRetry(policy, error, response, expectedStatus)) {
+                return { response, error, attempts };
+            }
+            if (!retryable) {
+                console.warn(`Attempt ${number} ${error ? `failed (${error.message})` : `returned ${response.code}`}; not retrying a non-idempotent ${String(request.method).toUpperCase()} (send an Idempotency-Key header or set retryNonIdempotent)`);
+                return { response, error, attempts };
+            }
+
+            record.delay = this.getDelay(policy, number, response);
+            console.warn(`Attempt ${number} ${error ? `failed (${error.message})` : `returned ${response.code}`}; retrying in ${record.delay}ms`);
+            return new Promise(resolve => setTimeout(resolve, record.delay)).then(() => attempt(number + 1));
+        });
+
+        return attempt(1);
+    },
+
+    /**
+     * Send a single request with an optional timeout
+     * @param {Object} request - pm.sendRequest options
+     * @param {number} timeout - Timeout in ms (0 disables)
+     * @returns {Promise<Object>} - Response
+     */
+    sendOnce: function(request, timeout) {
+        return new Promise((resolve, reject) => {
+            let timer = null;
+            let settled = false;
+
+            if (timeout > 0) {
+                timer = setTimeout(() => {
+                    settled = true;
+                    const error = new Error(`Request timed out after ${timeout}ms`);
+                    error.code = 'ETIMEDOUT';
+                    reject(error);
+                }, timeout);
+            }
+
+            pm.sendRequest(request, (err, response) => {
+                if (settled) return;
+                settled = true;
+                if (timer !== null) clearTimeout(timer);
+
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(response);
+                }
+            });
+        });
+    },
+
+    // =============================================================================
+    // FLAKINESS TRACKING
+    // =============================================================================
+
+    /**
+     * Stable key for a scenario
+     * @param {Object} scenario - Scenario
+     * @returns {string} - Key (scenario.id, else description)
+     */
+    scenarioKey: function(scenario) {
+        return String(scenario.id || scenario.description);
+    },
+
+    /**
+     * Load outcome history
+     * @returns {Object} - Key to { history, runs, retryPasses, failures, quarantined, quarantinedAt, reason }
+     */
+    loadHistory: function() {
+        try {
+            return JSON.parse(pm.environment.get(this.historyKey) || '{}');
+        } catch (error) {
+            console.error(`Failed to parse ${this.historyKey}; starting a new history`);
+            return {};
+        }
+    },
+
+    /**
+     * Save outcome history
+     * @param {Object} history - History
+     */
+    saveHistory: function(history) {
+        pm.environment.set(this.historyKey, JSON.stringify(history));
+    },
+
+    /**
+     * Record a scenario outcome and apply the quarantine rules
+     * @param {string} key - Scenario key
+     * @param {string} outcome - 'pass', 'retry-pass' (passed only after retrying) or 'fail'
+     * @returns {Object} - Updated entry
+     */
+    recordOutcome: function(key, outcome) {
+        const history = this.loadHistory();
+        const entry = history[key] || { history: [], runs: 0, retryPasses: 0, failures: 0, quarantined: false };
+
+        entry.runs++;
+        if (outcome === 'retry-pass') entry.retryPasses++;
+        if (outcome === 'fail') entry.failures++;
+        entry.history = entry.history.concat(outcome).slice(-this.quarantine.window);
+        entry.lastSeen = new Date().toISOString();
+
+        const flakiness = this.getFlakiness(entry.history);
+        if (!entry.quarantined && flakiness >= this.quarantine.threshold) {
+            entry.quarantined = true;
+            entry.quarantinedAt = entry.lastSeen;
+            entry.reason = `passed only after retrying in ${flakiness} of the last ${entry.history.length} runs`;
+            console.warn(`Quarantined flaky scenario "${key}": ${entry.reason}`);
+        } else if (entry.quarantined && entry.history.length >= this.quarantine.releaseAfter &&
+                   entry.history.slice(-this.quarantine.releaseAfter).every(o => o === 'pass')) {
+            entry.quarantined = false;
+            entry.reason = null;
+            console.log(`Released scenario "${key}" from quarantine after ${this.quarantine.releaseAfter} clean runs`);
+        }
+
+        history[key] = entry;
+        this.saveHistory(history);
+        return entry;
+    },
+
+    /**
+     * Count runs that failed at first and passed on retry. Plain passes and failures do not count:
+     * a regression that is later fixed is not flaky, and quarantining it would hide the failures
+     * @param {Array} outcomes - Outcome history
+     * @returns {number} - Flakiness score
+     */
+    getFlakiness: function(outcomes) {
+        return outcomes.filter(outcome => outcome === 'retry-pass').length;
+    },
+
+    /**
+     * Check whether a scenario is quarantined
+     * @param {string} key - Scenario key
+     * @returns {boolean} - True if quarantined
+     */
+    isQuarantined: function(key) {
+        const entry = this.loadHistory()[key];
+        return Boolean(entry && entry.quarantined);
+    },
+
+    /**
+     * Quarantine a scenario manually
+     * @param {string} key - Scenario key
+     * @param {string} reason - Reason
+     */
+    quarantineScenario: function(key, reason = 'quarantined manually') {
+        const history = this.loadHistory();
+        const entry = history[key] || { history: [], runs: 0, retryPasses: 0, failures: 0 };
+        history[key] = { ...entry, quarantined: true, quarantinedAt: new Date().toISOString(), reason };
+        this.saveHistory(history);
+    },
+
+    /**
+     * Release a scenario from quarantine
+     * @param {string} key - Scenario key
+     */
+    releaseScenario: function(key) {
+        const history = this.loadHistory();
+        if (history[key]) {
+            history[key] = { ...history[key], quarantined: false, reason: null };
+            this.saveHistory(history);
+        }
+    },
+
+    /**
+     * Flakiness report
+     * @returns {Object} - { quarantined: [...], flaky: [...] } sorted by flakiness
+     */
+    getFlakinessReport: function() {
+        const history = this.loadHistory();
+        const entries = Object.keys(history).map(key => ({
+            scenario: key,
+            runs: history[key].runs,
+            retryPasses: history[key].retryPasses,
+            failures: history[key].failures,
+            flakiness: this.getFlakiness(history[key].history),
+            recent: history[key].history.join(' '),
+            quarantined: Boolean(history[key].quarantined),
+            reason: history[key].reason || null
+        })).sort((a, b) => b.flakiness - a.flakiness);
+
+        return {
+            quarantined: entries.filter(entry => entry.quarantined),
+            flaky: entries.filter(entry => !entry.quarantined && entry.flakiness > 0)
+        };
+    },
+
+    /**
+     * Print the flakiness report
+     * @returns {Object} - Report
+     */
+    printFlakinessReport: function() {
+        const report = this.getFlakinessReport();
+        console.log('\n=== FLAKY SCENARIOS ===');
+        console.log(`Quarantined: ${report.quarantined.length}, flaky: ${report.flaky.length}`);
+        report.quarantined.forEach(entry => console.log(`  [quarantined] ${entry.scenario}: ${entry.reason} (${entry.recent})`));
+        report.flaky.forEach(entry => console.log(`  [flaky] ${entry.scenario}: flakiness ${entry.flakiness} (${entry.recent})`));
+        return report;
+    },
+
+    // =============================================================================
+    // UTILITY FUNCTIONS
+    // =============================================================================
+
+    /**
+     * Resolve the ResponseExpectations helper (sandbox global or Node module)
+     * @returns {Object} - ResponseExpectations
+     */
+    getResponseExpectations: function() {
+        return typeof ResponseExpectations !== 'undefined' ? ResponseExpectations : require('./response-expectations');
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RetryPolicy;
+}
+
+// Usage Examples:
+/*
+// Collection-wide policy (collection variable retryPolicy)
+pm.collectionVariables.set('retryPolicy', JSON.stringify({ maxAttempts: 4, initialDelay: 500, retryOnStatus: [429, 503] }));
+
+// POST is only retried when it carries an idempotency key (or the policy sets retryNonIdempotent)
+RetryPolicy.send({ url: pm.environment.get('base_url') + '/orders', method: 'POST', header: { 'Idempotency-Key': pm.variables.replaceIn('{{$guid}}') } });
+
+// Scenario execution retries transient failures and records every attempt
+DataDrivenTesting.executeDataDrivenTest({ dataKey: 'testData', requestConfig, retry: { maxAttempts: 5, jitter: 'equal' } });
+
+// Ad hoc request
+RetryPolicy.send({ url: pm.environment.get('base_url') + '/health', method: 'GET' }).then(({ response, error, attempts }) => {
+    console.log(`${attempts.length} attempt(s)`, error ? error.message : response.code);
+});
+
+// End of run: scenarios that only pass after retrying are quarantined and reported separately
+RetryPolicy.printFlakinessReport();
+RetryPolicy.releaseScenario('Create order with coupon');
+*/
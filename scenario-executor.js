@@ -0,0 +1,198 @@
+/**
+ * Concurrent Scenario Executor for Postman
+ * Sends a whole scenario set through pm.sendRequest from one script, with bounded
+ * concurrency, per-request timeouts, retries and a rate limit; tests are reported in scenario order
+ */
+
+const ScenarioExecutor = {
+
+    /**
+     * Defaults for run()
+     */
+    defaults: {
+        concurrency: 5,
+        timeout: 30000,
+        rateLimit: 0,
+        storeResults: true
+    },
+
+    // =============================================================================
+    // EXECUTION
+    // =============================================================================
+
+    /**
+     * Run scenarios concurrently. Responses are verified once every request has settled, so
+     * each scenario's tests appear together and in order. A keep-alive timer holds the
+     * sandbox open until then, since Postman ends a script once nothing is pending.
+     * Every attempt, retries included, waits for the rate limit.
+     * @param {Array} scenarios - Scenarios ({ description, input, expectedStatus, ... })
+     * @param {Object} config - Execution configuration
+     * @param {Object|Function} config.requestConfig - pm.sendRequest options, or Function(scenario) returning them
+     * @param {number} config.concurrency - Requests in flight at once (default 5)
+     * @param {number} config.timeout - Per-attempt timeout in ms (default 30000)
+     * @param {Object|boolean} config.retry - Retry policy overrides, or false to disable retries (see RetryPolicy)
+     * @param {number} config.rateLimit - Maximum requests started per second (0 = unlimited)
+     * @param {Function} config.validationFunction - Function(scenario, response) run after the expectations
+     * @param {boolean} config.storeResults - Record results for getTestResultsSummary (default true)
+     * @returns {Promise<Object>} - { results, passed, failed, flaky, quarantined, duration }; rejects when a
+     *                                scenario request cannot be built (e.g. no requestConfig)
+     */
+    run: function(scenarios, config = {}) {
+        const settings = { ...this.defaults, ...config };
+        const concurrency = Math.max(1, Math.min(settings.concurrency, scenarios.length || 1));
+        const throttle = this.createThrottle(settings.rateLimit);
+        const outcomes = new Array(scenarios.length);
+        const startTime = Date.now();
+        let next = 0;
+        let aborted = false;
+        let keepAliveTimer = null;
+
+        console.log(`Running ${scenarios.length} scenarios (concurrency ${concurrency}${settings.rateLimit ? `, ${settings.rateLimit} req/s` : ''})`);
+
+        const worker = () => {
+            if (aborted || next >= scenarios.length) {
+                return Promise.resolve();
+            }
+            const index = next++;
+            let scenario, request;
+            try {
+                scenario = this.getDataLoader().resolveTemplates(scenarios[index]);
+                request = this.getDataDrivenTesting().buildScenarioRequest(scenario, settings.requestConfig);
+            } catch (error) {
+                // Workers already sending finish their request but take no further scenarios
+                aborted = true;
+                throw error;
+            }
+            const retry = settings.retry === false ? false : { ...settings.retry, timeout: settings.timeout };
+
+            // Retries hold the worker, so backoff counts against the concurrency limit
+            return this.getRetryPolicy().send(request, retry, scenario.expectedStatus, { beforeAttempt: throttle })
+                .then(outcome => { outcomes[index] = { scenario, ...outcome }; })
+                .then(worker);
+        };
+
+        // Workers start in callbacks, so one that throws rejects through Promise.all like any other failure
+        const workers = [];
+        for (let i = 0; i < concurrency; i++) {
+            workers.push(Promise.resolve().then(worker));
+        }
+        const execution = Promise.all(workers).then(() => this.report(outcomes, settings, Date.now() - startTime));
+
+        const keepAlive = () => {
+            keepAliveTimer = setTimeout(keepAlive, 100);
+        };
+        keepAlive();
+
+        return execution.finally(() => clearTimeout(keepAliveTimer));
+    },
+
+    /**
+     * Create a limiter that spaces request starts to at most rate per second
+     * @param {number} rate - Requests per second (0 = unlimited)
+     * @returns {Function} - Function returning a Promise that resolves when the next request may start
+     */
+    createThrottle: function(rate) {
+        if (!rate || rate <= 0) {
+            return () => Promise.resolve();
+        }
+
+        const interval = 1000 / rate;
+        let nextSlot = Date.now();
+
+        return () => {
+            const now = Date.now();
+            const wait = Math.max(0, nextSlot - now);
+            nextSlot = Math.max(nextSlot, now) + interval;
+            return wait > 0 ? new Promise(resolve => setTimeout(resolve, wait)) : Promise.resolve();
+        };
+    },
+
+    // =============================================================================
+    // REPORTING
+    // =============================================================================
+
+    /**
+     * Verify every outcome in scenario order and build the summary
+     * @param {Array} outcomes - { scenario, response, error, attempts } per scenario
+     * @param {Object} settings - Run settings
+     * @param {number} duration - Wall-clock duration in ms
+     * @returns {Object} - { results, passed, failed, flaky, quarantined, duration }
+     */
+    report: function(outcomes, settings, duration) {
+        const dataDriven = this.getDataDrivenTesting();
+
+        const results = outcomes.map((outcome, index) => ({
+            index,
+            ...dataDriven.completeScenario(outcome.scenario, outcome, settings)
+        }));
+
+        const passed = results.filter(result => result.passed).length;
+        const quarantined = results.filter(result => !result.passed && result.quarantined).length;
+        const flaky = results.filter(result => result.flaky).length;
+        const failed = results.length - passed - quarantined;
+        console.log(`Scenarios finished in ${duration}ms: ${passed} passed (${flaky} after retry), ${failed} failed, ${quarantined} quarantined`);
+
+        return { results, passed, failed, flaky, quarantined, duration };
+    },
+
+    // =============================================================================
+    // UTILITY FUNCTIONS
+    // =============================================================================
+
+    /**
+     * Resolve the DataDrivenTesting helper (sandbox global or Node module)
+     * @returns {Object} - DataDrivenTesting
+     */
+    getDataDrivenTesting: function() {
+        return typeof DataDrivenTesting !== 'undefined' ? DataDrivenTesting : require('./data-drive-testing');
+    },
+
+    /**
+     * Resolve the DataLoader helper (sandbox global or Node module)
+     * @returns {Object} - DataLoader
+     */
+    getDataLoader: function() {
+        return typeof DataLoader !== 'undefined' ? DataLoader : require('./data-loader');
+    },
+
+    /**
+     * Resolve the RetryPolicy helper (sandbox global or Node module)
+     * @returns {Object} - RetryPolicy
+     */
+    getRetryPolicy: function() {
+        return typeof RetryPolicy !== 'undefined' ? RetryPolicy : require('./retry-policy');
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScenarioExecutor;
+}
+
+// Usage Examples:
+/*
+// One request in the collection runs all 500 scenarios
+ScenarioExecutor.run(DataDrivenTesting.loadTestData('testData'), {
+    requestConfig: {
+        url: pm.environment.get('base_url') + '/users',
+        method: 'POST',
+        header: { 'Content-Type': 'application/json' },
+        body: { mode: 'raw' }
+    },
+    concurrency: 10,
+    timeout: 5000,
+    rateLimit: 20,
+    // POST is not idempotent: opt in to retries only if the API tolerates duplicates
+    retry: { maxAttempts: 4, retryOnStatus: [429, 503], retryNonIdempotent: true }
+}).then(summary => {
+    console.log(DataDrivenTesting.getTestResultsSummary());
+});
+
+// Per-scenario request shape
+ScenarioExecutor.run(scenarios, {
+    requestConfig: scenario => ({
+        url: `${pm.environment.get('base_url')}/products/${scenario.input.id}`,
+        method: 'GET'
+    })
+});
+*/
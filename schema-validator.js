@@ -0,0 +1,1009 @@
+/**
+ * JSON Schema Validator for Postman
+ * Draft 2020-12 and Draft-07 validation with $ref resolution, enforced formats,
+ * JSON Pointer error paths and a named schema registry
+ */
+
+const SchemaValidator = {
+
+    /**
+     * Collection variable holding schemas registered with persist
+     */
+    registryKey: 'schemaRegistry',
+
+    /**
+     * Named schemas available to assertSchema and $ref (e.g. { "$ref": "user" })
+     */
+    registry: {
+        user: {
+            type: "object",
+            properties: {
+                id: { type: "integer" },
+                name: { type: "string" },
+                email: { type: "string", format: "email" },
+                createdAt: { type: "string", format: "date-time" }
+            },
+            required: ["id", "name", "email"]
+        },
+
+        product: {
+            type: "object",
+            properties: {
+                id: { type: "integer" },
+                name: { type: "string" },
+                price: { type: "number", minimum: 0 },
+                category: { type: "string" },
+                inStock: { type: "boolean" }
+            },
+            required: ["id", "name", "price"]
+        },
+
+        apiResponse: {
+            type: "object",
+            properties: {
+                status: { type: "string" },
+                message: { type: "string" },
+                data: { type: "object" },
+                timestamp: { type: "string", format: "date-time" }
+            },
+            required: ["status"]
+        }
+    },
+
+    /**
+     * Guard against $ref cycles that never consume input
+     */
+    maxDepth: 200,
+
+    // =============================================================================
+    // SCHEMA REGISTRY
+    // =============================================================================
+
+    /**
+     * Register a named schema
+     * @param {string} name - Schema name
+     * @param {Object} schema - JSON Schema
+     * @param {boolean} persist - Also store in collection variables for later scripts
+     */
+    registerSchema: function(name, schema, persist = false) {
+        this.registry[name] = schema;
+
+        if (persist) {
+            const stored = this.loadPersistedSchemas();
+            stored[name] = schema;
+            pm.collectionVariables.set(this.registryKey, JSON.stringify(stored));
+        }
+    },
+
+    /**
+     * Get a named schema from memory or collection variables
+     * @param {string} name - Schema name
+     * @returns {Object|undefined} - Schema
+     */
+    getSchema: function(name) {
+        if (this.registry[name] !== undefined) {
+            return this.registry[name];
+        }
+        return this.loadPersistedSchemas()[name];
+    },
+
+    /**
+     * Check whether a schema is registered
+     * @param {string} name - Schema name
+     * @returns {boolean} - True if registered
+     */
+    hasSchema: function(name) {
+        return this.getSchema(name) !== undefined;
+    },
+
+    /**
+     * List registered schema names
+     * @returns {Array} - Schema names
+     */
+    listSchemas: function() {
+        return Array.from(new Set([...Object.keys(this.registry), ...Object.keys(this.loadPersistedSchemas())]));
+    },
+
+    /**
+     * Remove a named schema
+     * @param {string} name - Schema name
+     */
+    unregisterSchema: function(name) {
+        delete this.registry[name];
+
+        const stored = this.loadPersistedSchemas();
+        if (stored[name] !== undefined) {
+            delete stored[name];
+            pm.collectionVariables.set(this.registryKey, JSON.stringify(stored));
+        }
+    },
+
+    /**
+     * Read schemas persisted in collection variables
+     * @returns {Object} - Map of name to schema
+     */
+    loadPersistedSchemas: function() {
+        if (typeof pm === 'undefined' || !pm.collectionVariables) {
+            return {};
+        }
+        try {
+            const stored = pm.collectionVariables.get(this.registryKey);
+            return stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.error(`Failed to parse ${this.registryKey}: ${error.message}`);
+            return {};
+        }
+    },
+
+    // =============================================================================
+    // POSTMAN ASSERTIONS
+    // =============================================================================
+
+    /**
+     * Validate data against a schema and record the outcome as tests
+     * @param {Object|string} schema - Schema or registered schema name
+     * @param {*} data - Data to validate (optional, uses response JSON if not provided)
+     * @param {Object} options - Options
+     * @param {string} options.mode - 'single' (one test listing all violations) or 'each' (one test per violation)
+     * @param {string} options.name - Test name (default 'Schema validation')
+     * @param {boolean} options.formats - Enforce format keywords (default true)
+     * @returns {Object} - { valid, errors }
+     */
+    assertSchema: function(schema, data, options = {}) {
+        const { mode = 'single', name = 'Schema validation' } = options;
+        const instance = data === undefined ? pm.response.json() : data;
+        const result = this.validate(schema, instance, options);
+
+        if (mode === 'each' && !result.valid) {
+            result.errors.forEach(error => {
+                pm.test(`${name}: ${error.path || '/'} ${error.message}`, () => {
+                    pm.expect.fail(this.formatError(error));
+                });
+            });
+            return result;
+        }
+
+        pm.test(name, () => {
+            if (!result.valid) {
+                pm.expect.fail(`${result.errors.length} schema violation(s):\n` +
+                    result.errors.map(error => this.formatError(error)).join('\n'));
+            }
+        });
+        return result;
+    },
+
+    /**
+     * Format a violation as one line
+     * @param {Object} error - Violation
+     * @returns {string} - "path: message (expected x, got y)"
+     */
+    formatError: function(error) {
+        let line = `${error.path || '/'}: ${error.message}`;
+        if (error.expected !== undefined) {
+            line += ` (expected ${this.describe(error.expected)}, got ${this.describe(error.actual)})`;
+        }
+        return line;
+    },
+
+    // =============================================================================
+    // VALIDATION
+    // =============================================================================
+
+    /**
+     * Validate data against a schema
+     * @param {Object|boolean|string} schema - Schema or registered schema name
+     * @param {*} data - Instance to validate
+     * @param {Object} options - { formats: true, draft: '2020-12' | '07' (detected from $schema) }
+     * @returns {Object} - { valid, errors: [{ path, schemaPath, keyword, message, expected, actual }] }
+     */
+    validate: function(schema, data, options = {}) {
+        const root = typeof schema === 'string' ? this.getSchema(schema) : schema;
+        if (root === undefined) {
+            throw new Error(`Unknown schema: ${schema}`);
+        }
+
+        const rootUri = root && root.$id ? root.$id : (typeof schema === 'string' ? schema : 'urn:schema:root');
+        const ctx = {
+            draft: options.draft || this.detectDraft(root),
+            formats: options.formats !== false,
+            resources: new Map(),
+            anchors: new Map(),
+            dynamicAnchors: new Map(),
+            scope: [],
+            depth: 0,
+            aborted: false
+        };
+
+        this.indexResources(root, rootUri, ctx);
+
+        const errors = [];
+        this.validateNode(root, data, ctx, rootUri, '', '#', errors);
+        return { valid: errors.length === 0, errors };
+    },
+
+    /**
+     * Check data against a schema without recording tests
+     * @param {Object|string} schema - Schema or registered schema name
+     * @param {*} data - Instance
+     * @returns {boolean} - True if valid
+     */
+    isValid: function(schema, data) {
+        return this.validate(schema, data).valid;
+    },
+
+    /**
+     * Detect the draft from $schema
+     * @param {Object} schema - Root schema
+     * @returns {string} - '07' or '2020-12'
+     */
+    detectDraft: function(schema) {
+        const declared = schema && typeof schema === 'object' ? String(schema.$schema || '') : '';
+        return /draft-0[4-7]/.test(declared) ? '07' : '2020-12';
+    },
+
+    /**
+     * Validate one schema node against one instance
+     * @param {Object|boolean} schema - Schema node
+     * @param {*} data - Instance
+     * @param {Object} ctx - Validation context
+     * @param {string} baseUri - Current base URI
+     * @param {string} path - Instance JSON Pointer
+     * @param {string} schemaPath - Schema location
+     * @param {Array} errors - Collected violations
+     * @returns {Object|undefined} - Evaluated { properties, items } of this instance, for unevaluated*
+     */
+    validateNode: function(schema, data, ctx, baseUri, path, schemaPath, errors) {
+        const fail = (keyword, message, expected, actual) => {
+            errors.push({ path, schemaPath: `${schemaPath}/${keyword}`, keyword, message, expected, actual });
+        };
+
+        if (schema === true) return;
+        if (schema === false) {
+            errors.push({ path, schemaPath, keyword: 'false', message: 'no value is allowed here', actual: data });
+            return;
+        }
+        if (!schema || typeof schema !== 'object') return;
+
+        if (ctx.aborted) return;
+        if (ctx.depth > this.maxDepth) {
+            ctx.aborted = true;
+            fail('$ref', `schema recursion exceeds ${this.maxDepth} levels`);
+            return;
+        }
+
+        if (typeof schema.$id === 'string' && !(ctx.draft === '07' && schema.$id.startsWith('#'))) {
+            baseUri = this.resolveUri(baseUri, schema.$id);
+        }
+
+        // Dynamic scope: schema resources entered on the way here, outermost first (for $dynamicRef).
+        // Callers restore the previous scope once this node returns.
+        const resource = baseUri.split('#')[0];
+        if (ctx.scope[ctx.scope.length - 1] !== resource) {
+            ctx.scope = ctx.scope.concat(resource);
+        }
+
+        const sub = (subschema, value, subPath, subSchemaPath, target = errors) => {
+            const scope = ctx.scope;
+            ctx.depth++;
+            const annotations = this.validateNode(subschema, value, ctx, baseUri, subPath, subSchemaPath, target);
+            ctx.depth--;
+            ctx.scope = scope;
+            return annotations;
+        };
+        const probe = (subschema, value) => {
+            const found = [];
+            const annotations = sub(subschema, value, path, schemaPath, found);
+            return { errors: found, annotations };
+        };
+        const passes = (subschema, value) => probe(subschema, value).errors;
+
+        // Properties and items evaluated by this schema and its in-place applicators
+        const evaluated = { properties: new Set(), items: new Set() };
+        const merge = annotations => {
+            if (annotations) {
+                annotations.properties.forEach(key => evaluated.properties.add(key));
+                annotations.items.forEach(index => evaluated.items.add(index));
+            }
+        };
+
+        // References
+        const references = ctx.draft === '07' ? ['$ref'] : ['$ref', '$dynamicRef'];
+        references.filter(keyword => schema[keyword] !== undefined).forEach(keyword => {
+            const ref = schema[keyword];
+            const target = keyword === '$ref' ? this.resolveRef(ref, baseUri, ctx) : this.resolveDynamicRef(ref, baseUri, ctx);
+            if (!target) {
+                fail(keyword, `cannot resolve reference ${ref}`);
+                return;
+            }
+            const scope = ctx.scope;
+            ctx.depth++;
+            merge(this.validateNode(target.schema, data, ctx, target.baseUri, path, `${schemaPath}/${keyword}`, errors));
+            ctx.depth--;
+            ctx.scope = scope;
+        });
+
+        // Draft-07 ignores keywords next to $ref
+        if (ctx.draft === '07' && schema.$ref !== undefined) return evaluated;
+
+        // Generic keywords
+        if (schema.type !== undefined) {
+            const types = [].concat(schema.type);
+            if (!types.some(type => this.isType(data, type))) {
+                fail('type', `must be ${types.join(' or ')}`, types.join(' | '), this.typeOf(data));
+            }
+        }
+
+        if (schema.const !== undefined && !this.deepEqual(data, schema.const)) {
+            fail('const', 'must be equal to constant', schema.const, data);
+        }
+
+        if (schema.enum !== undefined && !schema.enum.some(value => this.deepEqual(data, value))) {
+            fail('enum', 'must be one of the allowed values', schema.enum, data);
+        }
+
+        // Combinators
+        if (schema.allOf) {
+            schema.allOf.forEach((subschema, i) => merge(sub(subschema, data, path, `${schemaPath}/allOf/${i}`)));
+        }
+
+        if (schema.anyOf) {
+            const results = schema.anyOf.map(subschema => probe(subschema, data));
+            results.filter(result => result.errors.length === 0).forEach(result => merge(result.annotations));
+            if (!results.some(result => result.errors.length === 0)) {
+                errors.push({
+                    path, schemaPath: `${schemaPath}/anyOf`, keyword: 'anyOf',
+                    message: 'must match at least one schema in anyOf',
+                    causes: [].concat(...results.map(result => result.errors))
+                });
+            }
+        }
+
+        if (schema.oneOf) {
+            const results = schema.oneOf.map(subschema => probe(subschema, data));
+            const matching = results.map((result, i) => result.errors.length === 0 ? i : -1).filter(i => i >= 0);
+            if (matching.length === 1) {
+                merge(results[matching[0]].annotations);
+            } else {
+                errors.push({
+                    path, schemaPath: `${schemaPath}/oneOf`, keyword: 'oneOf',
+                    message: matching.length === 0
+                        ? 'must match exactly one schema in oneOf'
+                        : `must match exactly one schema in oneOf but matches ${matching.join(', ')}`,
+                    expected: 1,
+                    actual: matching.length,
+                    causes: matching.length === 0 ? [].concat(...results.map(result => result.errors)) : []
+                });
+            }
+        }
+
+        if (schema.not !== undefined && passes(schema.not, data).length === 0) {
+            fail('not', 'must not match the schema in not');
+        }
+
+        if (schema.if !== undefined) {
+            const condition = probe(schema.if, data);
+            const branch = condition.errors.length === 0 ? 'then' : 'else';
+            if (branch === 'then') {
+                merge(condition.annotations);
+            }
+            if (schema[branch] !== undefined) {
+                merge(sub(schema[branch], data, path, `${schemaPath}/${branch}`));
+            }
+        }
+
+        // Format
+        if (schema.format !== undefined && ctx.formats) {
+            const check = this.formats[schema.format];
+            if (check && typeof data === 'string' && !check.call(this, data)) {
+                fail('format', `must be a valid ${schema.format}`, schema.format, data);
+            }
+        }
+
+        if (typeof data === 'number') {
+            this.validateNumber(schema, data, fail);
+        } else if (typeof data === 'string') {
+            this.validateString(schema, data, fail);
+        } else if (Array.isArray(data)) {
+            this.validateArray(schema, data, ctx, path, schemaPath, sub, passes, fail, evaluated);
+        } else if (data && typeof data === 'object') {
+            this.validateObject(schema, data, ctx, path, schemaPath, sub, passes, fail, evaluated, merge);
+        }
+
+        return evaluated;
+    },
+
+    /**
+     * Numeric keywords
+     * @param {Object} schema - Schema node
+     * @param {number} data - Instance
+     * @param {Function} fail - Records a violation at the current path
+     */
+    validateNumber: function(schema, data, fail) {
+        if (schema.multipleOf !== undefined) {
+            const quotient = data / schema.multipleOf;
+            if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+                fail('multipleOf', `must be a multiple of ${schema.multipleOf}`, schema.multipleOf, data);
+            }
+        }
+        if (schema.minimum !== undefined && data < schema.minimum) {
+            fail('minimum', `must be >= ${schema.minimum}`, schema.minimum, data);
+        }
+        if (schema.maximum !== undefined && data > schema.maximum) {
+            fail('maximum', `must be <= ${schema.maximum}`, schema.maximum, data);
+        }
+        if (typeof schema.exclusiveMinimum === 'number' && data <= schema.exclusiveMinimum) {
+            fail('exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`, schema.exclusiveMinimum, data);
+        }
+        if (typeof schema.exclusiveMaximum === 'number' && data >= schema.exclusiveMaximum) {
+            fail('exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`, schema.exclusiveMaximum, data);
+        }
+    },
+
+    /**
+     * String keywords (lengths count code points)
+     * @param {Object} schema - Schema node
+     * @param {string} data - Instance
+     * @param {Function} fail - Records a violation at the current path
+     */
+    validateString: function(schema, data, fail) {
+        const length = Array.from(data).length;
+
+        if (schema.minLength !== undefined && length < schema.minLength) {
+            fail('minLength', `must have at least ${schema.minLength} characters`, schema.minLength, length);
+        }
+        if (schema.maxLength !== undefined && length > schema.maxLength) {
+            fail('maxLength', `must have at most ${schema.maxLength} characters`, schema.maxLength, length);
+        }
+        if (schema.pattern !== undefined) {
+            const regex = this.compilePattern(schema.pattern);
+            if (!regex) {
+                fail('pattern', `cannot be checked: invalid pattern ${schema.pattern} in the schema`, schema.pattern, data);
+            } else if (!regex.test(data)) {
+                fail('pattern', `must match pattern ${schema.pattern}`, schema.pattern, data);
+            }
+        }
+    },
+
+    /**
+     * Array keywords
+     * @param {Object} schema - Schema node
+     * @param {Array} data - Instance
+     * @param {Object} ctx - Validation context
+     * @param {string} path - Instance JSON Pointer
+     * @param {string} schemaPath - Schema location
+     * @param {Function} sub - Validates a child instance against a subschema
+     * @param {Function} passes - Returns the violations of a probe validation
+     * @param {Function} fail - Records a violation at the current path
+     * @param {Object} evaluated - Evaluated { properties, items }, including in-place applicators
+     */
+    validateArray: function(schema, data, ctx, path, schemaPath, sub, passes, fail, evaluated) {
+        // Draft-07 tuple form: items array plus additionalItems
+        const prefixItems = ctx.draft === '07'
+            ? (Array.isArray(schema.items) ? schema.items : null)
+            : schema.prefixItems;
+        const restItems = ctx.draft === '07'
+            ? (Array.isArray(schema.items) ? schema.additionalItems : schema.items)
+            : schema.items;
+        const restKeyword = ctx.draft === '07' && Array.isArray(schema.items) ? 'additionalItems' : 'items';
+        const prefixKeyword = ctx.draft === '07' ? 'items' : 'prefixItems';
+
+        const prefixLength = prefixItems ? Math.min(prefixItems.length, data.length) : 0;
+        for (let i = 0; i < prefixLength; i++) {
+            evaluated.items.add(i);
+            sub(prefixItems[i], data[i], `${path}/${i}`, `${schemaPath}/${prefixKeyword}/${i}`);
+        }
+        if (restItems !== undefined) {
+            for (let i = prefixLength; i < data.length; i++) {
+                evaluated.items.add(i);
+                sub(restItems, data[i], `${path}/${i}`, `${schemaPath}/${restKeyword}`);
+            }
+        }
+
+        if (schema.minItems !== undefined && data.length < schema.minItems) {
+            fail('minItems', `must have at least ${schema.minItems} items`, schema.minItems, data.length);
+        }
+        if (schema.maxItems !== undefined && data.length > schema.maxItems) {
+            fail('maxItems', `must have at most ${schema.maxItems} items`, schema.maxItems, data.length);
+        }
+
+        if (schema.uniqueItems === true) {
+            for (let i = 0; i < data.length; i++) {
+                const j = data.findIndex((item, index) => index > i && this.deepEqual(item, data[i]));
+                if (j >= 0) {
+                    fail('uniqueItems', `must not contain duplicates (items ${i} and ${j} are equal)`);
+                    break;
+                }
+            }
+        }
+
+        if (schema.contains !== undefined) {
+            const matches = data.map((item, i) => passes(schema.contains, item).length === 0 ? i : -1).filter(i => i >= 0);
+            const count = matches.length;
+            matches.forEach(i => evaluated.items.add(i));
+            const min = schema.minContains !== undefined ? schema.minContains : 1;
+            if (count < min) {
+                fail('contains', `must contain at least ${min} matching item(s)`, min, count);
+            }
+            if (schema.maxContains !== undefined && count > schema.maxContains) {
+                fail('maxContains', `must contain at most ${schema.maxContains} matching item(s)`, schema.maxContains, count);
+            }
+        }
+
+        if (schema.unevaluatedItems !== undefined && ctx.draft !== '07') {
+            data.forEach((item, i) => {
+                if (evaluated.items.has(i)) return;
+                if (schema.unevaluatedItems === false) {
+                    fail('unevaluatedItems', `must not have unevaluated item ${i}`, undefined, item);
+                } else {
+                    sub(schema.unevaluatedItems, item, `${path}/${i}`, `${schemaPath}/unevaluatedItems`);
+                }
+                evaluated.items.add(i);
+            });
+        }
+    },
+
+    /**
+     * Object keywords
+     * @param {Object} schema - Schema node
+     * @param {Object} data - Instance
+     * @param {Object} ctx - Validation context
+     * @param {string} path - Instance JSON Pointer
+     * @param {string} schemaPath - Schema location
+     * @param {Function} sub - Validates a child instance against a subschema
+     * @param {Function} passes - Returns the violations of a probe validation
+     * @param {Function} fail - Records a violation at the current path
+     * @param {Object} evaluated - Evaluated { properties, items }, including in-place applicators
+     * @param {Function} merge - Adds the annotations of an in-place subschema to evaluated
+     */
+    validateObject: function(schema, data, ctx, path, schemaPath, sub, passes, fail, evaluated, merge) {
+        const keys = Object.keys(data);
+        const childPath = key => `${path}/${this.escapePointer(key)}`;
+
+        if (schema.required) {
+            schema.required.filter(key => !this.hasOwn(data, key)).forEach(key => {
+                fail('required', `must have required property '${key}'`, key, undefined);
+            });
+        }
+
+        if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+            fail('minProperties', `must have at least ${schema.minProperties} properties`, schema.minProperties, keys.length);
+        }
+        if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+            fail('maxProperties', `must have at most ${schema.maxProperties} properties`, schema.maxProperties, keys.length);
+        }
+
+        // additionalProperties only sees properties and patternProperties next to it
+        const adjacent = new Set();
+
+        if (schema.properties) {
+            Object.keys(schema.properties).filter(key => this.hasOwn(data, key)).forEach(key => {
+                adjacent.add(key);
+                sub(schema.properties[key], data[key], childPath(key),
+                    `${schemaPath}/properties/${this.escapePointer(key)}`);
+            });
+        }
+
+        if (schema.patternProperties) {
+            Object.keys(schema.patternProperties).forEach(pattern => {
+                const regex = this.compilePattern(pattern);
+                if (!regex) {
+                    fail('patternProperties', `cannot be checked: invalid pattern ${pattern} in the schema`, pattern);
+                    return;
+                }
+                keys.filter(key => regex.test(key)).forEach(key => {
+                    adjacent.add(key);
+                    sub(schema.patternProperties[pattern], data[key], childPath(key),
+                        `${schemaPath}/patternProperties/${this.escapePointer(pattern)}`);
+                });
+            });
+        }
+
+        if (schema.additionalProperties !== undefined) {
+            keys.filter(key => !adjacent.has(key)).forEach(key => {
+                adjacent.add(key);
+                if (schema.additionalProperties === false) {
+                    fail('additionalProperties', `must not have additional property '${key}'`, undefined, key);
+                } else {
+                    sub(schema.additionalProperties, data[key], childPath(key), `${schemaPath}/additionalProperties`);
+                }
+            });
+        }
+
+        if (schema.propertyNames !== undefined) {
+            keys.forEach(key => {
+                if (passes(schema.propertyNames, key).length > 0) {
+                    fail('propertyNames', `property name '${key}' is invalid`, undefined, key);
+                }
+            });
+        }
+
+        // Draft-07 dependencies combines the two 2020-12 keywords
+        const dependentRequired = { ...(schema.dependentRequired || {}) };
+        const dependentSchemas = { ...(schema.dependentSchemas || {}) };
+        Object.keys(schema.dependencies || {}).forEach(key => {
+            const dependency = schema.dependencies[key];
+            if (Array.isArray(dependency)) dependentRequired[key] = dependency;
+            else dependentSchemas[key] = dependency;
+        });
+
+        Object.keys(dependentRequired).filter(key => this.hasOwn(data, key)).forEach(key => {
+            dependentRequired[key].filter(required => !this.hasOwn(data, required)).forEach(required => {
+                fail('dependentRequired', `must have property '${required}' when '${key}' is present`, required, undefined);
+            });
+        });
+
+        Object.keys(dependentSchemas).filter(key => this.hasOwn(data, key)).forEach(key => {
+            merge(sub(dependentSchemas[key], data, path, `${schemaPath}/dependentSchemas/${this.escapePointer(key)}`));
+        });
+
+        adjacent.forEach(key => evaluated.properties.add(key));
+
+        if (schema.unevaluatedProperties !== undefined && ctx.draft !== '07') {
+            keys.filter(key => !evaluated.properties.has(key)).forEach(key => {
+                if (schema.unevaluatedProperties === false) {
+                    fail('unevaluatedProperties', `must not have unevaluated property '${key}'`, undefined, key);
+                } else {
+                    sub(schema.unevaluatedProperties, data[key], childPath(key), `${schemaPath}/unevaluatedProperties`);
+                }
+                evaluated.properties.add(key);
+            });
+        }
+    },
+
+    // =============================================================================
+    // REFERENCE RESOLUTION
+    // =============================================================================
+
+    /**
+     * Schema keywords whose values are subschemas, by shape
+     */
+    subschemaKeywords: {
+        single: ['items', 'additionalItems', 'additionalProperties', 'contains', 'not', 'if', 'then', 'else',
+            'propertyNames', 'unevaluatedItems', 'unevaluatedProperties'],
+        list: ['items', 'prefixItems', 'allOf', 'anyOf', 'oneOf'],
+        map: ['properties', 'patternProperties', '$defs', 'definitions', 'dependentSchemas', 'dependencies']
+    },
+
+    /**
+     * Index $id resources and anchors so references can be resolved
+     * @param {Object} schema - Schema node
+     * @param {string} baseUri - Base URI in effect
+     * @param {Object} ctx - Validation context
+     */
+    indexResources: function(schema, baseUri, ctx) {
+        if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+            return;
+        }
+
+        let base = baseUri;
+        if (typeof schema.$id === 'string') {
+            if (ctx.draft === '07' && schema.$id.startsWith('#')) {
+                ctx.anchors.set(`${base.split('#')[0]}${schema.$id}`, { schema, baseUri: base });
+            } else {
+                base = this.resolveUri(baseUri, schema.$id).split('#')[0];
+                ctx.resources.set(base, schema);
+            }
+        }
+        if (!ctx.resources.has(base.split('#')[0])) {
+            ctx.resources.set(base.split('#')[0], schema);
+        }
+
+        [schema.$anchor, schema.$dynamicAnchor].filter(anchor => typeof anchor === 'string').forEach(anchor => {
+            ctx.anchors.set(`${base}#${anchor}`, { schema, baseUri: base });
+        });
+        if (typeof schema.$dynamicAnchor === 'string') {
+            ctx.dynamicAnchors.set(`${base}#${schema.$dynamicAnchor}`, { schema, baseUri: base });
+        }
+
+        const { single, list, map } = this.subschemaKeywords;
+        single.forEach(keyword => this.indexResources(schema[keyword], base, ctx));
+        list.filter(keyword => Array.isArray(schema[keyword])).forEach(keyword => {
+            schema[keyword].forEach(subschema => this.indexResources(subschema, base, ctx));
+        });
+        map.filter(keyword => schema[keyword] && typeof schema[keyword] === 'object').forEach(keyword => {
+            Object.values(schema[keyword]).forEach(subschema => this.indexResources(subschema, base, ctx));
+        });
+    },
+
+    /**
+     * Resolve a $ref to a schema node
+     * @param {string} ref - Reference
+     * @param {string} baseUri - Base URI in effect
+     * @param {Object} ctx - Validation context
+     * @returns {Object|null} - { schema, baseUri } or null if unresolvable
+     */
+    resolveRef: function(ref, baseUri, ctx) {
+        const uri = this.resolveUri(baseUri, ref);
+        const hashIndex = uri.indexOf('#');
+        const documentUri = hashIndex >= 0 ? uri.slice(0, hashIndex) : uri;
+        const fragment = hashIndex >= 0 ? uri.slice(hashIndex + 1) : '';
+
+        if (!ctx.resources.has(documentUri)) {
+            // Registered names resolve as-is, whatever the base URI
+            const name = ref.split('#')[0];
+            const named = this.getSchema(name);
+            if (!name || named === undefined) {
+                return null;
+            }
+            this.indexResources(named, documentUri, ctx);
+            ctx.resources.set(documentUri, named);
+        }
+
+        const document = ctx.resources.get(documentUri);
+
+        if (fragment === '') {
+            return { schema: document, baseUri: documentUri };
+        }
+
+        if (fragment.startsWith('/')) {
+            const schema = fragment.split('/').slice(1).reduce((node, token) => {
+                const key = this.getCryptoUtils().safeDecode(token).replace(/~1/g, '/').replace(/~0/g, '~');
+                return node !== undefined && node !== null ? node[key] : undefined;
+            }, document);
+            return schema === undefined ? null : { schema, baseUri: documentUri };
+        }
+
+        return ctx.anchors.get(`${documentUri}#${fragment}`) || null;
+    },
+
+    /**
+     * Resolve a $dynamicRef. It starts out like $ref; when the initial target declares a matching
+     * $dynamicAnchor, the outermost resource in the dynamic scope with that anchor wins instead.
+     * @param {string} ref - Reference (e.g. '#node')
+     * @param {string} baseUri - Base URI in effect
+     * @param {Object} ctx - Validation context
+     * @returns {Object|null} - { schema, baseUri } or null if unresolvable
+     */
+    resolveDynamicRef: function(ref, baseUri, ctx) {
+        const target = this.resolveRef(ref, baseUri, ctx);
+        const anchor = ref.includes('#') ? ref.slice(ref.indexOf('#') + 1) : '';
+        if (!target || anchor === '' || anchor.startsWith('/') || target.schema.$dynamicAnchor !== anchor) {
+            return target;
+        }
+
+        const resource = ctx.scope.find(uri => ctx.dynamicAnchors.has(`${uri}#${anchor}`));
+        return resource !== undefined ? ctx.dynamicAnchors.get(`${resource}#${anchor}`) : target;
+    },
+
+    /**
+     * Resolve a URI reference against a base URI
+     * @param {string} base - Base URI
+     * @param {string} ref - Reference
+     * @returns {string} - Resolved URI
+     */
+    resolveUri: function(base, ref) {
+        if (/^[a-z][a-z0-9+.-]*:/i.test(ref)) {
+            return ref;
+        }
+
+        const baseDocument = base.split('#')[0];
+        if (ref.startsWith('#')) {
+            return `${baseDocument}${ref}`;
+        }
+
+        const origin = baseDocument.match(/^[a-z][a-z0-9+.-]*:\/\/[^/]*/i);
+        if (!origin) {
+            return ref;
+        }
+        if (ref.startsWith('/')) {
+            return `${origin[0]}${ref}`;
+        }
+        return `${baseDocument.slice(0, baseDocument.lastIndexOf('/') + 1)}${ref}`;
+    },
+
+    // =============================================================================
+    // FORMATS
+    // =============================================================================
+
+    /**
+     * Format checks (called with SchemaValidator as this)
+     */
+    formats: {
+        'email': function(value) {
+            const at = value.lastIndexOf('@');
+            const local = value.slice(0, at);
+            return at > 0 && local.length <= 64 &&
+                /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/i.test(local) &&
+                this.formats.hostname(value.slice(at + 1)) && value.slice(at + 1).includes('.');
+        },
+        'date': function(value) {
+            const match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+            if (!match) return false;
+            const [year, month, day] = match.slice(1).map(Number);
+            const leap = year % 4 === 0 && (year % 100 !== 0 || year % 400 === 0);
+            const days = [31, leap ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31][month - 1];
+            return month >= 1 && month <= 12 && day >= 1 && day <= days;
+        },
+        'time': function(value) {
+            const match = value.match(/^(\d{2}):(\d{2}):(\d{2})(\.\d+)?(z|[+-](\d{2}):(\d{2}))$/i);
+            if (!match) return false;
+            const [hour, minute, second] = match.slice(1, 4).map(Number);
+            const offsetOk = !match[6] || (Number(match[6]) <= 23 && Number(match[7]) <= 59);
+            return hour <= 23 && minute <= 59 && second <= 60 && offsetOk;
+        },
+        'date-time': function(value) {
+            const parts = value.split(/[tT]/);
+            return parts.length === 2 && this.formats.date(parts[0]) && this.formats.time(parts[1]);
+        },
+        'uuid': function(value) {
+            return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
+        },
+        'uri': function(value) {
+            return /^[a-z][a-z0-9+.-]*:[^\s<>"{}|\\^`]*$/i.test(value);
+        },
+        'uri-reference': function(value) {
+            return /^[^\s<>"{}|\\^`]*$/.test(value);
+        },
+        'ipv4': function(value) {
+            return /^(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}$/.test(value);
+        },
+        'ipv6': function(value) {
+            // An embedded IPv4 tail stands in for the last two groups
+            const ipv4Tail = value.match(/:(\d+\.\d+\.\d+\.\d+)$/);
+            if (ipv4Tail && !this.formats.ipv4(ipv4Tail[1])) return false;
+
+            const address = ipv4Tail ? `${value.slice(0, ipv4Tail.index + 1)}0:0` : value;
+            const halves = address.split('::');
+            if (halves.length > 2) return false;
+
+            const groups = [].concat(...halves.map(half => half === '' ? [] : half.split(':')));
+            if (!groups.every(group => /^[0-9a-f]{1,4}$/i.test(group))) return false;
+            return halves.length === 2 ? groups.length < 8 : groups.length === 8;
+        },
+        'hostname': function(value) {
+            return value.length <= 253 &&
+                value.split('.').every(label => /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/i.test(label));
+        },
+        'regex': function(value) {
+            try {
+                new RegExp(value, 'u');
+                return true;
+            } catch (error) {
+                return false;
+            }
+        },
+        'json-pointer': function(value) {
+            return /^(\/([^~/]|~[01])*)*$/.test(value);
+        }
+    },
+
+    // =============================================================================
+    // UTILITY FUNCTIONS
+    // =============================================================================
+
+    /**
+     * Check a JSON type
+     * @param {*} value - Value
+     * @param {string} type - JSON Schema type name
+     * @returns {boolean} - True if value has the type
+     */
+    isType: function(value, type) {
+        switch (type) {
+            case 'null': return value === null;
+            case 'boolean': return typeof value === 'boolean';
+            case 'string': return typeof value === 'string';
+            case 'number': return typeof value === 'number' && isFinite(value);
+            case 'integer': return Number.isInteger(value);
+            case 'array': return Array.isArray(value);
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            default: return false;
+        }
+    },
+
+    /**
+     * Get the JSON type name of a value
+     * @param {*} value - Value
+     * @returns {string} - Type name
+     */
+    typeOf: function(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (Number.isInteger(value)) return 'integer';
+        return typeof value;
+    },
+
+    /**
+     * Structural equality for JSON values
+     * @param {*} a - Value
+     * @param {*} b - Value
+     * @returns {boolean} - True if equal
+     */
+    deepEqual: function(a, b) {
+        if (a === b) return true;
+        if (typeof a !== typeof b || a === null || b === null || typeof a !== 'object') return false;
+        if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+        const keysA = Object.keys(a);
+        const keysB = Object.keys(b);
+        return keysA.length === keysB.length && keysA.every(key => this.hasOwn(b, key) && this.deepEqual(a[key], b[key]));
+    },
+
+    /**
+     * Own-property check, so inherited names such as constructor never count as present
+     * @param {Object} object - Object
+     * @param {string} key - Property name
+     * @returns {boolean} - True if the object has the property itself
+     */
+    hasOwn: function(object, key) {
+        return Object.prototype.hasOwnProperty.call(object, key);
+    },
+
+    /**
+     * Compile a schema pattern (ECMA-262 with Unicode semantics)
+     * @param {string} pattern - Pattern
+     * @returns {RegExp|null} - Regex, or null when the pattern is not a valid regular expression
+     */
+    compilePattern: function(pattern) {
+        try {
+            return new RegExp(pattern, 'u');
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Escape a JSON Pointer token
+     * @param {string} token - Property name
+     * @returns {string} - Escaped token
+     */
+    escapePointer: function(token) {
+        return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+    },
+
+    /**
+     * Resolve the CryptoUtils helper (sandbox global or Node module)
+     * @returns {Object} - CryptoUtils
+     */
+    getCryptoUtils: function() {
+        return typeof CryptoUtils !== 'undefined' ? CryptoUtils : require('./crypto-utils');
+    },
+
+    /**
+     * Short printable form of a value for error messages
+     * @param {*} value - Value
+     * @returns {string} - Description
+     */
+    describe: function(value) {
+        if (value === undefined) return 'nothing';
+        const text = typeof value === 'string' ? value : JSON.stringify(value);
+        return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SchemaValidator;
+}
+
+// Usage Examples:
+/*
+// One test listing every violation with its JSON Pointer path
+SchemaValidator.assertSchema('user');
+
+// One test per violation
+SchemaValidator.assertSchema('user', pm.response.json().data, { mode: 'each', name: 'User schema' });
+
+// Register reusable schemas, referenced by name from other schemas
+SchemaValidator.registerSchema('address', {
+    type: 'object',
+    properties: { city: { type: 'string' }, zip: { type: 'string', pattern: '^\\d{5}$' } },
+    required: ['city']
+});
+SchemaValidator.registerSchema('customer', {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    type: 'object',
+    properties: {
+        id: { type: 'string', format: 'uuid' },
+        address: { $ref: 'address' },
+        contacts: { type: 'array', items: { $ref: '#/$defs/contact' } }
+    },
+    $defs: {
+        contact: { type: 'object', properties: { email: { type: 'string', format: 'email' } } }
+    },
+    additionalProperties: false
+}, true);
+
+// Programmatic use
+const result = SchemaValidator.validate('customer', pm.response.json());
+result.errors.forEach(error => console.log(SchemaValidator.formatError(error)));
+*/
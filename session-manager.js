@@ -0,0 +1,655 @@
+/**
+ * Session Management Utilities for Postman
+ * RFC 6265 cookie jar persisted across requests, CSRF token handling,
+ * session rotation checks and cookie security assertions
+ */
+
+const SessionManager = {
+
+    /**
+     * Environment keys used for session state
+     */
+    storageKeys: {
+        jar: 'sessionCookieJar',
+        csrfToken: 'csrfToken',
+        snapshotPrefix: 'sessionSnapshot_'
+    },
+
+    /**
+     * Default CSRF settings (double-submit cookie names follow common framework defaults)
+     */
+    csrfDefaults: {
+        cookieNames: ['XSRF-TOKEN', 'csrftoken', 'csrf_token', '_csrf'],
+        headerName: 'X-CSRF-Token',
+        responseHeaders: ['X-CSRF-Token', 'X-XSRF-TOKEN'],
+        bodyPaths: ['csrfToken', 'csrf_token', '_csrf'],
+        safeMethods: ['GET', 'HEAD', 'OPTIONS', 'TRACE']
+    },
+
+    /**
+     * Cookie names treated as session identifiers when no names are given
+     */
+    sessionCookiePattern: /(^|[^a-z])(session|sessionid|sess|sid|jsessionid|phpsessid|connect\.sid|asp\.net_sessionid)([^a-z]|$)/i,
+
+    // =============================================================================
+    // SET-COOKIE PARSING
+    // =============================================================================
+
+    /**
+     * Parse one Set-Cookie header value with all attributes
+     * @param {string} header - Raw Set-Cookie value
+     * @param {string} requestUrl - URL of the request that received it
+     * @returns {Object|null} - Cookie record, or null if the header is ignored per RFC 6265
+     */
+    parseSetCookie: function(header, requestUrl) {
+        const url = this.getUrlParts(requestUrl);
+        const parts = String(header).split(';');
+        const pair = parts.shift();
+        const separator = pair.indexOf('=');
+
+        if (separator < 0) {
+            return null;
+        }
+
+        const name = pair.slice(0, separator).trim();
+        if (!name) {
+            return null;
+        }
+
+        const cookie = {
+            name,
+            value: pair.slice(separator + 1).trim().replace(/^"(.*)"$/, '$1'),
+            domain: url.host,
+            hostOnly: true,
+            path: this.defaultPath(url.path),
+            expires: null,
+            secure: false,
+            httpOnly: false,
+            sameSite: null,
+            attributes: {}
+        };
+
+        let maxAge = null;
+        let expires = null;
+
+        parts.forEach(part => {
+            const index = part.indexOf('=');
+            const key = (index >= 0 ? part.slice(0, index) : part).trim();
+            const value = index >= 0 ? part.slice(index + 1).trim() : '';
+            const attribute = key.toLowerCase();
+
+            if (!attribute) {
+                return;
+            }
+            cookie.attributes[key] = value === '' && index < 0 ? true : value;
+
+            switch (attribute) {
+                case 'domain': {
+                    const domain = value.replace(/^\./, '').toLowerCase();
+                    if (domain) {
+                        cookie.domain = domain;
+                        cookie.hostOnly = false;
+                    }
+                    break;
+                }
+                case 'path':
+                    cookie.path = value.startsWith('/') ? value : this.defaultPath(url.path);
+                    break;
+                case 'expires': {
+                    const time = Date.parse(value);
+                    if (!isNaN(time)) expires = time;
+                    break;
+                }
+                case 'max-age':
+                    if (/^-?\d+$/.test(value)) maxAge = parseInt(value, 10);
+                    break;
+                case 'secure':
+                    cookie.secure = true;
+                    break;
+                case 'httponly':
+                    cookie.httpOnly = true;
+                    break;
+                case 'samesite':
+                    cookie.sameSite = value ? value.charAt(0).toUpperCase() + value.slice(1).toLowerCase() : null;
+                    break;
+            }
+        });
+
+        // Max-Age takes precedence over Expires; zero or negative expires immediately
+        if (maxAge !== null) {
+            cookie.expires = maxAge <= 0 ? 0 : Date.now() + maxAge * 1000;
+        } else if (expires !== null) {
+            cookie.expires = expires;
+        }
+
+        if (!cookie.hostOnly && !this.domainMatches(url.host, cookie.domain)) {
+            console.warn(`Ignoring cookie ${name}: domain ${cookie.domain} does not match ${url.host}`);
+            return null;
+        }
+
+        if (cookie.secure === false && /^__(Secure|Host)-/.test(name)) {
+            console.warn(`Ignoring cookie ${name}: prefixed cookies require Secure`);
+            return null;
+        }
+
+        return cookie;
+    },
+
+    /**
+     * Get the raw Set-Cookie header values of a response
+     * @param {Object} response - pm.response or a pm.sendRequest response
+     * @returns {Array} - Set-Cookie values in order
+     */
+    getSetCookieHeaders: function(response = pm.response) {
+        const headers = response.headers;
+        const all = typeof headers.all === 'function' ? headers.all() : headers;
+
+        return (all || [])
+            .filter(header => header && String(header.key).toLowerCase() === 'set-cookie')
+            .map(header => header.value);
+    },
+
+    /**
+     * Parse every cookie set by a response
+     * @param {Object} response - pm.response or a pm.sendRequest response
+     * @param {string} requestUrl - URL the response belongs to
+     * @returns {Array} - Cookie records
+     */
+    parseResponseCookies: function(response = pm.response, requestUrl = this.resolveUrl(pm.request.url)) {
+        return this.getSetCookieHeaders(response)
+            .map(header => this.parseSetCookie(header, requestUrl))
+            .filter(Boolean);
+    },
+
+    // =============================================================================
+    // COOKIE JAR
+    // =============================================================================
+
+    /**
+     * Load the persisted jar, dropping expired cookies
+     * @returns {Array} - Cookie records
+     */
+    loadJar: function() {
+        let jar = [];
+        try {
+            const stored = pm.environment.get(this.storageKeys.jar);
+            jar = stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.error(`Failed to parse cookie jar: ${error.message}`);
+        }
+        const now = Date.now();
+        return jar.filter(cookie => cookie.expires === null || cookie.expires > now);
+    },
+
+    /**
+     * Persist the jar
+     * @param {Array} jar - Cookie records
+     */
+    saveJar: function(jar) {
+        pm.environment.set(this.storageKeys.jar, JSON.stringify(jar));
+    },
+
+    /**
+     * Store cookies set by a response (test script entry point)
+     * @param {Object} response - pm.response or a pm.sendRequest response
+     * @param {string} requestUrl - URL the response belongs to
+     * @returns {Object} - { stored, removed, rotated: [{ name, domain, previous, current }] }
+     */
+    storeResponseCookies: function(response = pm.response, requestUrl = this.resolveUrl(pm.request.url)) {
+        const incoming = this.parseResponseCookies(response, requestUrl);
+        const jar = this.loadJar();
+        const changes = { stored: [], removed: [], rotated: [] };
+        const now = Date.now();
+
+        incoming.forEach(cookie => {
+            const index = jar.findIndex(existing => this.sameCookie(existing, cookie));
+            const existing = index >= 0 ? jar[index] : null;
+
+            if (existing) {
+                jar.splice(index, 1);
+                cookie.createdAt = existing.createdAt;
+            } else {
+                cookie.createdAt = now;
+            }
+
+            if (cookie.expires !== null && cookie.expires <= now) {
+                if (existing) changes.removed.push(cookie.name);
+                return;
+            }
+
+            if (existing && existing.value !== cookie.value) {
+                changes.rotated.push({
+                    name: cookie.name,
+                    domain: cookie.domain,
+                    previous: existing.value,
+                    current: cookie.value
+                });
+            }
+
+            jar.push(cookie);
+            changes.stored.push(cookie.name);
+        });
+
+        this.saveJar(jar);
+        return changes;
+    },
+
+    /**
+     * Add or replace a cookie in the jar directly
+     * @param {Object} cookie - { name, value, domain, path, expires, secure, httpOnly, sameSite }
+     */
+    setCookie: function(cookie) {
+        const record = {
+            hostOnly: true,
+            path: '/',
+            expires: null,
+            secure: false,
+            httpOnly: false,
+            sameSite: null,
+            attributes: {},
+            createdAt: Date.now(),
+            ...cookie,
+            domain: String(cookie.domain).replace(/^\./, '').toLowerCase()
+        };
+        const jar = this.loadJar().filter(existing => !this.sameCookie(existing, record));
+        jar.push(record);
+        this.saveJar(jar);
+    },
+
+    /**
+     * Get the cookies that would be sent to a URL, most specific path first
+     * @param {string} url - Request URL
+     * @returns {Array} - Cookie records
+     */
+    getCookiesForUrl: function(url) {
+        const target = this.getUrlParts(url);
+
+        return this.loadJar()
+            .filter(cookie => cookie.hostOnly
+                ? cookie.domain === target.host
+                : this.domainMatches(target.host, cookie.domain))
+            .filter(cookie => this.pathMatches(target.path, cookie.path))
+            .filter(cookie => !cookie.secure || target.secure)
+            .sort((a, b) => (b.path.length - a.path.length) || (a.createdAt - b.createdAt));
+    },
+
+    /**
+     * Get a cookie value from the jar
+     * @param {string} name - Cookie name
+     * @param {string} url - Restrict to cookies sent to this URL (optional)
+     * @returns {string|undefined} - Cookie value
+     */
+    getCookieValue: function(name, url = null) {
+        const cookies = url ? this.getCookiesForUrl(url) : this.loadJar();
+        const cookie = cookies.find(c => c.name === name);
+        return cookie ? cookie.value : undefined;
+    },
+
+    /**
+     * Replay jar cookies on the current request (pre-request entry point)
+     * @param {Object} request - Request with url and headers (defaults to pm.request)
+     * @returns {string} - Cookie header sent ('' when none)
+     */
+    applyCookies: function(request = pm.request) {
+        const cookies = this.getCookiesForUrl(this.resolveUrl(request.url));
+        const value = cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+
+        if (value) {
+            request.headers.upsert({ key: 'Cookie', value });
+        } else {
+            request.headers.remove('Cookie');
+        }
+        return value;
+    },
+
+    /**
+     * Remove cookies from the jar
+     * @param {Object} filter - { name, domain } (all cookies when omitted)
+     */
+    clearCookies: function(filter = {}) {
+        const jar = this.loadJar().filter(cookie =>
+            (filter.name !== undefined && cookie.name !== filter.name) ||
+            (filter.domain !== undefined && !this.domainMatches(cookie.domain, filter.domain))
+        );
+        this.saveJar(jar);
+        console.log(`Cookie jar now holds ${jar.length} cookies`);
+    },
+
+    // =============================================================================
+    // CSRF HANDLING
+    // =============================================================================
+
+    /**
+     * Capture a CSRF token from a response header, JSON body, HTML meta tag or hidden input
+     * @param {Object} response - pm.response or a pm.sendRequest response
+     * @param {Object} options - { responseHeaders, bodyPaths, metaName, inputName }
+     * @returns {string|null} - Captured token
+     */
+    captureCsrfToken: function(response = pm.response, options = {}) {
+        const responseHeaders = options.responseHeaders || this.csrfDefaults.responseHeaders;
+        const bodyPaths = options.bodyPaths || this.csrfDefaults.bodyPaths;
+        const metaName = options.metaName || 'csrf-token';
+        const inputName = options.inputName || '(?:_csrf|csrf_token|csrfmiddlewaretoken|authenticity_token)';
+
+        let token = null;
+
+        for (const header of responseHeaders) {
+            token = response.headers.get(header);
+            if (token) break;
+        }
+
+        if (!token) {
+            const text = response.text();
+            try {
+                const body = JSON.parse(text);
+                const path = bodyPaths.find(p => this.getNestedProperty(body, p));
+                token = path ? this.getNestedProperty(body, path) : null;
+            } catch (error) {
+                const meta = text.match(new RegExp(`<meta[^>]+name=["']${metaName}["'][^>]+content=["']([^"']+)["']`, 'i')) ||
+                    text.match(new RegExp(`<meta[^>]+content=["']([^"']+)["'][^>]+name=["']${metaName}["']`, 'i'));
+                const input = text.match(new RegExp(`<input[^>]+name=["']${inputName}["'][^>]+value=["']([^"']+)["']`, 'i'));
+                token = (meta && meta[1]) || (input && input[1]) || null;
+            }
+        }
+
+        if (token) {
+            pm.environment.set(this.storageKeys.csrfToken, token);
+            console.log("CSRF token captured");
+        }
+        return token;
+    },
+
+    /**
+     * Attach a CSRF token to a state-changing request (pre-request entry point).
+     * Uses the captured token, or mirrors the CSRF cookie (double-submit) when none was captured.
+     * @param {Object} options - { headerName, cookieNames, doubleSubmit }
+     * @param {Object} request - Request with url, method and headers (defaults to pm.request)
+     * @returns {string|null} - Token sent, or null for safe methods or when none is available
+     */
+    applyCsrfToken: function(options = {}, request = pm.request) {
+        const headerName = options.headerName || this.csrfDefaults.headerName;
+        const cookieNames = options.cookieNames || this.csrfDefaults.cookieNames;
+
+        if (this.csrfDefaults.safeMethods.includes(String(request.method).toUpperCase())) {
+            return null;
+        }
+
+        const url = this.resolveUrl(request.url);
+        const cookieToken = cookieNames
+            .map(name => this.getCookieValue(name, url))
+            .find(value => value !== undefined);
+        const token = options.doubleSubmit
+            ? cookieToken
+            : pm.environment.get(this.storageKeys.csrfToken) || cookieToken;
+
+        if (!token) {
+            console.warn("No CSRF token available for this request");
+            return null;
+        }
+
+        request.headers.upsert({ key: headerName, value: this.getCryptoUtils().safeDecode(token) });
+        return token;
+    },
+
+    // =============================================================================
+    // SESSION LIFECYCLE
+    // =============================================================================
+
+    /**
+     * Remember the current session id so a later response can be checked for rotation
+     * @param {string} name - Session cookie name
+     * @returns {string|undefined} - Remembered value
+     */
+    snapshotSession: function(name) {
+        const value = this.getCookieValue(name);
+        pm.environment.set(`${this.storageKeys.snapshotPrefix}${name}`, value === undefined ? '' : value);
+        return value;
+    },
+
+    /**
+     * Assert the session cookie was reissued with a new value (session fixation defence after login)
+     * @param {string} name - Session cookie name
+     * @param {Object} response - Response that should rotate the session (defaults to pm.response)
+     */
+    assertSessionRotated: function(name, response = pm.response) {
+        const previous = pm.environment.get(`${this.storageKeys.snapshotPrefix}${name}`);
+        const issued = this.parseResponseCookies(response).find(cookie => cookie.name === name);
+
+        pm.test(`Session cookie ${name} is rotated`, () => {
+            pm.expect(issued, `response sets ${name}`).to.exist;
+            pm.expect(issued.value, `${name} value`).to.not.be.empty;
+            if (previous) {
+                pm.expect(issued.value, `${name} differs from the pre-request value`).to.not.equal(previous);
+            }
+        });
+    },
+
+    /**
+     * Assert a response ends the session by expiring or clearing the session cookie (logout)
+     * @param {string} name - Session cookie name
+     * @param {Object} response - Response to check (defaults to pm.response)
+     */
+    assertSessionInvalidated: function(name, response = pm.response) {
+        const issued = this.parseResponseCookies(response).find(cookie => cookie.name === name);
+
+        pm.test(`Session cookie ${name} is invalidated`, () => {
+            pm.expect(issued, `response clears ${name}`).to.exist;
+            const expired = issued.expires !== null && issued.expires <= Date.now();
+            pm.expect(expired || issued.value === '', `${name} is expired or emptied`).to.be.true;
+        });
+    },
+
+    /**
+     * Assert the session is still active: authenticated status and no redirect to a login page
+     * @param {Object} options - { loginUrlPattern, expectedStatus }
+     */
+    assertSessionActive: function(options = {}) {
+        const loginUrlPattern = options.loginUrlPattern || /\/(login|signin|sign-in|auth)\b/i;
+        const expectedStatus = [].concat(options.expectedStatus || [200, 201, 204]);
+
+        pm.test("Session is active", () => {
+            pm.expect(expectedStatus, 'response status').to.include(pm.response.code);
+            const location = pm.response.headers.get('Location') || '';
+            pm.expect(loginUrlPattern.test(location), `redirected to ${location}`).to.be.false;
+        });
+    },
+
+    // =============================================================================
+    // COOKIE SECURITY ASSERTIONS
+    // =============================================================================
+
+    /**
+     * Assert security attributes on cookies set by a response, one test per cookie
+     * @param {string|RegExp|Array} names - Cookie names or pattern (defaults to session-like names)
+     * @param {Object} policy - Required attributes
+     * @param {boolean} policy.httpOnly - Require HttpOnly (default true)
+     * @param {boolean} policy.secure - Require Secure (default true)
+     * @param {string|Array} policy.sameSite - Allowed SameSite values (default 'Strict')
+     * @param {number} policy.maxLifetimeSeconds - Upper bound on Max-Age/Expires (optional)
+     * @param {boolean} policy.hostOnly - Require no Domain attribute (optional)
+     * @param {Object} response - Response to check (defaults to pm.response)
+     * @returns {Array} - Cookies that were checked
+     */
+    assertCookieSecurity: function(names = this.sessionCookiePattern, policy = {}, response = pm.response) {
+        const { httpOnly = true, secure = true, sameSite = 'Strict', maxLifetimeSeconds, hostOnly } = policy;
+        const allowedSameSite = [].concat(sameSite).filter(Boolean).map(v => v.toLowerCase());
+        const selected = this.parseResponseCookies(response).filter(cookie => this.nameMatches(cookie.name, names));
+
+        if (selected.length === 0) {
+            pm.test("Cookie security attributes", () => {
+                pm.expect.fail(`Response sets no cookie matching ${names}`);
+            });
+            return selected;
+        }
+
+        selected.forEach(cookie => {
+            pm.test(`Cookie ${cookie.name} has secure attributes`, () => {
+                if (httpOnly) pm.expect(cookie.httpOnly, 'HttpOnly').to.be.true;
+                if (secure) pm.expect(cookie.secure, 'Secure').to.be.true;
+                if (allowedSameSite.length) {
+                    pm.expect(allowedSameSite, 'SameSite').to.include(String(cookie.sameSite).toLowerCase());
+                }
+                if (String(cookie.sameSite).toLowerCase() === 'none') {
+                    pm.expect(cookie.secure, 'SameSite=None requires Secure').to.be.true;
+                }
+                if (hostOnly) {
+                    pm.expect(cookie.hostOnly, 'no Domain attribute').to.be.true;
+                }
+                if (maxLifetimeSeconds !== undefined) {
+                    pm.expect(cookie.expires, 'Expires or Max-Age').to.not.be.null;
+                    pm.expect((cookie.expires - Date.now()) / 1000, 'lifetime in seconds')
+                        .to.be.at.most(maxLifetimeSeconds);
+                }
+                if (cookie.name.startsWith('__Host-')) {
+                    pm.expect(cookie.hostOnly && cookie.path === '/', '__Host- prefix rules').to.be.true;
+                }
+            });
+        });
+
+        return selected;
+    },
+
+    // =============================================================================
+    // UTILITY FUNCTIONS
+    // =============================================================================
+
+    /**
+     * Split a URL into the parts cookie matching needs
+     * @param {string} raw - Absolute URL
+     * @returns {Object} - { secure, host, path }
+     */
+    getUrlParts: function(raw) {
+        const match = String(raw).match(/^([a-z][a-z0-9+.-]*):\/\/([^/?#]*)([^?#]*)/i);
+        if (!match) {
+            throw new Error(`Cannot match cookies against a relative or unresolved URL: ${raw}`);
+        }
+
+        return {
+            secure: /^(https|wss)$/i.test(match[1]),
+            host: match[2].replace(/^.*@/, '').replace(/:\d+$/, '').toLowerCase(),
+            path: match[3] || '/'
+        };
+    },
+
+    /**
+     * Resolve a request URL (Url object or string) with variables substituted
+     * @param {Object|string} url - pm.request.url or a string
+     * @returns {string} - Absolute URL
+     */
+    resolveUrl: function(url) {
+        return pm.variables.replaceIn(url.toString());
+    },
+
+    /**
+     * RFC 6265 default-path of a request path
+     * @param {string} path - Request path
+     * @returns {string} - Default cookie path
+     */
+    defaultPath: function(path) {
+        if (!path || !path.startsWith('/') || path.lastIndexOf('/') === 0) {
+            return '/';
+        }
+        return path.slice(0, path.lastIndexOf('/'));
+    },
+
+    /**
+     * RFC 6265 domain match
+     * @param {string} host - Request host
+     * @param {string} domain - Cookie domain
+     * @returns {boolean} - True if the host belongs to the domain
+     */
+    domainMatches: function(host, domain) {
+        if (host === domain) {
+            return true;
+        }
+        const isIp = /^\d+\.\d+\.\d+\.\d+$/.test(host) || host.includes(':');
+        return !isIp && host.endsWith(`.${domain}`);
+    },
+
+    /**
+     * RFC 6265 path match
+     * @param {string} requestPath - Request path
+     * @param {string} cookiePath - Cookie path
+     * @returns {boolean} - True if the cookie applies to the path
+     */
+    pathMatches: function(requestPath, cookiePath) {
+        if (requestPath === cookiePath) {
+            return true;
+        }
+        return requestPath.startsWith(cookiePath) &&
+            (cookiePath.endsWith('/') || requestPath.charAt(cookiePath.length) === '/');
+    },
+
+    /**
+     * Check whether two records describe the same cookie (name, domain and path)
+     * @param {Object} a - Cookie record
+     * @param {Object} b - Cookie record
+     * @returns {boolean} - True if b replaces a
+     */
+    sameCookie: function(a, b) {
+        return a.name === b.name && a.domain === b.domain && a.path === b.path;
+    },
+
+    /**
+     * Match a cookie name against a name, list of names or pattern
+     * @param {string} name - Cookie name
+     * @param {string|RegExp|Array} selector - Selector
+     * @returns {boolean} - True if selected
+     */
+    nameMatches: function(name, selector) {
+        if (selector instanceof RegExp) {
+            return selector.test(name);
+        }
+        return [].concat(selector).includes(name);
+    },
+
+    /**
+     * Resolve the CryptoUtils helper (sandbox global or Node module)
+     * @returns {Object} - CryptoUtils
+     */
+    getCryptoUtils: function() {
+        return typeof CryptoUtils !== 'undefined' ? CryptoUtils : require('./crypto-utils');
+    },
+
+    /**
+     * Get nested property from object using dot notation
+     * @param {Object} obj - Object to search
+     * @param {string} path - Dot notation path (e.g., 'data.csrfToken')
+     * @returns {*} - Property value or undefined
+     */
+    getNestedProperty: function(obj, path) {
+        return path.split('.').reduce((current, key) => {
+            return current && current[key] !== undefined ? current[key] : undefined;
+        }, obj);
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SessionManager;
+}
+
+// Usage Examples:
+/*
+// Collection pre-request script: replay cookies and CSRF token on every request
+SessionManager.applyCookies();
+SessionManager.applyCsrfToken();
+
+// Collection test script: keep the jar up to date
+SessionManager.storeResponseCookies();
+
+// Login request pre-request script: remember the anonymous session id
+SessionManager.snapshotSession('SESSIONID');
+
+// Login request test script
+SessionManager.assertSessionRotated('SESSIONID');
+SessionManager.assertCookieSecurity(['SESSIONID'], { httpOnly: true, secure: true, sameSite: 'Strict' });
+SessionManager.captureCsrfToken();
+
+// Double-submit cookie: mirror the XSRF-TOKEN cookie into the header
+SessionManager.applyCsrfToken({ headerName: 'X-XSRF-TOKEN', cookieNames: ['XSRF-TOKEN'], doubleSubmit: true });
+
+// Logout request test script
+SessionManager.assertSessionInvalidated('SESSIONID');
+SessionManager.clearCookies({ name: 'SESSIONID' });
+*/
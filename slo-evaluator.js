@@ -0,0 +1,406 @@
+/**
+ * SLO Evaluation for Postman
+ * Latency and availability objectives per endpoint, request or tag, evaluated over the
+ * collected metrics with error-budget burn and multi-window burn-rate alerts
+ */
+
+const SloEvaluator = {
+
+    /**
+     * Collection variable holding the SLO definitions as JSON
+     */
+    definitionsKey: 'sloDefinitions',
+
+    /**
+     * Collection variable holding the last SLO report as JSON (read by the collection runner)
+     */
+    reportKey: 'sloReport',
+
+    /**
+     * Default settings
+     */
+    defaults: {
+        source: 'performance',      // ResultStore source(s) holding the metrics
+        runId: 'current',
+        errorOn: 'server',          // 'server': 5xx and no response are errors; 'any': 4xx too
+        minEvents: 1,
+        // Multi-window burn-rate alerts: fire when both windows (seconds, ending at the last event) burn faster than threshold
+        burnRateAlerts: [
+            { severity: 'page', long: 3600, short: 300, threshold: 14.4 },
+            { severity: 'ticket', long: 21600, short: 1800, threshold: 6 }
+        ],
+        assert: true
+    },
+
+    // =============================================================================
+    // DEFINITIONS
+    // =============================================================================
+
+    /**
+     * Define SLOs for this run (replaces the stored definitions)
+     * @param {Array} slos - SLO definitions:
+     *   name - Name used in tests and reports
+     *   type - 'latency' (responses at or under threshold ms) or 'availability' (responses that are not errors)
+     *   objective - Good fraction, e.g. 0.99 or 99
+     *   threshold - Latency threshold in ms
+     *   endpoint - 'GET /orders', '/orders/:id' or '/orders/*' (matched against the normalized URL path)
+     *   request - Request name; tag - Record tag; source - ResultStore source(s) (default 'performance')
+     *   errorOn - Availability only: 'server' (default) or 'any'
+     */
+    define: function(slos) {
+        slos.forEach(slo => this.validate(slo));
+        pm.collectionVariables.set(this.definitionsKey, JSON.stringify(slos));
+    },
+
+    /**
+     * Stored SLO definitions
+     * @returns {Array} - Definitions
+     */
+    getDefinitions: function() {
+        try {
+            return JSON.parse(pm.collectionVariables.get(this.definitionsKey) || '[]');
+        } catch (error) {
+            console.error(`Failed to parse ${this.definitionsKey}; no SLOs defined`);
+            return [];
+        }
+    },
+
+    /**
+     * Check an SLO definition
+     * @param {Object} slo - Definition
+     */
+    validate: function(slo) {
+        if (!slo || !slo.name) {
+            throw new Error('SLO needs a name');
+        }
+        if (slo.type !== 'latency' && slo.type !== 'availability') {
+            throw new Error(`SLO "${slo.name}": type must be latency or availability`);
+        }
+        if (slo.type === 'latency' && !(slo.threshold > 0)) {
+            throw new Error(`SLO "${slo.name}": latency SLOs need a threshold in ms`);
+        }
+        const objective = this.getObjective(slo);
+        if (!(objective > 0 && objective < 1)) {
+            throw new Error(`SLO "${slo.name}": objective must be between 0 and 1 (or 0 and 100)`);
+        }
+    },
+
+    // =============================================================================
+    // EVALUATION
+    // =============================================================================
+
+    /**
+     * Evaluate SLOs, record one pm.test per SLO and store the report for the runner
+     * @param {Array} slos - Definitions (default: the stored ones)
+     * @param {Object} options - { source, runId, errorOn, burnRateAlerts, minEvents, assert } (see defaults)
+     * @returns {Object} - { runId, evaluatedAt, verdict, passed, warned, failed, slos: [result] }
+     */
+    evaluate: function(slos = null, options = {}) {
+        const settings = { ...this.defaults, ...options };
+        const definitions = slos || this.getDefinitions();
+        const results = definitions.map(slo => {
+            this.validate(slo);
+            const records = this.select(slo, settings);
+            return this.evaluateSlo(slo, records, settings);
+        });
+
+        const report = {
+            runId: settings.runId === 'current' ? this.getResultStore().getRunId() : settings.runId,
+            evaluatedAt: new Date().toISOString(),
+            verdict: results.some(r => r.verdict === 'fail') ? 'fail' : results.some(r => r.verdict === 'warn') ? 'warn' : 'pass',
+            passed: results.filter(r => r.verdict === 'pass').length,
+            warned: results.filter(r => r.verdict === 'warn').length,
+            failed: results.filter(r => r.verdict === 'fail').length,
+            slos: results
+        };
+
+        pm.collectionVariables.set(this.reportKey, JSON.stringify(report));
+        if (settings.assert) {
+            this.assert(report);
+        }
+        return report;
+    },
+
+    /**
+     * Evaluate one SLO over its records
+     * @param {Object} slo - Definition
+     * @param {Array} records - ResultStore records (oldest first)
+     * @param {Object} settings - Evaluation settings
+     * @returns {Object} - { name, type, objective, threshold, total, good, bad, compliance, errorBudget: { allowed, consumed, remaining },
+     *   burnRates: [{ severity, threshold, long, short, alerting }], verdict, explanation }
+     */
+    evaluateSlo: function(slo, records, settings) {
+        const objective = this.getObjective(slo);
+        const isGood = this.goodEvent(slo, settings);
+        const total = records.length;
+        const bad = records.filter(record => !isGood(record)).length;
+        const allowed = (1 - objective) * total;
+        const consumed = allowed > 0 ? bad / allowed : (bad > 0 ? Infinity : 0);
+
+        const result = {
+            name: slo.name,
+            type: slo.type,
+            objective,
+            threshold: slo.type === 'latency' ? slo.threshold : null,
+            total,
+            good: total - bad,
+            bad,
+            compliance: total > 0 ? this.round((total - bad) / total, 6) : null,
+            errorBudget: {
+                allowed: this.round(allowed, 2),
+                consumed: this.round(consumed, 4),
+                remaining: this.round(1 - consumed, 4)
+            },
+            burnRates: total > 0 ? this.burnRates(records, isGood, objective, settings.burnRateAlerts) : [],
+            verdict: 'pass',
+            explanation: ''
+        };
+
+        const alerting = result.burnRates.filter(alert => alert.alerting);
+        if (total < settings.minEvents) {
+            result.verdict = 'warn';
+        } else if (bad > allowed) {
+            result.verdict = 'fail';
+        } else if (alerting.length > 0) {
+            result.verdict = 'warn';
+        }
+
+        result.explanation = this.explain(slo, result, alerting, settings);
+        return result;
+    },
+
+    /**
+     * Burn rates (error rate divided by the error budget rate) over each alert's long and short
+     * windows ending at the last event. An alert fires when both windows exceed its threshold.
+     * @param {Array} records - Records
+     * @param {Function} isGood - Good event predicate
+     * @param {number} objective - Objective
+     * @param {Array} alerts - [{ severity, long, short, threshold }] windows in seconds
+     * @returns {Array} - [{ severity, threshold, long: { window, events, rate }, short: { window, events, rate }, alerting }]
+     */
+    burnRates: function(records, isGood, objective, alerts) {
+        const times = records.map(record => Date.parse(record.timestamp));
+        const end = times.reduce((latest, time) => isNaN(time) ? latest : Math.max(latest, time), 0);
+
+        const windowRate = seconds => {
+            const from = end - seconds * 1000;
+            const events = records.filter((record, i) => times[i] > from);
+            const bad = events.filter(record => !isGood(record)).length;
+            const rate = events.length > 0 ? bad / events.length / (1 - objective) : 0;
+            return { window: seconds, events: events.length, rate: this.round(rate, 2) };
+        };
+
+        return alerts.map(alert => {
+            const long = windowRate(alert.long);
+            const short = windowRate(alert.short);
+            return {
+                severity: alert.severity,
+                threshold: alert.threshold,
+                long,
+                short,
+                alerting: long.rate > alert.threshold && short.rate > alert.threshold
+            };
+        });
+    },
+
+    /**
+     * Predicate for good events
+     * @param {Object} slo - Definition
+     * @param {Object} settings - Evaluation settings
+     * @returns {Function} - Function(record) returning true for a good event
+     */
+    goodEvent: function(slo, settings) {
+        if (slo.type === 'latency') {
+            return record => record.status !== null && typeof record.responseTime === 'number' && record.responseTime <= slo.threshold;
+        }
+        const errorFrom = (slo.errorOn || settings.errorOn) === 'any' ? 400 : 500;
+        return record => typeof record.status === 'number' && record.status > 0 && record.status < errorFrom;
+    },
+
+    /**
+     * Records an SLO covers
+     * @param {Object} slo - Definition
+     * @param {Object} settings - Evaluation settings
+     * @returns {Array} - Records, oldest first
+     */
+    select: function(slo, settings) {
+        const statistics = this.getStatistics();
+        const endpoint = slo.endpoint ? this.parseEndpoint(slo.endpoint) : null;
+
+        return this.getResultStore().query({
+            runId: slo.runId || settings.runId,
+            source: slo.source || settings.source,
+            tag: slo.tag,
+            request: slo.request
+        }).filter(record => {
+            if (!endpoint) return true;
+            const request = record.request || {};
+            if (endpoint.method && (request.method || '').toUpperCase() !== endpoint.method) return false;
+            return endpoint.pattern.test(statistics.normalizeEndpoint(request.url || request.name));
+        });
+    },
+
+    /**
+     * Parse an endpoint selector
+     * @param {string} endpoint - 'GET /orders', '/orders/:id' or '/orders/*'
+     * @returns {Object} - { method, pattern }
+     */
+    parseEndpoint: function(endpoint) {
+        const match = String(endpoint).trim().match(/^([A-Za-z]+)\s+(\S+)$/);
+        const method = match ? match[1].toUpperCase() : null;
+        const path = this.getStatistics().normalizeEndpoint(match ? match[2] : String(endpoint).trim());
+        const source = path.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+        return { method, pattern: new RegExp(`^${source}/?$`) };
+    },
+
+    // =============================================================================
+    // REPORTING
+    // =============================================================================
+
+    /**
+     * Describe an SLO result
+     * @param {Object} slo - Definition
+     * @param {Object} result - Result
+     * @param {Array} alerting - Firing burn-rate alerts
+     * @param {Object} settings - Evaluation settings
+     * @returns {string} - Explanation
+     */
+    explain: function(slo, result, alerting, settings) {
+        if (result.total < settings.minEvents) {
+            return `No data: ${result.total} event(s), minimum ${settings.minEvents}`;
+        }
+
+        const objective = `${this.round(result.objective * 100, 3)}%`;
+        const good = slo.type === 'latency' ? `under ${slo.threshold}ms` : 'successful';
+        const consumed = isFinite(result.errorBudget.consumed) ? `${Math.round(result.errorBudget.consumed * 100)}%` : 'all';
+        let text = `${this.round(result.compliance * 100, 3)}% of ${result.total} requests ${good} (objective ${objective}); ` +
+            `error budget ${consumed} consumed (${result.bad} bad of ${result.errorBudget.allowed} allowed)`;
+
+        if (alerting.length > 0) {
+            text += `; burn rate alert ${alerting.map(alert => `${alert.severity} (${alert.long.rate}x over ${alert.long.window}s, ` +
+                `${alert.short.rate}x over ${alert.short.window}s, threshold ${alert.threshold}x)`).join(', ')}`;
+        }
+        return text;
+    },
+
+    /**
+     * Record one pm.test per SLO; 'warn' results pass with a console warning
+     * @param {Object} report - Report from evaluate()
+     */
+    assert: function(report) {
+        report.slos.forEach(result => {
+            const testName = `SLO ${result.name}`;
+            if (result.verdict === 'warn') {
+                console.warn(`${testName}: ${result.explanation}`);
+            }
+            pm.test(testName, () => {
+                if (result.verdict === 'fail') {
+                    pm.expect.fail(result.explanation);
+                }
+            });
+        });
+    },
+
+    /**
+     * Print an SLO report
+     * @param {Object} report - Report from evaluate()
+     */
+    printReport: function(report) {
+        console.log(`\n=== SLO REPORT (run ${report.runId}) ===`);
+        report.slos.forEach(result => {
+            console.log(`  ${result.verdict.toUpperCase().padEnd(4)} ${result.name}: ${result.explanation}`);
+        });
+        console.log(`Verdict: ${report.verdict} (${report.passed} passed, ${report.warned} warned, ${report.failed} failed)`);
+    },
+
+    // =============================================================================
+    // UTILITY FUNCTIONS
+    // =============================================================================
+
+    /**
+     * Error rate of records
+     * @param {Array} records - Records
+     * @param {string} errorOn - 'server' or 'any'
+     * @returns {number} - Percentage of errors (0 when empty)
+     */
+    errorRate: function(records, errorOn = 'server') {
+        if (records.length === 0) {
+            return 0;
+        }
+        const isGood = this.goodEvent({ type: 'availability', errorOn }, this.defaults);
+        return this.round(records.filter(record => !isGood(record)).length / records.length * 100, 2);
+    },
+
+    /**
+     * Throughput of records between the first and last timestamp
+     * @param {Array} records - Records
+     * @returns {number|null} - Requests per second, or null with fewer than two records
+     */
+    throughput: function(records) {
+        const times = records.map(record => Date.parse(record.timestamp)).filter(time => !isNaN(time));
+        if (times.length < 2) {
+            return null;
+        }
+        const span = (times.reduce((a, b) => Math.max(a, b)) - times.reduce((a, b) => Math.min(a, b))) / 1000;
+        return span > 0 ? this.round(times.length / span, 2) : null;
+    },
+
+    /**
+     * Objective as a fraction
+     * @param {Object} slo - Definition
+     * @returns {number} - Objective (99 becomes 0.99)
+     */
+    getObjective: function(slo) {
+        return slo.objective > 1 ? slo.objective / 100 : slo.objective;
+    },
+
+    /**
+     * Round to a number of decimals
+     * @param {number} value - Value
+     * @param {number} precision - Decimals
+     * @returns {number} - Rounded value
+     */
+    round: function(value, precision) {
+        return isFinite(value) ? this.getStatistics().round(value, precision) : value;
+    },
+
+    /**
+     * Resolve the ResultStore helper (sandbox global or Node module)
+     * @returns {Object} - ResultStore
+     */
+    getResultStore: function() {
+        return typeof ResultStore !== 'undefined' ? ResultStore : require('./result-store');
+    },
+
+    /**
+     * Resolve the Statistics helper (sandbox global or Node module)
+     * @returns {Object} - Statistics
+     */
+    getStatistics: function() {
+        return typeof Statistics !== 'undefined' ? Statistics : require('./statistics');
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SloEvaluator;
+}
+
+// Usage Examples:
+/*
+// Collection pre-request script
+SloEvaluator.define([
+    { name: 'orders-latency', type: 'latency', endpoint: 'GET /orders', threshold: 300, objective: 99 },
+    { name: 'orders-availability', type: 'availability', endpoint: '/orders/*', objective: 99.5 },
+    { name: 'checkout-errors', type: 'availability', tag: 'checkout', objective: 0.995, errorOn: 'any' }
+]);
+
+// Test script of every request
+performanceMonitor.collectMetrics();
+
+// Final request: one test per SLO, report stored in the sloReport collection variable
+SloEvaluator.printReport(SloEvaluator.evaluate());
+
+// Runner: definitions from a file, evaluated after the run; a failed SLO sets exit code 1
+// node collection-runner.js api.json --results results.jsonl --slo slos.json
+*/
@@ -0,0 +1,440 @@
+/**
+ * Latency Statistics for Postman
+ * Percentiles with linear interpolation, standard deviation, mergeable HDR-style histograms
+ * and per endpoint / method / status class breakdowns
+ */
+
+const Statistics = {
+
+    /**
+     * Default settings
+     */
+    defaults: {
+        percentiles: [50, 90, 95, 99, 99.9],
+        precision: 2,
+        histogram: {
+            lowest: 1,          // smallest distinguishable value (ms)
+            highest: 3600000,   // larger values are recorded as this (ms)
+            significantDigits: 3
+        }
+    },
+
+    // =============================================================================
+    // SUMMARIES
+    // =============================================================================
+
+    /**
+     * Summarize a list of values
+     * @param {Array} values - Numbers (null/undefined/NaN are ignored); not modified
+     * @param {Object} options - { percentiles (default [50, 90, 95, 99, 99.9]), precision (decimals, default 2) }
+     * @returns {Object} - { count, min, max, mean, stdDev, percentiles: { p50, p90, ... } } (zeros when empty)
+     */
+    summarize: function(values, options = {}) {
+        const settings = { ...this.defaults, ...options };
+        const sorted = this.sortValues(values);
+        const count = sorted.length;
+
+        if (count === 0) {
+            return this.emptySummary(settings);
+        }
+
+        let sum = 0;
+        for (let i = 0; i < count; i++) {
+            sum += sorted[i];
+        }
+        const mean = sum / count;
+
+        let squares = 0;
+        for (let i = 0; i < count; i++) {
+            squares += (sorted[i] - mean) * (sorted[i] - mean);
+        }
+
+        const percentiles = {};
+        settings.percentiles.forEach(p => {
+            percentiles[this.percentileKey(p)] = this.round(this.percentile(sorted, p), settings.precision);
+        });
+
+        return {
+            count,
+            min: sorted[0],
+            max: sorted[count - 1],
+            mean: this.round(mean, settings.precision),
+            stdDev: this.round(count > 1 ? Math.sqrt(squares / (count - 1)) : 0, settings.precision),
+            percentiles
+        };
+    },
+
+    /**
+     * Percentile of sorted values by linear interpolation between closest ranks
+     * (rank h = (n - 1) * p / 100, as in Excel PERCENTILE.INC and NumPy's default)
+     * @param {Array} sorted - Values sorted ascending
+     * @param {number} p - Percentile (0-100)
+     * @returns {number} - Percentile value (0 when empty)
+     */
+    percentile: function(sorted, p) {
+        if (sorted.length === 0) {
+            return 0;
+        }
+
+        const rank = (sorted.length - 1) * Math.min(100, Math.max(0, p)) / 100;
+        const lower = Math.floor(rank);
+        const upper = Math.min(lower + 1, sorted.length - 1);
+        return sorted[lower] + (rank - lower) * (sorted[upper] - sorted[lower]);
+    },
+
+    /**
+     * Percentages of a count map that sum to exactly 100 (largest remainder rounding)
+     * @param {Object} counts - { key: count }
+     * @returns {Object} - { key: percentage } (all 0 when the total is 0)
+     */
+    distribution: function(counts) {
+        const keys = Object.keys(counts);
+        const total = keys.reduce((sum, key) => sum + counts[key], 0);
+        const result = {};
+
+        if (total === 0) {
+            keys.forEach(key => { result[key] = 0; });
+            return result;
+        }
+
+        const shares = keys.map(key => {
+            const exact = counts[key] / total * 100;
+            result[key] = Math.floor(exact);
+            return { key, remainder: exact - Math.floor(exact) };
+        });
+
+        let missing = 100 - keys.reduce((sum, key) => sum + result[key], 0);
+        shares.sort((a, b) => b.remainder - a.remainder);
+        for (let i = 0; missing > 0; i++, missing--) {
+            result[shares[i].key]++;
+        }
+
+        return result;
+    },
+
+    // =============================================================================
+    // HISTOGRAMS
+    // =============================================================================
+
+    /**
+     * Create an HDR-style histogram: exact below 2 * 10^significantDigits units, then buckets
+     * that double in width so every value keeps significantDigits of precision. The histogram
+     * is plain JSON, so it can be stored and merged with others instead of raw samples.
+     * @param {Object} options - { lowest, highest, significantDigits } (see defaults.histogram)
+     * @returns {Object} - Histogram
+     */
+    createHistogram: function(options = {}) {
+        const settings = { ...this.defaults.histogram, ...options };
+        if (!(settings.lowest > 0) || settings.highest < settings.lowest * 2) {
+            throw new Error('Histogram needs lowest > 0 and highest >= 2 * lowest');
+        }
+        if (!(settings.significantDigits >= 1 && settings.significantDigits <= 5)) {
+            throw new Error('Histogram significantDigits must be between 1 and 5');
+        }
+
+        return {
+            lowest: settings.lowest,
+            highest: settings.highest,
+            significantDigits: settings.significantDigits,
+            count: 0,
+            min: null,
+            max: null,
+            sum: 0,
+            sumOfSquares: 0,
+            counts: {}
+        };
+    },
+
+    /**
+     * Build a histogram from values
+     * @param {Array} values - Numbers (null/undefined/NaN are ignored)
+     * @param {Object} options - Histogram options
+     * @returns {Object} - Histogram
+     */
+    toHistogram: function(values, options = {}) {
+        const histogram = this.createHistogram(options);
+        values.forEach(value => this.recordValue(histogram, value));
+        return histogram;
+    },
+
+    /**
+     * Record a value
+     * @param {Object} histogram - Histogram
+     * @param {number} value - Value (negative values are recorded as 0, values above highest as highest)
+     * @param {number} count - Occurrences (default 1)
+     * @returns {Object} - The histogram
+     */
+    recordValue: function(histogram, value, count = 1) {
+        if (typeof value !== 'number' || isNaN(value)) {
+            return histogram;
+        }
+
+        const clamped = Math.min(Math.max(value, 0), histogram.highest);
+        const bucket = this.bucketOf(histogram, clamped);
+
+        histogram.counts[bucket] = (histogram.counts[bucket] || 0) + count;
+        histogram.count += count;
+        histogram.sum += clamped * count;
+        histogram.sumOfSquares += clamped * clamped * count;
+        histogram.min = histogram.min === null ? clamped : Math.min(histogram.min, clamped);
+        histogram.max = histogram.max === null ? clamped : Math.max(histogram.max, clamped);
+        return histogram;
+    },
+
+    /**
+     * Merge histograms with the same settings into a new one
+     * @param {...Object} histograms - Histograms (or one array of them)
+     * @returns {Object} - Merged histogram
+     */
+    mergeHistograms: function(...histograms) {
+        const list = (histograms.length === 1 && Array.isArray(histograms[0]) ? histograms[0] : histograms).filter(Boolean);
+        const merged = this.createHistogram(list[0] || {});
+
+        list.forEach(histogram => {
+            if (histogram.lowest !== merged.lowest || histogram.highest !== merged.highest || histogram.significantDigits !== merged.significantDigits) {
+                throw new Error(`Cannot merge histograms with different settings (lowest ${histogram.lowest}, highest ${histogram.highest}, ` +
+                    `significantDigits ${histogram.significantDigits} vs ${merged.lowest}, ${merged.highest}, ${merged.significantDigits})`);
+            }
+            if (histogram.count === 0) {
+                return;
+            }
+
+            Object.keys(histogram.counts).forEach(bucket => {
+                merged.counts[bucket] = (merged.counts[bucket] || 0) + histogram.counts[bucket];
+            });
+            merged.count += histogram.count;
+            merged.sum += histogram.sum;
+            merged.sumOfSquares += histogram.sumOfSquares;
+            merged.min = merged.min === null ? histogram.min : Math.min(merged.min, histogram.min);
+            merged.max = merged.max === null ? histogram.max : Math.max(merged.max, histogram.max);
+        });
+
+        return merged;
+    },
+
+    /**
+     * Value at a percentile (nearest rank; the highest value of the bucket holding that rank, within min..max)
+     * @param {Object} histogram - Histogram
+     * @param {number} p - Percentile (0-100)
+     * @returns {number} - Value (0 when empty)
+     */
+    valueAtPercentile: function(histogram, p) {
+        if (histogram.count === 0) {
+            return 0;
+        }
+
+        const rank = Math.max(1, Math.ceil(Math.min(100, Math.max(0, p)) / 100 * histogram.count));
+        const buckets = Object.keys(histogram.counts).map(Number).sort((a, b) => a - b);
+        let seen = 0;
+
+        for (const bucket of buckets) {
+            seen += histogram.counts[bucket];
+            if (seen >= rank) {
+                const highest = (bucket + this.bucketWidth(histogram, bucket) - 1) * histogram.lowest;
+                return Math.min(Math.max(highest, histogram.min), histogram.max);
+            }
+        }
+
+        return histogram.max;
+    },
+
+    /**
+     * Summarize a histogram (same shape as summarize())
+     * @param {Object} histogram - Histogram
+     * @param {Object} options - { percentiles, precision }
+     * @returns {Object} - { count, min, max, mean, stdDev, percentiles }
+     */
+    summarizeHistogram: function(histogram, options = {}) {
+        const settings = { ...this.defaults, ...options };
+        const count = histogram.count;
+
+        if (count === 0) {
+            return this.emptySummary(settings);
+        }
+
+        const mean = histogram.sum / count;
+        const variance = count > 1 ? Math.max(0, (histogram.sumOfSquares - count * mean * mean) / (count - 1)) : 0;
+        const percentiles = {};
+        settings.percentiles.forEach(p => {
+            percentiles[this.percentileKey(p)] = this.round(this.valueAtPercentile(histogram, p), settings.precision);
+        });
+
+        return {
+            count,
+            min: histogram.min,
+            max: histogram.max,
+            mean: this.round(mean, settings.precision),
+            stdDev: this.round(Math.sqrt(variance), settings.precision),
+            percentiles
+        };
+    },
+
+    /**
+     * Bucket key (lowest value of the bucket, in units of histogram.lowest) for a value
+     * @param {Object} histogram - Histogram
+     * @param {number} value - Value
+     * @returns {number} - Bucket key
+     */
+    bucketOf: function(histogram, value) {
+        const units = Math.floor(value / histogram.lowest);
+        const width = this.bucketWidth(histogram, units);
+        return Math.floor(units / width) * width;
+    },
+
+    /**
+     * Width (in units) of the bucket holding a unit value
+     * @param {Object} histogram - Histogram
+     * @param {number} units - Value in units of histogram.lowest
+     * @returns {number} - Bucket width
+     */
+    bucketWidth: function(histogram, units) {
+        const subBuckets = Math.pow(2, Math.ceil(Math.log2(2 * Math.pow(10, histogram.significantDigits))));
+        if (units < subBuckets) {
+            return 1;
+        }
+        return Math.pow(2, Math.floor(Math.log2(units)) - Math.log2(subBuckets) + 1);
+    },
+
+    // =============================================================================
+    // BREAKDOWNS
+    // =============================================================================
+
+    /**
+     * Break samples down per endpoint, method and status class
+     * @param {Array} samples - [{ endpoint, method, status, responseTime }]
+     * @param {Object} options - summarize() options
+     * @returns {Object} - { endpoint: { key: group }, method: { key: group }, statusClass: { key: group } } where group is
+     *   { count, errors, successRate, ...summarize() }
+     */
+    breakdown: function(samples, options = {}) {
+        const dimensions = {
+            endpoint: sample => this.normalizeEndpoint(sample.endpoint),
+            method: sample => (sample.method || 'UNKNOWN').toUpperCase(),
+            statusClass: sample => this.statusClass(sample.status)
+        };
+        const result = {};
+
+        Object.keys(dimensions).forEach(dimension => {
+            const groups = {};
+            samples.forEach(sample => {
+                const key = dimensions[dimension](sample);
+                (groups[key] = groups[key] || []).push(sample);
+            });
+
+            result[dimension] = {};
+            Object.keys(groups).sort().forEach(key => {
+                const group = groups[key];
+                const errors = group.filter(sample => this.statusClass(sample.status) === 'error' || sample.status >= 400).length;
+                result[dimension][key] = {
+                    ...this.summarize(group.map(sample => sample.responseTime), options),
+                    errors,
+                    successRate: Math.round((group.length - errors) / group.length * 10000) / 100
+                };
+            });
+        });
+
+        return result;
+    },
+
+    /**
+     * Endpoint key for a URL: path only, with numeric, UUID and long hex segments replaced by :id
+     * @param {string} url - URL or endpoint name
+     * @returns {string} - Endpoint key
+     */
+    normalizeEndpoint: function(url) {
+        if (!url) {
+            return 'unknown';
+        }
+
+        const path = String(url).replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]+/i, '').split(/[?#]/)[0] || '/';
+        return path.split('/').map(segment =>
+            /^\d+$/.test(segment) || /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(segment) || /^[0-9a-f]{16,}$/i.test(segment)
+                ? ':id'
+                : segment
+        ).join('/');
+    },
+
+    /**
+     * Status class of a status code
+     * @param {number|null} status - Status code
+     * @returns {string} - '2xx', '4xx', ... or 'error' when there was no response
+     */
+    statusClass: function(status) {
+        return typeof status === 'number' && status > 0 ? `${Math.floor(status / 100)}xx` : 'error';
+    },
+
+    // =============================================================================
+    // UTILITY FUNCTIONS
+    // =============================================================================
+
+    /**
+     * Copy of the numeric values sorted ascending
+     * @param {Array} values - Values
+     * @returns {Array} - Sorted numbers
+     */
+    sortValues: function(values) {
+        return values.filter(value => typeof value === 'number' && !isNaN(value)).sort((a, b) => a - b);
+    },
+
+    /**
+     * Key for a percentile
+     * @param {number} p - Percentile
+     * @returns {string} - 'p50', 'p99.9', ...
+     */
+    percentileKey: function(p) {
+        return `p${p}`;
+    },
+
+    /**
+     * Summary of no values
+     * @param {Object} settings - { percentiles }
+     * @returns {Object} - Summary with zeros
+     */
+    emptySummary: function(settings) {
+        const percentiles = {};
+        settings.percentiles.forEach(p => { percentiles[this.percentileKey(p)] = 0; });
+        return { count: 0, min: 0, max: 0, mean: 0, stdDev: 0, percentiles };
+    },
+
+    /**
+     * Round to a number of decimals
+     * @param {number} value - Value
+     * @param {number} precision - Decimals
+     * @returns {number} - Rounded value
+     */
+    round: function(value, precision) {
+        const factor = Math.pow(10, precision);
+        return Math.round(value * factor) / factor;
+    },
+
+    /**
+     * Format percentiles for logs
+     * @param {Object} percentiles - { p50: 12, ... }
+     * @returns {string} - 'p50 12ms, p90 40ms, ...'
+     */
+    formatPercentiles: function(percentiles) {
+        return Object.keys(percentiles).map(key => `${key} ${percentiles[key]}ms`).join(', ');
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Statistics;
+}
+
+// Usage Examples:
+/*
+// Percentiles, mean and standard deviation
+const summary = Statistics.summarize([120, 85, 240, 97, 1300], { percentiles: [50, 95, 99] });
+console.log(summary.percentiles.p95, summary.stdDev);
+
+// Histograms from two runs, combined without the raw samples
+const previous = JSON.parse(pm.environment.get('latencyHistogram') || 'null');
+const current = Statistics.toHistogram(performanceMonitor.getMetrics().map(m => m.responseTime));
+const combined = Statistics.mergeHistograms(previous || Statistics.createHistogram(), current);
+console.log(Statistics.formatPercentiles(Statistics.summarizeHistogram(combined).percentiles));
+pm.environment.set('latencyHistogram', JSON.stringify(combined));
+
+// Per endpoint / method / status class
+const byEndpoint = Statistics.breakdown(performanceMonitor.getMetrics()).endpoint;
+*/
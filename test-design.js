@@ -0,0 +1,704 @@
+/**
+ * Test Design Utilities for Postman
+ * Equivalence partitions, boundary values and pairwise / n-wise combinations,
+ * merged into a valid base payload as runnable DataDrivenTesting scenarios
+ */
+
+const TestDesign = {
+
+    /**
+     * Status codes used when a scenario does not set its own
+     */
+    defaultStatus: {
+        valid: 200,
+        invalid: 400
+    },
+
+    // =============================================================================
+    // FIELD CASES
+    // =============================================================================
+
+    /**
+     * Generate partition and boundary cases for every configured field
+     * @param {Object} fieldConfig - Field name (dot paths allowed) to config:
+     *     { type: 'string'|'number'|'integer'|'date'|'array'|'enum'|'boolean', required, nullable,
+     *       minLength, maxLength, allowEmpty, min, max, step, minItems, maxItems, item, values,
+     *       valid: [...], invalid: [...], typeCheck (default true) }
+     * @returns {Array} - Cases [{ description, field, value, missing, expectedValid, kind }]
+     */
+    generateCases: function(fieldConfig) {
+        return Object.keys(fieldConfig).reduce((cases, field) =>
+            cases.concat(this.fieldCases(field, fieldConfig[field])), []);
+    },
+
+    /**
+     * Cases for one field
+     * @param {string} field - Field name or dot path
+     * @param {Object} config - Field config (see generateCases)
+     * @returns {Array} - Cases
+     */
+    fieldCases: function(field, config) {
+        const cases = [];
+        const add = (label, value, expectedValid, kind) => {
+            if (!cases.some(c => !c.missing && this.sameValue(c.value, value))) {
+                cases.push({ description: `${field} - ${label}`, field, value, expectedValid, kind });
+            }
+        };
+
+        (config.valid || []).forEach(value => add(`Valid ${this.describe(value)}`, value, true, 'partition'));
+        (config.invalid || []).forEach(value => add(`Invalid ${this.describe(value)}`, value, false, 'partition'));
+
+        switch (config.type) {
+            case 'string':
+                this.stringCases(config, add);
+                break;
+            case 'number':
+            case 'integer':
+                this.numberCases(config, add);
+                break;
+            case 'date':
+                this.dateCases(config, add);
+                break;
+            case 'array':
+                this.arrayCases(config, add);
+                break;
+            case 'enum':
+                this.enumCases(config, add);
+                break;
+            case 'boolean':
+                add('True', true, true, 'partition');
+                add('False', false, true, 'partition');
+                break;
+            default:
+                break;
+        }
+
+        if (config.nullable !== undefined || config.required !== undefined) {
+            add('Null', null, config.nullable === true, 'null');
+        }
+        if (config.required !== undefined) {
+            cases.push({ description: `${field} - Missing`, field, value: undefined, missing: true, expectedValid: config.required === false, kind: 'missing' });
+        }
+        if (config.typeCheck !== false && this.wrongTypeValues[config.type] !== undefined) {
+            add('Wrong type', this.wrongTypeValues[config.type], false, 'type');
+        }
+
+        return cases;
+    },
+
+    /**
+     * A value of the wrong JSON type for each field type
+     */
+    wrongTypeValues: {
+        string: 12345,
+        number: 'not-a-number',
+        integer: 'not-a-number',
+        date: 20240101,
+        array: 'not-an-array',
+        enum: 12345,
+        boolean: 'yes'
+    },
+
+    /**
+     * String partitions and length boundaries
+     * @param {Object} config - Field config
+     * @param {Function} add - Case collector (label, value, expectedValid, kind)
+     */
+    stringCases: function(config, add) {
+        const minLength = config.minLength || 0;
+        const fillChar = config.fillChar || 'a';
+
+        add('Empty string', '', minLength === 0 && (config.required === false || config.allowEmpty === true), 'boundary');
+        if (config.minLength > 1) {
+            add('Below min length', fillChar.repeat(config.minLength - 1), false, 'boundary');
+        }
+        if (config.minLength > 0) {
+            add('Min length', fillChar.repeat(config.minLength), true, 'boundary');
+        }
+        if (config.maxLength) {
+            add('Max length', fillChar.repeat(config.maxLength), true, 'boundary');
+            add('Over max length', fillChar.repeat(config.maxLength + 1), false, 'boundary');
+        }
+    },
+
+    /**
+     * Numeric partitions and range boundaries
+     * @param {Object} config - Field config
+     * @param {Function} add - Case collector
+     */
+    numberCases: function(config, add) {
+        const step = config.step || 1;
+        if (config.min !== undefined) {
+            add('Minimum value', config.min, true, 'boundary');
+            add('Below minimum', this.round(config.min - step), false, 'boundary');
+        }
+        if (config.max !== undefined) {
+            add('Maximum value', config.max, true, 'boundary');
+            add('Above maximum', this.round(config.max + step), false, 'boundary');
+        }
+        if (config.min !== undefined && config.max !== undefined) {
+            const middle = (config.min + config.max) / 2;
+            add('In range', config.type === 'integer' ? Math.floor(middle) : this.round(middle), true, 'partition');
+        }
+        if (config.type === 'integer') {
+            const base = config.min !== undefined ? config.min : 0;
+            add('Fractional value', base + 0.5, false, 'type');
+        }
+    },
+
+    /**
+     * Date partitions and range boundaries (YYYY-MM-DD, or ISO date-time with format 'date-time')
+     * @param {Object} config - Field config ({ min, max, format })
+     * @param {Function} add - Case collector
+     */
+    dateCases: function(config, add) {
+        const dayMs = 24 * 60 * 60 * 1000;
+        const format = value => {
+            const iso = new Date(value).toISOString();
+            return config.format === 'date-time' ? iso : iso.slice(0, 10);
+        };
+
+        if (config.min !== undefined) {
+            const min = new Date(config.min).getTime();
+            add('Earliest date', format(min), true, 'boundary');
+            add('Before earliest date', format(min - dayMs), false, 'boundary');
+        }
+        if (config.max !== undefined) {
+            const max = new Date(config.max).getTime();
+            add('Latest date', format(max), true, 'boundary');
+            add('After latest date', format(max + dayMs), false, 'boundary');
+        }
+        add('Impossible date', config.format === 'date-time' ? '2023-02-30T00:00:00Z' : '2023-02-30', false, 'partition');
+        add('Wrong date format', '31/12/2023', false, 'partition');
+    },
+
+    /**
+     * Array size boundaries
+     * @param {Object} config - Field config ({ minItems, maxItems, item })
+     * @param {Function} add - Case collector
+     */
+    arrayCases: function(config, add) {
+        const item = config.item !== undefined ? config.item : 'item';
+        const items = count => Array.from({ length: count }, () => JSON.parse(JSON.stringify(item)));
+        const minItems = config.minItems || 0;
+
+        add('Empty array', [], minItems === 0, 'boundary');
+        if (minItems > 1) {
+            add('Below min items', items(minItems - 1), false, 'boundary');
+        }
+        if (minItems > 0) {
+            add('Min items', items(minItems), true, 'boundary');
+        }
+        if (config.maxItems !== undefined) {
+            add('Max items', items(config.maxItems), true, 'boundary');
+            add('Over max items', items(config.maxItems + 1), false, 'boundary');
+        }
+    },
+
+    /**
+     * One valid case per enum value plus out-of-set values
+     * @param {Object} config - Field config ({ values })
+     * @param {Function} add - Case collector
+     */
+    enumCases: function(config, add) {
+        const values = config.values || [];
+        values.forEach(value => add(`Value ${this.describe(value)}`, value, true, 'partition'));
+
+        const unknown = config.invalidValue !== undefined ? config.invalidValue : '__not_a_valid_value__';
+        add('Value outside enum', unknown, false, 'partition');
+
+        const text = values.find(value => typeof value === 'string' && value.toUpperCase() !== value);
+        if (text && !values.includes(text.toUpperCase())) {
+            add('Wrong case', text.toUpperCase(), false, 'partition');
+        }
+    },
+
+    // =============================================================================
+    // COMBINATIONS
+    // =============================================================================
+
+    /**
+     * Generate a covering array: every combination of `strength` field values appears in at least one row
+     * @param {Object} parameters - Field name to array of values
+     * @param {Object} options - { strength: 2 (pairwise), constraints: [expression string or Function(row)] }
+     * @returns {Array} - Rows (field name to value)
+     */
+    combinations: function(parameters, options = {}) {
+        const fields = Object.keys(parameters);
+        const strength = Math.min(options.strength || 2, fields.length);
+        const constraints = (options.constraints || []).map(c => typeof c === 'function' ? c : this.compileConstraint(c));
+        const allows = assignment => constraints.every(constraint => constraint(this.toRow(fields, parameters, assignment)) !== false);
+
+        if (fields.length === 0) {
+            return [];
+        }
+
+        // Every t-way tuple, keyed by "field=valueIndex" parts
+        const uncovered = new Map();
+        this.fieldSubsets(fields.length, strength).forEach(subset => {
+            this.product(subset.map(f => parameters[fields[f]].length)).forEach(valueIndexes => {
+                const assignment = {};
+                subset.forEach((f, i) => { assignment[f] = valueIndexes[i]; });
+                if (allows(assignment)) {
+                    uncovered.set(this.tupleKey(assignment), assignment);
+                }
+            });
+        });
+
+        const rows = [];
+        const countCovered = assignment => this.fieldSubsets(fields.length, strength)
+            .filter(subset => subset.every(f => assignment[f] !== undefined))
+            .filter(subset => uncovered.has(this.tupleKey(subset.reduce((acc, f) => ({ ...acc, [f]: assignment[f] }), {}))))
+            .length;
+
+        while (uncovered.size > 0) {
+            const seedKey = uncovered.keys().next().value;
+            const assignment = { ...uncovered.get(seedKey) };
+            let feasible = true;
+
+            for (let f = 0; f < fields.length && feasible; f++) {
+                if (assignment[f] !== undefined) continue;
+
+                let best = -1;
+                let bestScore = -1;
+                parameters[fields[f]].forEach((value, index) => {
+                    const candidate = { ...assignment, [f]: index };
+                    if (!allows(candidate)) return;
+                    const score = countCovered(candidate);
+                    if (score > bestScore) {
+                        best = index;
+                        bestScore = score;
+                    }
+                });
+
+                if (best < 0) {
+                    feasible = false;
+                } else {
+                    assignment[f] = best;
+                }
+            }
+
+            if (!feasible) {
+                console.warn(`No valid row covers ${this.describe(this.toRow(fields, parameters, uncovered.get(seedKey)))} under the constraints; skipping`);
+                uncovered.delete(seedKey);
+                continue;
+            }
+
+            this.fieldSubsets(fields.length, strength).forEach(subset => {
+                uncovered.delete(this.tupleKey(subset.reduce((acc, f) => ({ ...acc, [f]: assignment[f] }), {})));
+            });
+            rows.push(this.toRow(fields, parameters, assignment));
+        }
+
+        return rows;
+    },
+
+    /**
+     * Compile a constraint expression. Rows violating it are excluded.
+     * Syntax: comparisons (== != < <= > >=, `in [..]`), and, or, not, => (implies), parentheses;
+     * literals are numbers, 'strings', true, false and null; bare words are field names (dot paths allowed).
+     * Fields not yet chosen make a comparison undecided, which never excludes a row.
+     * @param {string} expression - e.g. "plan == 'free' => seats <= 5"
+     * @returns {Function} - Function(row) returning true, false or undefined (undecided)
+     */
+    compileConstraint: function(expression) {
+        const tokens = String(expression).match(/'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"|=>|==|!=|<=|>=|[<>()[\],]|-?\d+(?:\.\d+)?|[A-Za-z_$][\w$.]*/g) || [];
+        let position = 0;
+
+        const fail = message => {
+            throw new Error(`Invalid constraint "${expression}": ${message}`);
+        };
+        const peek = () => tokens[position];
+        const take = expected => {
+            const token = tokens[position++];
+            if (expected !== undefined && token !== expected) fail(`expected ${expected}, got ${token || 'end'}`);
+            return token;
+        };
+
+        // Three-valued logic: undefined means "not decided yet"
+        const and = (a, b) => a === false || b === false ? false : (a === undefined || b === undefined ? undefined : true);
+        const or = (a, b) => a === true || b === true ? true : (a === undefined || b === undefined ? undefined : false);
+        const not = a => a === undefined ? undefined : !a;
+
+        const parseImplies = () => {
+            const left = parseOr();
+            if (peek() === '=>') {
+                take();
+                const right = parseImplies();
+                return row => or(not(left(row)), right(row));
+            }
+            return left;
+        };
+        const parseOr = () => {
+            let left = parseAnd();
+            while (peek() === 'or') {
+                take();
+                const l = left, r = parseAnd();
+                left = row => or(l(row), r(row));
+            }
+            return left;
+        };
+        const parseAnd = () => {
+            let left = parseNot();
+            while (peek() === 'and') {
+                take();
+                const l = left, r = parseNot();
+                left = row => and(l(row), r(row));
+            }
+            return left;
+        };
+        const parseNot = () => {
+            if (peek() === 'not') {
+                take();
+                const operand = parseNot();
+                return row => not(operand(row));
+            }
+            if (peek() === '(') {
+                take();
+                const inner = parseImplies();
+                take(')');
+                return inner;
+            }
+            return parseComparison();
+        };
+        const parseValue = () => {
+            const token = take();
+            if (token === undefined) fail('unexpected end');
+            if (/^['"]/.test(token)) {
+                const literal = token.slice(1, -1).replace(/\\(.)/g, '$1');
+                return () => literal;
+            }
+            if (/^-?\d/.test(token)) return () => Number(token);
+            if (token === 'true' || token === 'false') return () => token === 'true';
+            if (token === 'null') return () => null;
+            if (/^[A-Za-z_$]/.test(token)) {
+                return row => (token in row ? row[token] : this.getPath(row, token));
+            }
+            fail(`unexpected ${token}`);
+        };
+        const parseComparison = () => {
+            const left = parseValue();
+            const operator = peek();
+            if (operator === 'in') {
+                take();
+                take('[');
+                const options = [];
+                while (peek() !== ']') {
+                    options.push(parseValue());
+                    if (peek() === ',') take();
+                    else if (peek() !== ']') fail(`expected , or ], got ${peek() || 'end'}`);
+                }
+                take(']');
+                return row => {
+                    const value = left(row);
+                    return value === undefined ? undefined : options.some(option => this.sameValue(option(row), value));
+                };
+            }
+            const compare = {
+                '==': (a, b) => this.sameValue(a, b),
+                '!=': (a, b) => !this.sameValue(a, b),
+                '<': (a, b) => a < b,
+                '<=': (a, b) => a <= b,
+                '>': (a, b) => a > b,
+                '>=': (a, b) => a >= b
+            }[operator];
+            if (!compare) {
+                // Bare value: truthiness
+                return row => {
+                    const value = left(row);
+                    return value === undefined ? undefined : Boolean(value);
+                };
+            }
+            take();
+            const right = parseValue();
+            return row => {
+                const a = left(row);
+                const b = right(row);
+                return a === undefined || b === undefined ? undefined : compare(a, b);
+            };
+        };
+
+        const predicate = parseImplies();
+        if (position < tokens.length) fail(`unexpected ${tokens[position]}`);
+        return predicate;
+    },
+
+    // =============================================================================
+    // SCENARIOS
+    // =============================================================================
+
+    /**
+     * Build runnable scenarios: one-at-a-time partition/boundary cases plus
+     * n-wise combinations of valid values, each merged into the base payload
+     * @param {Object} config - Generation config
+     * @param {Object} config.base - Valid base payload
+     * @param {Object} config.fields - Field config (see generateCases)
+     * @param {Object} config.parameters - Values to combine (default: valid cases of each field)
+     * @param {number} config.strength - Combination strength (default 2; 0 disables combinations)
+     * @param {Array} config.constraints - Constraint expressions excluding invalid combinations
+     * @param {number} config.validStatus - expectedStatus for valid cases (default 200)
+     * @param {number} config.invalidStatus - expectedStatus for invalid cases (default 400)
+     * @returns {Array} - Scenarios { description, input, expectedStatus, expectedValid, tags }
+     */
+    generateScenarios: function(config) {
+        const { base = {}, fields = {}, strength = 2 } = config;
+        const cases = this.generateCases(fields);
+        const scenarios = cases.map(testCase => this.toScenario(base, testCase, config));
+
+        if (strength > 0) {
+            const parameters = config.parameters || this.validParameters(cases, base);
+            this.combinations(parameters, { strength, constraints: config.constraints }).forEach((row, index) => {
+                scenarios.push(this.combinationScenario(base, row, index, config));
+            });
+        }
+
+        return scenarios;
+    },
+
+    /**
+     * Merge a single-field case into the base payload
+     * @param {Object} base - Valid base payload
+     * @param {Object} testCase - Case from generateCases
+     * @param {Object} options - { validStatus, invalidStatus, fields }
+     * @returns {Object} - Scenario
+     */
+    toScenario: function(base, testCase, options = {}) {
+        const input = this.clone(base);
+        if (testCase.missing) {
+            this.removePath(input, testCase.field);
+        } else {
+            this.setPath(input, testCase.field, this.clone(testCase.value));
+        }
+
+        const fieldConfig = (options.fields || {})[testCase.field] || {};
+        return {
+            description: testCase.description,
+            input,
+            expectedStatus: this.statusFor(testCase.expectedValid, { ...options, ...fieldConfig }),
+            expectedValid: testCase.expectedValid,
+            tags: [testCase.expectedValid ? '@positive' : '@negative', `@${testCase.kind}`]
+        };
+    },
+
+    /**
+     * Merge a combination row into the base payload
+     * @param {Object} base - Valid base payload
+     * @param {Object} row - Field name to value
+     * @param {number} index - Row number
+     * @param {Object} options - { validStatus, invalidStatus, expectedValid (default true) }
+     * @returns {Object} - Scenario
+     */
+    combinationScenario: function(base, row, index, options = {}) {
+        const input = this.clone(base);
+        Object.keys(row).forEach(field => this.setPath(input, field, this.clone(row[field])));
+        const expectedValid = options.expectedValid !== false;
+
+        return {
+            description: `Combination ${index + 1}: ${Object.keys(row).map(field => `${field}=${this.describe(row[field])}`).join(', ')}`,
+            input,
+            expectedStatus: this.statusFor(expectedValid, options),
+            expectedValid,
+            tags: [expectedValid ? '@positive' : '@negative', '@combination']
+        };
+    },
+
+    /**
+     * Distinct valid values per field, for combinations; the base payload's value comes first
+     * @param {Array} cases - Cases from generateCases
+     * @param {Object} base - Valid base payload (optional)
+     * @returns {Object} - Field name to values
+     */
+    validParameters: function(cases, base = {}) {
+        return cases.filter(c => c.expectedValid && !c.missing).reduce((parameters, c) => {
+            if (!parameters[c.field]) {
+                const baseValue = this.getPath(base, c.field);
+                parameters[c.field] = baseValue === undefined ? [] : [baseValue];
+            }
+            if (!parameters[c.field].some(value => this.sameValue(value, c.value))) {
+                parameters[c.field].push(c.value);
+            }
+            return parameters;
+        }, {});
+    },
+
+    /**
+     * expectedStatus for a validity verdict
+     * @param {boolean} expectedValid - Whether the payload should be accepted
+     * @param {Object} options - { validStatus, invalidStatus }
+     * @returns {number} - Status code
+     */
+    statusFor: function(expectedValid, options = {}) {
+        return expectedValid
+            ? (options.validStatus || this.defaultStatus.valid)
+            : (options.invalidStatus || this.defaultStatus.invalid);
+    },
+
+    // =============================================================================
+    // UTILITY FUNCTIONS
+    // =============================================================================
+
+    /**
+     * All index subsets of a given size, in lexicographic order
+     * @param {number} count - Number of fields
+     * @param {number} size - Subset size
+     * @returns {Array} - Arrays of field indexes
+     */
+    fieldSubsets: function(count, size) {
+        const subsets = [];
+        const build = (start, current) => {
+            if (current.length === size) {
+                subsets.push(current);
+                return;
+            }
+            for (let i = start; i < count; i++) build(i + 1, current.concat(i));
+        };
+        build(0, []);
+        return subsets;
+    },
+
+    /**
+     * Cartesian product of index ranges
+     * @param {Array} sizes - Number of values per position
+     * @returns {Array} - Arrays of indexes
+     */
+    product: function(sizes) {
+        return sizes.reduce((rows, size) => rows.reduce((acc, row) => {
+            for (let i = 0; i < size; i++) acc.push(row.concat(i));
+            return acc;
+        }, []), [[]]);
+    },
+
+    /**
+     * Stable key for a partial assignment
+     * @param {Object} assignment - Field index to value index
+     * @returns {string} - Key
+     */
+    tupleKey: function(assignment) {
+        return Object.keys(assignment).sort((a, b) => a - b).map(f => `${f}=${assignment[f]}`).join('|');
+    },
+
+    /**
+     * Convert an index assignment to a row of values
+     * @param {Array} fields - Field names
+     * @param {Object} parameters - Field name to values
+     * @param {Object} assignment - Field index to value index
+     * @returns {Object} - Row (unassigned fields omitted)
+     */
+    toRow: function(fields, parameters, assignment) {
+        return Object.keys(assignment).reduce((row, f) => {
+            row[fields[f]] = parameters[fields[f]][assignment[f]];
+            return row;
+        }, {});
+    },
+
+    /**
+     * Read a dot path
+     * @param {Object} obj - Object
+     * @param {string} path - Dot path
+     * @returns {*} - Value or undefined
+     */
+    getPath: function(obj, path) {
+        return path.split('.').reduce((node, key) => (node !== null && typeof node === 'object' ? node[key] : undefined), obj);
+    },
+
+    /**
+     * Write a dot path, creating objects along the way
+     * @param {Object} obj - Object to modify
+     * @param {string} path - Dot path
+     * @param {*} value - Value
+     */
+    setPath: function(obj, path, value) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const parent = keys.reduce((node, key) => {
+            if (node[key] === null || typeof node[key] !== 'object') node[key] = {};
+            return node[key];
+        }, obj);
+        parent[last] = value;
+    },
+
+    /**
+     * Delete a dot path
+     * @param {Object} obj - Object to modify
+     * @param {string} path - Dot path
+     */
+    removePath: function(obj, path) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const parent = this.getPath(obj, keys.join('.')) || (keys.length === 0 ? obj : null);
+        if (parent && typeof parent === 'object') {
+            delete parent[last];
+        }
+    },
+
+    /**
+     * Deep copy of a JSON value
+     * @param {*} value - Value
+     * @returns {*} - Copy
+     */
+    clone: function(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    },
+
+    /**
+     * JSON equality
+     * @param {*} a - First value
+     * @param {*} b - Second value
+     * @returns {boolean} - True if equal
+     */
+    sameValue: function(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    },
+
+    /**
+     * Avoid float noise from step arithmetic
+     * @param {number} value - Number
+     * @returns {number} - Rounded number
+     */
+    round: function(value) {
+        return Number(value.toFixed(10));
+    },
+
+    /**
+     * Short display form of a value
+     * @param {*} value - Value
+     * @returns {string} - Description
+     */
+    describe: function(value) {
+        const text = typeof value === 'string' ? `'${value}'` : JSON.stringify(value);
+        return text.length > 40 ? `${text.slice(0, 37)}...` : text;
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TestDesign;
+}
+
+// Usage Examples:
+/*
+// Boundaries, partitions, null/missing/wrong-type cases and pairwise combinations, all runnable
+const scenarios = TestDesign.generateScenarios({
+    base: { email: 'ada@example.com', age: 36, plan: 'pro', seats: 5, startDate: '2024-06-01', tags: ['beta'] },
+    fields: {
+        email: { type: 'string', required: true, minLength: 6, maxLength: 254, invalid: ['no-at-sign'] },
+        age: { type: 'integer', required: true, min: 18, max: 120 },
+        plan: { type: 'enum', values: ['free', 'pro', 'enterprise'], required: true },
+        seats: { type: 'integer', min: 1, max: 500, required: false },
+        startDate: { type: 'date', min: '2024-01-01', max: '2025-12-31' },
+        tags: { type: 'array', maxItems: 5, item: 'tag' }
+    },
+    constraints: ["plan == 'free' => seats <= 5"],
+    validStatus: 201,
+    invalidStatus: 422
+});
+DataDrivenTesting.setTestData(scenarios);
+
+// Three-way coverage over explicit values
+const rows = TestDesign.combinations({
+    browser: ['chrome', 'firefox', 'safari'],
+    os: ['windows', 'macos', 'linux'],
+    locale: ['en_US', 'de_DE'],
+    currency: ['USD', 'EUR']
+}, { strength: 3, constraints: ["browser == 'safari' => os == 'macos'"] });
+*/
@@ -114,16 +114,12 @@ const TestUtils = {
     // =============================================================================
 
     /**
-     * Generate random string
+     * Generate random string (seeded, see DataEngine)
      * @param {number} length - Length of string to generate
      * @returns {string} - Random string
      */
     generateRandomString: function(length = 10) {
-        const chars = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
-        return Array(length)
-            .fill('')
-            .map(() => chars[Math.floor(Math.random() * chars.length)])
-            .join('');
+        return this.getDataEngine().string(length);
     },
 
     /**
@@ -143,7 +139,7 @@ const TestUtils = {
      * @returns {number} - Random number
      */
     generateRandomNumber: function(min = 1, max = 100) {
-        return Math.floor(Math.random() * (max - min + 1)) + min;
+        return this.getDataEngine().int(min, max);
     },
 
     /**
@@ -151,11 +147,15 @@ const TestUtils = {
      * @returns {string} - UUID string
      */
     generateUUID: function() {
-        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-            const r = Math.random() * 16 | 0;
-            const v = c == 'x' ? r : (r & 0x3 | 0x8);
-            return v.toString(16);
-        });
+        return this.getDataEngine().uuid();
+    },
+
+    /**
+     * Resolve the DataEngine helper (sandbox global or Node module)
+     * @returns {Object} - DataEngine
+     */
+    getDataEngine: function() {
+        return typeof DataEngine !== 'undefined' ? DataEngine : require('./data-engine');
     },
 
     // =============================================================================
@@ -197,54 +197,48 @@ const TestUtils = {
     // =============================================================================
 
     /**
-     * Collect test metrics
+     * Collect test metrics for the current request (see ResultStore; source 'metrics')
      * @param {Object} additionalData - Additional metrics to collect
+     * @returns {Object} - Stored record
      */
     collectMetrics: function(additionalData = {}) {
-        const metrics = {
-            timestamp: new Date().toISOString(),
-            endpoint: pm.request.url.toString(),
-            method: pm.request.method,
-            responseTime: pm.response.responseTime,
-            status: pm.response.status,
-            responseSize: pm.response.size(),
-            ...additionalData
-        };
-
-        // Store metrics
-        let testMetrics = JSON.parse(this.getEnvVar("testMetrics", "[]"));
-        testMetrics.push(metrics);
-        
-        // Keep only last 100 entries
-        if (testMetrics.length > 100) {
-            testMetrics = testMetrics.slice(-100);
-        }
-        
-        this.setEnvVar("testMetrics", testMetrics);
+        return this.getResultStore().record({ source: 'metrics', data: additionalData });
     },
 
     /**
-     * Get performance summary
-     * @returns {Object} - Performance metrics summary
+     * Get performance summary (same statistics as PerformanceMonitor.calculateSummaryStats)
+     * @param {Object} filter - ResultStore query filter (default: this run)
+     * @param {Object} options - Statistics.summarize options, e.g. { percentiles: [50, 99] }
+     * @returns {Object} - Performance metrics summary with percentiles, standard deviation, breakdown per endpoint, method and status class,
+     *   and percentiles per timing phase (see RequestTimings)
      */
-    getPerformanceSummary: function() {
-        const metrics = JSON.parse(this.getEnvVar("testMetrics", "[]"));
+    getPerformanceSummary: function(filter = { runId: 'current' }, options = {}) {
+        const metrics = this.getResultStore().query({ ...filter, source: 'metrics' });
         
         if (metrics.length === 0) {
             return { message: "No metrics collected yet" };
         }
 
-        const responseTimes = metrics.map(m => m.responseTime);
-        const avgResponseTime = responseTimes.reduce((a, b) => a + b, 0) / responseTimes.length;
-        const maxResponseTime = Math.max(...responseTimes);
-        const minResponseTime = Math.min(...responseTimes);
+        const statistics = this.getStatistics();
+        const samples = metrics.map(m => ({
+            endpoint: m.request ? m.request.url || m.request.name : null,
+            method: m.request ? m.request.method : null,
+            status: m.status,
+            responseTime: m.responseTime,
+            timings: m.timings
+        }));
+        const latency = statistics.summarize(samples.map(sample => sample.responseTime), options);
 
         return {
             totalRequests: metrics.length,
-            avgResponseTime: Math.round(avgResponseTime),
-            maxResponseTime,
-            minResponseTime,
-            successRate: (metrics.filter(m => m.status < 400).length / metrics.length * 100).toFixed(2) + '%'
+            avgResponseTime: latency.mean,
+            stdDevResponseTime: latency.stdDev,
+            maxResponseTime: latency.max,
+            minResponseTime: latency.min,
+            percentiles: latency.percentiles,
+            successRate: (metrics.filter(m => m.status < 400).length / metrics.length * 100).toFixed(2) + '%',
+            breakdown: statistics.breakdown(samples, options),
+            phases: this.getRequestTimings().summarize(samples, options)
         };
     },
 
@@ -253,55 +247,54 @@ const TestUtils = {
     // =============================================================================
 
     /**
-     * Validate JSON schema
-     * @param {Object} schema - JSON schema object
+     * Validate JSON schema, reporting every violation with its JSON Pointer path
+     * @param {Object|string} schema - JSON schema object or registered schema name
      * @param {Object} data - Data to validate (optional, uses response if not provided)
+     * @param {Object} options - SchemaValidator.assertSchema options ({ mode: 'each' } for one test per violation)
+     * @returns {Object} - { valid, errors }
      */
-    validateSchema: function(schema, data = null) {
-        const responseData = data || pm.response.json();
-        
-        pm.test("Schema validation", () => {
-            pm.expect(responseData).to.have.jsonSchema(schema);
-        });
+    validateSchema: function(schema, data = null, options = {}) {
+        const responseData = data === null ? pm.response.json() : data;
+        return this.getSchemaValidator().assertSchema(schema, responseData, options);
     },
 
     /**
-     * Common schemas for reuse
+     * Common schemas for reuse (the SchemaValidator registry)
      */
-    schemas: {
-        user: {
-            type: "object",
-            properties: {
-                id: { type: "integer" },
-                name: { type: "string" },
-                email: { type: "string", format: "email" },
-                createdAt: { type: "string", format: "date-time" }
-            },
-            required: ["id", "name", "email"]
-        },
-
-        product: {
-            type: "object",
-            properties: {
-                id: { type: "integer" },
-                name: { type: "string" },
-                price: { type: "number", minimum: 0 },
-                category: { type: "string" },
-                inStock: { type: "boolean" }
-            },
-            required: ["id", "name", "price"]
-        },
-
-        apiResponse: {
-            type: "object",
-            properties: {
-                status: { type: "string" },
-                message: { type: "string" },
-                data: { type: "object" },
-                timestamp: { type: "string", format: "date-time" }
-            },
-            required: ["status"]
-        }
+    get schemas() {
+        return this.getSchemaValidator().registry;
+    },
+
+    /**
+     * Resolve the ResultStore helper (sandbox global or Node module)
+     * @returns {Object} - ResultStore
+     */
+    getResultStore: function() {
+        return typeof ResultStore !== 'undefined' ? ResultStore : require('./result-store');
+    },
+
+    /**
+     * Resolve the RequestTimings helper (sandbox global or Node module)
+     * @returns {Object} - RequestTimings
+     */
+    getRequestTimings: function() {
+        return typeof RequestTimings !== 'undefined' ? RequestTimings : require('./request-timings');
+    },
+
+    /**
+     * Resolve the Statistics helper (sandbox global or Node module)
+     * @returns {Object} - Statistics
+     */
+    getStatistics: function() {
+        return typeof Statistics !== 'undefined' ? Statistics : require('./statistics');
+    },
+
+    /**
+     * Resolve the SchemaValidator helper (sandbox global or Node module)
+     * @returns {Object} - SchemaValidator
+     */
+    getSchemaValidator: function() {
+        return typeof SchemaValidator !== 'undefined' ? SchemaValidator : require('./schema-validator');
     }
 };
 
@@ -328,6 +321,7 @@ pm.environment.set("testEmail", randomEmail);
 
 // Schema validation
 TestUtils.validateSchema(TestUtils.schemas.user);
+TestUtils.validateSchema('user', null, { mode: 'each' });
 
 // Collect metrics
 TestUtils.collectMetrics({ testName: "User Registration" });
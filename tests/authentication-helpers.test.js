@@ -0,0 +1,382 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const AuthHelpers = require('../authentication-helpers');
+const { runScript, result } = require('./sandbox');
+
+const base64url = value => Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+
+/**
+ * Sign a JWT with RSASSA-PSS (salt length equal to the digest, RFC 7518 §3.5)
+ */
+const signPss = (alg, privateKey, claims) => {
+    const input = `${base64url({ alg, typ: 'JWT' })}.${base64url(claims)}`;
+    const signature = crypto.sign(`sha${alg.slice(2)}`, Buffer.from(input), {
+        key: privateKey,
+        padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+        saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST
+    });
+    return `${input}.${signature.toString('base64url')}`;
+};
+
+const formParams = request => Object.fromEntries(request.body.urlencoded.map(p => [p.key, p.value]));
+
+const quietly = script => {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return script();
+    } finally {
+        console.log = log;
+    }
+};
+
+test('a JWT is extracted from the response, validated and decoded', async () => {
+    const exp = Math.floor(Date.now() / 1000) + 3600;
+    const token = `${base64url({ alg: 'HS256', typ: 'JWT' })}.${base64url({ sub: 'jane', exp })}.c2ln`;
+    let payload;
+    let expired;
+
+    const sandbox = await runScript({ response: { code: 200, body: { data: { token } } } }, () => quietly(() => {
+        AuthHelpers.extractAndStoreJWT('data.token');
+        AuthHelpers.validateJWTStructure();
+        AuthHelpers.validateJWTStructure('not-a-jwt');
+        payload = AuthHelpers.decodeJWTPayload();
+        expired = [AuthHelpers.isJWTExpired(), AuthHelpers.isJWTExpired(`${base64url({ alg: 'none' })}.${base64url({ exp: 1 })}.`)];
+    }));
+
+    assert.strictEqual(sandbox.pm.environment.get('authToken'), token);
+    assert.ok(sandbox.pm.environment.get('tokenTimestamp'));
+    assert.deepStrictEqual(sandbox.results.map(r => [r.name, r.passed]), [
+        ['Token extraction', true],
+        ['JWT token structure validation', true],
+        ['JWT token structure validation', false]
+    ]);
+    assert.deepStrictEqual(payload, { sub: 'jane', exp });
+    assert.deepStrictEqual(expired, [false, true]);
+});
+
+test('the authorization code and refresh grants store the returned tokens', async () => {
+    const sent = [];
+    const config = { clientId: 'app', clientSecret: 's3cret', redirectUri: 'https://app.example.com/cb', authorizationCode: 'code-1', tokenEndpoint: 'https://auth.example.com/token' };
+
+    const sandbox = await runScript({
+        transport: request => {
+            sent.push(formParams(request));
+            return Promise.resolve({ code: 200, body: { access_token: `token-${sent.length}`, refresh_token: `r${sent.length}`, expires_in: 60 } });
+        }
+    }, sandbox => {
+        AuthHelpers.handleOAuthCodeFlow(config);
+        return sandbox.drain().then(() => AuthHelpers.refreshOAuthToken(config));
+    });
+
+    assert.deepStrictEqual(sent.map(params => [params.grant_type, params.code || params.refresh_token]), [['authorization_code', 'code-1'], ['refresh_token', 'r1']]);
+    assert.deepStrictEqual(['accessToken', 'refreshToken', 'tokenType'].map(key => sandbox.pm.environment.get(key)), ['token-2', 'r2', 'Bearer']);
+    assert.ok(Date.parse(sandbox.pm.environment.get('tokenExpiry')) > Date.now());
+});
+
+test('API key, basic auth and session checks record one test each', async () => {
+    const sandbox = await runScript({
+        request: { url: 'https://api.example.com/me', method: 'GET', header: [{ key: 'X-API-Key', value: 'k-1' }] },
+        response: { code: 200, body: 'Welcome back' },
+        cookies: [{ name: 'JSESSIONID', value: 'abc' }, { name: 'theme', value: 'dark' }]
+    }, () => quietly(() => {
+        AuthHelpers.validateApiKeyAuth();
+        AuthHelpers.validateBasicAuth();
+        AuthHelpers.extractSessionCookies();
+        AuthHelpers.validateActiveSession();
+    }));
+
+    assert.deepStrictEqual(sandbox.summary().failures, []);
+    assert.strictEqual(sandbox.pm.environment.get('cookie_JSESSIONID'), 'abc');
+    assert.strictEqual(sandbox.pm.environment.has('cookie_theme'), false);
+    assert.strictEqual(AuthHelpers.generateBasicAuth('jane', 'pw'), `Basic ${Buffer.from('jane:pw').toString('base64')}`);
+    assert.strictEqual(AuthHelpers.getNestedProperty({ data: { user: { token: 't' } } }, 'data.user.token'), 't');
+    assert.strictEqual(AuthHelpers.getNestedProperty({ data: null }, 'data.user'), undefined);
+});
+
+test('token expiry drives needsTokenRefresh and clearAuthData removes the stored tokens', async () => {
+    const checks = [];
+    const lines = [];
+
+    const sandbox = await runScript({ environment: { accessToken: 't', tokenExpiry: new Date(Date.now() + 60000).toISOString() } }, () => {
+        checks.push(AuthHelpers.needsTokenRefresh());
+        pm.environment.set('tokenExpiry', new Date(Date.now() + 3600000).toISOString());
+        checks.push(AuthHelpers.needsTokenRefresh());
+
+        const log = console.log;
+        console.log = line => lines.push(line);
+        try {
+            AuthHelpers.logAuthStatus();
+            AuthHelpers.clearAuthData();
+        } finally {
+            console.log = log;
+        }
+        checks.push(AuthHelpers.needsTokenRefresh());
+    });
+
+    assert.deepStrictEqual(checks, [true, false, true]);
+    assert.ok(lines.includes('Token present: true'));
+    assert.ok(lines.includes('Needs refresh: false'));
+    assert.strictEqual(sandbox.pm.environment.has('accessToken'), false);
+});
+
+test('every grant authenticates the client with client_secret_post by default', async () => {
+    const sent = [];
+    const config = { tokenEndpoint: 'https://auth.example.com/token', clientId: 'app', clientSecret: 's3cret' };
+    const sandbox = await runScript({
+        transport: request => {
+            sent.push(request);
+            return Promise.resolve({ code: 200, body: { access_token: 'token', expires_in: 60 } });
+        }
+    }, () => {
+        AuthHelpers.clientCredentialsGrant(config);
+        AuthHelpers.passwordGrant({ ...config, username: 'jane', password: 'pw' });
+        AuthHelpers.clientCredentialsGrant({ ...config, clientAuthMethod: 'client_secret_basic' });
+    });
+
+    assert.deepStrictEqual(sandbox.summary().failures, []);
+    assert.strictEqual(sent.length, 3);
+    sent.slice(0, 2).forEach(request => {
+        assert.strictEqual(formParams(request).client_secret, 's3cret');
+        assert.strictEqual(request.headers.has('Authorization'), false);
+    });
+    assert.strictEqual(formParams(sent[2]).client_secret, undefined);
+    assert.strictEqual(sent[2].headers.get('Authorization'), `Basic ${Buffer.from('app:s3cret').toString('base64')}`);
+});
+
+test('device code polling keeps going without a stored expiry', async () => {
+    let polls = 0;
+    const sandbox = await runScript({
+        environment: { deviceCode: 'device-123', deviceCodeInterval: '0' },
+        transport: () => {
+            polls++;
+            return Promise.resolve(polls < 3
+                ? { code: 400, body: { error: 'authorization_pending' } }
+                : { code: 200, body: { access_token: 'device-token' } });
+        }
+    }, () => {
+        AuthHelpers.pollDeviceToken({ tokenEndpoint: 'https://auth.example.com/token', clientId: 'tv' });
+    });
+
+    assert.strictEqual(polls, 3);
+    assert.strictEqual(sandbox.pm.environment.get('accessToken'), 'device-token');
+    assert.strictEqual(sandbox.pm.environment.get('deviceCode'), undefined);
+});
+
+test('HS256 verification matches the RFC 7515 appendix A.1 example', () => {
+    const token = 'eyJ0eXAiOiJKV1QiLA0KICJhbGciOiJIUzI1NiJ9' +
+        '.eyJpc3MiOiJqb2UiLA0KICJleHAiOjEzMDA4MTkzODAsDQogImh0dHA6Ly9leGFtcGxlLmNvbS9pc19yb290Ijp0cnVlfQ' +
+        '.dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk';
+    const secret = Buffer.from('AyM1SysPpbyDfgZld3umj1qzKObwVMkoqQ-EstJQLr_T-1qS0gZH75aKtMN3Yj0iPS4hcgUuTwjAzZr1Z9CAow', 'base64url');
+
+    assert.strictEqual(AuthHelpers.checkJWTSignature(token, { secret: new Uint8Array(secret) }).valid, true);
+    assert.strictEqual(AuthHelpers.checkJWTSignature(token.slice(0, -2) + 'AA', { secret: new Uint8Array(secret) }).valid, false);
+});
+
+test('PS256, PS384 and PS512 tokens verify against the public key', async () => {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const publicPem = publicKey.export({ type: 'spki', format: 'pem' });
+    const tokens = ['PS256', 'PS384', 'PS512'].map(alg => signPss(alg, privateKey, { sub: alg }));
+
+    tokens.forEach(token => {
+        const result = AuthHelpers.checkJWTSignature(token, { publicKey: publicPem });
+        assert.strictEqual(result.valid, true, `${result.alg}: ${result.error}`);
+    });
+
+    const sandbox = await runScript({}, () => {
+        AuthHelpers.validateJWTSignature(tokens[2], { publicKey: publicPem, algorithms: ['PS512'] });
+        AuthHelpers.validateJWTSignature(tokens[1], { publicKey: publicPem, algorithms: ['PS512'] });
+    });
+    assert.deepStrictEqual(sandbox.summary().failures.map(f => f.error), ['Algorithm PS384 is not allowed (expected one of PS512)']);
+});
+
+test('ES256 verification matches the RFC 7515 appendix A.3 example', () => {
+    const token = 'eyJhbGciOiJFUzI1NiJ9' +
+        '.eyJpc3MiOiJqb2UiLA0KICJleHAiOjEzMDA4MTkzODAsDQogImh0dHA6Ly9leGFtcGxlLmNvbS9pc19yb290Ijp0cnVlfQ' +
+        '.DtEhU3ljbEg8L38VWAfUAqOyKAM6-Xx-F4GawxaepmXFCgfTjDxw5djxLa8ISlSApmWQxfKTUJqPP3-Kg6NU1Q';
+    const publicKey = { kty: 'EC', crv: 'P-256', x: 'f83OJ3D2xF1Bg8vub9tLe1gHMzV76e8Tus9uPHvRVEU', y: 'x_FEzRu9m36HLN_tue659LNpXW6pCyStikYjKIWI5a0' };
+
+    assert.deepStrictEqual(AuthHelpers.checkJWTSignature(token, { publicKey }), { valid: true, alg: 'ES256', kid: null, error: null });
+    assert.strictEqual(AuthHelpers.checkJWTSignature(token.replace('.eyJpc3MiOiJqb2U', '.eyJpc3MiOiJqb2V'), { publicKey }).error, 'Signature does not match');
+});
+
+test('RS256 tokens verify against a PEM key or the JWKS key named by kid', () => {
+    const pairs = ['old', 'new'].map(kid => ({ kid, ...crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }) }));
+    const jwks = { keys: pairs.map(pair => ({ ...pair.publicKey.export({ format: 'jwk' }), kid: pair.kid, use: 'sig', alg: 'RS256' })) };
+    const signRs256 = (header, claims, privateKey) => {
+        const input = `${base64url({ alg: 'RS256', typ: 'JWT', ...header })}.${base64url(claims)}`;
+        return `${input}.${crypto.sign('sha256', Buffer.from(input), privateKey).toString('base64url')}`;
+    };
+    const token = signRs256({ kid: 'new' }, { sub: 'jane' }, pairs[1].privateKey);
+
+    assert.strictEqual(AuthHelpers.checkJWTSignature(token, { publicKey: pairs[1].publicKey.export({ type: 'spki', format: 'pem' }) }).valid, true);
+    assert.deepStrictEqual(AuthHelpers.checkJWTSignature(token, { jwks }), { valid: true, alg: 'RS256', kid: 'new', error: null });
+    assert.strictEqual(AuthHelpers.checkJWTSignature(signRs256({ kid: 'old' }, { sub: 'jane' }, pairs[1].privateKey), { jwks }).error, 'Signature does not match');
+    assert.strictEqual(AuthHelpers.checkJWTSignature(signRs256({ kid: 'gone' }, {}, pairs[1].privateKey), { jwks }).error, 'No JWKS key matches kid gone for RS256');
+
+    assert.strictEqual(AuthHelpers.selectJWK(jwks, { alg: 'RS256', kid: 'old' }).kid, 'old');
+    assert.strictEqual(AuthHelpers.selectJWK(jwks, { alg: 'RS256' }), null, 'two candidates and no kid');
+    assert.strictEqual(AuthHelpers.selectJWK({ keys: [jwks.keys[0]] }, { alg: 'RS256' }).kid, 'old');
+    assert.strictEqual(AuthHelpers.selectJWK({ keys: [{ ...jwks.keys[0], use: 'enc' }] }, { alg: 'RS256', kid: 'old' }), null);
+    assert.strictEqual(AuthHelpers.selectJWK(jwks, { alg: 'RS384', kid: 'old' }), null);
+    assert.strictEqual(AuthHelpers.selectJWK(jwks, { alg: 'ES256', kid: 'old' }), null);
+});
+
+test('unsecured tokens and algorithms outside the key family are rejected', async () => {
+    const claims = base64url({ sub: 'jane' });
+    const hs256 = `${base64url({ alg: 'HS256' })}.${claims}.${crypto.createHmac('sha256', 'secret').update(`${base64url({ alg: 'HS256' })}.${claims}`).digest('base64url')}`;
+    const { publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const publicPem = publicKey.export({ type: 'spki', format: 'pem' });
+
+    assert.strictEqual(AuthHelpers.checkJWTSignature(`${base64url({ alg: 'none' })}.${claims}.`, { secret: 'secret' }).error, "Unsecured JWT (alg 'none') rejected");
+    assert.match(AuthHelpers.checkJWTSignature(hs256, { publicKey: publicPem }).error, /^Algorithm HS256 is not allowed \(expected one of RS256, /);
+    assert.strictEqual(AuthHelpers.checkJWTSignature(hs256, { secret: 'secret', algorithms: ['HS512'] }).error, 'Algorithm HS256 is not allowed (expected one of HS512)');
+    assert.strictEqual(AuthHelpers.checkJWTSignature(`${base64url({ alg: 'RS256' })}.${claims}.AAAA`, { secret: 'secret' }).error,
+        'Algorithm RS256 is not allowed (expected one of HS256, HS384, HS512)');
+    assert.strictEqual(AuthHelpers.checkJWTSignature(hs256, { secret: 'secret' }).valid, true);
+    assert.strictEqual(AuthHelpers.checkJWTSignature('not-a-jwt', { secret: 'secret' }).error, 'Token is not a well-formed JWS');
+
+    const sandbox = await runScript({}, () => {
+        AuthHelpers.validateJWTSignature(`${base64url({ alg: 'none' })}.${claims}.`, { secret: 'secret' });
+    });
+    assert.deepStrictEqual(sandbox.results.map(r => [r.name, r.passed]), [
+        ["JWT is signed (alg is not 'none')", false],
+        ['JWT signature is valid (none)', false]
+    ]);
+});
+
+test('claims are asserted one test each, with clock tolerance on exp, nbf and iat', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const unsigned = payload => `${base64url({ alg: 'RS256', typ: 'JWT' })}.${base64url(payload)}.sig`;
+    const token = unsigned({ iss: 'https://auth.example.com/', aud: ['api', 'admin'], sub: 'user-42', exp: now - 10, nbf: now + 10, iat: now - 100, scope: 'read write' });
+    let tolerant;
+    let strict;
+
+    const sandbox = await runScript({}, () => {
+        tolerant = AuthHelpers.assertJWTClaims(token, {
+            iss: 'https://auth.example.com/',
+            aud: ['api', 'admin'],
+            sub: /^user-\d+$/,
+            alg: ['RS256', 'ES256'],
+            clockToleranceSeconds: 30,
+            maxAgeSeconds: 120,
+            requiredClaims: ['scope'],
+            claims: { scope: value => value.split(' ').includes('read') }
+        });
+        strict = AuthHelpers.assertJWTClaims(token, { aud: 'billing', requiredClaims: ['tenant'], maxAgeSeconds: 60 });
+    });
+
+    assert.strictEqual(tolerant, true);
+    assert.strictEqual(strict, false);
+    assert.deepStrictEqual(sandbox.results.filter(r => !r.passed).map(r => r.name), [
+        'JWT claim aud includes billing',
+        'JWT is not expired (exp)',
+        'JWT is active (nbf)',
+        'JWT is at most 60s old',
+        'JWT has claim tenant'
+    ]);
+    assert.strictEqual(result(sandbox, 'JWT header alg is RS256 or ES256').passed, true);
+    assert.strictEqual(result(sandbox, 'JWT claim sub matches /^user-\\d+$/').passed, true);
+
+    const missingExp = await runScript({}, () => {
+        AuthHelpers.assertJWTClaims(unsigned({ sub: 'x' }), {});
+        AuthHelpers.assertJWTClaims(unsigned({ sub: 'x' }), { requireExp: false });
+    });
+    assert.deepStrictEqual(missingExp.results.map(r => [r.name, r.passed]), [['JWT is not expired (exp)', false]]);
+});
+
+const lifecycle = {
+    tokenEndpoint: 'https://auth.example.com/token',
+    clientId: 'app',
+    login: { url: 'https://api.example.com/login', method: 'POST', tokenPath: 'data.token' }
+};
+
+const runLifecycle = (environment, respond, script) => {
+    const sent = [];
+    return runScript({
+        environment,
+        request: { url: 'https://api.example.com/orders', method: 'GET' },
+        transport: request => {
+            sent.push(request);
+            return Promise.resolve(respond(request, sent.length));
+        }
+    }, script).then(sandbox => ({ sandbox, sent }));
+};
+
+const past = () => new Date(Date.now() - 1000).toISOString();
+
+test('a fresh token is used without a request', async () => {
+    let outcome;
+    const { sandbox, sent } = await runLifecycle({ accessToken: 'opaque', tokenExpiry: new Date(Date.now() + 3600000).toISOString() }, () => null, () =>
+        AuthHelpers.ensureValidToken(lifecycle).then(value => { outcome = value; }));
+
+    assert.deepStrictEqual(sent, []);
+    assert.deepStrictEqual(outcome, { token: 'opaque', refreshed: false, error: null });
+    assert.strictEqual(sandbox.pm.request.headers.get('Authorization'), 'Bearer opaque');
+});
+
+test('an expired token is refreshed, and a refresh without expires_in clears the old expiry', async () => {
+    const outcomes = [];
+    const { sandbox, sent } = await runLifecycle({ accessToken: 'old', tokenExpiry: past(), refreshToken: 'r1' },
+        () => ({ code: 200, body: { access_token: 'new', refresh_token: 'r2' } }),
+        () => AuthHelpers.ensureValidToken(lifecycle)
+            .then(value => outcomes.push(value))
+            .then(() => AuthHelpers.ensureValidToken(lifecycle))
+            .then(value => outcomes.push(value)));
+
+    assert.strictEqual(sent.length, 1);
+    assert.deepStrictEqual([formParams(sent[0]).grant_type, formParams(sent[0]).refresh_token], ['refresh_token', 'r1']);
+    assert.deepStrictEqual(outcomes.map(o => [o.token, o.refreshed]), [['new', true], ['new', false]]);
+    assert.strictEqual(sandbox.pm.environment.get('refreshToken'), 'r2');
+    assert.strictEqual(sandbox.pm.environment.get('tokenExpiry'), undefined);
+    assert.strictEqual(sandbox.pm.request.headers.get('Authorization'), 'Bearer new');
+});
+
+test('a failed refresh falls back to logging in again', async () => {
+    let outcome;
+    const { sandbox, sent } = await runLifecycle({ accessToken: 'old', tokenExpiry: past(), refreshToken: 'revoked' },
+        request => request.url.toString().endsWith('/token')
+            ? { code: 400, body: { error: 'invalid_grant' } }
+            : { code: 200, body: { data: { token: 'login-token' }, expires_in: 600 } },
+        () => AuthHelpers.ensureValidToken(lifecycle).then(value => { outcome = value; }));
+
+    assert.deepStrictEqual(sent.map(request => request.url.toString()), [lifecycle.tokenEndpoint, lifecycle.login.url]);
+    assert.deepStrictEqual([outcome.token, outcome.refreshed], ['login-token', true]);
+    assert.ok(Date.parse(sandbox.pm.environment.get('tokenExpiry')) > Date.now() + 500000);
+});
+
+test('concurrent callers share one token request', async () => {
+    let tokens;
+    const { sent } = await runLifecycle({ refreshToken: 'r1' }, () => ({ code: 200, body: { access_token: 'shared', expires_in: 60 } }), () =>
+        Promise.all([AuthHelpers.ensureValidToken(lifecycle), AuthHelpers.ensureValidToken(lifecycle)]).then(values => {
+            tokens = values.map(value => value.token);
+        }));
+
+    assert.strictEqual(sent.length, 1);
+    assert.deepStrictEqual(tokens, ['shared', 'shared']);
+});
+
+test('a JWT expiring within the refresh window is replaced', async () => {
+    const jwt = `${base64url({ alg: 'HS256' })}.${base64url({ exp: Math.floor(Date.now() / 1000) + 120 })}.sig`;
+    const respond = () => ({ code: 200, body: { access_token: 'replacement', expires_in: 600 } });
+
+    const relaxed = await runLifecycle({ accessToken: jwt, refreshToken: 'r1' }, respond, () =>
+        AuthHelpers.ensureValidToken({ ...lifecycle, refreshSkewSeconds: 60 }));
+    assert.strictEqual(relaxed.sent.length, 0);
+
+    const strict = await runLifecycle({ accessToken: jwt, refreshToken: 'r1' }, respond, () => AuthHelpers.ensureValidToken(lifecycle));
+    assert.strictEqual(strict.sent.length, 1);
+    assert.strictEqual(strict.sandbox.pm.environment.get('accessToken'), 'replacement');
+});
+
+test('a failure test is recorded when refresh and login both fail', async () => {
+    let outcome;
+    const { sandbox } = await runLifecycle({ accessToken: 'old', tokenExpiry: past(), refreshToken: 'revoked' },
+        request => request.url.toString().endsWith('/token') ? { code: 400, body: { error: 'invalid_grant' } } : { code: 500 },
+        () => AuthHelpers.ensureValidToken(lifecycle).then(value => { outcome = value; }));
+
+    assert.deepStrictEqual([outcome.token, outcome.error.message], [null, 'Login returned HTTP 500']);
+    assert.strictEqual(result(sandbox, 'Access token is available').error, 'Could not obtain a valid access token: Login returned HTTP 500');
+    assert.strictEqual(sandbox.pm.request.headers.has('Authorization'), false);
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const CleanupRegistry = require('../cleanup-registry');
+const { runScript } = require('./sandbox');
+
+const environment = { base_url: 'https://api.example.com', authToken: 'token-at-registration' };
+
+test('delete requests keep their placeholders until teardown', async () => {
+    const sent = [];
+    let stored;
+    let report;
+
+    await runScript({
+        environment,
+        transport: request => {
+            sent.push(request);
+            return Promise.resolve({ code: 204 });
+        }
+    }, () => {
+        CleanupRegistry.defineResource('order', { url: '{{base_url}}/orders/{{id}}', method: 'DELETE', header: { Authorization: 'Bearer {{authToken}}' } });
+        CleanupRegistry.register('order', 'o-1');
+        stored = pm.environment.get(CleanupRegistry.storageKey);
+
+        pm.environment.set('authToken', 'token-at-teardown');
+        return CleanupRegistry.teardown().then(r => { report = r; });
+    });
+
+    assert.doesNotMatch(stored, /token-at-registration/);
+    assert.match(stored, /\{\{authToken\}\}/);
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(sent[0].url.toString(), 'https://api.example.com/orders/o-1');
+    assert.strictEqual(sent[0].headers.get('Authorization'), 'Bearer token-at-teardown');
+    assert.strictEqual(report.deleted, 1);
+});
+
+test('teardown deletes in reverse order and keeps failed entries registered', async () => {
+    const sent = [];
+    let remaining;
+    let report;
+
+    await runScript({
+        environment,
+        transport: request => {
+            const url = request.url.toString();
+            sent.push(url);
+            return Promise.resolve({ code: url.endsWith('/2') ? 404 : url.endsWith('/3') ? 403 : 200 });
+        }
+    }, () => {
+        [1, 2, 3].forEach(id => CleanupRegistry.register('user', id));
+        return CleanupRegistry.teardown({ retry: false }).then(r => {
+            report = r;
+            remaining = CleanupRegistry.list().map(entry => entry.key);
+        });
+    });
+
+    assert.deepStrictEqual(sent, ['https://api.example.com/users/3', 'https://api.example.com/users/2', 'https://api.example.com/users/1']);
+    assert.deepStrictEqual([report.deleted, report.alreadyGone, report.failed], [1, 1, 1]);
+    assert.deepStrictEqual(remaining, ['user:3']);
+});
+
+test('registerFromResponse takes the ID from the body or the Location header', async () => {
+    let entries;
+
+    await runScript({ environment, response: { code: 201, body: { id: 'u-7' } } }, () => {
+        CleanupRegistry.registerFromResponse(pm.response, { type: 'user' });
+        const created = { code: 201, headers: { get: name => name === 'Location' ? '/products/p-9/' : undefined } };
+        CleanupRegistry.registerFromResponse(created, { type: 'product', idPath: 'header:Location', scope: 'Catalog' });
+        CleanupRegistry.registerFromResponse({ code: 400 }, { type: 'product' });
+        entries = CleanupRegistry.list();
+    });
+
+    assert.deepStrictEqual(entries.map(entry => [entry.key, entry.scope, entry.request.url]), [
+        ['user:u-7', 'run', '{{base_url}}/users/u-7'],
+        ['product:p-9', 'Catalog', '{{base_url}}/products/p-9']
+    ]);
+});
+
+test('sweep deletes only items matching the prefix or tag', async () => {
+    const deleted = [];
+    let report;
+
+    await runScript({
+        environment,
+        transport: request => {
+            if (request.method === 'GET') {
+                return Promise.resolve({ code: 200, body: { data: [
+                    { id: 1, name: 'qa-one', tags: [] },
+                    { id: 2, name: 'real', tags: ['e2e'] },
+                    { id: 3, name: 'real', tags: [] }
+                ] } });
+            }
+            deleted.push(request.url.toString());
+            return Promise.resolve({ code: 204 });
+        }
+    }, () => CleanupRegistry.sweep({
+        type: 'product',
+        listRequest: { url: 'https://api.example.com/products', method: 'GET' },
+        namePrefix: 'qa-',
+        tag: 'e2e'
+    }).then(r => { report = r; }));
+
+    assert.deepStrictEqual(deleted, ['https://api.example.com/products/1', 'https://api.example.com/products/2']);
+    assert.strictEqual(report.deleted, 2);
+    await assert.rejects(CleanupRegistry.sweep({ type: 'product' }), /namePrefix or tag/);
+});
@@ -0,0 +1,230 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const CollectionRunner = require('../collection-runner');
+
+const script = (listen, ...exec) => ({ listen, script: { exec } });
+
+const request = (name, url, extra = {}) => ({ name, request: { url, method: 'GET', ...extra.request }, event: extra.event || [] });
+
+const runCollection = (collection, options = {}, respond = () => ({ code: 200, body: {} })) => {
+    const sent = [];
+    return CollectionRunner.run({
+        teardown: false,
+        ...options,
+        collection: { info: { name: 'Test' }, ...collection },
+        transport: req => {
+            sent.push(req);
+            return Promise.resolve(respond(req, sent.length));
+        }
+    }).then(summary => ({ summary, sent }));
+};
+
+test('scripts run outermost first and variables resolve from every scope', async () => {
+    const { summary, sent } = await runCollection({
+        auth: { type: 'bearer', bearer: [{ key: 'token', value: '{{token}}' }] },
+        variable: [{ key: 'version', value: 'v2' }],
+        event: [script('prerequest', "pm.variables.set('order', ['collection']);")],
+        item: [{
+            name: 'Orders',
+            event: [script('prerequest', "pm.variables.set('order', pm.variables.get('order').concat('folder'));")],
+            item: [request('Get order', '{{base_url}}/{{version}}/orders/:id?user={{user}}', {
+                request: { url: { raw: '{{base_url}}/{{version}}/orders/:id?user={{user}}', variable: [{ key: 'id', value: '42' }] } },
+                event: [
+                    script('prerequest', "pm.environment.set('order', pm.variables.get('order').concat('item').join(','));"),
+                    script('test', "pm.test('status is 200', () => pm.response.to.have.status(200));", "pm.test('always fails', () => pm.expect(1).to.equal(2));")
+                ]
+            })]
+        }]
+    }, {
+        environment: { values: [{ key: 'base_url', value: 'https://api.example.com' }, { key: 'token', value: 'secret' }] },
+        iterationData: [{ user: 'ada' }, { user: 'alan' }]
+    });
+
+    assert.deepStrictEqual(sent.map(req => req.url.toString()), [
+        'https://api.example.com/v2/orders/42?user=ada',
+        'https://api.example.com/v2/orders/42?user=alan'
+    ]);
+    assert.strictEqual(sent[0].headers.get('Authorization'), 'Bearer secret');
+    assert.strictEqual(summary.environment.get('order'), 'collection,folder,item');
+    assert.deepStrictEqual(summary.assertions, { total: 4, passed: 2, failed: 2, skipped: 0 });
+    assert.deepStrictEqual(summary.failures.map(f => [f.request, f.iteration, f.test]), [
+        ['Orders / Get order', 0, 'always fails'],
+        ['Orders / Get order', 1, 'always fails']
+    ]);
+});
+
+test('setNextRequest jumps between requests and null ends the iteration', async () => {
+    const { sent } = await runCollection({
+        item: [
+            request('Login', 'https://api.example.com/login', { event: [script('test', "postman.setNextRequest('Logout');")] }),
+            request('Skipped', 'https://api.example.com/skipped'),
+            request('Logout', 'https://api.example.com/logout', { event: [script('test', 'postman.setNextRequest(null);')] }),
+            request('Never', 'https://api.example.com/never')
+        ]
+    });
+
+    assert.deepStrictEqual(sent.map(req => req.url.toString()), ['https://api.example.com/login', 'https://api.example.com/logout']);
+});
+
+test('folder selection and bail limit what is sent', async () => {
+    const collection = {
+        item: [
+            { name: 'Users', item: [request('List users', 'https://api.example.com/users')] },
+            {
+                name: 'Orders',
+                item: [
+                    request('List orders', 'https://api.example.com/orders', { event: [script('test', "pm.test('fails', () => { throw new Error('boom'); });")] }),
+                    request('Get order', 'https://api.example.com/orders/1')
+                ]
+            }
+        ]
+    };
+
+    const folder = await runCollection(collection, { folders: ['Users'] });
+    assert.deepStrictEqual(folder.sent.map(req => req.url.toString()), ['https://api.example.com/users']);
+
+    const bailed = await runCollection(collection, { folders: ['Orders'], bail: true, iterationCount: 2 });
+    assert.strictEqual(bailed.sent.length, 1);
+    assert.strictEqual(bailed.summary.failures[0].error, 'boom');
+
+    await assert.rejects(runCollection(collection, { folders: ['Missing'] }), /No requests found in folder\(s\): Missing/);
+});
+
+test('helpers are preloaded and transport errors are reported as failures', async () => {
+    const { summary } = await runCollection({
+        item: [
+            request('Helpers', 'https://api.example.com/a', {
+                event: [script('test', "pm.test('helpers loaded', () => pm.expect(ResponseExpectations.statusMatches('2xx', pm.response.code)).to.equal(true));")]
+            }),
+            request('Offline', 'https://api.example.com/offline')
+        ]
+    }, {}, req => {
+        if (req.url.toString().endsWith('/offline')) throw new Error('ECONNREFUSED');
+        return { code: 204 };
+    });
+
+    assert.deepStrictEqual(summary.assertions, { total: 1, passed: 1, failed: 0, skipped: 0 });
+    assert.deepStrictEqual(summary.failures.map(f => [f.request, f.error]), [['Offline', 'ECONNREFUSED']]);
+});
+
+test('request scripts can hash and generate PKCE pairs with the preloaded crypto helpers', async () => {
+    const { summary } = await runCollection({
+        item: [request('Crypto', 'https://api.example.com/crypto', {
+            event: [script('prerequest',
+                "pm.environment.set('digest', CryptoUtils.hash('sha256', 'abc'));",
+                "const pkce = AuthHelpers.generatePKCE();",
+                "pm.environment.set('verifier', pkce.codeVerifier);",
+                "pm.environment.set('challenge', pkce.codeChallenge);"
+            )]
+        })]
+    });
+
+    assert.deepStrictEqual(summary.failures, []);
+    assert.strictEqual(summary.environment.get('digest'), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    assert.strictEqual(summary.environment.get('challenge'),
+        crypto.createHash('sha256').update(summary.environment.get('verifier')).digest('base64url'));
+});
+
+test('request scripts verify HS256 JWTs', async () => {
+    const sign = claims => {
+        const input = `${Buffer.from('{"alg":"HS256","typ":"JWT"}').toString('base64url')}.${Buffer.from(JSON.stringify(claims)).toString('base64url')}`;
+        return `${input}.${crypto.createHmac('sha256', 'shared-secret').update(input).digest('base64url')}`;
+    };
+    const { summary } = await runCollection({
+        item: [request('JWT', 'https://api.example.com/me', {
+            event: [script('test',
+                "AuthHelpers.validateJWTSignature(pm.environment.get('valid'), { secret: 'shared-secret' });",
+                "pm.environment.set('tampered', String(AuthHelpers.checkJWTSignature(pm.environment.get('tampered'), { secret: 'shared-secret' }).valid));"
+            )]
+        })]
+    }, {
+        environment: { values: [{ key: 'valid', value: sign({ sub: 'jane' }) }, { key: 'tampered', value: sign({ sub: 'jane' }).replace(/\.[^.]+\./, `.${Buffer.from('{"sub":"root"}').toString('base64url')}.`) }] }
+    });
+
+    assert.deepStrictEqual(summary.assertions, { total: 2, passed: 2, failed: 0, skipped: 0 });
+    assert.strictEqual(summary.environment.get('tampered'), 'false');
+});
+
+test('request scripts sign requests with AWS SigV4 and HMAC', async () => {
+    const { summary, sent } = await runCollection({
+        item: [
+            request('AWS', 'https://example.amazonaws.com/', {
+                event: [script('prerequest', "RequestSigning.signAwsV4({ service: 'service', date: new Date('2015-08-30T12:36:00Z') });")]
+            }),
+            request('HMAC', 'https://api.example.com/orders', {
+                event: [script('prerequest', "RequestSigning.signHmac({ keyId: 'key-1', secret: 'hmac-secret' });")]
+            })
+        ]
+    }, {
+        environment: { values: [
+            { key: 'awsAccessKeyId', value: 'AKIDEXAMPLE' },
+            { key: 'awsSecretAccessKey', value: 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY' },
+            { key: 'awsRegion', value: 'us-east-1' }
+        ] }
+    });
+
+    assert.deepStrictEqual(summary.failures, []);
+    assert.match(sent[0].headers.get('Authorization'), /SignedHeaders=host;x-amz-date, Signature=5fa00fa31553b73ebf1942676e86291e8372ff2a2260956d9b8aae1d763fbf31$/);
+    assert.match(sent[1].headers.get('Authorization'), /key-1/);
+});
+
+test('--results stores one record per request under the run ID', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'collection-runner-'));
+    try {
+        const file = path.join(dir, 'results.jsonl');
+        const { summary } = await runCollection({
+            item: [request('One', 'https://api.example.com/1'), request('Two', 'https://api.example.com/2', {
+                event: [script('test', "pm.test('status is 200', () => pm.response.to.have.status(200));")]
+            })]
+        }, { results: file, runId: 'run-test' }, (req, count) => ({ code: count === 1 ? 200 : 500, responseTime: 5 }));
+
+        const records = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        assert.strictEqual(summary.results, file);
+        assert.deepStrictEqual(records.map(r => [r.runId, r.source, r.request.name, r.status, r.success]), [
+            ['run-test', 'request', 'One', 200, true],
+            ['run-test', 'request', 'Two', 500, false]
+        ]);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('command-line arguments map to run options', () => {
+    const options = CollectionRunner.parseArgs(['c.json', '-e', 'env.json', '--folder', 'A', '--folder', 'B', '-n', '3', '--bail', '--no-teardown']);
+
+    assert.deepStrictEqual(options, {
+        collection: 'c.json',
+        environment: 'env.json',
+        folders: ['A', 'B'],
+        iterationCount: 3,
+        bail: true,
+        teardown: false
+    });
+    assert.throws(() => CollectionRunner.parseArgs(['c.json', '--iteration-data']), /Missing value for --iteration-data/);
+    assert.throws(() => CollectionRunner.parseArgs(['--nope']), /Unknown option --nope/);
+});
+
+test('the request line omits the response time when the response has none', () => {
+    const lines = [];
+    const log = console.log;
+    const execution = response => ({ request: { method: 'GET', url: 'https://api.example.com/ping' }, response, results: [] });
+
+    console.log = line => lines.push(line);
+    try {
+        CollectionRunner.printExecution(execution({ code: 200, responseTime: 12 }));
+        CollectionRunner.printExecution(execution({ code: 204 }));
+        CollectionRunner.printExecution(execution(null));
+    } finally {
+        console.log = log;
+    }
+
+    assert.deepStrictEqual(lines, [
+        '  GET https://api.example.com/ping [200, 12ms]',
+        '  GET https://api.example.com/ping [204]',
+        '  GET https://api.example.com/ping [no response]'
+    ]);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const CredentialVault = require('../credential-vault');
+const { runScript } = require('./sandbox');
+
+test('buildHeaders merges Postman header lists by name', () => {
+    const headers = CredentialVault.buildHeaders('admin', { accessToken: 'abc' }, [
+        { key: 'Accept', value: 'application/json' },
+        { key: 'authorization', value: 'Bearer stale' },
+        { key: 'X-Debug', value: '1', disabled: true }
+    ]);
+
+    assert.deepStrictEqual(headers, { Accept: 'application/json', Authorization: 'Bearer abc' });
+    assert.deepStrictEqual(CredentialVault.toHeaderMap('Accept: text/plain\nX-Trace: a:b'), { 'Accept': 'text/plain', 'X-Trace': 'a:b' });
+});
+
+test('authorizationMatrix sends each role with its own credentials and the request headers', async () => {
+    const sent = [];
+    const sandbox = await runScript({
+        transport: request => {
+            sent.push(request);
+            return Promise.resolve({ code: request.headers.has('Authorization') ? 204 : 401 });
+        }
+    }, () => {
+        CredentialVault.defineProfiles({
+            admin: { type: 'static', token: 'admin-token' },
+            anonymous: { type: 'anonymous' }
+        });
+        return CredentialVault.authorizationMatrix({
+            request: {
+                url: 'https://api.example.com/users/42',
+                method: 'DELETE',
+                header: [{ key: 'Accept', value: 'application/json' }]
+            },
+            expectations: { admin: 204, anonymous: 401 }
+        });
+    });
+
+    assert.deepStrictEqual(sandbox.summary().failures, []);
+    assert.strictEqual(sent.length, 2);
+    assert.strictEqual(sent[0].headers.get('Authorization'), 'Bearer admin-token');
+    sent.forEach(request => {
+        assert.strictEqual(request.headers.get('Accept'), 'application/json');
+        assert.strictEqual(request.headers.has('0'), false);
+    });
+});
+
+test('profile secrets stay out of the environment', async () => {
+    const bodies = [];
+    const sandbox = await runScript({
+        environment: { admin_password: 's3cret' },
+        transport: request => {
+            bodies.push(request.bodyToString());
+            return Promise.resolve({ code: 200, body: { access_token: `token-${bodies.length}` } });
+        }
+    }, () => {
+        CredentialVault.defineProfiles({
+            admin: {
+                type: 'password',
+                config: { tokenEndpoint: 'https://auth.example.com/token', clientId: 'qa', clientSecret: 'literal-secret', username: 'admin', password: '{{admin_password}}' }
+            },
+            readonly: { type: 'static', token: 'readonly-token' }
+        });
+        return Promise.all([CredentialVault.login('admin'), CredentialVault.login('readonly')]);
+    });
+
+    const stored = sandbox.pm.environment.get('credentialProfileDefinitions');
+    assert.doesNotMatch(stored, /literal-secret|s3cret|readonly-token/);
+    assert.deepStrictEqual(JSON.parse(stored).admin.config.password, '{{admin_password}}');
+    assert.match(bodies[0], /client_secret=literal-secret/);
+    assert.match(bodies[0], /password=s3cret/);
+});
+
+test('a profile whose literal secrets were defined in another script cannot log in', async () => {
+    const sandbox = await runScript({
+        environment: {
+            credentialProfileDefinitions: JSON.stringify({ auditor: { type: 'static', secretFields: ['token'] } })
+        }
+    }, () => CredentialVault.useProfile('auditor'));
+
+    assert.match(sandbox.summary().failures[0].error, /Secrets for profile auditor \(token\) are not defined in this script/);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const CryptoUtils = require('../crypto-utils');
+
+// FIPS 180-2 and RFC 4231 test case 2
+const vectors = {
+    sha256: 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad',
+    hmac: '5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843'
+};
+
+[
+    ['Node crypto', () => {}],
+    ['CryptoJS', t => t.mock.method(CryptoUtils, 'getNodeCrypto', () => null)]
+].forEach(([backend, setup]) => {
+    test(`${backend}: hash and HMAC match the published vectors`, t => {
+        setup(t);
+        assert.strictEqual(CryptoUtils.hash('sha256', 'abc'), vectors.sha256);
+        assert.strictEqual(CryptoUtils.hmac('sha256', 'Jefe', 'what do ya want for nothing?'), vectors.hmac);
+        assert.strictEqual(
+            CryptoUtils.hash('sha256', 'abc', 'base64url'),
+            Buffer.from(vectors.sha256, 'hex').toString('base64url')
+        );
+    });
+
+    test(`${backend}: random bytes have the requested length`, t => {
+        setup(t);
+        assert.strictEqual(CryptoUtils.randomBytes(24).length, 24);
+    });
+});
+
+test('base64url round-trips bytes and text', () => {
+    const bytes = new Uint8Array([251, 255, 0, 62, 63]);
+    const encoded = CryptoUtils.base64UrlEncode(bytes);
+    assert.doesNotMatch(encoded, /[+/=]/);
+    assert.deepStrictEqual(Array.from(CryptoUtils.base64ToBytes(encoded)), Array.from(bytes));
+    assert.strictEqual(CryptoUtils.base64UrlDecode(CryptoUtils.base64UrlEncode('héllo?')), 'héllo?');
+});
+
+test('safeDecode percent-decodes and keeps malformed sequences as they are', () => {
+    assert.strictEqual(CryptoUtils.safeDecode('a%2Fb%20c'), 'a/b c');
+    assert.strictEqual(CryptoUtils.safeDecode('100%'), '100%');
+    assert.strictEqual(CryptoUtils.safeDecode('%E0%A4%A'), '%E0%A4%A');
+});
+
+test('timingSafeEqual compares strings', () => {
+    assert.strictEqual(CryptoUtils.timingSafeEqual('secret', 'secret'), true);
+    assert.strictEqual(CryptoUtils.timingSafeEqual('secret', 'secreT'), false);
+    assert.strictEqual(CryptoUtils.timingSafeEqual('secret', 'secrets'), false);
+});
@@ -0,0 +1,220 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DataDrivenTesting = require('../data-drive-testing');
+const CleanupRegistry = require('../cleanup-registry');
+const RetryPolicy = require('../retry-policy');
+const ResultStore = require('../result-store');
+const { runScript, result } = require('./sandbox');
+
+const scenarios = count => Array.from({ length: count }, (_, i) => ({
+    description: `Scenario ${i + 1}`,
+    input: { id: i + 1 },
+    expectedStatus: 200
+}));
+
+const requestConfig = { url: 'https://api.example.com/users', method: 'POST', body: { mode: 'raw' } };
+
+test('stored scenarios are walked one at a time and the index can be reset', async () => {
+    const walked = [];
+
+    const sandbox = await runScript({ collectionVariables: { fromLoader: JSON.stringify(scenarios(1)) } }, () => {
+        assert.deepStrictEqual(DataDrivenTesting.loadTestData(), []);
+        DataDrivenTesting.setTestData(scenarios(3));
+
+        walked.push(DataDrivenTesting.getCurrentScenario());
+        walked.push(DataDrivenTesting.nextScenario());
+        walked.push(DataDrivenTesting.nextScenario());
+        walked.push(DataDrivenTesting.nextScenario());
+        assert.strictEqual(DataDrivenTesting.getCurrentScenarioIndex(), 2);
+
+        DataDrivenTesting.setCurrentScenarioIndex(5);
+        assert.strictEqual(DataDrivenTesting.getCurrentScenario(), null);
+        DataDrivenTesting.resetScenarioIndex();
+        assert.strictEqual(DataDrivenTesting.getCurrentScenario().description, 'Scenario 1');
+
+        assert.strictEqual(DataDrivenTesting.loadTestData('fromLoader').length, 1);
+        pm.environment.set('broken', '{not json');
+        assert.deepStrictEqual(DataDrivenTesting.loadTestData('broken'), []);
+    });
+
+    assert.deepStrictEqual(walked.map(scenario => scenario && scenario.description), ['Scenario 1', 'Scenario 2', 'Scenario 3', null]);
+    assert.strictEqual(sandbox.pm.environment.get('currentScenarioIndex'), '0');
+});
+
+test('generated registration and product scenarios are seeded and carry the cleanup prefix', async () => {
+    const generate = () => runScript({ collectionVariables: { testDataPrefix: 'run42_' } }, sandbox => {
+        DataDrivenTesting.getDataEngine().setSeed('fixed');
+        sandbox.users = DataDrivenTesting.generateUserRegistrationData(3);
+        sandbox.products = DataDrivenTesting.generateProductData(4);
+    });
+
+    const first = await generate();
+    const second = await generate();
+
+    assert.deepStrictEqual(first.users, second.users);
+    assert.deepStrictEqual(first.products, second.products);
+    assert.strictEqual(first.users.length, 3);
+    first.users.forEach((user, i) => {
+        assert.match(user.input.email, new RegExp(`^run42_[a-z]+\\.[a-z]+${i}@(example\\.com|test\\.org|demo\\.net)$`));
+        assert.ok(user.input.age >= 18 && user.input.age <= 67);
+        assert.deepStrictEqual([user.expectedStatus, user.cleanup], [201, { type: 'user' }]);
+    });
+    assert.strictEqual(first.products.length, 4);
+    first.products.forEach((product, i) => {
+        assert.match(product.input.name, new RegExp(`^run42_\\w+ ${i + 1}$`));
+        assert.ok(product.input.price >= 10 && product.input.price <= 1009);
+        assert.strictEqual(typeof product.input.inStock, 'boolean');
+    });
+});
+
+test('a scenario resolves placeholders, retries transient failures and registers what it created', async () => {
+    const sent = [];
+    const validated = [];
+    let outcome;
+    let entries;
+    let history;
+    let summary;
+
+    const sandbox = await runScript({
+        environment: { base_url: 'https://api.example.com', tenant: 'acme' },
+        transport: request => {
+            sent.push(request.body.raw);
+            return Promise.resolve(sent.length === 1 ? { code: 503 } : { code: 201, body: { id: 'u-1' } });
+        }
+    }, () => DataDrivenTesting.executeDataDrivenTest({
+        scenario: { description: 'Create user', input: { tenant: '{{tenant}}' }, expectedStatus: 201, cleanup: { type: 'user' } },
+        requestConfig: { ...requestConfig, url: '{{base_url}}/users' },
+        retry: { maxAttempts: 2, initialDelay: 0, jitter: 'none', retryOnStatus: [503], retryNonIdempotent: true },
+        validationFunction: (scenario, response) => validated.push([scenario.input.tenant, response.code])
+    }).then(o => {
+        outcome = o;
+        entries = CleanupRegistry.load();
+        history = RetryPolicy.loadHistory();
+        summary = DataDrivenTesting.getTestResultsSummary();
+    }));
+
+    assert.deepStrictEqual(sent, ['{"tenant":"acme"}', '{"tenant":"acme"}']);
+    assert.deepStrictEqual(validated, [['acme', 201]]);
+    assert.deepStrictEqual([outcome.status, outcome.attempts, outcome.passed, outcome.flaky, outcome.error], [201, 2, true, true, null]);
+    assert.strictEqual(sandbox.summary().failures.length, 0);
+    assert.deepStrictEqual(entries.map(entry => [entry.key, entry.request.url]), [['user:u-1', '{{base_url}}/users/u-1']]);
+    assert.deepStrictEqual(history['Create user'].history, ['retry-pass']);
+    assert.deepStrictEqual([summary.totalTests, summary.passedTests, summary.retriedTests], [1, 1, 1]);
+});
+
+test('a request error fails the scenario unless it is quarantined', async () => {
+    const outcomes = [];
+
+    const sandbox = await runScript({}, () => {
+        const scenario = { description: 'Flaky search', expectedStatus: 200 };
+        const outcome = { error: new Error('ECONNRESET'), attempts: [{}] };
+
+        outcomes.push(DataDrivenTesting.completeScenario(scenario, outcome));
+        RetryPolicy.quarantineScenario('Flaky search');
+        outcomes.push(DataDrivenTesting.completeScenario(scenario, outcome));
+        outcomes.push(DataDrivenTesting.getTestResultsSummary());
+    });
+
+    assert.deepStrictEqual(outcomes.slice(0, 2).map(o => [o.passed, o.quarantined, o.error]), [
+        [false, false, 'Request error: ECONNRESET'],
+        [false, true, 'Request error: ECONNRESET']
+    ]);
+    assert.strictEqual(result(sandbox, 'Flaky search - Request failed').passed, false);
+    assert.strictEqual(result(sandbox, 'Flaky search - Request failed (quarantined)').skipped, true);
+    assert.deepStrictEqual([outcomes[2].failedTests, outcomes[2].quarantinedTests], [1, 1]);
+    assert.deepStrictEqual(outcomes[2].quarantinedScenarios, [{ scenario: 'Flaky search', error: 'Request error: ECONNRESET' }]);
+});
+
+test('scenarios with steps run as workflows and store the last step', async () => {
+    let outcome;
+
+    await runScript({ transport: () => Promise.resolve({ code: 202 }) }, () => DataDrivenTesting.executeDataDrivenTest({
+        scenario: {
+            description: 'Checkout',
+            steps: [
+                { name: 'Create order', request: { url: 'https://api.example.com/orders', method: 'POST' }, expectedStatus: 202 },
+                { name: 'Pay', request: { url: 'https://api.example.com/orders/1/pay', method: 'POST' }, expectedStatus: 200 }
+            ]
+        }
+    }).then(() => {
+        outcome = ResultStore.query({ source: 'scenario' });
+    }));
+
+    assert.deepStrictEqual(outcome.map(r => [r.scenario, r.status, r.success]), [['Checkout', 202, false]]);
+    assert.match(outcome[0].error, /^Step "Pay": /);
+});
+
+test('request options come from the scenario input or a builder function', () => {
+    const scenario = { description: 'Create', input: { name: 'Widget' } };
+
+    assert.deepStrictEqual(DataDrivenTesting.buildScenarioRequest(scenario, requestConfig), {
+        ...requestConfig,
+        body: { mode: 'raw', raw: '{"name":"Widget"}' }
+    });
+    assert.deepStrictEqual(DataDrivenTesting.buildScenarioRequest(scenario, s => ({ url: `/items/${s.input.name}` })), { url: '/items/Widget' });
+});
+
+test('all stored scenarios run concurrently or one per collection iteration', async () => {
+    const sent = [];
+    let concurrent;
+    let empty;
+
+    const sandbox = await runScript({
+        environment: { testData: JSON.stringify(scenarios(3)) },
+        info: { requestName: 'Create user' },
+        transport: request => {
+            sent.push(JSON.parse(request.body.raw).id);
+            return Promise.resolve({ code: 200 });
+        }
+    }, () => {
+        DataDrivenTesting.runAllScenarios({ requestConfig, storeResults: false });
+        return Promise.all([
+            DataDrivenTesting.runAllScenariosConcurrently({ requestConfig, concurrency: 2, storeResults: false }).then(r => { concurrent = r; }),
+            DataDrivenTesting.runAllScenariosConcurrently({ dataKey: 'missing' }).then(r => { empty = r; })
+        ]);
+    });
+
+    assert.deepStrictEqual(sent.sort(), [1, 1, 2, 3]);
+    assert.deepStrictEqual([concurrent.passed, concurrent.failed], [3, 0]);
+    assert.deepStrictEqual(empty, { results: [], passed: 0, failed: 0, duration: 0 });
+    assert.strictEqual(sandbox.nextRequest, 'Create user');
+    assert.strictEqual(sandbox.pm.environment.get('currentScenarioIndex'), '1');
+});
+
+test('stored results are summarized and cleared with the scenario index', async () => {
+    let summary;
+    let cleared;
+
+    const sandbox = await runScript({ environment: { currentScenarioIndex: '2' } }, () => {
+        const stored = DataDrivenTesting.storeTestResult({ description: 'Wrong status', expectedStatus: 201 }, { code: 200, responseTime: 40 });
+        assert.strictEqual(stored.error, 'Expected 201, got 200');
+        DataDrivenTesting.storeTestResult({ description: 'Created', expectedStatus: [200, 201] }, { code: 201, responseTime: 60 }, { attempts: [{}, {}] });
+        DataDrivenTesting.storeTestResult({ description: 'Expectations', expectedStatus: 200 }, { code: 200, responseTime: 80 }, { passed: false });
+        summary = DataDrivenTesting.getTestResultsSummary();
+
+        DataDrivenTesting.clearTestResults();
+        cleared = DataDrivenTesting.getTestResultsSummary();
+    });
+
+    assert.deepStrictEqual([summary.totalTests, summary.passedTests, summary.failedTests, summary.retriedTests], [3, 1, 2, 1]);
+    assert.deepStrictEqual([summary.successRate, summary.avgResponseTime], ['33.33%', 60]);
+    assert.deepStrictEqual(summary.failedScenarios, [
+        { scenario: 'Wrong status', error: 'Expected 201, got 200' },
+        { scenario: 'Expectations', error: 'Response expectations failed' }
+    ]);
+    assert.deepStrictEqual(cleared, { message: 'No test results available' });
+    assert.strictEqual(sandbox.pm.environment.has('currentScenarioIndex'), false);
+});
+
+test('boundary tests are cases by default and scenarios when a base payload is given', () => {
+    const fields = { age: { type: 'integer', min: 18, max: 65 } };
+    const cases = DataDrivenTesting.generateBoundaryTests(fields);
+    const generated = DataDrivenTesting.generateBoundaryTests(fields, { base: { name: 'Jane', age: 30 }, validStatus: 201 });
+
+    assert.ok(cases.some(c => c.field === 'age' && c.value === 17 && c.expectedValid === false));
+    assert.ok(cases.some(c => c.field === 'age' && c.value === 65 && c.expectedValid === true));
+    assert.strictEqual(generated.length, cases.length);
+    const lower = generated.find(s => s.input.age === 18);
+    assert.deepStrictEqual([lower.input.name, lower.expectedStatus], ['Jane', 201]);
+    assert.strictEqual(generated.find(s => s.input.age === 66).expectedStatus, 400);
+});
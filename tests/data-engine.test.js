@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DataEngine = require('../data-engine');
+const PmSandbox = require('../pm-sandbox');
+const { runScript } = require('./sandbox');
+
+const info = { requestId: 'req-1', requestName: 'Create user', eventName: 'prerequest', iteration: 0 };
+const draw = sandbox => { sandbox.values = [DataEngine.int(0, 1e9), DataEngine.email(), DataEngine.uuid()]; };
+
+test('the same seed replays the same values in a fresh environment', async () => {
+    const first = await runScript({ environment: { dataSeed: 'replay' }, info }, draw);
+    const second = await runScript({ environment: { dataSeed: 'replay' }, info }, draw);
+
+    assert.deepStrictEqual(first.values, second.values);
+    assert.notDeepStrictEqual(first.values, (await runScript({ environment: { dataSeed: 'other' }, info }, draw)).values);
+});
+
+test('executing the same script again continues with new values', async () => {
+    const environment = PmSandbox.createVariableScope({ dataSeed: 'loop' }, 'environment');
+    const passes = [];
+    for (let i = 0; i < 3; i++) {
+        passes.push((await runScript({ environment, info }, draw)).values);
+    }
+
+    assert.notDeepStrictEqual(passes[0], passes[1]);
+    assert.notDeepStrictEqual(passes[1], passes[2]);
+
+    const fresh = await runScript({ environment: { dataSeed: 'loop' }, info }, draw);
+    assert.deepStrictEqual(fresh.values, passes[0]);
+
+    const replayed = await runScript({ environment, info }, sandbox => {
+        DataEngine.setSeed('loop');
+        draw(sandbox);
+    });
+    assert.deepStrictEqual(replayed.values, passes[0]);
+});
+
+test('a new iteration starts its own pass count', async () => {
+    const environment = PmSandbox.createVariableScope({ dataSeed: 'iter' }, 'environment');
+    await runScript({ environment, info }, draw);
+    await runScript({ environment, info: { ...info, iteration: 1 } }, draw);
+
+    assert.deepStrictEqual(JSON.parse(environment.get('dataSeedPasses')).iteration, 1);
+    assert.strictEqual(Object.keys(JSON.parse(environment.get('dataSeedPasses')).passes).length, 1);
+});
+
+test('default date ranges end at the reference date, not at the current time', async () => {
+    const schema = { type: 'object', required: ['at', 'on'], properties: { at: { type: 'string', format: 'date-time' }, on: { type: 'string', format: 'date' } } };
+    const generate = () => runScript({ environment: { dataSeed: 'dates' }, info }, sandbox => {
+        sandbox.values = [DataEngine.dateTime(), DataEngine.isoDate(), DataEngine.fromSchema(schema)];
+    });
+    const now = Date.now;
+    let today;
+    let nextYear;
+
+    try {
+        Date.now = () => Date.parse('2030-06-01T00:00:00Z');
+        today = await generate();
+        Date.now = () => Date.parse('2031-06-01T00:00:00Z');
+        nextYear = await generate();
+    } finally {
+        Date.now = now;
+    }
+
+    assert.deepStrictEqual(today.values, nextYear.values);
+    assert.ok(today.values[0] <= '2024-01-01T00:00:00Z' && today.values[0] >= '2023-01-01T00:00:00Z', today.values[0]);
+
+    const moved = await runScript({ environment: { dataSeed: 'dates', dataReferenceDate: '2030-01-01' }, info }, sandbox => {
+        sandbox.values = [DataEngine.dateTime(), DataEngine.fromSchema(schema, { referenceDate: '2010-01-01' }).on];
+    });
+    assert.match(moved.values[0], /^2029-/);
+    assert.match(moved.values[1], /^2009-/);
+});
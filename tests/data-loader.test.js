@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DataLoader = require('../data-loader');
+const { runScript } = require('./sandbox');
+
+const csv = [
+    'description;tags;input.email;input.age:number;input.address.city;expectedStatus:number;expectedResponse.status',
+    'Valid adult;@smoke;ada@example.com;36;London;201;success',
+    'Missing email;@negative @slow;;"17";Paris;400;error'
+].join('\n');
+
+test('CSV rows become typed scenarios with nested input', () => {
+    const [valid, missing] = DataLoader.load(csv, { name: 'users.csv' });
+
+    assert.deepStrictEqual(valid, {
+        description: 'Valid adult',
+        input: { email: 'ada@example.com', age: 36, address: { city: 'London' } },
+        expectedStatus: 201,
+        expectedResponse: { status: 'success' },
+        tags: ['@smoke']
+    });
+    assert.strictEqual('email' in missing.input, false);
+    assert.strictEqual(missing.input.age, 17);
+    assert.throws(() => DataLoader.load('age:number\nold'), /row 2, column age: "old" is not a number/);
+});
+
+test('JSON and NDJSON rows share the CSV column paths', () => {
+    const json = DataLoader.load(JSON.stringify({ scenarios: [{ description: 'A', 'input.id': 1, expectedStatus: '200' }] }));
+    const ndjson = DataLoader.load('{"description":"A","input.id":1,"expectedStatus":200}\n{"description":"B","name":"x"}');
+
+    assert.deepStrictEqual(json[0].input, { id: 1 });
+    assert.strictEqual(json[0].expectedStatus, 200);
+    assert.deepStrictEqual(ndjson.map(scenario => scenario.input), [{ id: 1 }, { name: 'x' }]);
+});
+
+test('tag expressions filter scenarios', () => {
+    const scenarios = DataLoader.load(csv);
+
+    assert.deepStrictEqual(DataLoader.filterByTags(scenarios, '@negative and not @slow'), []);
+    assert.strictEqual(DataLoader.filterByTags(scenarios, '@smoke or (@negative and @slow)').length, 2);
+    assert.strictEqual(DataLoader.filterByTags(scenarios, ['slow']).length, 1);
+    assert.throws(() => DataLoader.filterByTags(scenarios, '@smoke and'), /unexpected end/);
+});
+
+test('templates keep the type of whole-placeholder values', () => {
+    const resolved = DataLoader.resolveTemplates(
+        { input: { id: '{{userId}}', path: '/users/{{userId}}', token: '{{missing}}' } },
+        { userId: 42 }
+    );
+
+    assert.deepStrictEqual(resolved.input, { id: 42, path: '/users/42', token: '{{missing}}' });
+});
+
+test('column paths cannot reach the prototype chain', () => {
+    ['input.__proto__.isAdmin:boolean', 'constructor.prototype.isAdmin:boolean'].forEach(header => {
+        assert.throws(() => DataLoader.load(`${header}\ntrue`), /reserved name/);
+    });
+    assert.throws(() => DataLoader.load('[{"input": {}, "input.__proto__.isAdmin": true}]'), /reserved name/);
+    assert.strictEqual({}.isAdmin, undefined);
+});
+
+test('loadFromUrl reports errors once and does not catch callback errors', async () => {
+    const calls = [];
+
+    const sandbox = await runScript({
+        transport: request => Promise.resolve({ code: 200, body: request.url.toString().includes('bad') ? 'input.__proto__.x\n1' : csv })
+    }, () => {
+        DataLoader.loadFromUrl('https://data.example.com/bad.csv', {}, error => calls.push(['bad', error && error.message]));
+        DataLoader.loadFromUrl('https://data.example.com/users.csv?raw=1', { dataKey: 'users' }, (error, scenarios) => {
+            calls.push(['users', error, scenarios.length]);
+            throw new Error('assertion in callback');
+        });
+    });
+
+    assert.deepStrictEqual(calls, [
+        ['bad', 'Failed to load iteration data from https://data.example.com/bad.csv: Column "input.__proto__.x" uses the reserved name "__proto__"'],
+        ['users', null, 2]
+    ]);
+    assert.deepStrictEqual(sandbox.errors.map(error => error.message), ['assertion in callback']);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const http = require('node:http');
+const os = require('node:os');
+const path = require('node:path');
+const HtmlReport = require('../html-report');
+const CollectionRunner = require('../collection-runner');
+
+const execution = (name, startedAt, response, extra = {}) => ({
+    path: name,
+    iteration: 0,
+    request: { method: 'GET', url: `https://api.example.com/${name}` },
+    startedAt,
+    response,
+    results: [],
+    errors: [],
+    ...extra
+});
+
+const summary = (executions, extra = {}) => ({
+    runId: 'run-1',
+    requests: executions.length,
+    assertions: { total: 0, passed: 0, failed: 0, skipped: 0 },
+    failures: [],
+    results: null,
+    teardown: null,
+    slo: null,
+    executions,
+    ...extra
+});
+
+test('the waterfall places phases on a shared timeline', () => {
+    const html = HtmlReport.render(summary([
+        execution('first', 1000, { code: 200, responseTime: 100, timings: { wait: 0, dns: 10, tcp: 10, tls: 30, ttfb: 40, download: 10, total: 100 } }),
+        execution('second', 1100, { code: 200, responseTime: 100 })
+    ]));
+
+    assert.match(html, /<span class="badge pass">PASSED<\/span>/);
+    assert.match(html, /left:5%;width:5%;background:#f57900/, 'tcp of the first request');
+    assert.match(html, /left:50%;width:50%;background:#888a85/, 'untimed second request as one bar');
+    assert.match(html, /title="dns 10ms, tcp 10ms, tls 30ms, ttfb 40ms, download 10ms"/);
+    assert.match(html, /<h2>Timing phases \(ms\)<\/h2>.*<td><span class="swatch"[^>]*><\/span>ttfb<\/td><td>40<\/td>/);
+    assert.match(html, /\(200ms\)/);
+});
+
+test('failures, SLOs and errors are shown and every value is escaped', () => {
+    const html = HtmlReport.render(summary([
+        execution('<script>', 1000, null, { errors: [new Error('ECONNREFUSED')] })
+    ], {
+        failures: [{ request: '<script>', iteration: 0, test: 'a & b', error: 'expected "x"' }],
+        slo: { verdict: 'fail', slos: [{ name: 'orders', verdict: 'fail', explanation: '98% < 99%' }] }
+    }), { title: 'Nightly <run>' });
+
+    assert.match(html, /<title>Nightly &lt;run&gt;<\/title>/);
+    assert.match(html, /<span class="badge fail">FAILED<\/span>/);
+    assert.match(html, /<strong>&lt;script&gt;<\/strong> \(iteration 1\)<br>a &amp; b: expected &quot;x&quot;/);
+    assert.match(html, /<td class="fail">fail<\/td><td>98% &lt; 99%<\/td>/);
+    assert.match(html, /<tr class="failed"><td>&lt;script&gt;<\/td><td>GET<\/td><td>error<\/td>/);
+    assert.ok(!html.includes('<script>'));
+    assert.ok(!html.includes('Timing phases'));
+});
+
+test('the runner writes the report with the phases of real requests', async () => {
+    const server = http.createServer((req, res) => res.end('{}'));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'html-report-'));
+
+    try {
+        const report = path.join(dir, 'report.html');
+        await CollectionRunner.run({
+            collection: { info: { name: 'Report' }, item: [{ name: 'Ping', request: { url: `http://127.0.0.1:${server.address().port}/ping`, method: 'GET' } }] },
+            teardown: false,
+            runId: 'run-report',
+            report
+        });
+
+        const html = fs.readFileSync(report, 'utf8');
+        assert.match(html, /<title>Run run-report<\/title>/);
+        assert.match(html, /<td>Ping<\/td><td>GET<\/td><td>200<\/td>/);
+        assert.match(html, /title="[^"]*ttfb [\d.]+ms/);
+    } finally {
+        server.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,185 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const LoadEngine = require('../load-engine');
+const ResultStore = require('../result-store');
+const { runScript, result } = require('./sandbox');
+
+/**
+ * Start a local HTTP stub
+ * @param {Function} handler - Function(url, hit) returning { status, delay }
+ * @returns {Promise<Object>} - { url, hits: [{ path, vu, iteration, at }], maxConcurrent, close() }
+ */
+function startStub(handler) {
+    const stub = { hits: [], concurrent: 0, maxConcurrent: 0 };
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://stub');
+        const hit = { path: url.pathname, vu: Number(url.searchParams.get('vu')), iteration: Number(url.searchParams.get('iteration')), at: Date.now() };
+        const { status = 200, delay = 0 } = handler(url, hit) || {};
+        stub.hits.push(hit);
+        stub.concurrent++;
+        stub.maxConcurrent = Math.max(stub.maxConcurrent, stub.concurrent);
+        setTimeout(() => {
+            stub.concurrent--;
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ ok: status < 400 }));
+        }, delay);
+    });
+
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+        stub.url = `http://127.0.0.1:${server.address().port}`;
+        stub.close = () => new Promise(done => server.close(done));
+        resolve(stub);
+    }));
+}
+
+/**
+ * Virtual clock for LoadEngine.run: time jumps to the next sleep once every pending promise has settled,
+ * so schedules play out exactly however busy the machine is
+ * @returns {Object} - { now(), sleep(ms), run(promise) }
+ */
+function virtualClock() {
+    const timers = [];
+    let time = Date.parse('2024-05-01T12:00:00Z');
+
+    return {
+        now: () => time,
+        sleep: ms => ms > 0 ? new Promise(resolve => timers.push({ at: time + ms, resolve })) : Promise.resolve(),
+        run: promise => {
+            let settled = false;
+            promise.then(() => { settled = true; }, () => { settled = true; });
+            const step = () => new Promise(resolve => setImmediate(resolve)).then(() => {
+                if (settled || timers.length === 0) return promise;
+                timers.sort((a, b) => a.at - b.at);
+                const timer = timers.shift();
+                time = timer.at;
+                timer.resolve();
+                return step();
+            });
+            return step();
+        }
+    };
+}
+
+/**
+ * Stub sender on a virtual clock
+ * @param {Object} clock - virtualClock()
+ * @param {Function} handler - Function(url) returning { status, delay }
+ * @returns {Object} - { send(request), hits: [{ path, vu, iteration, at }], maxConcurrent }
+ */
+function virtualStub(clock, handler) {
+    const stub = { hits: [], concurrent: 0, maxConcurrent: 0 };
+    stub.send = request => {
+        const url = new URL(request.url);
+        const { status = 200, delay = 0 } = handler(url) || {};
+        stub.hits.push({ path: url.pathname, vu: Number(url.searchParams.get('vu')), iteration: Number(url.searchParams.get('iteration')), at: clock.now() });
+        stub.concurrent++;
+        stub.maxConcurrent = Math.max(stub.maxConcurrent, stub.concurrent);
+        return clock.sleep(delay).then(() => {
+            stub.concurrent--;
+            return { code: status };
+        });
+    };
+    return stub;
+}
+
+const load = (config, clock = null) => {
+    let report;
+    return runScript({}, () => {
+        const run = LoadEngine.run({ flushInterval: 100, assert: false, ...config, ...(clock ? { clock } : {}) });
+        return (clock ? clock.run(run) : run).then(r => { report = r; });
+    }).then(sandbox => ({ sandbox, report }));
+};
+
+test('closed model ramps virtual users up one after another', async () => {
+    const clock = virtualClock();
+    const stub = virtualStub(clock, () => ({ delay: 10 }));
+    const { report } = await load({
+        request: ({ vu, iteration }) => ({ url: `https://api.example.com/items?vu=${vu}&iteration=${iteration}`, method: 'GET' }),
+        send: stub.send,
+        maxUsers: 4,
+        rampUp: 0.4,
+        duration: 0.3,
+        thinkTime: 50
+    }, clock);
+
+    const hits = vu => stub.hits.filter(hit => hit.vu === vu);
+    assert.deepStrictEqual([0, 1, 2, 3].map(vu => hits(vu)[0].at - stub.hits[0].at), [0, 100, 200, 300]);
+    assert.deepStrictEqual([0, 1, 2, 3].map(vu => hits(vu).length), [12, 10, 9, 7]);
+    assert.ok(stub.maxConcurrent <= 4);
+    assert.strictEqual(report.completed, stub.hits.length);
+    assert.strictEqual(report.dropped, 0);
+    assert.deepStrictEqual([report.responseTime.min, report.responseTime.max], [10, 10]);
+});
+
+test('open model drops arrivals beyond maxInFlight', async () => {
+    const clock = virtualClock();
+    const start = clock.now();
+    const stub = virtualStub(clock, () => ({ delay: 300 }));
+    const { report } = await load({
+        mode: 'open',
+        request: { url: 'https://api.example.com/slow', method: 'GET' },
+        send: stub.send,
+        rate: 40,
+        rampUp: 0,
+        duration: 0.5,
+        maxInFlight: 2
+    }, clock);
+
+    // Two arrivals per 50ms tick up to 450ms and one at 500ms, where the rate falls to zero;
+    // only the pairs at 50ms and 350ms find a free slot
+    assert.strictEqual(stub.maxConcurrent, 2);
+    assert.deepStrictEqual(stub.hits.map(hit => hit.at - start), [50, 50, 350, 350]);
+    assert.deepStrictEqual([report.requests, report.completed, report.dropped], [19, 4, 15]);
+});
+
+test('the report counts errors and throughput, and stores every sample', async () => {
+    const stub = await startStub(url => ({ status: url.pathname === '/fail' ? 500 : 200 }));
+    try {
+        const { sandbox, report } = await load({
+            name: 'mixed',
+            request: ({ iteration }) => ({ url: `${stub.url}/${iteration % 2 ? 'fail' : 'ok'}`, method: 'GET' }),
+            maxUsers: 2,
+            rampUp: 0,
+            duration: 0.5,
+            thinkTime: 20,
+            thresholds: { minimum: 1, target: 1000 },
+            assert: true
+        });
+
+        const failures = stub.hits.filter(hit => hit.path === '/fail').length;
+        assert.strictEqual(report.completed, stub.hits.length);
+        assert.strictEqual(report.errors, failures);
+        assert.strictEqual(report.errorRate, Math.round(failures / report.completed * 10000) / 100);
+        assert.ok(Math.abs(report.throughput.overall - report.completed / report.duration) <= report.throughput.overall * 0.15);
+        assert.strictEqual(report.throughput.verdict, 'below-target');
+        assert.strictEqual(report.timeline.reduce((sum, second) => sum + second.errors, 0), failures);
+        assert.strictEqual(result(sandbox, 'mixed - Throughput at least 1 req/s').passed, true);
+
+        sandbox.install();
+        try {
+            assert.strictEqual(ResultStore.query({ tag: 'load:mixed' }).length, report.completed);
+        } finally {
+            sandbox.uninstall();
+        }
+    } finally {
+        await stub.close();
+    }
+});
+
+test('a throwing request builder becomes a failed sample in both models', async () => {
+    for (const mode of ['closed', 'open']) {
+        const { report } = await load({
+            mode,
+            request: () => { throw new Error('no request'); },
+            maxUsers: 1,
+            rate: 20,
+            rampUp: 0,
+            duration: 0.2,
+            thinkTime: 50
+        });
+
+        assert.ok(report.completed > 0);
+        assert.strictEqual(report.errors, report.completed);
+    }
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const OpenApiContract = require('../openapi-contract');
+const { runScript, result } = require('./sandbox');
+
+const spec = {
+    openapi: '3.0.3',
+    servers: [{ url: 'https://api.example.com/v1' }],
+    paths: {
+        '/pets/{petId}': {
+            get: {
+                responses: {
+                    200: {
+                        description: 'A pet',
+                        headers: { 'X-Rate-Limit': { schema: { type: 'integer' } } },
+                        content: { 'application/json': { schema: { $ref: '#/components/schemas/Pet' } } }
+                    },
+                    404: { description: 'Not found' }
+                }
+            },
+            delete: { responses: { 204: { description: 'Deleted' } } }
+        },
+        '/pets/mine': {
+            get: { responses: { 200: { description: 'Mine', content: { 'application/json': { schema: { type: 'array' } } } } } }
+        }
+    },
+    components: {
+        schemas: {
+            Pet: {
+                type: 'object',
+                required: ['id', 'kind'],
+                properties: { id: { type: 'integer' }, kind: { type: 'string' }, secret: { type: 'string', writeOnly: true } },
+                discriminator: { propertyName: 'kind', mapping: { dog: 'Dog' } },
+                oneOf: [
+                    { $ref: '#/components/schemas/Dog' },
+                    { type: 'object', required: ['meows'], properties: { kind: { enum: ['cat'] }, meows: { type: 'boolean' } } }
+                ]
+            },
+            Dog: { type: 'object', required: ['barks'], properties: { barks: { type: 'boolean' }, owner: { type: 'string', nullable: true } } }
+        }
+    }
+};
+
+const validate = (url, response, options = {}) => {
+    let outcome;
+    return runScript({
+        request: { url, method: options.method || 'GET' },
+        response: { code: 200, headers: { 'Content-Type': 'application/json', 'X-Rate-Limit': '100' }, ...response }
+    }, () => {
+        OpenApiContract.setSpec(spec);
+        outcome = OpenApiContract.validateResponse(options);
+        return outcome;
+    }).then(sandbox => ({ sandbox, outcome }));
+};
+
+test('the request is matched to its operation, preferring literal paths', async () => {
+    const { outcome } = await validate('https://api.example.com/v1/pets/mine', { body: [] });
+    assert.strictEqual(outcome.operation.key, 'GET /pets/mine');
+    assert.strictEqual(outcome.valid, true);
+
+    const found = OpenApiContract.findOperation(spec, 'DELETE', 'https://api.example.com/v1/pets/42?x=1');
+    assert.strictEqual(found.key, 'DELETE /pets/{petId}');
+    assert.deepStrictEqual(found.pathParams, { petId: '42' });
+    assert.strictEqual(OpenApiContract.findOperation(spec, 'GET', 'https://api.example.com/v2/pets/42'), null);
+});
+
+test('a discriminator selects the mapped or implicit branch, including inline ones', async () => {
+    const dog = await validate('https://api.example.com/v1/pets/1', { body: { id: 1, kind: 'dog', barks: true, owner: null } });
+    assert.deepStrictEqual(dog.sandbox.summary().failures, []);
+
+    const cat = await validate('https://api.example.com/v1/pets/2', { body: { id: 2, kind: 'cat', meows: true } });
+    assert.deepStrictEqual(cat.sandbox.summary().failures, []);
+
+    const badCat = await validate('https://api.example.com/v1/pets/3', { body: { id: 3, kind: 'cat', meows: 'loudly' } });
+    assert.strictEqual(badCat.outcome.valid, false);
+    assert.match(result(badCat.sandbox, 'Contract: GET /pets/{petId} body matches schema').error, /\/meows/);
+
+    const unknown = await validate('https://api.example.com/v1/pets/4', { body: { id: 4, kind: 'fish' } });
+    assert.match(result(unknown.sandbox, 'Contract: GET /pets/{petId} body matches schema').error, /\/kind/);
+});
+
+test('a discriminated branch without a value keeps every branch in play', () => {
+    const pet = {
+        discriminator: { propertyName: 'kind' },
+        oneOf: [{ $ref: '#/components/schemas/Dog' }, { type: 'object', required: ['scales'], properties: { scales: { type: 'integer' } } }]
+    };
+    const schema = OpenApiContract.toJsonSchema(spec, pet);
+    const validator = require('../schema-validator');
+
+    assert.strictEqual(validator.isValid(schema, { kind: 'lizard', scales: 3 }), true);
+    assert.strictEqual(validator.isValid(schema, { kind: 'lizard', scales: 'many' }), false);
+});
+
+test('writeOnly fields, undocumented statuses and bad headers fail', async () => {
+    const leaked = await validate('https://api.example.com/v1/pets/1', { body: { id: 1, kind: 'dog', barks: true, secret: 'x' } });
+    assert.match(result(leaked.sandbox, 'Contract: GET /pets/{petId} body matches schema').error, /\/secret/);
+
+    const badHeader = await validate('https://api.example.com/v1/pets/1', {
+        headers: { 'Content-Type': 'application/json', 'X-Rate-Limit': 'lots' },
+        body: { id: 1, kind: 'dog', barks: true }
+    });
+    assert.strictEqual(result(badHeader.sandbox, 'Contract: GET /pets/{petId} response headers match spec').passed, false);
+
+    const teapot = await validate('https://api.example.com/v1/pets/1', { code: 418, body: {} });
+    assert.strictEqual(teapot.outcome.statusKey, null);
+    assert.strictEqual(result(teapot.sandbox, 'Contract: GET /pets/{petId} status 418 is documented').passed, false);
+});
+
+test('coverage lists exercised and missing operations and responses', async () => {
+    const sandbox = await runScript({
+        request: { url: 'https://api.example.com/v1/pets/7', method: 'GET' },
+        response: { code: 404 }
+    }, () => {
+        OpenApiContract.setSpec(spec);
+        OpenApiContract.resetCoverage();
+        OpenApiContract.validateResponse();
+    });
+
+    sandbox.install();
+    try {
+        const report = OpenApiContract.getCoverageReport();
+        assert.deepStrictEqual(report.operations.missing, ['DELETE /pets/{petId}', 'GET /pets/mine']);
+        assert.deepStrictEqual(report.responses.missing, ['GET /pets/{petId} 200', 'DELETE /pets/{petId} 204', 'GET /pets/mine 200']);
+        assert.strictEqual(report.operations.percent, 33.33);
+    } finally {
+        sandbox.uninstall();
+    }
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+const OpenApiGenerator = require('../openapi-generator');
+
+const spec = {
+    openapi: '3.0.3',
+    info: { title: 'Pets' },
+    servers: [{ url: 'https://api.example.com/v1' }],
+    tags: [{ name: 'pets', description: 'Pet operations' }],
+    paths: {
+        '/pets': {
+            post: {
+                tags: ['pets'],
+                operationId: 'createPet',
+                requestBody: { content: { 'application/json': { schema: { $ref: '#/components/schemas/NewPet' } } } },
+                responses: { 201: { description: 'Created' }, 422: { description: 'Invalid' } }
+            }
+        },
+        '/health': { get: { responses: { 200: { description: 'OK' } } } }
+    },
+    components: {
+        schemas: {
+            NewPet: {
+                type: 'object',
+                required: ['name', 'age'],
+                properties: {
+                    name: { type: 'string', minLength: 2, maxLength: 20 },
+                    age: { type: 'integer', minimum: 0, maximum: 30 },
+                    email: { type: 'string', format: 'email' }
+                },
+                additionalProperties: false
+            },
+            Pet: {
+                type: 'object',
+                required: ['petType'],
+                properties: { petType: { type: 'string' } },
+                discriminator: { propertyName: 'petType' }
+            },
+            Dog: { allOf: [{ $ref: '#/components/schemas/Pet' }, { type: 'object', properties: { barks: { type: 'boolean' } } }] },
+            Cat: { allOf: [{ $ref: '#/components/schemas/Pet' }, { type: 'object', properties: { meows: { type: 'boolean' } } }] }
+        }
+    }
+};
+
+test('discriminator values name the generated branch', () => {
+    const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+    assert.deepStrictEqual(OpenApiGenerator.generateExample(spec, ref('Dog')), { petType: 'Dog', barks: true });
+
+    const mapped = { oneOf: [ref('Cat'), ref('Dog')], discriminator: { propertyName: 'petType', mapping: { kitty: '#/components/schemas/Cat' } } };
+    assert.strictEqual(OpenApiGenerator.generateExample(spec, mapped).petType, 'kitty');
+
+    const inline = {
+        oneOf: [{ type: 'object', properties: { kind: { type: 'string', enum: ['lizard'] }, scales: { type: 'integer' } } }],
+        discriminator: { propertyName: 'kind' }
+    };
+    assert.deepStrictEqual(OpenApiGenerator.generateExample(spec, inline), { kind: 'lizard', scales: 1 });
+});
+
+test('scenarios cover valid payloads and one violation per constraint', () => {
+    const scenarios = OpenApiGenerator.generateScenarios(spec, 'POST', '/pets');
+    const [valid, ...invalid] = scenarios;
+
+    assert.deepStrictEqual(valid.input, { name: 'sample', age: 0, email: 'user@example.com' });
+    assert.strictEqual(valid.expectedStatus, 201);
+    assert.ok(invalid.every(scenario => scenario.expectedStatus === 422));
+    assert.ok(invalid.some(scenario => scenario.description === 'createPet - name is missing (required)' && !('name' in scenario.input)));
+    assert.ok(invalid.some(scenario => scenario.input.age === 31));
+    assert.ok(invalid.some(scenario => scenario.input.unexpectedProperty === 'unexpected'));
+    assert.throws(() => OpenApiGenerator.generateScenarios(spec, 'DELETE', '/pets'), /No operation DELETE \/pets/);
+});
+
+test('the collection has one folder per tag and embeds the spec for contract checks', () => {
+    const collection = OpenApiGenerator.generateCollection(spec);
+
+    assert.deepStrictEqual(collection.item.map(folder => [folder.name, folder.item.length]), [['pets', 1], ['General', 1]]);
+    assert.deepStrictEqual(collection.variable[0], { key: 'baseUrl', value: 'https://api.example.com/v1' });
+    assert.strictEqual(JSON.parse(collection.variable[1].value).info.title, 'Pets');
+});
+
+test('the command line keeps stdout valid JSON when it also writes scenarios', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'openapi-generator-'));
+    try {
+        fs.writeFileSync(path.join(dir, 'spec.json'), JSON.stringify(spec));
+        const run = spawnSync(process.execPath, [path.join(__dirname, '..', 'openapi-generator.js'), 'spec.json', '--scenarios', 'scenarios.json'], {
+            cwd: dir,
+            encoding: 'utf8',
+            timeout: 30000
+        });
+
+        assert.strictEqual(run.status, 0, run.stderr);
+        assert.strictEqual(JSON.parse(run.stdout).info.name, 'Pets');
+        assert.match(run.stderr, /Wrote scenarios to scenarios\.json/);
+        assert.ok(JSON.parse(fs.readFileSync(path.join(dir, 'scenarios.json'), 'utf8'))['POST /pets'].length > 1);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
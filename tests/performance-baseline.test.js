@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PerformanceBaseline = require('../performance-baseline');
+const ResultStore = require('../result-store');
+const { runScript, result } = require('./sandbox');
+
+const spread = (count, offset) => Array.from({ length: count }, (_, i) => offset + i * 37 % 20);
+
+const timings = (runId, endpoints) => Object.keys(endpoints).reduce((records, url) => records.concat(
+    endpoints[url].map(responseTime => ResultStore.createRecord({ runId, source: 'performance', request: { url }, status: 200, responseTime, response: null }))
+), []);
+
+const withRuns = (script, options = {}) => runScript(options, () => {
+    ResultStore.append(timings('run-a', {
+        'https://api.example.com/users/1': spread(40, 100),
+        'https://api.example.com/orders': spread(40, 200),
+        'https://api.example.com/health': spread(40, 10)
+    }));
+    ResultStore.append(timings('run-b', {
+        'https://api.example.com/users/2': spread(40, 130),
+        'https://api.example.com/orders': spread(40, 200),
+        'https://api.example.com/health': spread(5, 50),
+        'https://api.example.com/search': spread(40, 300)
+    }));
+    return script();
+});
+
+test('Mann-Whitney matches the normal approximation with continuity correction', () => {
+    const slower = PerformanceBaseline.mannWhitney([1, 2, 3], [4, 5, 6]);
+    assert.strictEqual(slower.u, 9);
+    assert.strictEqual(slower.probabilitySlower, 1);
+    assert.strictEqual(Math.round(slower.pSlower * 1000) / 1000, 0.04);
+
+    const tied = PerformanceBaseline.mannWhitney([5, 5, 5], [5, 5, 5]);
+    assert.deepStrictEqual([tied.pSlower, tied.probabilitySlower], [1, 0.5]);
+
+    assert.strictEqual(Math.round(PerformanceBaseline.normalCdf(1.96) * 1000) / 1000, 0.975);
+    assert.strictEqual(Math.round(PerformanceBaseline.normalCdf(-1.96) * 1000) / 1000, 0.025);
+});
+
+test('a recorded baseline keeps per-endpoint statistics under normalized endpoints', async () => {
+    let baseline;
+    let listed;
+
+    await withRuns(() => {
+        baseline = PerformanceBaseline.record('v1', { runId: 'run-a', maxSamples: 10 });
+        listed = PerformanceBaseline.list();
+    });
+
+    assert.deepStrictEqual(Object.keys(baseline.endpoints).sort(), ['/health', '/orders', '/users/:id']);
+    assert.deepStrictEqual([baseline.endpoints['/users/:id'].count, baseline.endpoints['/users/:id'].samples.length], [40, 10]);
+    assert.deepStrictEqual(listed.map(entry => [entry.name, entry.runId, entry.endpoints]), [['v1', 'run-a', 3]]);
+});
+
+test('Mann-Whitney comparison fails slowdowns, passes unchanged endpoints and warns on missing data', async () => {
+    let report;
+
+    const sandbox = await withRuns(() => {
+        PerformanceBaseline.record('v1', { runId: 'run-a' });
+        report = PerformanceBaseline.compare('v1', { runId: 'run-b' });
+        PerformanceBaseline.assert(report);
+    });
+
+    const verdicts = report.endpoints.reduce((map, e) => ({ ...map, [e.endpoint]: e.verdict }), {});
+    assert.deepStrictEqual(verdicts, { '/health': 'warn', '/orders': 'pass', '/search': 'warn', '/users/:id': 'fail' });
+    assert.strictEqual(report.verdict, 'fail');
+
+    const users = report.endpoints.find(e => e.endpoint === '/users/:id');
+    assert.ok(users.test.pSlower < 0.0001);
+    assert.strictEqual(users.metrics.median.change, 30);
+    assert.match(users.explanation, /median rose .* \(\+\d+(\.\d)?%\); Mann-Whitney p<0\.0001 .*: significant regression$/);
+    assert.match(report.endpoints.find(e => e.endpoint === '/health').explanation, /Too few samples/);
+    assert.match(report.endpoints.find(e => e.endpoint === '/search').explanation, /new endpoint/);
+
+    assert.strictEqual(result(sandbox, 'Performance baseline v1 - /users/:id').passed, false);
+    assert.strictEqual(result(sandbox, 'Performance baseline v1 - /search').passed, true);
+});
+
+test('bootstrap intervals are reproducible and significant changes below the minimum effect pass', async () => {
+    let first;
+    let second;
+    let small;
+
+    await withRuns(() => {
+        PerformanceBaseline.record('v1', { runId: 'run-a' });
+        first = PerformanceBaseline.compare('v1', { runId: 'run-b', method: 'bootstrap', iterations: 200 });
+        second = PerformanceBaseline.compare('v1', { runId: 'run-b', method: 'bootstrap', iterations: 200 });
+
+        const steady = offset => Array.from({ length: 40 }, (_, i) => offset + i % 3);
+        ResultStore.append(timings('run-c', { 'https://api.example.com/ping': steady(500) }));
+        ResultStore.append(timings('run-d', { 'https://api.example.com/ping': steady(504) }));
+        PerformanceBaseline.record('ping', { runId: 'run-c' });
+        small = PerformanceBaseline.compare('ping', { runId: 'run-d', method: 'bootstrap', iterations: 200 });
+    });
+
+    assert.deepStrictEqual(first, second);
+    const users = first.endpoints.find(e => e.endpoint === '/users/:id');
+    assert.strictEqual(users.verdict, 'fail');
+    assert.ok(users.test.intervals.median.lower > 0);
+
+    const ping = small.endpoints[0];
+    assert.deepStrictEqual([ping.verdict, ping.metrics.median.change, ping.metrics.median.significant], ['pass', 4, true]);
+    assert.match(ping.explanation, /significant but below the minimum \+10% and \+5ms$/);
+});
+
+test('unknown baselines, metrics and methods are rejected', async () => {
+    await withRuns(() => {
+        PerformanceBaseline.record('v1', { runId: 'run-a' });
+        assert.throws(() => PerformanceBaseline.compare('v2'), /Unknown performance baseline "v2" \(recorded: v1\)/);
+        assert.throws(() => PerformanceBaseline.compare('v1', { runId: 'run-b', method: 't-test' }), /Unknown comparison method "t-test"/);
+        assert.throws(() => PerformanceBaseline.compare('v1', { runId: 'run-b', metrics: ['max'] }), /Unknown baseline metric "max"/);
+        assert.throws(() => PerformanceBaseline.record('empty', { runId: 'run-z' }), /No performance records for run run-z/);
+    });
+});
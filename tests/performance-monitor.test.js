@@ -0,0 +1,206 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PerformanceMonitor = require('../Performance Monitoring Utilities for Postman API Testing');
+const PerformanceBaseline = require('../performance-baseline');
+const ResultStore = require('../result-store');
+const { runScript, result } = require('./sandbox');
+
+const current = {
+    request: { url: 'https://api.example.com/users/1', method: 'GET' },
+    response: { code: 200, responseTime: 150, headers: { 'Content-Type': 'application/json' }, body: { id: 1 } }
+};
+
+const sample = (responseTime, fields = {}) => ResultStore.createRecord({
+    source: 'performance',
+    request: { method: 'GET', url: 'https://api.example.com/orders' },
+    status: 200,
+    responseTime,
+    response: null,
+    ...fields
+});
+
+test('response times are categorized against the configured thresholds', () => {
+    const monitor = new PerformanceMonitor();
+
+    assert.deepStrictEqual([100, 101, 200, 500, 1000, 1001].map(ms => monitor.getPerformanceCategory(ms)),
+        ['Excellent', 'Good', 'Good', 'Acceptable', 'Poor', 'Critical']);
+
+    monitor.setThresholds({ responseTime: { excellent: 50, good: 100, acceptable: 150, poor: 200 } });
+    assert.strictEqual(monitor.getPerformanceCategory(120), 'Acceptable');
+    assert.strictEqual(monitor.thresholds.throughput.minimum, 10);
+});
+
+test('validateResponseTime records a pass or a failure', async () => {
+    const monitor = new PerformanceMonitor();
+
+    const sandbox = await runScript(current, () => {
+        monitor.validateResponseTime(200, 'Fast enough');
+        monitor.validateResponseTime(100, 'Too slow');
+    });
+
+    assert.strictEqual(result(sandbox, 'Fast enough').passed, true);
+    assert.strictEqual(result(sandbox, 'Too slow').passed, false);
+});
+
+test('collected metrics feed the summary report with percentiles, distribution and breakdown', async () => {
+    const monitor = new PerformanceMonitor();
+    let stored;
+    let metrics;
+    let summary;
+    let empty;
+
+    await runScript(current, () => {
+        empty = monitor.generateSummaryReport();
+        stored = monitor.collectMetrics({ userId: 'u-1' });
+        ResultStore.append([50, 400, 1200].map((responseTime, i) => sample(responseTime, { status: i === 2 ? 503 : 200 })));
+        metrics = monitor.getMetrics();
+        summary = monitor.generateSummaryReport();
+    });
+
+    assert.strictEqual(empty, undefined);
+    assert.deepStrictEqual(stored.data, { headers: 1, category: 'Good', userId: 'u-1' });
+    assert.deepStrictEqual(metrics.map(m => [m.endpoint, m.method, m.responseTime, m.status, m.category]), [
+        ['https://api.example.com/users/1', 'GET', 150, 200, 'Good'],
+        ['https://api.example.com/orders', 'GET', 50, 200, 'Excellent'],
+        ['https://api.example.com/orders', 'GET', 400, 200, 'Acceptable'],
+        ['https://api.example.com/orders', 'GET', 1200, 503, 'Critical']
+    ]);
+    assert.deepStrictEqual([summary.totalRequests, summary.avgResponseTime, summary.minResponseTime, summary.maxResponseTime], [4, 450, 50, 1200]);
+    assert.strictEqual(summary.successRate, 75);
+    assert.deepStrictEqual(summary.distribution, { excellent: 25, good: 25, acceptable: 25, poor: 0, critical: 25 });
+    assert.deepStrictEqual(Object.keys(summary.breakdown.endpoint), ['/orders', '/users/:id']);
+    assert.strictEqual(summary.histogram.count, 4);
+    assert.deepStrictEqual(monitor.calculateSummaryStats(metrics, { percentiles: [50] }).percentiles, { p50: 275 });
+});
+
+test('timing thresholds are checked per phase over this run', async () => {
+    const monitor = new PerformanceMonitor();
+    let checks;
+
+    const sandbox = await runScript({}, () => {
+        ResultStore.append([20, 40, 60, 80].map(ttfb => sample(ttfb + 10, {
+            timings: { wait: 0, dns: 2, tcp: 3, tls: null, ttfb, download: 5, total: ttfb + 10 }
+        })));
+        checks = monitor.validateTimingThresholds({ ttfb: { p50: 60, p95: 70 } });
+    });
+
+    assert.deepStrictEqual(checks.map(c => [c.phase, c.statistic, c.passed]), [['ttfb', 'p50', true], ['ttfb', 'p95', false]]);
+    assert.strictEqual(result(sandbox, 'Timing - ttfb p95 under 70ms').passed, false);
+});
+
+test('trends compare the newer half of the measurements with the older half', () => {
+    const monitor = new PerformanceMonitor();
+    const times = (from, count) => Array.from({ length: count }, (_, i) => ({ responseTime: from + i % 5 }));
+
+    assert.strictEqual(monitor.calculateTrend(times(100, 10).concat(times(200, 10))), 'Degrading');
+    assert.strictEqual(monitor.calculateTrend(times(200, 10).concat(times(100, 10))), 'Improving');
+    assert.strictEqual(monitor.calculateTrend(times(100, 10).concat(times(105, 10))), 'Stable');
+    assert.strictEqual(monitor.calculateTrend(times(100, 10).concat(times(105, 10)), { minChange: 0.02 }), 'Degrading');
+    assert.strictEqual(monitor.calculateTrend(times(100, 8)), 'Insufficient data');
+});
+
+test('endpoint monitoring records tagged measurements and clearMetrics removes them', async () => {
+    const monitor = new PerformanceMonitor();
+    let tagged;
+    let remaining;
+
+    const sandbox = await runScript({ ...current, environment: { loadTestResults: '{}' } }, () => {
+        for (let i = 0; i < 3; i++) {
+            monitor.monitorEndpointPerformance('user-lookup');
+        }
+        monitor.collectMetrics();
+        ResultStore.record({ source: 'scenario', scenario: 'kept' });
+        tagged = ResultStore.query({ source: 'endpoint', tag: 'endpoint:user-lookup' });
+
+        monitor.clearMetrics();
+        remaining = ResultStore.query({});
+    });
+
+    assert.deepStrictEqual(tagged.map(r => [r.responseTime, r.data.endpoint]), [[150, 'user-lookup'], [150, 'user-lookup'], [150, 'user-lookup']]);
+    assert.deepStrictEqual(remaining.map(r => r.source), ['scenario']);
+    assert.strictEqual(sandbox.pm.environment.has('loadTestResults'), false);
+});
+
+test('compareWithBaseline records one test per endpoint', async () => {
+    const monitor = new PerformanceMonitor();
+    let report;
+
+    const sandbox = await runScript({}, () => {
+        const run = (runId, offset) => Array.from({ length: 30 }, (_, i) => sample(offset + i % 7, { runId }));
+        ResultStore.append(run('run-a', 100).concat(run('run-b', 180)));
+        PerformanceBaseline.record('v1', { runId: 'run-a' });
+        report = monitor.compareWithBaseline('v1', { runId: 'run-b' });
+    });
+
+    assert.strictEqual(report.verdict, 'fail');
+    assert.strictEqual(result(sandbox, 'Performance baseline v1 - /orders').passed, false);
+});
+
+test('performance criteria check response time, headers, error rate and throughput', async () => {
+    const monitor = new PerformanceMonitor();
+    const started = Date.parse('2024-05-01T12:00:00Z');
+
+    const sandbox = await runScript(current, () => {
+        ResultStore.append([200, 500, 200].map((status, i) => sample(100, {
+            request: { method: 'GET', url: `https://api.example.com/users/${i + 2}` },
+            status,
+            timestamp: new Date(started + i * 1000).toISOString()
+        })));
+        monitor.validatePerformanceCriteria({
+            maxResponseTime: 100,
+            maxErrorRate: 20,
+            minThroughput: 5,
+            requiredHeaders: ['Content-Type', 'ETag']
+        });
+    });
+
+    assert.strictEqual(result(sandbox, 'Response time under 100ms').passed, false);
+    assert.match(result(sandbox, 'Performance-related headers present').error, /ETag/);
+    assert.match(result(sandbox, 'Error rate at most 20%').error, /\/users\/:id error rate over 4 request\(s\)/);
+    assert.strictEqual(result(sandbox, 'Throughput at least 5 req/s').passed, false);
+});
+
+test('simulateLoad replays the current request and stores the report', async () => {
+    const monitor = new PerformanceMonitor();
+    const sent = [];
+    let report;
+
+    const sandbox = await runScript({
+        request: { url: 'https://api.example.com/health', method: 'GET', header: [{ key: 'Accept', value: 'application/json' }] },
+        transport: request => {
+            sent.push(`${request.method} ${request.url.toString()} ${request.headers.get('Accept')}`);
+            return Promise.resolve({ code: 200 });
+        }
+    }, () => monitor.simulateLoad({ duration: 0.2, rampUp: 0, maxUsers: 1, thinkTime: 20, flushInterval: 100, assert: false }).then(r => { report = r; }));
+
+    assert.ok(sent.length > 0);
+    assert.deepStrictEqual(new Set(sent), new Set(['GET https://api.example.com/health application/json']));
+    assert.strictEqual(report.completed, sent.length);
+    assert.deepStrictEqual(report.throughput.thresholds, monitor.thresholds.throughput);
+    assert.strictEqual(JSON.parse(sandbox.pm.environment.get('loadTestResults')).completed, report.completed);
+});
+
+test('resource usage reports size, headers and timings and warns on large responses', async () => {
+    const monitor = new PerformanceMonitor();
+    const warnings = [];
+    const warn = console.warn;
+    let usage;
+
+    console.warn = message => warnings.push(message);
+    try {
+        await runScript({
+            request: current.request,
+            response: { code: 200, responseTime: 80, body: 'x'.repeat(2 * 1024 * 1024), timings: { socket: 1, response: 60, end: 80 } }
+        }, () => {
+            usage = monitor.monitorResourceUsage();
+        });
+    } finally {
+        console.warn = warn;
+    }
+
+    assert.strictEqual(usage.endpoint, 'https://api.example.com/users/1');
+    assert.strictEqual(usage.responseTime, 80);
+    assert.ok(usage.responseSize >= 2 * 1024 * 1024);
+    assert.strictEqual(usage.timings.ttfb, 59);
+    assert.deepStrictEqual(warnings, [`Large response detected: ${Math.round(usage.responseSize / 1024)}KB`]);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PmSandbox = require('../pm-sandbox');
+const { runScript, result } = require('./sandbox');
+
+test('variable scopes resolve local before iteration data, environment, collection and globals', async () => {
+    const sandbox = await runScript({
+        environment: { host: 'env.example.com', region: 'eu' },
+        collectionVariables: [{ key: 'region', value: 'us' }, { key: 'version', value: 'v2' }],
+        globals: { version: 'v1', tenant: 'acme' },
+        iterationData: { host: 'data.example.com' }
+    }, () => {
+        pm.variables.set('tenant', 'local');
+        pm.test('lookup', () => {
+            pm.expect(pm.variables.get('host')).to.equal('data.example.com');
+            pm.expect(pm.variables.get('region')).to.equal('eu');
+            pm.expect(pm.variables.get('version')).to.equal('v2');
+            pm.expect(pm.variables.get('tenant')).to.equal('local');
+            pm.expect(pm.variables.replaceIn('https://{{host}}/{{version}}')).to.equal('https://data.example.com/v2');
+        });
+    });
+
+    assert.deepStrictEqual(sandbox.summary().failures, []);
+    assert.strictEqual(sandbox.pm.environment.get('tenant'), undefined);
+});
+
+test('pm.response assertions record passes and failures', async () => {
+    const sandbox = await runScript({
+        response: {
+            code: 201,
+            headers: { 'Content-Type': 'application/json', 'Set-Cookie': 'sid=abc; Path=/; HttpOnly' },
+            body: { id: 7, user: { name: 'Jane' } },
+            responseTime: 120
+        }
+    }, () => {
+        pm.test('status', () => pm.response.to.have.status(201));
+        pm.test('reason', () => pm.response.to.have.status('Created'));
+        pm.test('header', () => pm.response.to.have.header('content-type', 'application/json'));
+        pm.test('json path', () => pm.response.to.have.jsonBody('user.name', 'Jane'));
+        pm.test('success', () => pm.response.to.be.success);
+        pm.test('cookie', () => pm.expect(pm.cookies.get('sid')).to.equal('abc'));
+        pm.test('ok', () => pm.response.to.be.ok);
+        pm.test('response time', () => pm.response.to.have.responseTime(100));
+    });
+
+    const summary = sandbox.summary();
+    assert.strictEqual(summary.total, 8);
+    assert.deepStrictEqual(summary.failures.map(f => f.name), ['ok', 'response time']);
+    assert.match(result(sandbox, 'ok').error, /expected response to be ok but got 201/);
+});
+
+test('pm.sendRequest goes through the transport and is awaited by drain()', async () => {
+    const sent = [];
+    const sandbox = await runScript({
+        environment: { token: 'abc' },
+        transport: request => {
+            sent.push(request);
+            return Promise.resolve({ code: 200, body: { echo: request.headers.get('Authorization') } });
+        }
+    }, () => {
+        pm.sendRequest({
+            url: 'https://api.example.com/me',
+            method: 'GET',
+            header: [{ key: 'Authorization', value: `Bearer ${pm.environment.get('token')}` }]
+        }, (error, response) => {
+            pm.test('callback', () => {
+                pm.expect(error).to.equal(null);
+                pm.expect(response.json().echo).to.equal('Bearer abc');
+            });
+        });
+    });
+
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(sent[0].url.toString(), 'https://api.example.com/me');
+    assert.deepStrictEqual(sandbox.summary().failures, []);
+    assert.strictEqual(sandbox.summary().passed, 1);
+});
+
+test('async tests and sandbox timers are tracked until they settle', async () => {
+    const sandbox = await runScript({}, () => {
+        pm.test('done callback', done => {
+            setTimeout(() => {
+                try {
+                    pm.expect(1).to.equal(2);
+                    done();
+                } catch (error) {
+                    done(error);
+                }
+            }, 10);
+        });
+        pm.test('promise', () => new Promise(resolve => setTimeout(resolve, 5)));
+        setTimeout(() => postman.setNextRequest('Next'), 15);
+    });
+
+    assert.strictEqual(result(sandbox, 'done callback').passed, false);
+    assert.strictEqual(result(sandbox, 'promise').passed, true);
+    assert.strictEqual(sandbox.nextRequest, 'Next');
+});
+
+test('install() and uninstall() restore the replaced globals', () => {
+    const sandbox = PmSandbox.createSandbox({}).install();
+    assert.strictEqual(globalThis.pm, sandbox.pm);
+    sandbox.uninstall();
+    assert.strictEqual(typeof globalThis.pm, 'undefined');
+    assert.strictEqual(globalThis.setTimeout, setTimeout);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const RequestTimings = require('../request-timings');
+const PmSandbox = require('../pm-sandbox');
+const { runScript, result } = require('./sandbox');
+
+test('socket offsets become phases, and events that did not fire count as zero', () => {
+    assert.deepStrictEqual(RequestTimings.normalize({ started: 1000, socket: 1, lookup: 5, connect: 15, secureConnect: 40, response: 90, end: 100 }), {
+        started: 1000, wait: 1, dns: 4, tcp: 10, tls: 25, ttfb: 50, download: 10, total: 100
+    });
+    assert.deepStrictEqual(RequestTimings.normalize({ socket: 0.5, response: 20.25, end: 21 }), {
+        started: null, wait: 0.5, dns: 0, tcp: 0, tls: 0, ttfb: 19.75, download: 0.75, total: 21
+    });
+});
+
+test('Newman timing phases and wrapped or normalized timings are accepted', () => {
+    const phases = { prepare: 1, wait: 2, dns: 3, tcp: 4, firstByte: 50, download: 6, process: 1, total: 67 };
+
+    assert.deepStrictEqual(RequestTimings.normalize({ timingStart: 5, timingPhases: phases }), {
+        started: 5, wait: 2, dns: 3, tcp: 4, tls: null, ttfb: 50, download: 6, total: 67
+    });
+    const normalized = RequestTimings.normalize({ timings: { socket: 1, response: 10 } });
+    assert.deepStrictEqual(RequestTimings.normalize(normalized), normalized);
+    assert.strictEqual(RequestTimings.normalize(null), null);
+    assert.strictEqual(RequestTimings.normalize({ code: 200 }), null);
+});
+
+test('the sandbox HTTP transport reports phases that add up to the total', async () => {
+    const server = http.createServer((req, res) => setTimeout(() => res.end('ok'), 20));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+        const response = await PmSandbox.httpTransport(PmSandbox.createRequest({ url: `http://127.0.0.1:${server.address().port}/`, method: 'GET' }));
+        const timings = RequestTimings.normalize(response.timings);
+        const sum = RequestTimings.phases.reduce((total, phase) => total + timings[phase], 0);
+
+        assert.ok(timings.ttfb >= 15, `ttfb ${timings.ttfb}`);
+        assert.strictEqual(timings.tls, 0);
+        assert.ok(Math.abs(sum - timings.total) < 0.1, `${sum} vs ${timings.total}`);
+    } finally {
+        server.close();
+    }
+});
+
+test('phase summaries are checked against thresholds, skipping phases without data', async () => {
+    const items = [10, 20, 30, 40].map(ttfb => ({ timings: { wait: 0, dns: 1, tcp: 2, tls: null, ttfb, download: 1, total: ttfb + 4 } }));
+    const summary = RequestTimings.summarize(items.concat([{ timings: null }, {}]));
+    let checks;
+
+    assert.deepStrictEqual(Object.keys(summary), ['wait', 'dns', 'tcp', 'ttfb', 'download', 'total']);
+    assert.strictEqual(summary.ttfb.count, 4);
+
+    const sandbox = await runScript({}, () => {
+        checks = RequestTimings.assertThresholds(summary, { ttfb: { p50: 30, max: 35 }, tls: { p95: 50 } }, 'API');
+    });
+
+    assert.deepStrictEqual(checks.map(c => [c.phase, c.statistic, c.value, c.passed]), [
+        ['ttfb', 'p50', 25, true],
+        ['ttfb', 'max', 40, false],
+        ['tls', 'p95', null, null]
+    ]);
+    assert.strictEqual(result(sandbox, 'API - ttfb max under 35ms').passed, false);
+    assert.strictEqual(result(sandbox, 'API - tls p95 under 50ms').skipped, true);
+    assert.throws(() => RequestTimings.checkThresholds(summary, { connect: { p95: 1 } }), /Unknown timing phase "connect"/);
+    assert.throws(() => RequestTimings.checkThresholds(summary, { ttfb: { p42: 1 } }), /Unknown statistic "p42" for ttfb/);
+});
+
+test('waterfall segments run back to back and omit empty phases', () => {
+    assert.deepStrictEqual(RequestTimings.waterfall({ wait: 0, dns: 4, tcp: 10, tls: null, ttfb: 50, download: 6 }), [
+        { phase: 'dns', start: 0, duration: 4 },
+        { phase: 'tcp', start: 4, duration: 10 },
+        { phase: 'ttfb', start: 14, duration: 50 },
+        { phase: 'download', start: 64, duration: 6 }
+    ]);
+});
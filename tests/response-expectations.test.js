@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ResponseExpectations = require('../response-expectations');
+const { runScript, result } = require('./sandbox');
+
+const order = {
+    status: 'created',
+    data: {
+        id: 'ord_123',
+        total: '59.97',
+        items: [{ sku: 'sku-1', quantity: 2 }, { sku: 'SKU-2', quantity: 1 }],
+        tags: ['priority']
+    }
+};
+
+const verify = (expectations, body = order) => runScript({
+    response: { code: 201, headers: { 'Content-Type': 'application/json; charset=utf-8' }, body, responseTime: 120 }
+}, () => ResponseExpectations.verify({ description: 'Order', ...expectations }));
+
+test('each expectation is reported as its own test', async () => {
+    const sandbox = await verify({
+        expectedStatus: '2xx',
+        expectedHeaders: { 'Content-Type': { $regex: 'application/json' }, 'X-Debug': { $absent: true } },
+        maxResponseTime: 100,
+        expectedResponse: {
+            status: 'created',
+            data: { id: { $type: 'string', $regex: '^ord_' }, total: { $approx: 59.97, $tolerance: 0.01 } },
+            '$.data.items': { $length: { $gte: 1 }, $each: { quantity: { $gt: 0 } } },
+            'data.items[-1].sku': { $regex: '/^sku-/i' },
+            '$..sku': { $contains: 'sku-1' },
+            'data.tags': { $not: { $length: 0 } }
+        }
+    });
+
+    assert.deepStrictEqual(sandbox.summary().failures.map(failure => failure.name), ['Order - Response time']);
+    assert.strictEqual(sandbox.results.length, 10);
+    assert.match(result(sandbox, 'Order - Response time').error, /responseTime: expected <= 100/);
+});
+
+test('partial matching ignores extra fields and reports mismatches with paths', async () => {
+    const sandbox = await verify({
+        expectedResponse: { data: { items: [{ sku: 'sku-1' }, { sku: 'sku-3' }] }, 'data.coupon': { $absent: false } }
+    });
+
+    assert.match(result(sandbox, 'Order - Response data').error, /\$\.data\.items\[1\]\.sku: values differ/);
+    assert.match(result(sandbox, 'Order - Response data.coupon').error, /\$\.data\.coupon: expected to be present/);
+});
+
+test('exact mode accepts fields covered by path keys', async () => {
+    const sandbox = await verify({
+        matchMode: 'exact',
+        expectedResponse: { '$.status': 'created', 'data.id': 'ord_123', 'data.items[0]': { sku: 'sku-1' } }
+    });
+
+    assert.strictEqual(result(sandbox, 'Order - Response has no unexpected fields').passed, true);
+    assert.strictEqual(result(sandbox, 'Order - Response data.id').passed, true);
+    assert.match(result(sandbox, 'Order - Response data.items[0]').error, /\$\.data\.items\[0\]\.quantity: unexpected property/);
+});
+
+test('exact mode reports top-level fields nobody expected', async () => {
+    const sandbox = await verify({
+        expectedResponse: { $exact: true, status: 'created' }
+    }, { ...order, debug: true });
+
+    assert.match(result(sandbox, 'Order - Response has no unexpected fields').error, /\$\.data: unexpected property[\s\S]*\$\.debug: unexpected property/);
+});
+
+test('an invalid pattern or path fails only its own test', async () => {
+    const sandbox = await verify({
+        expectedStatus: 201,
+        expectedResponse: { status: { $regex: '(' }, 'data[': 1, 'data.id': 'ord_123' }
+    });
+
+    assert.match(result(sandbox, 'Order - Response status').error, /invalid expectation: Invalid regular expression/);
+    assert.match(result(sandbox, 'Order - Response data[').error, /invalid expectation: Invalid path/);
+    assert.strictEqual(result(sandbox, 'Order - Response data.id').passed, true);
+    assert.strictEqual(result(sandbox, 'Order - Status code').passed, true);
+});
+
+test('quarantined scenarios report failures as skipped tests', async () => {
+    const sandbox = await runScript({ response: { code: 500 } }, () => {
+        ResponseExpectations.verify({ description: 'Flaky', expectedStatus: [200, 204] }, pm.response, { quarantined: true });
+    });
+
+    assert.deepStrictEqual(sandbox.summary().failures, []);
+    assert.strictEqual(result(sandbox, 'Flaky - Status code (quarantined)').skipped, true);
+    assert.strictEqual(ResponseExpectations.statusMatches('5xx', 503), true);
+});
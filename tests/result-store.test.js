@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const ResultStore = require('../result-store');
+const CollectionRunner = require('../collection-runner');
+const { runScript } = require('./sandbox');
+
+const hasSqlite = (() => {
+    try {
+        ResultStore.backends.sqlite.getDriver();
+        return true;
+    } catch (error) {
+        return false;
+    }
+})();
+
+const records = (count, fields = {}) => Array.from({ length: count }, (_, i) => ResultStore.createRecord({
+    id: `r${i}`,
+    runId: 'run-a',
+    source: 'scenario',
+    scenario: `Scenario ${i}`,
+    status: i % 3 === 0 ? 500 : 200,
+    responseTime: 100 + i,
+    response: null,
+    ...fields
+}));
+
+test('the environment backend chunks records and drops the oldest beyond maxRecords', async () => {
+    const config = { ...ResultStore.defaults, chunkSize: 2, maxRecords: 4 };
+    let stored;
+    let failed;
+
+    const sandbox = await runScript({}, () => {
+        ResultStore.append(records(5), config);
+        stored = ResultStore.query({}, config);
+        failed = ResultStore.query({ success: false, runId: 'run-a' }, config);
+    });
+
+    assert.deepStrictEqual(stored.map(record => record.id), ['r2', 'r3', 'r4']);
+    assert.deepStrictEqual(failed.map(record => record.id), ['r3']);
+    assert.deepStrictEqual(JSON.parse(sandbox.pm.environment.get('results.meta')), { version: 1, first: 1, next: 3, count: 3, dropped: 2 });
+});
+
+test('a corrupt meta record is treated as an empty store', async () => {
+    let stored;
+
+    await runScript({ environment: { 'results.meta': '{not json', 'results.0': '[]' } }, () => {
+        stored = ResultStore.query({});
+        ResultStore.append(records(1));
+        stored = stored.concat(ResultStore.query({}));
+    });
+
+    assert.deepStrictEqual(stored.map(record => record.id), ['r0']);
+});
+
+test('the file backend keeps every record and clears by filter', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'result-store-'));
+    const config = { ...ResultStore.defaults, backend: 'file', path: path.join(dir, 'results.jsonl') };
+    try {
+        ResultStore.append(records(3), config);
+        ResultStore.append(records(2, { runId: 'run-b' }), config);
+        fs.appendFileSync(config.path, 'garbage\n');
+
+        assert.strictEqual(ResultStore.query({ runId: 'run-b' }, config).length, 2);
+        assert.deepStrictEqual(ResultStore.query({ limit: 1, runId: 'run-a' }, config).map(record => record.id), ['r2']);
+        assert.strictEqual(ResultStore.clear({ runId: 'run-a' }, config), 3);
+        assert.strictEqual(ResultStore.query({}, config).length, 2);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('an unavailable SQLite driver fails the run before any request is sent', { skip: hasSqlite && 'SQLite is available' }, async () => {
+    const sent = [];
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'result-store-'));
+    try {
+        assert.throws(() => ResultStore.checkBackend({ ...ResultStore.defaults, backend: 'sqlite', path: path.join(dir, 'x.db') }),
+            /needs Node 22\.5\+ \(node:sqlite\) or the better-sqlite3 package/);
+        assert.throws(() => ResultStore.checkBackend({ backend: 'mongo' }), /Unknown result store backend "mongo"/);
+
+        await assert.rejects(CollectionRunner.run({
+            collection: { item: [{ name: 'Ping', request: { url: 'https://api.example.com/ping', method: 'GET' } }] },
+            transport: request => { sent.push(request); return Promise.resolve({ code: 200 }); },
+            results: path.join(dir, 'x.db')
+        }), /sqlite result store needs/);
+        assert.deepStrictEqual(sent, []);
+        assert.deepStrictEqual(fs.readdirSync(dir), []);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('the SQLite backend stores and filters records', { skip: !hasSqlite && 'SQLite is not available' }, () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'result-store-'));
+    const config = { ...ResultStore.defaults, backend: 'sqlite', path: path.join(dir, 'results.db') };
+    try {
+        ResultStore.checkBackend(config);
+        ResultStore.append(records(3), config);
+        assert.deepStrictEqual(ResultStore.query({ runId: 'run-a', success: true }, config).map(record => record.id), ['r1', 'r2']);
+        assert.strictEqual(ResultStore.clear({ source: 'scenario' }, config), 3);
+    } finally {
+        ResultStore.connections[config.path].close();
+        delete ResultStore.connections[config.path];
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const RetryPolicy = require('../retry-policy');
+const { runScript } = require('./sandbox');
+
+const fast = { initialDelay: 10, multiplier: 2, jitter: 'none' };
+
+const send = (request, responses, overrides = fast) => {
+    const sent = [];
+    let outcome;
+    return runScript({
+        transport: options => {
+            sent.push(options);
+            const next = responses[Math.min(sent.length, responses.length) - 1];
+            return next instanceof Error ? Promise.reject(next) : Promise.resolve(next);
+        }
+    }, () => RetryPolicy.send(request, overrides).then(o => { outcome = o; })).then(() => ({ sent, outcome }));
+};
+
+const networkError = code => Object.assign(new Error(`connect ${code}`), { code });
+
+test('backoff grows exponentially and is capped', () => {
+    const policy = { ...RetryPolicy.defaults, initialDelay: 100, multiplier: 3, maxDelay: 500, jitter: 'none' };
+    assert.deepStrictEqual([1, 2, 3].map(attempt => RetryPolicy.getDelay(policy, attempt, null)), [100, 300, 500]);
+
+    const jittered = RetryPolicy.getDelay({ ...policy, jitter: 'equal' }, 2, null);
+    assert.ok(jittered >= 150 && jittered <= 300);
+});
+
+test('Retry-After is honoured in seconds and as an HTTP date', async () => {
+    assert.strictEqual(RetryPolicy.parseRetryAfter('2'), 2000);
+    assert.strictEqual(RetryPolicy.parseRetryAfter(new Date(Date.now() - 1000).toUTCString()), 0);
+    assert.strictEqual(RetryPolicy.parseRetryAfter('soon'), null);
+
+    const { sent, outcome } = await send({ url: 'https://api.example.com/items', method: 'GET' }, [
+        { code: 429, headers: { 'Retry-After': '0' } },
+        { code: 200 }
+    ], { ...fast, initialDelay: 5000 });
+
+    assert.strictEqual(sent.length, 2);
+    assert.strictEqual(outcome.response.code, 200);
+    assert.deepStrictEqual(outcome.attempts.map(a => [a.status, a.delay]), [[429, 0], [200, 0]]);
+});
+
+test('idempotent requests retry transient errors and statuses up to maxAttempts', async () => {
+    const { sent, outcome } = await send({ url: 'https://api.example.com/items/1', method: 'PUT' }, [
+        networkError('ECONNRESET'),
+        { code: 503 },
+        { code: 503 }
+    ]);
+
+    assert.strictEqual(sent.length, 3);
+    assert.strictEqual(outcome.response.code, 503);
+    assert.deepStrictEqual(outcome.attempts.map(a => a.delay), [10, 20, 0]);
+});
+
+test('configuration errors and expected statuses are not retried', async () => {
+    const dns = await send({ url: 'https://nowhere.invalid/', method: 'GET' }, [networkError('ENOTFOUND')]);
+    assert.strictEqual(dns.sent.length, 1);
+    assert.strictEqual(dns.outcome.error.code, 'ENOTFOUND');
+
+    const policy = { ...RetryPolicy.defaults, ...fast };
+    assert.strictEqual(RetryPolicy.shouldRetry(policy, null, { code: 503 }, 503), false);
+    assert.strictEqual(RetryPolicy.shouldRetry(policy, null, { code: 503 }, 200), true);
+});
+
+test('POST is only retried with an idempotency key or when the policy opts in', async () => {
+    const post = { url: 'https://api.example.com/orders', method: 'POST', body: { mode: 'raw', raw: '{}' } };
+
+    const plain = await send(post, [networkError('ETIMEDOUT'), { code: 201 }]);
+    assert.strictEqual(plain.sent.length, 1);
+    assert.strictEqual(plain.outcome.error.code, 'ETIMEDOUT');
+
+    const keyed = await send({ ...post, header: [{ key: 'idempotency-key', value: 'order-1' }] }, [{ code: 503 }, { code: 201 }]);
+    assert.strictEqual(keyed.sent.length, 2);
+    assert.strictEqual(keyed.outcome.response.code, 201);
+
+    const optedIn = await send(post, [{ code: 502 }, { code: 201 }], { ...fast, retryNonIdempotent: true });
+    assert.strictEqual(optedIn.sent.length, 2);
+});
+
+test('only passes that needed a retry quarantine a scenario', async () => {
+    const sandbox = await runScript({}, () => {
+        ['pass', 'fail', 'pass', 'fail', 'pass'].forEach(outcome => RetryPolicy.recordOutcome('regression', outcome));
+        ['pass', 'retry-pass', 'pass'].forEach(outcome => RetryPolicy.recordOutcome('flaky', outcome));
+        RetryPolicy.recordOutcome('flaky', 'retry-pass');
+    });
+
+    sandbox.install();
+    try {
+        assert.strictEqual(RetryPolicy.isQuarantined('regression'), false);
+        assert.strictEqual(RetryPolicy.isQuarantined('flaky'), true);
+
+        const report = RetryPolicy.getFlakinessReport();
+        assert.deepStrictEqual(report.quarantined.map(entry => [entry.scenario, entry.flakiness]), [['flaky', 2]]);
+        assert.deepStrictEqual(report.flaky, []);
+    } finally {
+        sandbox.uninstall();
+    }
+});
+
+test('a quarantined scenario is released after enough clean runs', async () => {
+    const sandbox = await runScript({}, () => {
+        RetryPolicy.quarantineScenario('checkout', 'timeouts');
+        for (let run = 1; run < RetryPolicy.quarantine.releaseAfter; run++) {
+            RetryPolicy.recordOutcome('checkout', 'pass');
+        }
+    });
+
+    sandbox.install();
+    try {
+        assert.strictEqual(RetryPolicy.isQuarantined('checkout'), true);
+        RetryPolicy.recordOutcome('checkout', 'pass');
+        assert.strictEqual(RetryPolicy.isQuarantined('checkout'), false);
+    } finally {
+        sandbox.uninstall();
+    }
+});
@@ -0,0 +1,35 @@
+/**
+ * Test Helpers
+ * Run helper code inside an installed pm-sandbox and collect the recorded pm.test results
+ */
+
+const PmSandbox = require('../pm-sandbox');
+
+/**
+ * Install a sandbox, run a script against it and wait for pending requests, timers and async tests
+ * @param {Object} options - PmSandbox.createSandbox options
+ * @param {Function} script - Function(sandbox), may return a Promise
+ * @returns {Promise<Object>} - The drained sandbox (results, errors, summary())
+ */
+async function runScript(options, script) {
+    const sandbox = PmSandbox.createSandbox(options).install();
+    try {
+        await script(sandbox);
+        await sandbox.drain();
+    } finally {
+        sandbox.uninstall();
+    }
+    return sandbox;
+}
+
+/**
+ * Recorded result by test name
+ * @param {Object} sandbox - Drained sandbox
+ * @param {string|RegExp} name - Test name or pattern
+ * @returns {Object|undefined} - { name, passed, skipped, error }
+ */
+function result(sandbox, name) {
+    return sandbox.results.find(r => name instanceof RegExp ? name.test(r.name) : r.name === name);
+}
+
+module.exports = { runScript, result };
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ScenarioExecutor = require('../scenario-executor');
+const { runScript } = require('./sandbox');
+
+const scenarios = count => Array.from({ length: count }, (_, i) => ({
+    description: `Scenario ${i + 1}`,
+    input: { id: i + 1 },
+    expectedStatus: 200
+}));
+
+const requestConfig = { url: 'https://api.example.com/users', method: 'POST', body: { mode: 'raw' } };
+
+test('retries wait for the rate limit like first attempts', async () => {
+    const starts = [];
+    let calls = 0;
+    let summary;
+
+    await runScript({
+        transport: () => {
+            starts.push(Date.now());
+            return Promise.resolve({ code: ++calls === 1 ? 503 : 200 });
+        }
+    }, () => ScenarioExecutor.run(scenarios(2), {
+        requestConfig,
+        concurrency: 2,
+        rateLimit: 10,
+        retry: { maxAttempts: 2, initialDelay: 0, jitter: 'none', retryOnStatus: [503], retryNonIdempotent: true },
+        storeResults: false
+    }).then(result => { summary = result; }));
+
+    assert.strictEqual(starts.length, 3);
+    for (let i = 1; i < starts.length; i++) {
+        assert.ok(starts[i] - starts[i - 1] >= 90, `attempt ${i + 1} started ${starts[i] - starts[i - 1]}ms after the previous one`);
+    }
+    assert.strictEqual(summary.passed, 2);
+    assert.strictEqual(summary.flaky, 1);
+});
+
+test('a scenario request that cannot be built rejects and releases the keep-alive timer', async () => {
+    let rejection;
+
+    await runScript({ transport: () => Promise.resolve({ code: 200 }) }, () => ScenarioExecutor.run(scenarios(1), {
+        requestConfig: undefined,
+        storeResults: false
+    }).catch(error => { rejection = error; }));
+
+    assert.ok(rejection instanceof TypeError);
+});
+
+test('a failing worker stops the others from taking further scenarios', async () => {
+    const sent = [];
+    let rejection;
+
+    await runScript({ transport: request => { sent.push(request); return Promise.resolve({ code: 200 }); } }, () => ScenarioExecutor.run(scenarios(6), {
+        requestConfig: scenario => {
+            if (scenario.input.id === 2) throw new Error('cannot build scenario 2');
+            return { url: `https://api.example.com/users/${scenario.input.id}`, method: 'GET' };
+        },
+        concurrency: 2,
+        storeResults: false
+    }).catch(error => { rejection = error; }));
+
+    assert.strictEqual(rejection.message, 'cannot build scenario 2');
+    assert.strictEqual(sent.length, 1);
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SchemaValidator = require('../schema-validator');
+const { runScript } = require('./sandbox');
+
+const keywords = result => result.errors.map(error => `${error.path || '/'} ${error.keyword}`);
+
+test('errors carry JSON Pointer paths and schema locations', () => {
+    const result = SchemaValidator.validate({
+        type: 'object',
+        required: ['id'],
+        properties: { tags: { type: 'array', items: { type: 'string', minLength: 2 } } }
+    }, { tags: ['ok', 'x', 3] });
+
+    assert.deepStrictEqual(keywords(result), ['/ required', '/tags/1 minLength', '/tags/2 type']);
+    assert.strictEqual(result.errors[2].schemaPath, '#/properties/tags/items/type');
+});
+
+test('unevaluatedProperties sees properties evaluated by allOf, $ref and the matching if/then branch', () => {
+    const schema = {
+        $defs: { named: { properties: { name: { type: 'string' } } } },
+        allOf: [{ properties: { id: { type: 'integer' } } }],
+        $ref: '#/$defs/named',
+        if: { properties: { kind: { const: 'card' } }, required: ['kind'] },
+        then: { properties: { last4: { type: 'string' } } },
+        unevaluatedProperties: false
+    };
+
+    assert.deepStrictEqual(keywords(SchemaValidator.validate(schema, { id: 1, name: 'a', kind: 'card', last4: '4242' })), []);
+    assert.deepStrictEqual(SchemaValidator.validate(schema, { id: 1, kind: 'cash', last4: '4242' }).errors.map(error => error.actual), ['kind', 'last4']);
+    assert.deepStrictEqual(keywords(SchemaValidator.validate(schema, { id: 1, extra: true })), ['/ unevaluatedProperties']);
+});
+
+test('unevaluatedProperties ignores annotations from failed anyOf branches and validates against a schema', () => {
+    const schema = {
+        anyOf: [
+            { properties: { a: { type: 'string' } }, required: ['a'] },
+            { properties: { b: { type: 'number' } }, required: ['b'] }
+        ],
+        unevaluatedProperties: { type: 'boolean' }
+    };
+
+    assert.deepStrictEqual(keywords(SchemaValidator.validate(schema, { a: 'x', b: 1 })), []);
+    assert.deepStrictEqual(keywords(SchemaValidator.validate(schema, { a: 'x', b: 'not a number' })), ['/b type']);
+    assert.deepStrictEqual(keywords(SchemaValidator.validate(schema, { a: 'x', flag: 'yes' })), ['/flag type']);
+});
+
+test('unevaluatedItems counts prefixItems, items and contains', () => {
+    const tuple = { prefixItems: [{ type: 'string' }], unevaluatedItems: false };
+    assert.deepStrictEqual(keywords(SchemaValidator.validate(tuple, ['a'])), []);
+    assert.deepStrictEqual(keywords(SchemaValidator.validate(tuple, ['a', 2])), ['/ unevaluatedItems']);
+
+    const nested = { allOf: [{ prefixItems: [true, true] }], contains: { const: 'x' }, unevaluatedItems: { type: 'number' } };
+    assert.deepStrictEqual(keywords(SchemaValidator.validate(nested, [1, 2, 'x', 3])), []);
+    assert.deepStrictEqual(keywords(SchemaValidator.validate(nested, [1, 2, 'x', 'y'])), ['/3 type']);
+});
+
+test('assertSchema records violations as a failed pm.test', async () => {
+    const sandbox = await runScript({ response: { body: { id: 1, name: 'Jane', email: 'not-an-email' } } }, () => {
+        SchemaValidator.assertSchema('user');
+    });
+
+    const failures = sandbox.summary().failures;
+    assert.strictEqual(failures.length, 1);
+    assert.match(failures[0].error, /\/email: must be a valid email/);
+});
+
+test('inherited property names do not count as present', () => {
+    const schema = {
+        type: 'object',
+        required: ['constructor', 'toString'],
+        properties: { constructor: { type: 'string' } },
+        dependentRequired: { valueOf: ['hasOwnProperty'] }
+    };
+
+    assert.deepStrictEqual(keywords(SchemaValidator.validate(schema, {})), ['/ required', '/ required']);
+    assert.deepStrictEqual(keywords(SchemaValidator.validate(schema, { constructor: 'x', toString: 'y' })), []);
+    assert.strictEqual(SchemaValidator.isValid({ const: { a: 1 } }, JSON.parse('{"a":1}')), true);
+    assert.strictEqual(SchemaValidator.deepEqual({ constructor: undefined }, { toString: undefined }), false);
+});
+
+test('$dynamicRef resolves to the outermost dynamic anchor in scope', () => {
+    const tree = {
+        $id: 'https://example.com/tree',
+        $dynamicAnchor: 'node',
+        type: 'object',
+        properties: { data: true, children: { type: 'array', items: { $dynamicRef: '#node' } } }
+    };
+    const strictTree = {
+        $id: 'https://example.com/strict-tree',
+        $dynamicAnchor: 'node',
+        $ref: 'tree',
+        unevaluatedProperties: false,
+        $defs: { tree }
+    };
+    const typo = { children: [{ daat: 1 }] };
+
+    assert.strictEqual(SchemaValidator.isValid(tree, typo), true);
+    assert.deepStrictEqual(keywords(SchemaValidator.validate(strictTree, typo)), ['/children/0 unevaluatedProperties']);
+    assert.strictEqual(SchemaValidator.isValid(strictTree, { children: [{ data: 1, children: [] }] }), true);
+
+    // Without a matching $dynamicAnchor at the target it behaves like $ref
+    const plain = { $defs: { leaf: { type: 'string' } }, items: { $dynamicRef: '#/$defs/leaf' } };
+    assert.deepStrictEqual(keywords(SchemaValidator.validate(plain, ['a', 1])), ['/1 type']);
+});
+
+test('an invalid pattern is reported at its path instead of throwing', () => {
+    const result = SchemaValidator.validate({
+        type: 'object',
+        properties: { code: { type: 'string', pattern: '([a-z]' } },
+        patternProperties: { '^x-(': { type: 'string' }, '^y-': { type: 'string' } }
+    }, { code: 'abc', 'y-1': 2 });
+
+    assert.deepStrictEqual(keywords(result), ['/code pattern', '/ patternProperties', '/y-1 type']);
+    assert.match(result.errors[0].message, /invalid pattern \(\[a-z\] in the schema/);
+    assert.strictEqual(result.errors[1].schemaPath, '#/patternProperties');
+});
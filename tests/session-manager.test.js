@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SessionManager = require('../session-manager');
+const { runScript, result } = require('./sandbox');
+
+const setCookies = (...values) => values.map(value => ({ key: 'Set-Cookie', value }));
+
+test('Set-Cookie attributes follow RFC 6265', () => {
+    const url = 'https://app.example.com/account/login';
+
+    const cookie = SessionManager.parseSetCookie('sid="abc"; Domain=.Example.com; Path=/; Max-Age=60; Expires=Wed, 21 Oct 2015 07:28:00 GMT; Secure; HttpOnly; SameSite=lax', url);
+    assert.strictEqual(cookie.value, 'abc');
+    assert.strictEqual(cookie.domain, 'example.com');
+    assert.strictEqual(cookie.hostOnly, false);
+    assert.ok(cookie.expires > Date.now(), 'Max-Age wins over Expires');
+    assert.strictEqual(cookie.sameSite, 'Lax');
+
+    const defaults = SessionManager.parseSetCookie('theme=dark', url);
+    assert.deepStrictEqual([defaults.domain, defaults.hostOnly, defaults.path], ['app.example.com', true, '/account']);
+
+    assert.strictEqual(SessionManager.parseSetCookie('x=1; Domain=other.com', url), null);
+    assert.strictEqual(SessionManager.parseSetCookie('__Host-id=1; Path=/', url), null);
+    assert.strictEqual(SessionManager.parseSetCookie('novalue', url), null);
+});
+
+test('the jar replays cookies by domain, path and scheme, and reports rotation', async () => {
+    let first;
+    let second;
+    let sent;
+
+    await runScript({
+        request: { url: 'https://app.example.com/login', method: 'POST' },
+        response: { code: 200, headers: setCookies('sid=one; Path=/; Secure', 'pref=a; Domain=example.com; Path=/settings') }
+    }, () => {
+        first = SessionManager.storeResponseCookies();
+        second = SessionManager.storeResponseCookies({ headers: setCookies('sid=two; Path=/; Secure') }, 'https://app.example.com/login');
+
+        sent = {
+            settings: SessionManager.getCookiesForUrl('https://api.example.com/settings/profile').map(c => c.name),
+            plain: SessionManager.getCookiesForUrl('http://app.example.com/').map(c => c.name),
+            secure: SessionManager.getCookiesForUrl('https://app.example.com/settings').map(c => `${c.name}=${c.value}`)
+        };
+    });
+
+    assert.deepStrictEqual(first.stored, ['sid', 'pref']);
+    assert.deepStrictEqual(second.rotated, [{ name: 'sid', domain: 'app.example.com', previous: 'one', current: 'two' }]);
+    assert.deepStrictEqual(sent, { settings: ['pref'], plain: [], secure: ['pref=a', 'sid=two'] });
+});
+
+test('an expired cookie removes the stored one and applyCookies sets the Cookie header', async () => {
+    let changes;
+    let header;
+
+    const sandbox = await runScript({ request: { url: 'https://app.example.com/orders', method: 'GET' } }, () => {
+        SessionManager.setCookie({ name: 'sid', value: 'abc', domain: 'app.example.com' });
+        SessionManager.setCookie({ name: 'lang', value: 'en', domain: 'app.example.com' });
+        changes = SessionManager.storeResponseCookies({ headers: setCookies('lang=; Max-Age=0') }, 'https://app.example.com/');
+        header = SessionManager.applyCookies();
+    });
+
+    assert.deepStrictEqual(changes.removed, ['lang']);
+    assert.strictEqual(header, 'sid=abc');
+    assert.strictEqual(sandbox.pm.request.headers.get('Cookie'), 'sid=abc');
+});
+
+test('CSRF tokens are captured from HTML and sent only on unsafe methods', async () => {
+    let token;
+    let onGet;
+
+    const sandbox = await runScript({
+        request: { url: 'https://app.example.com/orders', method: 'POST' },
+        response: { code: 200, body: '<form><input type="hidden" name="_csrf" value="tok%2B1"></form>' }
+    }, () => {
+        token = SessionManager.captureCsrfToken();
+        SessionManager.applyCsrfToken();
+        onGet = SessionManager.applyCsrfToken({}, { url: 'https://app.example.com/orders', method: 'GET', headers: pm.request.headers });
+    });
+
+    assert.strictEqual(token, 'tok%2B1');
+    assert.strictEqual(sandbox.pm.request.headers.get('X-CSRF-Token'), 'tok+1');
+    assert.strictEqual(onGet, null);
+});
+
+test('session assertions check rotation, logout and cookie security', async () => {
+    const sandbox = await runScript({
+        request: { url: 'https://app.example.com/login', method: 'POST' },
+        response: { code: 200, headers: setCookies('session=new; Path=/; Secure; HttpOnly; SameSite=Strict', 'tracking=1; SameSite=None') }
+    }, () => {
+        SessionManager.setCookie({ name: 'session', value: 'old', domain: 'app.example.com' });
+        SessionManager.snapshotSession('session');
+        SessionManager.assertSessionRotated('session');
+        SessionManager.assertSessionInvalidated('session');
+        SessionManager.assertCookieSecurity(['session', 'tracking']);
+    });
+
+    assert.strictEqual(result(sandbox, 'Session cookie session is rotated').passed, true);
+    assert.strictEqual(result(sandbox, 'Session cookie session is invalidated').passed, false);
+    assert.strictEqual(result(sandbox, 'Cookie session has secure attributes').passed, true);
+    assert.match(result(sandbox, 'Cookie tracking has secure attributes').error, /HttpOnly/);
+});
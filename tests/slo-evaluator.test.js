@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const http = require('node:http');
+const os = require('node:os');
+const path = require('node:path');
+const SloEvaluator = require('../slo-evaluator');
+const ResultStore = require('../result-store');
+const CollectionRunner = require('../collection-runner');
+const { runScript, result } = require('./sandbox');
+
+const end = Date.parse('2024-05-01T12:00:00Z');
+
+const event = (status, fields = {}) => ResultStore.createRecord({
+    runId: 'run-a',
+    source: 'performance',
+    request: { method: 'GET', url: 'https://api.example.com/orders' },
+    response: null,
+    status,
+    responseTime: 100,
+    timestamp: new Date(end).toISOString(),
+    ...fields
+});
+
+const settings = (options = {}) => ({ ...SloEvaluator.defaults, ...options });
+
+test('the error budget is spent by bad events beyond the objective', () => {
+    const slo = { name: 'orders-availability', type: 'availability', objective: 99 };
+    const records = count => Array.from({ length: 100 }, (_, i) => event(i < count ? 503 : i % 2 ? 404 : 200));
+
+    const within = SloEvaluator.evaluateSlo(slo, records(1), settings());
+    assert.deepStrictEqual([within.verdict, within.good, within.bad, within.compliance], ['pass', 99, 1, 0.99]);
+    assert.deepStrictEqual(within.errorBudget, { allowed: 1, consumed: 1, remaining: 0 });
+
+    const over = SloEvaluator.evaluateSlo(slo, records(2), settings());
+    assert.strictEqual(over.verdict, 'fail');
+    assert.strictEqual(over.explanation, '98% of 100 requests successful (objective 99%); error budget 200% consumed (2 bad of 1 allowed)');
+
+    const strict = SloEvaluator.evaluateSlo({ ...slo, errorOn: 'any' }, records(0), settings());
+    assert.deepStrictEqual([strict.bad, strict.verdict], [50, 'fail']);
+
+    const empty = SloEvaluator.evaluateSlo(slo, [], settings());
+    assert.deepStrictEqual([empty.verdict, empty.explanation], ['warn', 'No data: 0 event(s), minimum 1']);
+});
+
+test('a burn-rate alert fires only when both of its windows burn too fast', () => {
+    const old = Array.from({ length: 1000 }, (_, i) => event(200, { timestamp: new Date(end - 7200000 - i * 14400).toISOString() }));
+    const recent = Array.from({ length: 20 }, (_, i) => event(i < 5 ? 503 : 200, { timestamp: new Date(end - i * 10000).toISOString() }));
+    const outcome = SloEvaluator.evaluateSlo({ name: 'orders', type: 'availability', objective: 0.99 }, old.concat(recent), settings());
+
+    const [page, ticket] = outcome.burnRates;
+    assert.deepStrictEqual([page.long.events, page.long.rate, page.short.rate, page.alerting], [20, 25, 25, true]);
+    assert.deepStrictEqual([ticket.long.events, ticket.long.rate, ticket.alerting], [1020, 0.49, false]);
+    assert.strictEqual(outcome.verdict, 'warn');
+    assert.match(outcome.explanation, /burn rate alert page \(25x over 3600s, 25x over 300s, threshold 14\.4x\)$/);
+});
+
+test('endpoint selectors pick the records and evaluate() records one test per SLO', async () => {
+    let report;
+
+    const sandbox = await runScript({}, () => {
+        ResultStore.append([
+            event(200, { request: { method: 'GET', url: 'https://api.example.com/orders/42' }, responseTime: 120 }),
+            event(200, { request: { method: 'GET', url: 'https://api.example.com/orders/7' }, responseTime: 450 }),
+            event(500, { request: { method: 'POST', url: 'https://api.example.com/orders/7/items' }, responseTime: 80 }),
+            event(200, { request: { method: 'GET', url: 'https://api.example.com/users/1' }, responseTime: 50 })
+        ]);
+        SloEvaluator.define([
+            { name: 'order-latency', type: 'latency', endpoint: 'GET /orders/:id', threshold: 300, objective: 0.5 },
+            { name: 'order-availability', type: 'availability', endpoint: '/orders/*', objective: 99.9 },
+            { name: 'carts', type: 'availability', endpoint: '/carts', objective: 99 }
+        ]);
+        report = SloEvaluator.evaluate(null, { runId: 'run-a' });
+    });
+
+    assert.deepStrictEqual(report.slos.map(r => [r.name, r.total, r.bad, r.verdict]), [
+        ['order-latency', 2, 1, 'pass'],
+        ['order-availability', 3, 1, 'fail'],
+        ['carts', 0, 0, 'warn']
+    ]);
+    assert.deepStrictEqual([report.verdict, report.passed, report.warned, report.failed], ['fail', 1, 1, 1]);
+    assert.strictEqual(JSON.parse(sandbox.pm.collectionVariables.get('sloReport')).verdict, 'fail');
+    assert.strictEqual(result(sandbox, 'SLO order-latency').passed, true);
+    assert.strictEqual(result(sandbox, 'SLO order-availability').passed, false);
+    assert.strictEqual(result(sandbox, 'SLO carts').passed, true);
+});
+
+test('invalid definitions are rejected', async () => {
+    await runScript({}, () => {
+        assert.throws(() => SloEvaluator.define([{ type: 'latency' }]), /SLO needs a name/);
+        assert.throws(() => SloEvaluator.define([{ name: 'x', type: 'uptime', objective: 99 }]), /type must be latency or availability/);
+        assert.throws(() => SloEvaluator.define([{ name: 'x', type: 'latency', objective: 99 }]), /need a threshold/);
+        assert.throws(() => SloEvaluator.define([{ name: 'x', type: 'availability', objective: 100 }]), /objective must be between 0 and 1/);
+    });
+});
+
+test('a failed SLO makes the runner exit with code 1', async () => {
+    const server = http.createServer((req, res) => {
+        res.statusCode = req.url === '/fail' ? 500 : 200;
+        res.end('{}');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'slo-evaluator-'));
+    const write = (name, doc) => {
+        fs.writeFileSync(path.join(dir, name), JSON.stringify(doc));
+        return path.join(dir, name);
+    };
+
+    try {
+        const base = `http://127.0.0.1:${server.address().port}`;
+        const collection = write('collection.json', {
+            info: { name: 'SLO' },
+            item: ['ok', 'fail'].map(name => ({ name, request: { url: `${base}/${name}`, method: 'GET' } }))
+        });
+        const results = path.join(dir, 'results.jsonl');
+        const run = slos => CollectionRunner.main([collection, '--results', results, '--slo', write('slos.json', { slos }), '--no-teardown']);
+
+        assert.strictEqual(await run([{ name: 'ok-availability', type: 'availability', endpoint: '/ok', objective: 99 }]), 0);
+        assert.strictEqual(await run([{ name: 'all-availability', type: 'availability', endpoint: '/*', objective: 99 }]), 1);
+    } finally {
+        server.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
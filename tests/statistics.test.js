@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Statistics = require('../statistics');
+
+const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+
+test('summaries interpolate percentiles and use the sample standard deviation', () => {
+    const values = [50, 15, null, 35, 40, NaN, 20];
+    const summary = Statistics.summarize(values, { percentiles: [0, 50, 90, 95, 100] });
+
+    assert.deepStrictEqual(summary, {
+        count: 5,
+        min: 15,
+        max: 50,
+        mean: 32,
+        stdDev: 14.4,
+        percentiles: { p0: 15, p50: 35, p90: 46, p95: 48, p100: 50 }
+    });
+    assert.deepStrictEqual(values, [50, 15, null, 35, 40, NaN, 20]);
+    assert.strictEqual(Statistics.summarize([7]).stdDev, 0);
+    assert.deepStrictEqual(Statistics.summarize([]), Statistics.emptySummary(Statistics.defaults));
+});
+
+test('percentile matches the inclusive definition at the edges', () => {
+    const sorted = [1, 2, 3, 4];
+
+    assert.strictEqual(Statistics.percentile(sorted, 25), 1.75);
+    assert.strictEqual(Statistics.percentile(sorted, 75), 3.25);
+    assert.strictEqual(Statistics.percentile(sorted, 150), 4);
+    assert.strictEqual(Statistics.percentile([], 50), 0);
+});
+
+test('distributions always sum to 100', () => {
+    assert.deepStrictEqual(Statistics.distribution({ a: 1, b: 1, c: 1 }), { a: 34, b: 33, c: 33 });
+    assert.deepStrictEqual(Statistics.distribution({ ok: 2, failed: 0 }), { ok: 100, failed: 0 });
+    assert.deepStrictEqual(Statistics.distribution({ ok: 0 }), { ok: 0 });
+});
+
+test('histograms keep the configured significant digits', () => {
+    const histogram = Statistics.toHistogram(range(1, 10000));
+
+    [50, 90, 99, 99.9].forEach(p => {
+        const exact = Math.ceil(p / 100 * 10000);
+        const estimate = Statistics.valueAtPercentile(histogram, p);
+        assert.ok(estimate >= exact && estimate <= exact * 1.001, `p${p}: ${estimate} vs ${exact}`);
+    });
+    assert.strictEqual(Statistics.valueAtPercentile(histogram, 100), 10000);
+    assert.strictEqual(Statistics.valueAtPercentile(Statistics.toHistogram([1500]), 50), 1500);
+
+    const clamped = Statistics.toHistogram([-5, 5e9], { highest: 60000 });
+    assert.deepStrictEqual([clamped.min, clamped.max], [0, 60000]);
+});
+
+test('merged histograms equal one built from all values', () => {
+    const values = range(1, 3000).map(v => v * 7 % 2500);
+    const whole = Statistics.toHistogram(values);
+    const merged = Statistics.mergeHistograms(Statistics.toHistogram(values.slice(0, 1000)), Statistics.toHistogram(values.slice(1000)), Statistics.createHistogram());
+
+    assert.deepStrictEqual(merged, whole);
+    assert.throws(() => Statistics.mergeHistograms(whole, Statistics.createHistogram({ significantDigits: 2 })), /different settings/);
+    assert.throws(() => Statistics.createHistogram({ lowest: 0 }), /lowest > 0/);
+});
+
+test('histogram summaries match exact summaries for exactly recorded values', () => {
+    const values = range(1, 100);
+    const exact = Statistics.summarize(values);
+    const approximate = Statistics.summarizeHistogram(Statistics.toHistogram(values));
+
+    assert.deepStrictEqual([approximate.count, approximate.min, approximate.max, approximate.mean, approximate.stdDev],
+        [exact.count, exact.min, exact.max, 50.5, 29.01]);
+    assert.strictEqual(approximate.percentiles.p50, 50);
+});
+
+test('breakdowns group by normalized endpoint, method and status class', () => {
+    const result = Statistics.breakdown([
+        { endpoint: 'https://api.example.com/users/42?x=1', method: 'get', status: 200, responseTime: 10 },
+        { endpoint: '/users/7', method: 'GET', status: 500, responseTime: 30 },
+        { endpoint: '/orders/3f2504e0-4f89-11d3-9a0c-0305e82c3301', method: 'POST', status: null, responseTime: 50 }
+    ]);
+
+    assert.deepStrictEqual(Object.keys(result.endpoint), ['/orders/:id', '/users/:id']);
+    assert.deepStrictEqual([result.endpoint['/users/:id'].count, result.endpoint['/users/:id'].errors, result.endpoint['/users/:id'].successRate], [2, 1, 50]);
+    assert.deepStrictEqual(Object.keys(result.method), ['GET', 'POST']);
+    assert.deepStrictEqual(Object.keys(result.statusClass), ['2xx', '5xx', 'error']);
+    assert.strictEqual(result.statusClass.error.successRate, 0);
+});
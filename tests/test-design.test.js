@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const TestDesign = require('../test-design');
+
+const byDescription = cases => cases.reduce((map, c) => ({ ...map, [c.description]: c }), {});
+
+test('field cases cover partitions, boundaries, null, missing and wrong type', () => {
+    const cases = byDescription(TestDesign.generateCases({
+        name: { type: 'string', required: true, minLength: 2, maxLength: 5 },
+        age: { type: 'integer', required: false, nullable: true, min: 18, max: 65 },
+        plan: { type: 'enum', values: ['free', 'pro'] }
+    }));
+
+    assert.deepStrictEqual(
+        ['name - Below min length', 'name - Min length', 'name - Max length', 'name - Over max length'].map(d => [cases[d].value, cases[d].expectedValid]),
+        [['a', false], ['aa', true], ['aaaaa', true], ['aaaaaa', false]]
+    );
+    assert.strictEqual(cases['name - Missing'].expectedValid, false);
+    assert.strictEqual(cases['name - Wrong type'].value, 12345);
+
+    assert.deepStrictEqual(['age - Below minimum', 'age - In range', 'age - Above maximum'].map(d => cases[d].value), [17, 41, 66]);
+    assert.strictEqual(cases['age - Fractional value'].value, 18.5);
+    assert.strictEqual(cases['age - Null'].expectedValid, true);
+    assert.strictEqual(cases['age - Missing'].expectedValid, true);
+
+    assert.strictEqual(cases['plan - Wrong case'].value, 'FREE');
+    assert.strictEqual(cases['plan - Value outside enum'].expectedValid, false);
+});
+
+test('pairwise rows cover every pair of values in fewer rows than the full product', () => {
+    const parameters = { browser: ['chrome', 'firefox', 'safari'], os: ['windows', 'macos', 'linux'], locale: ['en', 'de'], currency: ['USD', 'EUR'] };
+    const rows = TestDesign.combinations(parameters);
+    const fields = Object.keys(parameters);
+
+    assert.ok(rows.length < 36, `${rows.length} rows`);
+    for (let a = 0; a < fields.length; a++) {
+        for (let b = a + 1; b < fields.length; b++) {
+            parameters[fields[a]].forEach(x => parameters[fields[b]].forEach(y => {
+                assert.ok(rows.some(row => row[fields[a]] === x && row[fields[b]] === y), `${fields[a]}=${x}, ${fields[b]}=${y}`);
+            }));
+        }
+    }
+});
+
+test('constraints exclude combinations and n-wise strength is honoured', () => {
+    const parameters = { browser: ['chrome', 'safari'], os: ['windows', 'macos'], arch: ['x64', 'arm'] };
+    const rows = TestDesign.combinations(parameters, { strength: 3, constraints: ["browser == 'safari' => os == 'macos'"] });
+
+    assert.strictEqual(rows.length, 6);
+    assert.ok(rows.every(row => row.browser !== 'safari' || row.os === 'macos'));
+});
+
+test('constraint expressions support logic, lists and undecided fields', () => {
+    const rule = TestDesign.compileConstraint("plan == 'free' => (seats <= 5 and region in ['eu', 'us']) or not trial");
+
+    assert.strictEqual(rule({ plan: 'free', seats: 3, region: 'eu', trial: true }), true);
+    assert.strictEqual(rule({ plan: 'free', seats: 9, region: 'eu', trial: true }), false);
+    assert.strictEqual(rule({ plan: 'pro' }), true);
+    assert.strictEqual(rule({ plan: 'free', region: 'eu', trial: true }), undefined);
+    assert.strictEqual(TestDesign.compileConstraint('user.age >= 18')({ user: { age: 20 } }), true);
+    assert.throws(() => TestDesign.compileConstraint('a =='), /Invalid constraint "a =="/);
+});
+
+test('scenarios merge each case into the base payload with the right status and tags', () => {
+    const scenarios = TestDesign.generateScenarios({
+        base: { user: { email: 'ada@example.com' }, plan: 'pro' },
+        fields: {
+            'user.email': { type: 'string', required: true, maxLength: 20, typeCheck: false },
+            plan: { type: 'enum', values: ['pro', 'free'] }
+        },
+        validStatus: 201,
+        invalidStatus: 422
+    });
+    const find = description => scenarios.find(s => s.description === description);
+
+    assert.deepStrictEqual(find('user.email - Missing').input, { user: {}, plan: 'pro' });
+    assert.strictEqual(find('user.email - Missing').expectedStatus, 422);
+    assert.deepStrictEqual(find('user.email - Over max length').tags, ['@negative', '@boundary']);
+    assert.strictEqual(find("plan - Value 'free'").expectedStatus, 201);
+
+    const combinations = scenarios.filter(s => s.tags.includes('@combination'));
+    assert.ok(combinations.length > 0);
+    assert.ok(combinations.every(s => s.expectedStatus === 201 && s.input.user.email.length <= 20));
+});
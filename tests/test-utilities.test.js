@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const TestUtils = require('../test-utilities');
+const SchemaValidator = require('../schema-validator');
+const ResultStore = require('../result-store');
+const { runScript, result } = require('./sandbox');
+
+test('format validators accept well-formed values only', () => {
+    assert.strictEqual(TestUtils.validateEmail('jane.doe@example.com'), true);
+    assert.strictEqual(TestUtils.validateEmail('jane doe@example.com'), false);
+    assert.strictEqual(TestUtils.validatePhone('(555) 123-4567'), true);
+    assert.strictEqual(TestUtils.validatePhone('+1 555.123.4567'), true);
+    assert.strictEqual(TestUtils.validatePhone('12345'), false);
+    assert.strictEqual(TestUtils.validateUrl('https://api.example.com/users?page=2'), true);
+    assert.strictEqual(TestUtils.validateUrl('not a url'), false);
+    assert.strictEqual(TestUtils.validateDate('2024-02-29'), true);
+    assert.strictEqual(TestUtils.validateDate('2024-13-01'), false);
+    assert.strictEqual(TestUtils.validateDate('02/29/2024'), false);
+});
+
+test('response validators record one pm.test each', async () => {
+    const sandbox = await runScript({
+        response: {
+            code: 200,
+            headers: { 'Content-Type': 'application/json', 'X-Frame-Options': 'DENY' },
+            body: { ok: true },
+            responseTime: 2500
+        }
+    }, () => {
+        TestUtils.validateStatusCode(200);
+        TestUtils.validateResponseTime(2000);
+        TestUtils.validateHeaders(['Content-Type']);
+        TestUtils.validateSecurityHeaders();
+    });
+
+    assert.strictEqual(result(sandbox, 'Status code is 200').passed, true);
+    assert.strictEqual(result(sandbox, 'Response time is below 2000ms').passed, false);
+    assert.strictEqual(result(sandbox, 'Required headers are present').passed, true);
+    assert.match(result(sandbox, 'Security headers are present').error, /Strict-Transport-Security/);
+});
+
+test('generated data is repeatable for the same dataSeed', async () => {
+    const generate = () => runScript({}, sandbox => {
+        TestUtils.getDataEngine().setSeed('fixed');
+        sandbox.values = [TestUtils.generateRandomString(12), TestUtils.generateRandomEmail(), TestUtils.generateUUID()];
+    });
+
+    const first = await generate();
+    const second = await generate();
+    assert.deepStrictEqual(first.values, second.values);
+    assert.strictEqual(TestUtils.validateEmail(first.values[1]), true);
+    assert.match(first.values[2], /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    assert.match(first.values[1], /^[a-z0-9]{8}@example\.com$/);
+
+    await runScript({}, () => {
+        TestUtils.getDataEngine().setSeed('fixed');
+        const numbers = Array.from({ length: 50 }, () => TestUtils.generateRandomNumber(3, 5));
+        assert.ok(numbers.every(n => Number.isInteger(n) && n >= 3 && n <= 5), numbers.join(','));
+        assert.match(TestUtils.generateRandomEmail('test.org'), /@test\.org$/);
+    });
+});
+
+test('environment helpers serialize objects and fall back to a default', async () => {
+    const sandbox = await runScript({ environment: { stale: 'x' } }, () => {
+        TestUtils.setEnvVar('user', { id: 7 });
+        TestUtils.setEnvVar('count', 3);
+        TestUtils.clearEnvVar('stale');
+        assert.strictEqual(TestUtils.getEnvVar('missing', 'fallback'), 'fallback');
+        assert.strictEqual(TestUtils.getEnvVar('missing'), null);
+    });
+
+    assert.strictEqual(sandbox.pm.environment.get('user'), '{"id":7}');
+    assert.strictEqual(sandbox.pm.environment.get('count'), 3);
+    assert.strictEqual(sandbox.pm.environment.has('stale'), false);
+});
+
+test('collected metrics are summarized per run with percentiles and a breakdown', async () => {
+    let stored;
+    let summary;
+    let empty;
+
+    await runScript({
+        request: { url: 'https://api.example.com/users/1', method: 'GET' },
+        response: { code: 200, responseTime: 100 }
+    }, () => {
+        empty = TestUtils.getPerformanceSummary();
+        stored = TestUtils.collectMetrics({ testName: 'User lookup' });
+        ResultStore.append([300, 200, 400].map((responseTime, i) => ResultStore.createRecord({
+            source: 'metrics',
+            request: { method: 'GET', url: `https://api.example.com/users/${i + 2}` },
+            status: i === 2 ? 500 : 200,
+            responseTime,
+            response: null
+        })));
+        ResultStore.record({ source: 'performance', status: 200, responseTime: 9999 });
+        summary = TestUtils.getPerformanceSummary({ runId: 'current' }, { percentiles: [50] });
+    });
+
+    assert.deepStrictEqual(empty, { message: 'No metrics collected yet' });
+    assert.deepStrictEqual([stored.source, stored.status, stored.responseTime, stored.data], ['metrics', 200, 100, { testName: 'User lookup' }]);
+    assert.deepStrictEqual([summary.totalRequests, summary.avgResponseTime, summary.minResponseTime, summary.maxResponseTime], [4, 250, 100, 400]);
+    assert.deepStrictEqual(summary.percentiles, { p50: 250 });
+    assert.strictEqual(summary.successRate, '75.00%');
+    assert.deepStrictEqual(Object.keys(summary.breakdown.endpoint), ['/users/:id']);
+    assert.deepStrictEqual(Object.keys(summary.breakdown.statusClass), ['2xx', '5xx']);
+});
+
+test('validateSchema reports errors with JSON Pointer paths', async () => {
+    const sandbox = await runScript({ response: { body: { id: 'x', tags: [1] } } }, () => {
+        TestUtils.validateSchema({
+            type: 'object',
+            required: ['id', 'name'],
+            properties: { id: { type: 'integer' }, tags: { type: 'array', items: { type: 'string' } } }
+        });
+    });
+
+    const failures = sandbox.summary().failures;
+    assert.ok(failures.length > 0);
+    assert.match(failures.map(f => f.error).join('\n'), /\/id/);
+});
+
+test('schemas exposes the SchemaValidator registry and validateSchema accepts explicit data', async () => {
+    let outcome;
+
+    assert.strictEqual(TestUtils.schemas, SchemaValidator.registry);
+    await runScript({}, () => {
+        outcome = TestUtils.validateSchema({ type: 'object', required: ['id'] }, { id: 1 });
+    });
+
+    assert.strictEqual(outcome.valid, true);
+    assert.deepStrictEqual(outcome.errors, []);
+});
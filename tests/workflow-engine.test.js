@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const WorkflowEngine = require('../workflow-engine');
+const { runScript, result } = require('./sandbox');
+
+const base = 'https://api.example.com';
+
+const run = (workflow, options = {}, transport = () => Promise.resolve({ code: 200 })) => {
+    const sent = [];
+    let summary;
+    return runScript({
+        environment: { base_url: base },
+        transport: request => {
+            sent.push(`${request.method} ${request.url.toString()}`);
+            return transport(request, sent.length);
+        }
+    }, () => WorkflowEngine.run(workflow, options).then(s => { summary = s; })).then(sandbox => ({ sandbox, sent, summary }));
+};
+
+test('captures feed later steps and branches pick the next step', async () => {
+    const { sent, summary } = await run({
+        name: 'Checkout',
+        steps: [
+            {
+                name: 'Create order',
+                request: { url: '{{base_url}}/orders', method: 'POST', body: { raw: { sku: 'A1' } } },
+                expectedStatus: 201,
+                captures: { orderId: '$.id', state: '$.state' },
+                branches: [{ when: "state == 'PAID'", goto: 'Refund' }]
+            },
+            { name: 'Pay', request: { url: '{{base_url}}/orders/{{orderId}}/pay', method: 'POST' } },
+            { name: 'Refund', request: { url: '{{base_url}}/orders/{{orderId}}/refund', method: 'POST' }, expectedStatus: 202 }
+        ]
+    }, {}, (request, count) => Promise.resolve(count === 1
+        ? { code: 201, body: { id: 'o-1', state: 'PAID' } }
+        : { code: 202 }));
+
+    assert.deepStrictEqual(sent, ['POST https://api.example.com/orders', 'POST https://api.example.com/orders/o-1/refund']);
+    assert.strictEqual(summary.passed, true);
+    assert.deepStrictEqual(summary.steps.map(step => step.name), ['Create order', 'Refund']);
+    assert.strictEqual(summary.variables.orderId, 'o-1');
+});
+
+test('polling repeats a step until its condition holds', async () => {
+    const { sent, summary } = await run({
+        steps: [{
+            name: 'Wait for shipment',
+            request: { url: '{{base_url}}/shipments/1', method: 'GET' },
+            poll: { until: "response.body.state == 'SHIPPED'", interval: 10, timeout: 1000 }
+        }]
+    }, {}, (request, count) => Promise.resolve({ code: 200, body: { state: count < 3 ? 'PENDING' : 'SHIPPED' } }));
+
+    assert.strictEqual(sent.length, 3);
+    assert.strictEqual(summary.passed, true);
+    assert.strictEqual(summary.steps[0].polls, 3);
+});
+
+test('a failed capture stops the workflow and names the capture', async () => {
+    const { sandbox, sent, summary } = await run({
+        name: 'Signup',
+        steps: [
+            { name: 'Register', request: { url: '{{base_url}}/users', method: 'POST' }, captures: { userId: '$.id' } },
+            { name: 'Verify', request: { url: '{{base_url}}/users/{{userId}}/verify', method: 'POST' } }
+        ]
+    }, {}, () => Promise.resolve({ code: 200, body: {} }));
+
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(summary.failedStep, 'Register');
+    assert.strictEqual(summary.failedCapture, 'userId');
+    assert.strictEqual(result(sandbox, 'Signup - Register - Capture userId').passed, false);
+});
+
+test('an invalid definition fails before any request is sent', async () => {
+    const { sandbox, sent, summary } = await run({
+        name: 'Broken',
+        steps: [
+            { name: 'First', request: { url: '{{base_url}}/a', method: 'GET' }, branches: [{ when: 'status ==', goto: 'Second' }] },
+            { name: 'Second', request: { url: '{{base_url}}/b', method: 'GET' }, branches: [{ goto: 'Thrid' }] },
+            { name: 'Third' }
+        ]
+    });
+
+    assert.deepStrictEqual(sent, []);
+    assert.strictEqual(summary.passed, false);
+    assert.strictEqual(summary.failedStep, null);
+    assert.match(summary.error, /step "First" branch 1: Invalid constraint "status =="/);
+    assert.match(summary.error, /step "Second" branch 1 targets unknown step "Thrid"/);
+    assert.match(summary.error, /step "Third" has no request/);
+    assert.strictEqual(result(sandbox, 'Broken - Workflow definition').passed, false);
+});
+
+test('a throwing request builder fails its step instead of rejecting', async () => {
+    const { sent, summary } = await run({
+        name: 'Builder',
+        steps: [
+            { name: 'Ok', request: { url: '{{base_url}}/a', method: 'GET' } },
+            { name: 'Explodes', request: () => { throw new Error('no token'); } }
+        ]
+    });
+
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(summary.passed, false);
+    assert.strictEqual(summary.failedStep, 'Explodes');
+    assert.match(summary.error, /Explodes threw: no token/);
+});
@@ -0,0 +1,646 @@
+/**
+ * Multi-Step Workflow Engine for Postman
+ * Runs a scenario as an ordered list of requests (create order → pay → poll status → refund),
+ * capturing values from each response into variables that later steps use as {{placeholders}}
+ */
+
+const WorkflowEngine = {
+
+    /**
+     * Defaults for run() and for step polling
+     */
+    defaults: {
+        stopOnFailure: true,
+        maxSteps: 100,
+        persist: false,
+        pollInterval: 1000,
+        pollTimeout: 30000
+    },
+
+    // =============================================================================
+    // EXECUTION
+    // =============================================================================
+
+    /**
+     * Run a workflow
+     * @param {Object} workflow - { name|description, variables, input, steps }
+     * @param {Array} workflow.steps - Steps, each:
+     *   name - Step name (used in test names and as a goto target)
+     *   request - pm.sendRequest options with {{variable}} placeholders; an object body.raw is sent as JSON. Or Function(variables).
+     *   expectedStatus, expectedHeaders, expectedResponse, maxResponseTime, matchMode - As for scenarios (see ResponseExpectations)
+     *   captures - { name: '$.id' | 'header:Location' | 'status' | { from: 'body'|'header'|'status', path, pattern, default, required } }
+     *   when - Condition; the step is skipped unless it holds
+     *   poll - { until: condition, interval (ms), timeout (ms) }; the request repeats until the condition holds
+     *   branches - [{ when: condition, goto: stepName | 'end' }]; the first matching branch picks the next step
+     *   retry - Retry policy overrides for this step (see RetryPolicy)
+     *   cleanup - { type, idPath, deleteRequest, scope }; a successful response registers the created resource (see CleanupRegistry)
+     * Conditions are expressions ("response.body.state == 'PAID' and amount > 0", see TestDesign.compileConstraint),
+     * Functions(context) or { path: expectation } objects, evaluated against { ...variables, response: { status, headers, body, responseTime } }.
+     * @param {Object} options - { variables, stopOnFailure (default true), persist: true|[names] (save captures to the environment), retry,
+     *   silent (no tests or logs; failures are only returned, e.g. under load) }
+     * @returns {Promise<Object>} - { name, passed, failedStep, failedCapture, steps, variables, duration }; never rejects.
+     *   An invalid definition (unknown goto target, condition that does not compile) fails before any request is sent.
+     */
+    run: function(workflow, options = {}) {
+        const settings = { ...this.defaults, ...options };
+        const name = workflow.name || workflow.description || 'Workflow';
+        const steps = workflow.steps || [];
+        const variables = { ...(settings.variables || {}), ...(workflow.variables || {}) };
+        const results = [];
+        const startTime = Date.now();
+        let failure = null;
+        let executed = 0;
+        let current = null;
+
+        if (workflow.input !== undefined) {
+            variables.input = workflow.input;
+        }
+
+        this.log(settings, 'log', `Workflow ${name}: ${steps.length} steps`);
+
+        const runFrom = index => {
+            if (index >= steps.length || (failure && settings.stopOnFailure)) {
+                return Promise.resolve();
+            }
+            if (++executed > settings.maxSteps) {
+                failure = { step: steps[index].name || `Step ${index + 1}`, capture: null, message: `more than ${settings.maxSteps} steps executed (branch loop?)` };
+                this.fail(settings, `${name} - Step limit`, failure.message);
+                return Promise.resolve();
+            }
+
+            const step = steps[index];
+            const stepName = step.name || `Step ${index + 1}`;
+            current = stepName;
+
+            if (step.when !== undefined && !this.evaluate(step.when, variables, null)) {
+                this.log(settings, 'log', `  ${stepName}: skipped (condition not met)`);
+                results.push({ name: stepName, skipped: true, passed: true });
+                return runFrom(index + 1);
+            }
+
+            return this.runStep(step, stepName, name, variables, settings).then(result => {
+                results.push(result);
+
+                if (!result.passed && !failure) {
+                    failure = { step: stepName, capture: result.failedCapture, message: result.error };
+                }
+                if (!result.passed && settings.stopOnFailure) {
+                    const remaining = steps.length - index - 1;
+                    if (remaining > 0) {
+                        this.log(settings, 'warn', `  ${stepName} failed; skipping ${remaining} remaining step(s)`);
+                    }
+                    return undefined;
+                }
+
+                return runFrom(this.nextStep(steps, step, index, variables, result.response));
+            });
+        };
+
+        const problems = this.validate(steps);
+        let execution;
+        if (problems.length > 0) {
+            failure = { step: null, capture: null, message: `Invalid workflow: ${problems.join('; ')}` };
+            this.fail(settings, `${name} - Workflow definition`, failure.message);
+            execution = Promise.resolve();
+        } else {
+            // A throwing request builder or condition fails its step instead of rejecting the run
+            execution = runFrom(0).catch(error => {
+                const message = `${current} threw: ${error.message}`;
+                this.fail(settings, `${name} - ${current}`, message);
+                results.push({ name: current, passed: false, captures: {}, failedCapture: null, error: message });
+                failure = failure || { step: current, capture: null, message };
+            });
+        }
+
+        return execution.then(() => {
+            this.persist(variables, settings.persist, results);
+
+            const summary = {
+                name,
+                passed: failure === null,
+                failedStep: failure ? failure.step : null,
+                failedCapture: failure ? failure.capture : null,
+                error: failure ? failure.message : null,
+                steps: results.map(({ response, ...result }) => result),
+                variables,
+                duration: Date.now() - startTime
+            };
+
+            const outcome = summary.passed ? 'passed'
+                : summary.failedStep ? `failed at ${summary.failedStep}${summary.failedCapture ? ` (capture ${summary.failedCapture})` : ''}`
+                : `failed: ${summary.error}`;
+            this.log(settings, 'log', `Workflow ${name} ${outcome} in ${summary.duration}ms`);
+            return summary;
+        });
+    },
+
+    /**
+     * Check a workflow definition before anything is sent: every step has a request,
+     * branch targets exist and expression conditions compile
+     * @param {Array} steps - Workflow steps
+     * @returns {Array} - Problems (empty when the definition is valid)
+     */
+    validate: function(steps) {
+        const problems = [];
+        const check = (condition, where) => {
+            if (typeof condition !== 'string') return;
+            try {
+                this.getTestDesign().compileConstraint(condition);
+            } catch (error) {
+                problems.push(`${where}: ${error.message}`);
+            }
+        };
+
+        steps.forEach((step, index) => {
+            const label = `step "${step.name || `Step ${index + 1}`}"`;
+            if (!step.request) {
+                problems.push(`${label} has no request`);
+            }
+            check(step.when, `${label} when`);
+            if (step.poll) {
+                check(step.poll.until, `${label} poll.until`);
+            }
+            (step.branches || []).forEach((branch, i) => {
+                check(branch.when, `${label} branch ${i + 1}`);
+                if (branch.goto !== 'end' && !steps.some(candidate => candidate.name === branch.goto)) {
+                    problems.push(`${label} branch ${i + 1} targets unknown step "${branch.goto}"`);
+                }
+            });
+        });
+
+        return problems;
+    },
+
+    /**
+     * Run a single step: send (and poll), verify expectations, capture variables
+     * @param {Object} step - Step
+     * @param {string} stepName - Step name
+     * @param {string} workflowName - Workflow name
+     * @param {Object} variables - Workflow variables (captures are added)
+     * @param {Object} settings - Run settings
+     * @returns {Promise<Object>} - { name, status, responseTime, attempts, polls, passed, captures, failedCapture, error, response }
+     */
+    runStep: function(step, stepName, workflowName, variables, settings) {
+        const testPrefix = `${workflowName} - ${stepName}`;
+        const send = () => this.getRetryPolicy().send(
+            this.buildRequest(step.request, variables),
+            step.retry !== undefined ? step.retry : settings.retry,
+            step.expectedStatus
+        );
+
+        const sent = step.poll ? this.poll(step.poll, send, variables, stepName, settings) : send().then(outcome => ({ ...outcome, polls: 1 }));
+
+        return sent.then(({ response, error, attempts, polls, pollError }) => {
+            const result = {
+                name: stepName,
+                status: response ? response.code : null,
+                responseTime: response ? response.responseTime : null,
+                attempts: attempts.length,
+                polls,
+                passed: true,
+                captures: {},
+                failedCapture: null,
+                error: null,
+                response
+            };
+
+            if (error) {
+                this.fail(settings, `${testPrefix} - Request failed`, `Request error: ${error.message}`);
+                return { ...result, passed: false, error: `Request error: ${error.message}` };
+            }
+
+            if (pollError) {
+                this.fail(settings, `${testPrefix} - Poll`, pollError);
+                result.passed = false;
+                result.error = pollError;
+            }
+
+            // Expectations may refer to values captured by earlier steps
+            const expected = this.resolve(this.getExpectations(step), variables);
+            const verification = this.getResponseExpectations().verify(expected, response, { name: testPrefix, silent: settings.silent });
+            if (!verification.passed) {
+                result.passed = false;
+                result.error = result.error || verification.results.filter(r => !r.passed).map(r => r.name).join('; ');
+            }
+
+            Object.keys(step.captures || {}).forEach(variable => {
+                const captured = this.capture(response, step.captures[variable]);
+
+                if (captured.error) {
+                    this.fail(settings, `${testPrefix} - Capture ${variable}`, captured.error);
+                    result.passed = false;
+                    result.failedCapture = result.failedCapture || variable;
+                    result.error = result.error || `Capture ${variable}: ${captured.error}`;
+                    return;
+                }
+
+                variables[variable] = captured.value;
+                result.captures[variable] = captured.value;
+            });
+
+            if (step.cleanup) {
+                this.getCleanupRegistry().registerFromResponse(response, { ...step.cleanup, variables });
+            }
+
+            this.log(settings, 'log', `  ${stepName}: ${response.code} in ${response.responseTime}ms${Object.keys(result.captures).length ? `, captured ${Object.keys(result.captures).join(', ')}` : ''}`);
+            return result;
+        });
+    },
+
+    /**
+     * Expectation fields of a step
+     * @param {Object} step - Step
+     * @returns {Object} - { expectedStatus, expectedHeaders, expectedResponse, maxResponseTime, matchMode } (fields that are set)
+     */
+    getExpectations: function(step) {
+        return ['expectedStatus', 'expectedHeaders', 'expectedResponse', 'maxResponseTime', 'matchMode'].reduce((expected, field) => {
+            if (step[field] !== undefined) expected[field] = step[field];
+            return expected;
+        }, {});
+    },
+
+    /**
+     * Repeat a request until a condition holds or the poll times out
+     * @param {Object} poll - { until, interval, timeout }
+     * @param {Function} send - Function returning a RetryPolicy.send Promise
+     * @param {Object} variables - Workflow variables
+     * @param {string} stepName - Step name (for logs)
+     * @param {Object} settings - Run settings
+     * @returns {Promise<Object>} - Last outcome plus { polls, pollError }
+     */
+    poll: function(poll, send, variables, stepName, settings = {}) {
+        const interval = poll.interval !== undefined ? poll.interval : this.defaults.pollInterval;
+        const timeout = poll.timeout !== undefined ? poll.timeout : this.defaults.pollTimeout;
+        const deadline = Date.now() + timeout;
+        let polls = 0;
+
+        const attempt = () => send().then(outcome => {
+            polls++;
+
+            if (outcome.error || this.evaluate(poll.until, variables, outcome.response)) {
+                return { ...outcome, polls, pollError: null };
+            }
+            if (Date.now() + interval > deadline) {
+                return {
+                    ...outcome,
+                    polls,
+                    pollError: `condition ${this.describeCondition(poll.until)} not met within ${timeout}ms (${polls} polls, last status ${outcome.response.code})`
+                };
+            }
+
+            this.log(settings, 'log', `  ${stepName}: condition not met (poll ${polls}), retrying in ${interval}ms`);
+            return new Promise(resolve => setTimeout(resolve, interval)).then(attempt);
+        });
+
+        return attempt();
+    },
+
+    /**
+     * Pick the index of the next step from the step's branches
+     * @param {Array} steps - Workflow steps
+     * @param {Object} step - Current step
+     * @param {number} index - Current step index
+     * @param {Object} variables - Workflow variables
+     * @param {Object} response - Current step response
+     * @returns {number} - Next step index (steps.length ends the workflow)
+     */
+    nextStep: function(steps, step, index, variables, response) {
+        const branch = (step.branches || []).find(candidate => candidate.when === undefined || this.evaluate(candidate.when, variables, response));
+
+        if (!branch) {
+            return index + 1;
+        }
+        if (branch.goto === 'end') {
+            return steps.length;
+        }
+
+        const target = steps.findIndex(candidate => candidate.name === branch.goto);
+        if (target === -1) {
+            throw new Error(`Branch of step "${step.name}" targets unknown step "${branch.goto}"`);
+        }
+        return target;
+    },
+
+    // =============================================================================
+    // REQUESTS AND CAPTURES
+    // =============================================================================
+
+    /**
+     * Build a step request from its template
+     * @param {Object|Function} template - pm.sendRequest options with {{placeholders}}, or Function(variables)
+     * @param {Object} variables - Workflow variables (fall back to environment, then pm.variables)
+     * @returns {Object} - Request options
+     */
+    buildRequest: function(template, variables) {
+        if (typeof template === 'function') {
+            return template(variables);
+        }
+
+        const request = this.resolve(template, variables);
+
+        if (request.body && request.body.raw !== undefined && typeof request.body.raw !== 'string') {
+            request.body = { mode: 'raw', ...request.body, raw: JSON.stringify(request.body.raw) };
+            const header = request.header || {};
+            const hasContentType = Array.isArray(header)
+                ? header.some(h => String(h.key).toLowerCase() === 'content-type')
+                : Object.keys(header).some(key => key.toLowerCase() === 'content-type');
+            if (!hasContentType) {
+                request.header = Array.isArray(header)
+                    ? header.concat({ key: 'Content-Type', value: 'application/json' })
+                    : { ...header, 'Content-Type': 'application/json' };
+            }
+        }
+
+        return request;
+    },
+
+    /**
+     * Resolve {{placeholders}} from workflow variables (dot paths allowed), then environment and pm.variables
+     * @param {*} value - Template
+     * @param {Object} variables - Workflow variables
+     * @returns {*} - Resolved copy
+     */
+    resolve: function(value, variables) {
+        const expectations = this.getResponseExpectations();
+
+        return this.getDataLoader().resolveTemplates(value, name => {
+            const resolved = expectations.query(variables, name).value;
+            if (resolved !== undefined) {
+                return resolved;
+            }
+            return pm.environment.has(name) ? pm.environment.get(name) : pm.variables.get(name);
+        });
+    },
+
+    /**
+     * Capture a value from a response
+     * @param {Object} response - Response
+     * @param {string|Object} source - '$.path', 'header:Name', 'status' or { from, path, pattern, default, required }
+     * @returns {Object} - { value } or { error }
+     */
+    capture: function(response, source) {
+        const spec = this.parseCapture(source);
+        let value;
+
+        if (spec.from === 'status') {
+            value = response.code;
+        } else if (spec.from === 'header') {
+            value = response.headers.get(spec.path);
+        } else {
+            let body;
+            try {
+                body = response.json();
+            } catch (error) {
+                return { error: `${spec.path}: response body is not JSON (${error.message})` };
+            }
+            value = this.getResponseExpectations().query(body, spec.path).value;
+        }
+
+        if (spec.pattern !== undefined && value !== undefined && value !== null) {
+            const match = String(value).match(new RegExp(spec.pattern));
+            value = match ? (match[1] !== undefined ? match[1] : match[0]) : undefined;
+        }
+
+        if (value === undefined || value === null) {
+            if (spec.default !== undefined) {
+                return { value: spec.default };
+            }
+            if (spec.required) {
+                return { error: `${this.describeCapture(spec)} found nothing` };
+            }
+        }
+
+        return { value };
+    },
+
+    /**
+     * Normalize a capture source
+     * @param {string|Object} source - Capture source
+     * @returns {Object} - { from, path, pattern, default, required }
+     */
+    parseCapture: function(source) {
+        if (typeof source === 'string') {
+            if (source === 'status') {
+                return { from: 'status', required: true };
+            }
+            const header = source.match(/^header:\s*(.+)$/i);
+            return header
+                ? { from: 'header', path: header[1], required: true }
+                : { from: 'body', path: source, required: true };
+        }
+
+        return { from: 'body', required: true, ...source };
+    },
+
+    /**
+     * Describe a capture source for messages
+     * @param {Object} spec - Normalized capture source
+     * @returns {string} - Description
+     */
+    describeCapture: function(spec) {
+        if (spec.from === 'status') return 'status';
+        const target = spec.from === 'header' ? `header ${spec.path}` : this.getResponseExpectations().formatPath(spec.path);
+        return spec.pattern !== undefined ? `${target} =~ /${spec.pattern}/` : target;
+    },
+
+    /**
+     * Save captured variables to the environment
+     * @param {Object} variables - Workflow variables
+     * @param {boolean|Array} persist - true for all captures, or variable names
+     * @param {Array} results - Step results
+     */
+    persist: function(variables, persist, results) {
+        if (!persist) {
+            return;
+        }
+
+        const captured = results.reduce((names, result) => names.concat(Object.keys(result.captures || {})), []);
+        const names = Array.isArray(persist) ? persist : captured;
+
+        names.filter(name => variables[name] !== undefined).forEach(name => {
+            const value = variables[name];
+            pm.environment.set(name, typeof value === 'string' ? value : JSON.stringify(value));
+        });
+    },
+
+    /**
+     * Record a failed test unless the run is silent
+     * @param {Object} settings - Run settings
+     * @param {string} testName - Test name
+     * @param {string} message - Failure message
+     */
+    fail: function(settings, testName, message) {
+        if (!settings.silent) {
+            pm.test(testName, () => {
+                pm.expect.fail(message);
+            });
+        }
+    },
+
+    /**
+     * Log unless the run is silent
+     * @param {Object} settings - Run settings
+     * @param {string} level - 'log' or 'warn'
+     * @param {string} message - Message
+     */
+    log: function(settings, level, message) {
+        if (!settings.silent) {
+            console[level](message);
+        }
+    },
+
+    // =============================================================================
+    // CONDITIONS
+    // =============================================================================
+
+    /**
+     * Evaluate a condition against the workflow variables and a response
+     * @param {string|Function|Object} condition - Expression, Function(context) or { path: expectation }
+     * @param {Object} variables - Workflow variables
+     * @param {Object} response - Response (or null)
+     * @returns {boolean} - True if the condition holds
+     */
+    evaluate: function(condition, variables, response) {
+        const context = { ...variables, response: this.describeResponse(response) };
+
+        if (typeof condition === 'function') {
+            return Boolean(condition(context));
+        }
+        if (typeof condition === 'string') {
+            return this.getTestDesign().compileConstraint(condition)(context) === true;
+        }
+        if (condition && typeof condition === 'object') {
+            const expectations = this.getResponseExpectations();
+            return Object.keys(condition).every(path => expectations.matchPath(context, path, condition[path]).length === 0);
+        }
+        return Boolean(condition);
+    },
+
+    /**
+     * Plain view of a response for conditions
+     * @param {Object} response - Response (or null)
+     * @returns {Object} - { status, headers, body, responseTime }
+     */
+    describeResponse: function(response) {
+        if (!response) {
+            return {};
+        }
+
+        let body;
+        try {
+            body = response.json();
+        } catch (error) {
+            body = response.text();
+        }
+
+        return { status: response.code, headers: response.headers.toObject(), body, responseTime: response.responseTime };
+    },
+
+    /**
+     * Describe a condition for messages
+     * @param {string|Function|Object} condition - Condition
+     * @returns {string} - Description
+     */
+    describeCondition: function(condition) {
+        if (typeof condition === 'function') return condition.name || 'function';
+        if (typeof condition === 'string') return `"${condition}"`;
+        return JSON.stringify(condition);
+    },
+
+    // =============================================================================
+    // UTILITY FUNCTIONS
+    // =============================================================================
+
+    /**
+     * Resolve the DataLoader helper (sandbox global or Node module)
+     * @returns {Object} - DataLoader
+     */
+    getDataLoader: function() {
+        return typeof DataLoader !== 'undefined' ? DataLoader : require('./data-loader');
+    },
+
+    /**
+     * Resolve the ResponseExpectations helper (sandbox global or Node module)
+     * @returns {Object} - ResponseExpectations
+     */
+    getResponseExpectations: function() {
+        return typeof ResponseExpectations !== 'undefined' ? ResponseExpectations : require('./response-expectations');
+    },
+
+    /**
+     * Resolve the TestDesign helper (sandbox global or Node module)
+     * @returns {Object} - TestDesign
+     */
+    getTestDesign: function() {
+        return typeof TestDesign !== 'undefined' ? TestDesign : require('./test-design');
+    },
+
+    /**
+     * Resolve the RetryPolicy helper (sandbox global or Node module)
+     * @returns {Object} - RetryPolicy
+     */
+    getRetryPolicy: function() {
+        return typeof RetryPolicy !== 'undefined' ? RetryPolicy : require('./retry-policy');
+    },
+
+    /**
+     * Resolve the CleanupRegistry helper (sandbox global or Node module)
+     * @returns {Object} - CleanupRegistry
+     */
+    getCleanupRegistry: function() {
+        return typeof CleanupRegistry !== 'undefined' ? CleanupRegistry : require('./cleanup-registry');
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WorkflowEngine;
+}
+
+// Usage Examples:
+/*
+WorkflowEngine.run({
+    name: 'Order lifecycle',
+    variables: { sku: 'SKU-1', amount: 25 },
+    steps: [
+        {
+            name: 'Create order',
+            request: {
+                url: '{{base_url}}/orders',
+                method: 'POST',
+                body: { mode: 'raw', raw: { sku: '{{sku}}', quantity: 1 } }
+            },
+            expectedStatus: 201,
+            captures: { orderId: '$.id', orderUrl: 'header:Location' },
+            cleanup: { type: 'order', idPath: '$.id' }
+        },
+        {
+            name: 'Pay',
+            request: { url: '{{base_url}}/orders/{{orderId}}/payments', method: 'POST', body: { mode: 'raw', raw: { amount: '{{amount}}' } } },
+            expectedStatus: [200, 202],
+            captures: { paymentId: '$.payment.id' },
+            branches: [{ when: "response.status == 202", goto: 'Wait for payment' }, { goto: 'Refund' }]
+        },
+        {
+            name: 'Wait for payment',
+            request: { url: '{{orderUrl}}', method: 'GET' },
+            poll: { until: "response.body.status in ['PAID', 'FAILED']", interval: 500, timeout: 10000 },
+            expectedResponse: { '$.status': 'PAID' }
+        },
+        {
+            name: 'Refund',
+            when: 'paymentId != null',
+            request: { url: '{{base_url}}/payments/{{paymentId}}/refund', method: 'POST' },
+            expectedStatus: 200,
+            expectedResponse: { '$.refunded': '{{amount}}' }
+        }
+    ]
+}).then(result => {
+    if (!result.passed) {
+        console.log(`Broke at ${result.failedStep}`, result.failedCapture, result.error);
+    }
+});
+
+// Workflow scenarios from a data file run through DataDrivenTesting (scenario.steps)
+DataDrivenTesting.executeDataDrivenTest({ dataKey: 'orderFlows', persist: ['orderId'] });
+*/